@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+// Batch analysis of WAV files from the command line.
+//
+//   npm run analyze -- recordings/ extra.wav --out results
+//
+// Writes one JSON result per file and summary.csv (one row per file) to the output
+// folder. Folders are searched recursively for .wav files.
+import { mkdir, readFile, readdir, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { analyzeWavBatch } from '../src/batchAnalysis.js';
+import { CHANNEL_MODES } from '../src/utils/channels.js';
+import { analysisToJson, summariesToCsv } from '../src/utils/summary.js';
+
+const USAGE = `Usage: analyze [options] <file.wav|folder>...
+
+Options:
+  -o, --out <folder>        Where results are written (default: analysis-results)
+  -c, --channel-mode <mode> ${CHANNEL_MODES.join(', ')} (default: mix)
+      --options <file.json> AudioAnalyzer options, e.g. { "pitch": { "maxFrequency": 1200 } }
+  -q, --quiet               Only report errors
+  -h, --help                Show this help`;
+
+async function findWavFiles(inputs) {
+    const files = [];
+    const visit = async (target) => {
+        const info = await stat(target);
+        if (info.isDirectory()) {
+            const entries = (await readdir(target)).sort();
+            for (const entry of entries) await visit(path.join(target, entry));
+        } else if (/\.wav$/i.test(target) || inputs.includes(target)) {
+            files.push(target);
+        }
+    };
+    for (const input of inputs) await visit(input);
+    return files;
+}
+
+// Output names from file names, numbered when two inputs share one
+function outputNames(files) {
+    const used = new Map();
+    return files.map(file => {
+        const base = path.basename(file).replace(/\.[^.]+$/, '');
+        const count = (used.get(base) || 0) + 1;
+        used.set(base, count);
+        return count === 1 ? base : `${base}-${count}`;
+    });
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            out: { type: 'string', short: 'o', default: 'analysis-results' },
+            'channel-mode': { type: 'string', short: 'c', default: 'mix' },
+            options: { type: 'string' },
+            quiet: { type: 'boolean', short: 'q', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (positionals.length === 0) {
+        console.error(USAGE);
+        return 2;
+    }
+    if (!CHANNEL_MODES.includes(values['channel-mode'])) {
+        console.error(`Unknown channel mode "${values['channel-mode']}". Use one of: ${CHANNEL_MODES.join(', ')}`);
+        return 2;
+    }
+
+    const analyzer = values.options ? JSON.parse(await readFile(values.options, 'utf8')) : {};
+    const files = await findWavFiles(positionals);
+    if (files.length === 0) {
+        console.error('No .wav files found');
+        return 2;
+    }
+    const names = outputNames(files);
+    await mkdir(values.out, { recursive: true });
+    const log = values.quiet ? () => {} : message => console.error(message);
+
+    // Files are read one at a time, as the batch reaches them
+    async function* load() {
+        for (const file of files) yield { name: file, data: await readFile(file) };
+    }
+
+    let failed = 0;
+    const started = Date.now();
+    const summaries = await analyzeWavBatch(load(), { analyzer, pipeline: { channelMode: values['channel-mode'] } }, {
+        onFile: async ({ name, index, result, error }) => {
+            const prefix = `[${index + 1}/${files.length}] ${name}`;
+            if (error) {
+                failed++;
+                console.error(`${prefix}: ${error.message}`);
+                return;
+            }
+            const output = path.join(values.out, `${names[index]}.json`);
+            await writeFile(output, analysisToJson({ file: name, analyzedAt: new Date().toISOString(), ...result }));
+            log(`${prefix}: ${result.rhythm?.tempo ?? '?'} BPM, ${result.scale?.scale ?? 'unknown scale'} -> ${output}`);
+        }
+    });
+
+    const summaryFile = path.join(values.out, 'summary.csv');
+    await writeFile(summaryFile, summariesToCsv(summaries) + '\n');
+    log(`Analyzed ${files.length - failed} of ${files.length} files in ${((Date.now() - started) / 1000).toFixed(1)} s; summary in ${summaryFile}`);
+    return failed > 0 ? 1 : 0;
+}
+
+main().then(code => {
+    process.exitCode = code;
+}, error => {
+    console.error(error.message);
+    process.exitCode = 2;
+});
@@ -1,13 +1,34 @@
+import { DEFAULT_PITCH_OPTIONS, analyzePitchFrame } from './utils/pitchTracker.js';
+import { nextPowerOfTwo } from './utils/spectral.js';
+
 export class RealTimePitchDetector {
-    constructor(audioContext) {
+    /**
+     * @param {AudioContext} audioContext
+     * @param {Object} [options] - Pitch tracker settings, e.g. { minFrequency, maxFrequency }
+     */
+    constructor(audioContext, options = {}) {
         this.audioContext = audioContext;
         this.analyser = null;
         this.microphone = null;
         this.isActive = false;
-        this.bufferLength = 2048;
+        this.pitchOptions = { ...DEFAULT_PITCH_OPTIONS, ...options };
+        this.bufferLength = this.getBufferLength();
         this.dataArray = new Float32Array(this.bufferLength);
     }
 
+    // The frame must hold two periods of the lowest frequency searched
+    getBufferLength() {
+        const minPeriods = 2 * Math.ceil(this.audioContext.sampleRate / this.pitchOptions.minFrequency);
+        return Math.min(32768, Math.max(2048, nextPowerOfTwo(minPeriods)));
+    }
+
+    setRange(minFrequency, maxFrequency) {
+        this.pitchOptions = { ...this.pitchOptions, minFrequency, maxFrequency };
+        this.bufferLength = this.getBufferLength();
+        this.dataArray = new Float32Array(this.bufferLength);
+        if (this.analyser) this.analyser.fftSize = this.bufferLength;
+    }
+
     async start() {
         try {
             const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
@@ -31,52 +52,27 @@ export class RealTimePitchDetector {
         this.isActive = false;
     }
 
-    getPitch() {
+    /**
+     * Current frame's pitch estimate
+     * @returns {Object|null} { frequency, voicedProbability, confidence, candidates }
+     */
+    getPitchEstimate() {
         if (!this.isActive || !this.analyser) return null;
         
         this.analyser.getFloatTimeDomainData(this.dataArray);
-        
-        // Autocorrelation pitch detection
-        const pitch = this.autoCorrelate(this.dataArray, this.audioContext.sampleRate);
-        return pitch;
+        return analyzePitchFrame(this.dataArray, this.audioContext.sampleRate, this.pitchOptions);
+    }
+
+    getPitch() {
+        const estimate = this.getPitchEstimate();
+        if (!estimate) return null;
+        return estimate.voicedProbability >= this.pitchOptions.voicingThreshold ? estimate.frequency : -1;
     }
 
     autoCorrelate(buffer, sampleRate) {
-        const SIZE = buffer.length;
-        const MAX_SAMPLES = Math.floor(SIZE / 2);
-        let best_offset = -1;
-        let best_correlation = 0;
-        let rms = 0;
-        
-        for (let i = 0; i < SIZE; i++) {
-            const val = buffer[i];
-            rms += val * val;
-        }
-        rms = Math.sqrt(rms / SIZE);
-        
-        if (rms < 0.01) return -1;
-        
-        let lastCorrelation = 1;
-        for (let offset = 1; offset < MAX_SAMPLES; offset++) {
-            let correlation = 0;
-            for (let i = 0; i < MAX_SAMPLES; i++) {
-                correlation += Math.abs((buffer[i]) - (buffer[i + offset]));
-            }
-            correlation = 1 - (correlation / MAX_SAMPLES);
-            
-            if (correlation > 0.9 && correlation > lastCorrelation) {
-                if (correlation > best_correlation) {
-                    best_correlation = correlation;
-                    best_offset = offset;
-                }
-            }
-            lastCorrelation = correlation;
-        }
-        
-        if (best_correlation > 0.01 && best_offset !== -1) {
-            return sampleRate / best_offset;
-        }
-        return -1;
+        // Kept for callers of the old API; now backed by the YIN tracker
+        const estimate = analyzePitchFrame(buffer, sampleRate, this.pitchOptions);
+        return estimate.voicedProbability >= this.pitchOptions.voicingThreshold ? estimate.frequency : -1;
     }
 
     getVolume() {
@@ -160,13 +156,24 @@ export class Visualizer3D {
         this.ctx.stroke();
     }
 
-    drawRhythmCircle(beats, currentBeat) {
+    /**
+     * Draw a rhythm cycle as points on a circle
+     * @param {Array<boolean>} beats - Positions of the cycle, true where a stroke falls
+     * @param {number} currentBeat - Highlighted position, or -1
+     * @param {Object} [polyrhythm] - A relation from detectPolyrhythm; its two pulse streams are
+     *   drawn as polygons on inner rings (e.g. a triangle against a line for 3:2)
+     */
+    drawRhythmCircle(beats, currentBeat, polyrhythm = null) {
         this.ctx.fillStyle = '#000';
         this.ctx.fillRect(0, 0, this.width, this.height);
 
         const centerX = this.width / 2;
         const centerY = this.height / 2;
         const radius = Math.min(this.width, this.height) / 3;
+        const pointAt = (fraction, r) => {
+            const angle = fraction * Math.PI * 2 - Math.PI / 2;
+            return [centerX + Math.cos(angle) * r, centerY + Math.sin(angle) * r];
+        };
 
         // Draw circle
         this.ctx.strokeStyle = '#444';
@@ -177,15 +184,38 @@ export class Visualizer3D {
 
         // Draw beats
         beats.forEach((beat, i) => {
-            const angle = (i / beats.length) * Math.PI * 2 - Math.PI / 2;
-            const x = centerX + Math.cos(angle) * radius;
-            const y = centerY + Math.sin(angle) * radius;
+            const [x, y] = pointAt(i / beats.length, radius);
 
             this.ctx.fillStyle = i === currentBeat ? '#00ff00' : (beat ? '#fff' : '#333');
             this.ctx.beginPath();
             this.ctx.arc(x, y, 10, 0, Math.PI * 2);
             this.ctx.fill();
         });
+
+        // Polyrhythm streams: faster stream in orange, slower in cyan
+        if (polyrhythm && polyrhythm.pattern) {
+            const colors = ['#ff9800', '#00bcd4'];
+            polyrhythm.pattern.forEach((positions, s) => {
+                const r = radius * (s === 0 ? 0.8 : 0.6);
+                const points = positions.map(fraction => pointAt(fraction, r));
+                this.ctx.strokeStyle = colors[s];
+                this.ctx.lineWidth = 2;
+                this.ctx.beginPath();
+                points.forEach(([x, y], i) => (i === 0 ? this.ctx.moveTo(x, y) : this.ctx.lineTo(x, y)));
+                if (points.length > 2) this.ctx.closePath();
+                this.ctx.stroke();
+                this.ctx.fillStyle = colors[s];
+                points.forEach(([x, y]) => {
+                    this.ctx.beginPath();
+                    this.ctx.arc(x, y, 6, 0, Math.PI * 2);
+                    this.ctx.fill();
+                });
+            });
+            this.ctx.fillStyle = '#fff';
+            this.ctx.font = '16px sans-serif';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(polyrhythm.ratio, centerX, centerY + 6);
+        }
     }
 }
 
@@ -0,0 +1,157 @@
+// Saved analyses. An analysis document is versioned JSON holding everything the
+// Analyze tab shows: the file info, the parameters the analysis ran with, the
+// features, the transcription and the user's annotations. It reopens without the
+// audio. Documents written by older versions are migrated when they are read.
+
+export const ANALYSIS_DOCUMENT_TYPE = 'ethnomusicology-analysis';
+export const ANALYSIS_SCHEMA_VERSION = 2;
+
+// Analysis results kept under `features`
+const FEATURE_FIELDS = ['rhythm', 'pitches', 'timestamps', 'pitchTrack', 'spectral', 'features', 'structure', 'instrument', 'scale', 'tuning', 'loudness', 'channel', 'channels', 'stereo'];
+
+// Schema history:
+//   1 - the analysis data exactly as the Analyze tab held it (the old "Download JSON Data"); no version field
+//   2 - file / parameters / features / transcription / annotations sections
+const MIGRATIONS = {
+    // The first app saved no scale (it was worked out only for display) and averaged its spectrum over
+    // 2048-sample FFTs without recording the FFT size or sample rate; the Analyze tab needs all three
+    1: legacy => toDocument({
+        ...legacy,
+        scale: legacy.scale ?? { scale: 'Unknown', score: 0, confidence: 0 },
+        spectral: legacy.spectral && { fftSize: 2048, sampleRate: legacy.sampleRate, ...legacy.spectral }
+    }, [], legacy.analyzedAt ?? null)
+};
+
+function toDocument(data, annotations, savedAt) {
+    return {
+        type: ANALYSIS_DOCUMENT_TYPE,
+        schemaVersion: ANALYSIS_SCHEMA_VERSION,
+        savedAt,
+        file: {
+            name: data.filename ?? null,
+            duration: data.duration,
+            sampleRate: data.sampleRate,
+            channelCount: data.channelCount ?? null,
+            decoder: data.decoder ?? null,
+            region: data.region ?? null,
+            regions: data.regions ?? null
+        },
+        parameters: data.analyzer ?? null,
+        features: Object.fromEntries(FEATURE_FIELDS.map(field => [field, data[field] ?? null])),
+        transcription: data.transcription ?? null,
+        annotations,
+        analyzedAt: data.analyzedAt ?? null
+    };
+}
+
+// Annotations with text, with times that make sense
+function cleanAnnotations(list) {
+    if (!Array.isArray(list)) return [];
+    return list.filter(annotation => typeof annotation?.text === 'string' && annotation.text.trim()).map(annotation => {
+        const time = Number.isFinite(annotation.time) ? annotation.time : null;
+        return {
+            time,
+            end: time !== null && Number.isFinite(annotation.end) && annotation.end > time ? annotation.end : null,
+            text: annotation.text.trim(),
+            createdAt: annotation.createdAt ?? null
+        };
+    });
+}
+
+/**
+ * Note on the analysis, optionally tied to a time (or a span) in seconds
+ * @typedef {Object} Annotation
+ * @property {number|null} time
+ * @property {number|null} end
+ * @property {string} text
+ * @property {string|null} createdAt - ISO date
+ */
+
+/**
+ * A document for the analysis shown in the Analyze tab
+ * @param {Object} data - The tab's analysis data: filename, duration, sampleRate, analyzer (parameters),
+ *   the result fields, transcription, decoder, region(s) and annotations
+ * @returns {Object} Document at ANALYSIS_SCHEMA_VERSION
+ */
+export function createAnalysisDocument(data) {
+    return toDocument(data, cleanAnnotations(data.annotations), new Date().toISOString());
+}
+
+/**
+ * JSON text of a document; typed arrays are written as plain arrays
+ * @param {Object} document
+ * @returns {string}
+ */
+export function serializeAnalysisDocument(document) {
+    return JSON.stringify(document, (key, value) => (ArrayBuffer.isView(value) ? Array.from(value) : value), 2);
+}
+
+/**
+ * Bring a document up to ANALYSIS_SCHEMA_VERSION
+ * @param {Object} document - Parsed JSON
+ * @returns {{document: Object, migratedFrom: number|null}} migratedFrom is the original version when it was older
+ * @throws {Error} When it is not an analysis document, or is newer than this app understands
+ */
+export function migrateAnalysisDocument(document) {
+    if (!document || typeof document !== 'object' || Array.isArray(document)) throw new Error('An analysis document must be a JSON object');
+    if (document.type !== undefined && document.type !== ANALYSIS_DOCUMENT_TYPE) {
+        throw new Error(`Not an analysis document (type "${document.type}")`);
+    }
+    let version = document.schemaVersion;
+    if (version === undefined) {
+        // Version 1 carried no marker; recognize it by its contents
+        if (!document.rhythm || !document.spectral) throw new Error('Not an analysis document (no schemaVersion, rhythm or spectral data)');
+        version = 1;
+    }
+    if (!Number.isInteger(version) || version < 1) throw new Error(`Invalid schemaVersion: ${JSON.stringify(document.schemaVersion)}`);
+    if (version > ANALYSIS_SCHEMA_VERSION) {
+        throw new Error(`This analysis was saved with schema version ${version}; this app reads up to version ${ANALYSIS_SCHEMA_VERSION}. Please update the app.`);
+    }
+
+    let migrated = document;
+    for (let v = version; v < ANALYSIS_SCHEMA_VERSION; v++) migrated = MIGRATIONS[v](migrated);
+    return { document: migrated, migratedFrom: version < ANALYSIS_SCHEMA_VERSION ? version : null };
+}
+
+/**
+ * Read a saved analysis
+ * @param {string|Object} json - Document text or parsed JSON, at any schema version
+ * @returns {{document: Object, migratedFrom: number|null}} See migrateAnalysisDocument
+ * @throws {Error} When the JSON is invalid or lacks what the Analyze tab needs to render
+ */
+export function parseAnalysisDocument(json) {
+    let parsed = json;
+    if (typeof json === 'string') {
+        try {
+            parsed = JSON.parse(json);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+    }
+    const { document, migratedFrom } = migrateAnalysisDocument(parsed);
+
+    const { file, features } = document;
+    if (!file || !Number.isFinite(file.duration) || !Number.isFinite(file.sampleRate)) throw new Error('Analysis document is missing file.duration or file.sampleRate');
+    if (!features?.rhythm || !features.spectral) throw new Error('Analysis document is missing rhythm or spectral features');
+    if (!Array.isArray(features.pitches)) throw new Error('Analysis document is missing the detected pitches');
+    return { document: { ...document, annotations: cleanAnnotations(document.annotations) }, migratedFrom };
+}
+
+/**
+ * The analysis result a document was made from, in the shape runAnalysisPipeline returns
+ * @param {Object} document - At ANALYSIS_SCHEMA_VERSION
+ * @returns {Object}
+ */
+export function documentToResult(document) {
+    return {
+        duration: document.file.duration,
+        sampleRate: document.file.sampleRate,
+        channelCount: document.file.channelCount,
+        ...document.features,
+        pitches: document.features.pitches || [],
+        timestamps: document.features.timestamps || [],
+        pitchTrack: document.features.pitchTrack || [],
+        transcription: document.transcription,
+        analyzer: document.parameters
+    };
+}
@@ -0,0 +1,305 @@
+// Full-length analysis pipeline for decoded audio files.
+// Runs inside the analysis Web Worker, or on the main thread when workers are unavailable.
+import { AudioAnalyzer } from './audioAnalyzer.js';
+import { decodePitchTrack } from './utils/pitchTracker.js';
+import { onsetFrameCount, onsetStrength } from './utils/onsets.js';
+import { selectChannels, stereoImage } from './utils/channels.js';
+import { accumulateLoudness, finishLoudness } from './utils/loudness.js';
+import { addFeatureFrame, createFeatureState, finishFeatures, pooledFeatures } from './utils/features.js';
+import {
+    magnitudeSpectrum,
+    spectralCentroid,
+    spectralRolloff,
+    spectralBrightness
+} from './utils/spectral.js';
+
+export const DEFAULT_PIPELINE_OPTIONS = {
+    chunkSeconds: 10,       // Audio processed between progress reports / cancellation checks
+    channelMode: 'mix'      // See CHANNEL_MODES in utils/channels.js
+};
+
+// Share of the progress bar given to the file-level loudness pass, and to each
+// per-signal stage within the rest
+const LOUDNESS_SHARE = 0.1;
+const STAGE_WEIGHTS = { rhythm: 0.2, pitch: 0.5, spectrum: 0.25, scale: 0.05 };
+const STAGE_OFFSETS = { rhythm: 0, pitch: 0.2, spectrum: 0.7, scale: 0.95 };
+
+export function createAbortError(message = 'Analysis cancelled') {
+    if (typeof DOMException === 'function') return new DOMException(message, 'AbortError');
+    const error = new Error(message);
+    error.name = 'AbortError';
+    return error;
+}
+
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) throw createAbortError();
+}
+
+// Give the event loop a turn so progress messages flush and cancel requests arrive
+function yieldToEventLoop() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Average windowed spectrum and descriptors of a whole signal, frame by frame
+ * @param {Float32Array} channelData - Mono samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} [options] - frameSize, hopSize and window (see utils/spectral.js)
+ * @returns {Object} Spectral analysis results
+ */
+export function analyzeSpectrum(channelData, sampleRate, options = {}) {
+    return finishSpectrum(accumulateSpectrum(channelData, options), sampleRate, options);
+}
+
+// Frames fromFrame..toFrame-1 into the running spectrum sum; a feature state (see
+// utils/features.js) given on the first call is fed the same spectra
+function accumulateSpectrum(channelData, options, fromFrame = 0, toFrame = Infinity, state = null, features = null) {
+    const { frameSize = 2048, hopSize = 1024, window = 'hann' } = options;
+    const acc = state || { sum: new Float64Array(frameSize / 2 + 1), frameCount: 0, features };
+    const totalFrames = countFrames(channelData.length, frameSize, hopSize);
+    const end = Math.min(toFrame, totalFrames);
+    for (let f = fromFrame; f < end; f++) {
+        const start = f * hopSize;
+        const mags = magnitudeSpectrum(channelData.subarray(start, start + frameSize), { window, fftSize: frameSize });
+        for (let k = 0; k < mags.length; k++) acc.sum[k] += mags[k];
+        if (acc.features) addFeatureFrame(acc.features, mags);
+        acc.frameCount++;
+    }
+    return acc;
+}
+
+function finishSpectrum(acc, sampleRate, options) {
+    const { frameSize = 2048, hopSize = 1024 } = options;
+    const spectrum = new Float32Array(acc.sum.length);
+    if (acc.frameCount > 0) {
+        for (let k = 0; k < spectrum.length; k++) spectrum[k] = acc.sum[k] / acc.frameCount;
+    }
+    return {
+        spectrum: Array.from(spectrum),
+        centroid: spectralCentroid(spectrum, sampleRate),
+        rolloff: spectralRolloff(spectrum, sampleRate),
+        brightness: spectralBrightness(spectrum, sampleRate),
+        sampleRate: sampleRate,
+        fftSize: frameSize,
+        hopSize: hopSize,
+        frameCount: acc.frameCount
+    };
+}
+
+function countFrames(length, frameSize, hopSize) {
+    // Short signals still get one zero-padded frame
+    return Math.max(1, Math.floor((length - frameSize) / hopSize) + 1);
+}
+
+/**
+ * Analyze a complete decoded recording: rhythm and beats, pitch track, spectrum and timbre features,
+ * sections, tonic, scale and tuning.
+ * Multichannel input is reduced according to options.pipeline.channelMode; when that yields several
+ * signals (per-channel or mid/side analysis) each is analyzed in full, the first one's results are
+ * returned at the top level and all of them under `channels`.
+ * @param {Float32Array|Array<Float32Array>} channelData - Mono samples, or one array per channel (the whole file)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} [options]
+ * @param {Object} [options.analyzer] - AudioAnalyzer constructor options (see getOptions())
+ * @param {Object} [options.pipeline] - Overrides for DEFAULT_PIPELINE_OPTIONS
+ * @param {Object} [hooks]
+ * @param {AbortSignal} [hooks.signal] - Aborting rejects with an AbortError at the next chunk boundary
+ * @param {Function} [hooks.onProgress] - Called with { stage, percent }
+ * @param {Function} [hooks.onPartial] - Called with per-stage partial results (first signal only)
+ * @returns {Promise<Object>} Analysis results
+ */
+export async function runAnalysisPipeline(channelData, sampleRate, options = {}, hooks = {}) {
+    const { signal, onProgress = () => {}, onPartial = () => {} } = hooks;
+    const settings = { ...DEFAULT_PIPELINE_OPTIONS, ...options.pipeline };
+    const analyzer = new AudioAnalyzer({ ...options.analyzer, sampleRate });
+    const channels = Array.isArray(channelData) ? channelData : [channelData];
+    const signals = selectChannels(channels, settings.channelMode);
+    throwIfAborted(signal);
+    const stereo = channels.length >= 2 ? stereoImage(channels[0], channels[1], sampleRate) : null;
+
+    // Loudness describes the file as recorded: all channels, weighted per BS.1770, whatever the channel mode
+    const chunkSamples = Math.max(1, Math.floor(settings.chunkSeconds * sampleRate));
+    const loudnessOptions = analyzer.loudnessOptions;
+    const length = Math.min(...channels.map(channel => channel.length));
+    let loudnessState = accumulateLoudness(channels, sampleRate, loudnessOptions, 0, 0);
+    for (let start = 0; start < length; start += chunkSamples) {
+        throwIfAborted(signal);
+        loudnessState = accumulateLoudness(channels, sampleRate, loudnessOptions, start, start + chunkSamples, loudnessState);
+        onProgress({ stage: 'loudness', percent: Math.round(LOUDNESS_SHARE * Math.min(1, (start + chunkSamples) / length) * 100) });
+        await yieldToEventLoop();
+    }
+    const loudness = {
+        ...finishLoudness(loudnessState, loudnessOptions),
+        meta: analyzer.getAnalysisMeta({ sampleRate, ...loudnessOptions })
+    };
+
+    const results = [];
+    for (let index = 0; index < signals.length; index++) {
+        // Each signal gets an equal share of the rest of the progress bar
+        const report = (stage, fraction) => {
+            const signalProgress = (index + STAGE_OFFSETS[stage] + STAGE_WEIGHTS[stage] * Math.min(1, fraction)) / signals.length;
+            onProgress({ stage, percent: Math.round((LOUDNESS_SHARE + (1 - LOUDNESS_SHARE) * signalProgress) * 100) });
+        };
+        const result = await analyzeSignal(signals[index].data, sampleRate, analyzer, settings, {
+            signal,
+            report,
+            onPartial: index === 0 ? onPartial : () => {}
+        });
+        results.push({ id: signals[index].id, label: signals[index].label, ...result });
+    }
+
+    const { id, label, ...primary } = results[0];
+    return {
+        ...primary,
+        channel: { id, label },
+        channelCount: channels.length,
+        channels: results.length > 1 ? results : undefined,
+        stereo,
+        loudness,
+        analyzer: analyzer.getAnalysisMeta({
+            ...settings,
+            spectral: analyzer.spectralOptions,
+            pitch: analyzer.pitchOptions,
+            tuning: analyzer.tuningOptions,
+            key: analyzer.keyOptions,
+            beat: analyzer.beatOptions,
+            onset: analyzer.getOnsetStageOptions(),
+            polyrhythm: analyzer.polyrhythmOptions,
+            loudness: loudnessOptions,
+            features: analyzer.featureOptions,
+            segmentation: analyzer.segmentationOptions,
+            instrument: analyzer.instrumentOptions,
+            transcription: analyzer.transcriptionOptions
+        })
+    };
+}
+
+// All analysis stages for one mono signal
+async function analyzeSignal(channelData, sampleRate, analyzer, settings, { signal, report, onPartial }) {
+    const chunkSamples = Math.max(1, Math.floor(settings.chunkSeconds * sampleRate));
+
+    // Rhythm: the onset envelope is built chunk by chunk; onset thresholds and beat
+    // alignment are global, so they then see the whole signal at once
+    throwIfAborted(signal);
+    report('rhythm', 0);
+    await yieldToEventLoop();
+    const onsetOptions = analyzer.getOnsetStageOptions();
+    const envelopeFrames = onsetFrameCount(channelData.length, onsetOptions);
+    const envelopeFramesPerChunk = Math.max(1, Math.floor(chunkSamples / onsetOptions.hopSize));
+    const onsetEnvelope = new Float32Array(envelopeFrames);
+    const bandEnvelopes = (onsetOptions.bands || []).map(() => new Float32Array(envelopeFrames));
+    for (let frame = 0; frame < envelopeFrames; frame += envelopeFramesPerChunk) {
+        throwIfAborted(signal);
+        const chunk = onsetStrength(channelData, sampleRate, onsetOptions, frame, frame + envelopeFramesPerChunk);
+        onsetEnvelope.set(chunk.envelope, frame);
+        chunk.bands.forEach((envelope, b) => bandEnvelopes[b].set(envelope, frame));
+        report('rhythm', 0.8 * Math.min(1, (frame + envelopeFramesPerChunk) / envelopeFrames));
+        await yieldToEventLoop();
+    }
+    const rhythm = analyzer.analyzeRhythm(channelData, { onsetEnvelope, bandEnvelopes });
+    const temporalFeatures = analyzer.calculateTemporalFeatures(rhythm.intervals || []);
+    // Polyrhythm reuses the onset stage's bands unless it was given bands of its own
+    const sameBands = JSON.stringify(analyzer.polyrhythmOptions.bands) === JSON.stringify(onsetOptions.bands);
+    const polyrhythm = analyzer.detectPolyrhythm(channelData, sameBands ? { bandEnvelopes } : {});
+    rhythm.temporalComplexity = temporalFeatures.complexity;
+    rhythm.entropy = temporalFeatures.entropy;
+    rhythm.polyrhythmic = polyrhythm.isPolyrhythmic;
+    rhythm.polyrhythmRatio = polyrhythm.ratio;
+    rhythm.polyrhythm = polyrhythm;
+    rhythm.percussiveness = analyzer.calculateZCR(channelData); // Higher ZCR indicates more percussive content
+    report('rhythm', 1);
+    onPartial({ stage: 'rhythm', rhythm });
+
+    // Pitch candidates, chunk by chunk; the track is decoded once all frames are in
+    const pitchFrames = [];
+    const { frameSize: pitchFrameSize, hopSize: pitchHopSize, voicingThreshold } = analyzer.pitchOptions;
+    const lastPitchStart = channelData.length - pitchFrameSize;
+    for (let chunkStart = 0; chunkStart <= lastPitchStart; chunkStart += chunkSamples) {
+        throwIfAborted(signal);
+        const chunkEnd = Math.min(lastPitchStart + 1, chunkStart + chunkSamples);
+        const newPitches = [];
+        const newTimestamps = [];
+        // Align frame starts to the hop grid so chunking never changes the result
+        const firstFrame = Math.ceil(chunkStart / pitchHopSize) * pitchHopSize;
+        for (let i = firstFrame; i < chunkEnd; i += pitchHopSize) {
+            const estimate = analyzer.estimatePitch(channelData.subarray(i, i + pitchFrameSize));
+            pitchFrames.push({ time: i / sampleRate, ...estimate });
+            if (estimate.voicedProbability >= voicingThreshold) {
+                newPitches.push(estimate.frequency);
+                newTimestamps.push(i / sampleRate);
+            }
+        }
+        report('pitch', chunkEnd / Math.max(1, lastPitchStart));
+        onPartial({ stage: 'pitch', pitches: newPitches, timestamps: newTimestamps, analyzedSeconds: chunkEnd / sampleRate });
+        await yieldToEventLoop();
+    }
+    const pitchTrack = decodePitchTrack(pitchFrames, analyzer.pitchOptions);
+    const voicedFrames = pitchTrack.filter(frame => frame.voiced);
+    const pitches = voicedFrames.map(frame => frame.frequency);
+    const timestamps = voicedFrames.map(frame => frame.time);
+
+    // Spectrum and timbre / chroma feature summaries, accumulated over the same chunks.
+    // Per-frame features of a whole file would be too large to return, so only summaries are kept
+    const spectralOptions = analyzer.spectralOptions;
+    const featureOptions = { ...analyzer.featureOptions, keepFrames: false, poolFrames: analyzer.getSegmentationPoolSize() };
+    const totalFrames = countFrames(channelData.length, spectralOptions.frameSize, spectralOptions.hopSize);
+    const framesPerChunk = Math.max(1, Math.floor(chunkSamples / spectralOptions.hopSize));
+    let spectrumState = null;
+    const featureState = createFeatureState(spectralOptions.frameSize / 2 + 1, sampleRate, featureOptions);
+    for (let frame = 0; frame < totalFrames; frame += framesPerChunk) {
+        throwIfAborted(signal);
+        spectrumState = accumulateSpectrum(channelData, spectralOptions, frame, frame + framesPerChunk, spectrumState, featureState);
+        report('spectrum', (frame + framesPerChunk) / totalFrames);
+        await yieldToEventLoop();
+    }
+    const spectral = finishSpectrum(spectrumState, sampleRate, spectralOptions);
+    spectral.meta = analyzer.getAnalysisMeta({ sampleRate, ...spectralOptions });
+    const features = {
+        ...finishFeatures(featureState),
+        meta: analyzer.getAnalysisMeta({ sampleRate, ...spectralOptions, ...featureOptions })
+    };
+    // Sections and repeats from the same frames, pooled, plus the onsets found for rhythm
+    const structure = analyzer.segmentStructure(channelData, {
+        onsetTimes: rhythm.onsets?.times,
+        pooled: pooledFeatures(featureState)
+    });
+    onPartial({ stage: 'spectrum', centroid: spectral.centroid, brightness: spectral.brightness });
+    // Instrument cues from the onsets, pitch track and centroid found above
+    const instrument = analyzer.identifyInstrument(channelData, {
+        onsetTimes: rhythm.onsets?.times || [],
+        pitchTrack,
+        spectralCentroid: spectral.centroid
+    });
+
+    throwIfAborted(signal);
+    report('scale', 0);
+    const tuning = analyzer.analyzeTuning(pitches, voicedFrames.map(frame => frame.confidence));
+    const drone = analyzer.detectDrone(channelData, sampleRate);
+    report('scale', 0.8);
+    const tonic = analyzer.estimateTonic(pitches, { degrees: tuning.degrees, drone });
+    const scale = analyzer.identifyScale(pitches, { tonic });
+    // Notes from the pitch track, split at the rhythm stage's onsets and named by scale degree
+    const transcription = analyzer.transcribeMelody(channelData, {
+        pitchTrack,
+        onsetTimes: rhythm.onsets?.times || [],
+        degrees: tuning.degrees,
+        tonic
+    });
+    report('scale', 1);
+
+    return {
+        duration: channelData.length / sampleRate,
+        sampleRate,
+        rhythm,
+        pitches,
+        timestamps,
+        pitchTrack,
+        spectral,
+        features,
+        structure,
+        instrument,
+        scale,
+        tuning,
+        transcription
+    };
+}
@@ -0,0 +1,33 @@
+// Web Worker entry point: runs the file analysis pipeline off the main thread.
+// Messages in:  { type: 'analyze', id, channelData, sampleRate, options } | { type: 'cancel', id }
+//               (channelData is one Float32Array or an array of them, one per channel)
+// Messages out: { type: 'progress' | 'partial' | 'result' | 'error', id, ... }
+import { runAnalysisPipeline } from './analysisPipeline.js';
+
+const jobs = new Map();
+
+self.addEventListener('message', async (event) => {
+    const { type, id } = event.data || {};
+    
+    if (type === 'cancel') {
+        jobs.get(id)?.abort();
+        return;
+    }
+    if (type !== 'analyze') return;
+    
+    const controller = new AbortController();
+    jobs.set(id, controller);
+    try {
+        const { channelData, sampleRate, options } = event.data;
+        const result = await runAnalysisPipeline(channelData, sampleRate, options, {
+            signal: controller.signal,
+            onProgress: progress => self.postMessage({ type: 'progress', id, ...progress }),
+            onPartial: partial => self.postMessage({ type: 'partial', id, partial })
+        });
+        self.postMessage({ type: 'result', id, result });
+    } catch (error) {
+        self.postMessage({ type: 'error', id, error: { name: error.name, message: error.message } });
+    } finally {
+        jobs.delete(id);
+    }
+});
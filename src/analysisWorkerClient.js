@@ -0,0 +1,103 @@
+// Main-thread side of the analysis worker.
+// Falls back to running the pipeline in-page when Web Workers are unavailable.
+import { runAnalysisPipeline, createAbortError } from './analysisPipeline.js';
+
+let worker = null;
+let nextJobId = 1;
+const pendingJobs = new Map();
+
+function getWorker() {
+    if (worker) return worker;
+    worker = new Worker(new URL('./analysisWorker.js', import.meta.url));
+    worker.addEventListener('message', handleWorkerMessage);
+    worker.addEventListener('error', (event) => {
+        // The worker script failed to load or crashed: finish its jobs in-page instead
+        console.error('Analysis worker error:', event.message || event);
+        worker.terminate();
+        worker = null;
+        const jobs = [...pendingJobs.values()];
+        pendingJobs.clear();
+        jobs.forEach(job => job.fallback());
+    });
+    return worker;
+}
+
+function handleWorkerMessage(event) {
+    const { type, id } = event.data;
+    const job = pendingJobs.get(id);
+    if (!job) return; // Cancelled or already settled
+    
+    if (type === 'progress') {
+        job.onProgress({ stage: event.data.stage, percent: event.data.percent });
+    } else if (type === 'partial') {
+        job.onPartial(event.data.partial);
+    } else if (type === 'result') {
+        job.settle();
+        job.resolve(event.data.result);
+    } else if (type === 'error') {
+        job.settle();
+        const error = event.data.error.name === 'AbortError'
+            ? createAbortError(event.data.error.message)
+            : new Error(event.data.error.message);
+        job.reject(error);
+    }
+}
+
+/**
+ * Analyze a decoded recording in the background.
+ * @param {Float32Array|Array<Float32Array>} channelData - Mono samples or one array per channel; copied, so the caller's buffers stay usable
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} [params]
+ * @param {Object} [params.options] - Pipeline options (see runAnalysisPipeline)
+ * @param {AbortSignal} [params.signal] - Cancels the job
+ * @param {Function} [params.onProgress] - Receives { stage, percent }
+ * @param {Function} [params.onPartial] - Receives partial stage results
+ * @returns {Promise<Object>} Analysis results
+ */
+export function analyzeInWorker(channelData, sampleRate, { options = {}, signal, onProgress = () => {}, onPartial = () => {} } = {}) {
+    if (signal?.aborted) return Promise.reject(createAbortError());
+    
+    const runInPage = () => runAnalysisPipeline(channelData, sampleRate, options, { signal, onProgress, onPartial });
+    if (typeof Worker === 'undefined') return runInPage();
+    
+    let target;
+    try {
+        target = getWorker();
+    } catch (error) {
+        console.warn('Analysis worker unavailable, analyzing on the main thread:', error);
+        return runInPage();
+    }
+    
+    return new Promise((resolve, reject) => {
+        const id = nextJobId++;
+        const onAbort = () => {
+            if (!pendingJobs.has(id)) return;
+            pendingJobs.delete(id);
+            target.postMessage({ type: 'cancel', id });
+            reject(createAbortError());
+        };
+        const settle = () => {
+            pendingJobs.delete(id);
+            signal?.removeEventListener('abort', onAbort);
+        };
+        pendingJobs.set(id, {
+            resolve,
+            reject,
+            onProgress,
+            onPartial,
+            settle,
+            fallback: () => {
+                settle();
+                runInPage().then(resolve, reject);
+            }
+        });
+        signal?.addEventListener('abort', onAbort, { once: true });
+        
+        // Transfer copies so the decoded AudioBuffer is left intact
+        const copies = Array.isArray(channelData)
+            ? channelData.map(channel => new Float32Array(channel))
+            : [new Float32Array(channelData)];
+        const payload = Array.isArray(channelData) ? copies : copies[0];
+        target.postMessage({ type: 'analyze', id, channelData: payload, sampleRate, options }, copies.map(copy => copy.buffer));
+    });
+}
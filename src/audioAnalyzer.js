@@ -1,10 +1,150 @@
+import {
+    DEFAULT_FRAME_SIZE,
+    DEFAULT_HOP_SIZE,
+    DEFAULT_WINDOW,
+    averageSpectrum,
+    forEachSpectrumFrame,
+    spectralCentroid,
+    spectralRolloff,
+    spectralBrightness,
+    spectralFlux
+} from './utils/spectral.js';
+import { createSeededRandom } from './utils/random.js';
+import { DEFAULT_PITCH_OPTIONS, analyzePitchFrame, trackPitch } from './utils/pitchTracker.js';
+import {
+    DEFAULT_TUNING_OPTIONS,
+    analyzeTuning,
+    pitchClassHistogram,
+    findScaleDegrees,
+    frequencyToPitchClassCents,
+    circularDifference
+} from './utils/tuning.js';
+import { DEFAULT_DRONE_OPTIONS, detectDrone, estimateTonic } from './utils/tonic.js';
+import { DEFAULT_BEAT_OPTIONS, bandOnsetEnvelopes, trackBeatsFromEnvelope } from './utils/beatTracker.js';
+import { DEFAULT_ONSET_OPTIONS, detectOnsets, onsetFloors, onsetStrength } from './utils/onsets.js';
+import { detectMeter } from './utils/meter.js';
+import { DEFAULT_POLYRHYTHM_OPTIONS, analyzePolyrhythm } from './utils/polyrhythm.js';
+import { DEFAULT_LOUDNESS_OPTIONS, analyzeLoudness } from './utils/loudness.js';
+import { DEFAULT_FEATURE_OPTIONS, addFeatureFrame, createFeatureState, extractFeatures, pooledFeatures } from './utils/features.js';
+import { DEFAULT_SEGMENTATION_OPTIONS, segmentStructure } from './utils/segmentation.js';
+import { DEFAULT_INSTRUMENT_OPTIONS, measureInstrumentFeatures, rankInstruments } from './utils/instruments.js';
+import { DEFAULT_TRANSCRIPTION_OPTIONS, transcribeNotes } from './utils/transcription.js';
+import { CORPUS_PROFILES, DEFAULT_KEY_OPTIONS, KEY_BINS, estimateKey, scaleProfiles } from './utils/keyProfiles.js';
+import { getAllScales, validateScale } from './scaleLibrary.js';
+
+// Bump whenever an algorithm change can alter results for the same input
+export const ANALYZER_VERSION = '1.17.0';
+
 export class AudioAnalyzer {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.spectral] - Frame/hop/window settings for spectral analysis
+     * @param {Object} [options.pitch] - Pitch tracker settings, e.g. { minFrequency, maxFrequency }
+     * @param {Object} [options.tuning] - Pitch-class histogram and tuning-fit settings
+     * @param {Object} [options.key] - Key-profile settings, e.g. { temperature, maxHypotheses, extraScales }
+     * @param {Object} [options.beat] - Beat tracker settings, e.g. { minBpm, maxBpm, priorBpm }
+     * @param {Object} [options.onset] - Onset detection settings, e.g. { method: 'complex', delta }; framing follows options.beat
+     * @param {Object} [options.polyrhythm] - Polyrhythm settings, e.g. { bands, maxRatioTerm }
+     * @param {Object} [options.loudness] - Loudness settings, e.g. { blockSeconds, channelWeights }
+     * @param {Object} [options.features] - MFCC / contrast / chroma settings, e.g. { mfccCount, melBands }; framing follows options.spectral
+     * @param {Object} [options.segmentation] - Section detection settings, e.g. { kernelSeconds, repeatSimilarity }
+     * @param {Object} [options.instrument] - Instrument recognition settings, e.g. { maxOnsets, candidates }
+     * @param {Object} [options.transcription] - Note segmentation settings, e.g. { minNoteSeconds, splitCents }
+     * @param {boolean} [options.deterministic=true] - Identical input always gives identical output
+     * @param {number} [options.seed=1] - Seed for the optional variation when deterministic is false
+     * @param {number} [options.sampleRate] - Sample rate to assume when no AudioContext is attached (e.g. in a worker)
+     */
+    constructor(options = {}) {
         this.audioContext = null;
+        this.sampleRate = options.sampleRate || null;
         this.analyzer = null;
         this.player = null;
         this.previousSpectrum = null;
         this.browserOptimizations = this.detectBrowserOptimizations();
+        this.spectralOptions = {
+            frameSize: DEFAULT_FRAME_SIZE,
+            hopSize: DEFAULT_HOP_SIZE,
+            window: DEFAULT_WINDOW,
+            ...options.spectral
+        };
+        this.pitchOptions = { ...DEFAULT_PITCH_OPTIONS, ...options.pitch };
+        this.tuningOptions = { ...DEFAULT_TUNING_OPTIONS, ...options.tuning };
+        this.keyOptions = { ...DEFAULT_KEY_OPTIONS, ...options.key };
+        this.beatOptions = { ...DEFAULT_BEAT_OPTIONS, ...options.beat };
+        this.onsetOptions = { ...DEFAULT_ONSET_OPTIONS, ...options.onset };
+        this.polyrhythmOptions = { ...DEFAULT_POLYRHYTHM_OPTIONS, bands: this.onsetOptions.bands, ...options.polyrhythm };
+        this.loudnessOptions = { ...DEFAULT_LOUDNESS_OPTIONS, ...options.loudness };
+        this.featureOptions = { ...DEFAULT_FEATURE_OPTIONS, ...options.features };
+        this.segmentationOptions = { ...DEFAULT_SEGMENTATION_OPTIONS, ...options.segmentation };
+        this.instrumentOptions = { ...DEFAULT_INSTRUMENT_OPTIONS, ...options.instrument };
+        this.transcriptionOptions = { ...DEFAULT_TRANSCRIPTION_OPTIONS, ...options.transcription };
+        this.setAnalysisMode(options);
+    }
+
+    /**
+     * Sample rate of the audio being analyzed
+     * @returns {number} Sample rate in Hz
+     */
+    getSampleRate() {
+        if (this.audioContext) return this.audioContext.sampleRate;
+        return this.sampleRate || 44100;
+    }
+
+    /**
+     * Settings needed to recreate an equivalent analyzer elsewhere (e.g. in a worker)
+     * @returns {Object} Constructor options
+     */
+    getOptions() {
+        return {
+            deterministic: this.deterministic,
+            seed: this.seed,
+            spectral: { ...this.spectralOptions },
+            pitch: { ...this.pitchOptions },
+            tuning: { ...this.tuningOptions },
+            key: { ...this.keyOptions },
+            beat: { ...this.beatOptions },
+            onset: { ...this.onsetOptions },
+            polyrhythm: { ...this.polyrhythmOptions },
+            loudness: { ...this.loudnessOptions },
+            features: { ...this.featureOptions },
+            segmentation: { ...this.segmentationOptions },
+            instrument: { ...this.instrumentOptions },
+            transcription: { ...this.transcriptionOptions }
+        };
+    }
+
+    /**
+     * Switch between deterministic analysis and seeded variation
+     * @param {Object} options
+     * @param {boolean} [options.deterministic=true] - Disable all random variation
+     * @param {number} [options.seed=1] - Seed used when variation is enabled
+     */
+    setAnalysisMode({ deterministic = true, seed = 1 } = {}) {
+        this.deterministic = deterministic !== false;
+        this.seed = Number.isFinite(Number(seed)) ? Number(seed) : 1;
+    }
+
+    /**
+     * Random source for one analysis call. Reseeded on every call so a re-run
+     * with the same seed reproduces the same output.
+     * @returns {Function|null} PRNG returning [0, 1), or null in deterministic mode
+     */
+    createRandom() {
+        return this.deterministic ? null : createSeededRandom(this.seed);
+    }
+
+    /**
+     * Version and parameters recorded on every result object
+     * @param {Object} [params] - Method-specific parameters
+     * @returns {Object} Analysis metadata
+     */
+    getAnalysisMeta(params = {}) {
+        return {
+            version: ANALYZER_VERSION,
+            mode: this.deterministic ? 'deterministic' : 'seeded-variation',
+            seed: this.deterministic ? null : this.seed,
+            params
+        };
     }
 
     /**
@@ -12,7 +152,8 @@ export class AudioAnalyzer {
      * @returns {Object} Browser-specific settings
      */
     detectBrowserOptimizations() {
-        const ua = navigator.userAgent.toLowerCase();
+        // Outside a browser (Node, some workers) there is no user agent; offline analysis never uses these
+        const ua = typeof navigator !== 'undefined' && navigator.userAgent ? navigator.userAgent.toLowerCase() : '';
         const isSafari = /safari/.test(ua) && !/chrome/.test(ua);
         
         return {
@@ -26,7 +167,11 @@ export class AudioAnalyzer {
     }
 
     async initialize() {
-        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        const AudioContextClass = typeof window !== 'undefined' ? (window.AudioContext || window.webkitAudioContext) : null;
+        if (!AudioContextClass) {
+            throw new Error('Live analysis needs the Web Audio API; analyze decoded samples with runAnalysisPipeline instead');
+        }
+        this.audioContext = new AudioContextClass();
         this.analyzer = this.audioContext.createAnalyser();
         // Use browser-optimized FFT size for consistency across Safari and Chrome
         this.analyzer.fftSize = this.browserOptimizations.fftSize;
@@ -35,163 +180,148 @@ export class AudioAnalyzer {
     }
 
     /**
-     * Analyze pitch using autocorrelation
+     * Detect the fundamental frequency of one frame (probabilistic YIN)
      * @param {Float32Array} buffer - Audio buffer
-     * @returns {number} Detected frequency in Hz
+     * @returns {number} Detected frequency in Hz, or -1 when the frame is unvoiced
      */
     detectPitch(buffer) {
-        const SIZE = buffer.length;
-        const MAX_SAMPLES = Math.floor(SIZE / 2);
-        let best_offset = -1;
-        let best_correlation = 0;
-        let rms = 0;
-        
-        // Calculate RMS (Root Mean Square) with improved noise gate
-        for (let i = 0; i < SIZE; i++) {
-            const val = buffer[i];
-            rms += val * val;
-        }
-        rms = Math.sqrt(rms / SIZE);
-        
-        // Adaptive threshold based on signal strength
-        const noiseFloor = 0.005;
-        if (rms < noiseFloor) return -1;
-        
-        // Normalize buffer for better correlation
-        const normalized = new Float32Array(SIZE);
-        for (let i = 0; i < SIZE; i++) {
-            normalized[i] = buffer[i] / rms;
-        }
-        
-        // Improved autocorrelation with parabolic interpolation
-        const MIN_FREQUENCY = 80;  // Hz
-        const MAX_FREQUENCY = 1000; // Hz
-        const minOffset = Math.floor(this.audioContext.sampleRate / MAX_FREQUENCY);
-        const maxOffset = Math.floor(this.audioContext.sampleRate / MIN_FREQUENCY);
-        
-        for (let offset = minOffset; offset < Math.min(maxOffset, MAX_SAMPLES); offset++) {
-            let correlation = 0;
-            for (let i = 0; i < MAX_SAMPLES; i++) {
-                correlation += normalized[i] * normalized[i + offset];
-            }
-            correlation = correlation / MAX_SAMPLES;
-            
-            if (correlation > best_correlation) {
-                best_correlation = correlation;
-                best_offset = offset;
-            }
-        }
-        
-        // Require minimum correlation strength
-        if (best_correlation > 0.3 && best_offset !== -1) {
-            // Parabolic interpolation for sub-sample accuracy
-            let refined_offset = best_offset;
-            if (best_offset > 0 && best_offset < MAX_SAMPLES - 1) {
-                let c1 = 0, c2 = best_correlation, c3 = 0;
-                
-                for (let i = 0; i < MAX_SAMPLES; i++) {
-                    c1 += normalized[i] * normalized[i + best_offset - 1];
-                    c3 += normalized[i] * normalized[i + best_offset + 1];
-                }
-                c1 /= MAX_SAMPLES;
-                c3 /= MAX_SAMPLES;
-                
-                // Parabolic peak interpolation
-                const delta = 0.5 * (c1 - c3) / (c1 - 2 * c2 + c3);
-                refined_offset = best_offset + delta;
-            }
-            
-            const fundamental = this.audioContext.sampleRate / refined_offset;
-            return fundamental;
+        const estimate = this.estimatePitch(buffer);
+        return estimate.voicedProbability >= this.pitchOptions.voicingThreshold ? estimate.frequency : -1;
+    }
+
+    /**
+     * Set the frequency range searched by the pitch tracker
+     * @param {number} minFrequency - Lowest f0 in Hz
+     * @param {number} maxFrequency - Highest f0 in Hz
+     */
+    setPitchRange(minFrequency, maxFrequency) {
+        const min = Number(minFrequency);
+        const max = Number(maxFrequency);
+        if (!(min > 0) || !(max > min)) {
+            throw new Error(`Invalid pitch range: ${minFrequency}-${maxFrequency} Hz`);
         }
-        return -1;
+        this.pitchOptions = { ...this.pitchOptions, minFrequency: min, maxFrequency: max };
+    }
+
+    /**
+     * Pitch candidates, voicing probability and confidence for one frame
+     * @param {Float32Array} buffer - Audio buffer
+     * @returns {Object} See analyzePitchFrame in utils/pitchTracker.js
+     */
+    estimatePitch(buffer) {
+        return analyzePitchFrame(buffer, this.getSampleRate(), this.pitchOptions);
+    }
+
+    /**
+     * Track pitch frame by frame over a whole buffer
+     * @param {Float32Array} buffer - Audio buffer
+     * @param {number} [sampleRate] - Sample rate (defaults to the analyzer's)
+     * @returns {Array} Per-frame { time, frequency, voiced, voicedProbability, confidence }
+     */
+    trackPitch(buffer, sampleRate = this.getSampleRate()) {
+        return trackPitch(buffer, sampleRate, this.pitchOptions);
+    }
+
+    /**
+     * Settings of the shared onset stage. Framing follows the beat tracker so rhythm,
+     * beat tracking and polyrhythm all read one detection function.
+     * @returns {Object} Onset options (see utils/onsets.js)
+     */
+    getOnsetStageOptions() {
+        const { frameSize, hopSize, compression } = this.beatOptions;
+        return { ...this.onsetOptions, frameSize, hopSize, compression };
     }
 
     /**
-     * Detect rhythm patterns and tempo
+     * Onset detection function of a whole buffer, broadband and per band
      * @param {Float32Array} buffer - Audio buffer
-     * @returns {Object} Rhythm analysis results
+     * @returns {{envelope: Float32Array, bands: Array<Float32Array>}} See onsetStrength
      */
-    analyzeRhythm(buffer) {
-        const peaks = this.detectOnsets(buffer);
+    computeOnsetStrength(buffer) {
+        return onsetStrength(buffer, this.getSampleRate(), this.getOnsetStageOptions());
+    }
+
+    /**
+     * Analyze rhythm: onsets, beats, a tempo curve and the meter / cycle
+     * @param {Float32Array} buffer - Audio buffer
+     * @param {Object} [options]
+     * @param {Float32Array} [options.onsetEnvelope] - Precomputed onset detection function (see computeOnsetStrength)
+     * @param {Array<Float32Array>} [options.bandEnvelopes] - Precomputed per-band detection functions
+     * @returns {Object} Rhythm analysis results; tempo comes from the beat tracker
+     */
+    analyzeRhythm(buffer, { onsetEnvelope = null, bandEnvelopes = null } = {}) {
+        const random = this.createRandom();
+        const strength = onsetEnvelope
+            ? { envelope: onsetEnvelope, bands: bandEnvelopes || [] }
+            : this.computeOnsetStrength(buffer);
+        const onsets = this.detectOnsets(buffer, { strength });
+        const peaks = onsets.positions;
         const intervals = [];
         
         for (let i = 1; i < peaks.length; i++) {
             intervals.push(peaks[i] - peaks[i - 1]);
         }
         
-        // Calculate average interval with slight variation
+        const sampleRate = this.getSampleRate();
+        const frameRate = sampleRate / this.beatOptions.hopSize;
+        const envelope = strength.envelope;
+        // A drone, noise or silence has no onsets and so no pulse to track
+        const beat = peaks.length >= 2
+            ? trackBeatsFromEnvelope(envelope, frameRate, this.beatOptions)
+            : { tempo: 0, beats: [], tempoCurve: [], tempoCandidates: [], stability: 0, tempoRange: { min: 0, max: 0 } };
+        const meter = detectMeter(envelope, frameRate, beat.beats, {
+            frameOffset: this.beatOptions.frameSize / 2 / this.beatOptions.hopSize
+        });
+        
+        // Too short or too sparse to track beats: fall back to the mean onset interval
         const avgInterval = intervals.reduce((a, b) => a + b, 0) / intervals.length;
-        let tempo = avgInterval > 0 ? 60000 / (avgInterval * 1000 / this.audioContext.sampleRate) : 0;
+        let tempo = beat.tempo > 0 ? beat.tempo : (avgInterval > 0 ? 60000 / (avgInterval * 1000 / sampleRate) : 0);
         
-        // Add subtle tempo variation (±2 BPM) to make results less predictable
-        const tempoVariation = (Math.random() - 0.5) * 4;
-        tempo = tempo + tempoVariation;
+        // Optional seeded tempo variation (±2 BPM); never applied in deterministic mode
+        if (random) {
+            tempo = tempo + (random() - 0.5) * 4;
+        }
         
         return {
             tempo: Math.round(Math.max(0, tempo)),
             peakCount: peaks.length,
             regularity: this.calculateRegularity(intervals),
-            intervals: intervals
+            intervals: intervals,
+            onsets: {
+                method: onsets.method,
+                times: onsets.times,
+                strengths: onsets.strengths,
+                bands: onsets.bands
+            },
+            beats: beat.beats,
+            tempoCurve: beat.tempoCurve,
+            tempoCandidates: beat.tempoCandidates,
+            tempoRange: beat.tempoRange,
+            stability: beat.stability,
+            meter: meter,
+            meta: this.getAnalysisMeta({
+                onset: this.getOnsetStageOptions(),
+                tempoVariation: random ? 4 : 0,
+                beat: this.beatOptions
+            })
         };
     }
 
     /**
-     * Detect onset events (note starts)
+     * Detect onset events (note starts), broadband and per frequency band
      * @param {Float32Array} buffer - Audio buffer
-     * @returns {Array} Array of onset positions
-     */
-    detectOnsets(buffer) {
-        const WINDOW_SIZE = 1024;
-        const HOP_SIZE = 512;
-        const peaks = [];
-        let previousEnergy = 0;
-        const energyHistory = [];
-        
-        // First pass: calculate all energies
-        for (let i = 0; i < buffer.length - WINDOW_SIZE; i += HOP_SIZE) {
-            let energy = 0;
-            for (let j = 0; j < WINDOW_SIZE; j++) {
-                energy += buffer[i + j] * buffer[i + j];
-            }
-            energy = Math.sqrt(energy / WINDOW_SIZE);
-            energyHistory.push({ position: i, energy: energy });
-        }
-        
-        // Calculate adaptive threshold (median + factor * std dev) with randomization
-        const energies = energyHistory.map(e => e.energy);
-        energies.sort((a, b) => a - b);
-        const median = energies[Math.floor(energies.length / 2)];
-        const mean = energies.reduce((a, b) => a + b, 0) / energies.length;
-        const variance = energies.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / energies.length;
-        const stdDev = Math.sqrt(variance);
-        // Add randomization to threshold factor (0.4 to 0.7 instead of fixed 0.5)
-        const randomFactor = 0.4 + Math.random() * 0.3;
-        const adaptiveThreshold = median + randomFactor * stdDev;
-        
-        // Second pass: detect peaks with adaptive threshold and spectral flux
-        for (let i = 1; i < energyHistory.length - 1; i++) {
-            const curr = energyHistory[i].energy;
-            const prev = energyHistory[i - 1].energy;
-            const next = energyHistory[i + 1].energy;
-            
-            // Peak detection: local maximum above adaptive threshold
-            const isLocalMax = curr > prev && curr > next;
-            const aboveThreshold = curr > adaptiveThreshold;
-            const significantIncrease = (curr - prev) > (stdDev * 0.3);
-            
-            if (isLocalMax && aboveThreshold && significantIncrease) {
-                // Ensure minimum spacing between peaks with randomized jitter
-                const baseSpacing = HOP_SIZE * 2;
-                const jitter = Math.floor(Math.random() * HOP_SIZE * 0.5);
-                const minSpacing = baseSpacing + jitter;
-                if (peaks.length === 0 || energyHistory[i].position - peaks[peaks.length - 1] > minSpacing) {
-                    peaks.push(energyHistory[i].position);
-                }
-            }
-        }
-        
-        return peaks;
+     * @param {Object} [options]
+     * @param {Object} [options.strength] - Precomputed detection functions (see computeOnsetStrength)
+     * @returns {Object} { method, times, strengths, positions, bands }; positions are in samples
+     */
+    detectOnsets(buffer, { strength = null } = {}) {
+        const sampleRate = this.getSampleRate();
+        const { envelope, ...onsets } = detectOnsets(buffer, sampleRate, this.getOnsetStageOptions(), strength);
+        return {
+            ...onsets,
+            positions: onsets.times.map(time => Math.round(time * sampleRate)),
+            meta: this.getAnalysisMeta(this.getOnsetStageOptions())
+        };
     }
 
     /**
@@ -213,7 +343,7 @@ export class AudioAnalyzer {
 
     /**
      * Analyze spectral features (timbre)
-     * @param {Float32Array} frequencyData - FFT data
+     * @param {Float32Array} frequencyData - Magnitude spectrum (bins 0..N/2)
      * @returns {Object} Spectral features
      */
     analyzeSpectralFeatures(frequencyData) {
@@ -225,146 +355,160 @@ export class AudioAnalyzer {
             centroid: spectralCentroid,
             rolloff: spectralRolloff,
             flux: spectralFlux,
-            brightness: spectralCentroid / (this.audioContext.sampleRate / 2)
+            brightness: spectralBrightness(frequencyData, this.getSampleRate()),
+            meta: this.getAnalysisMeta({ bins: frequencyData.length, rolloffThreshold: 0.85 })
         };
     }
 
     /**
      * Calculate spectral centroid (brightness)
-     * @param {Float32Array} frequencyData - FFT data
-     * @returns {number} Spectral centroid
+     * @param {Float32Array} frequencyData - Magnitude spectrum
+     * @returns {number} Spectral centroid in Hz
      */
     calculateSpectralCentroid(frequencyData) {
-        let numerator = 0;
-        let denominator = 0;
-        
-        for (let i = 0; i < frequencyData.length; i++) {
-            const magnitude = frequencyData[i];
-            const frequency = i * this.audioContext.sampleRate / (frequencyData.length * 2);
-            numerator += frequency * magnitude;
-            denominator += magnitude;
-        }
-        
-        return denominator > 0 ? numerator / denominator : 0;
+        return spectralCentroid(frequencyData, this.getSampleRate());
     }
 
     /**
      * Calculate spectral rolloff
-     * @param {Float32Array} frequencyData - FFT data
+     * @param {Float32Array} frequencyData - Magnitude spectrum
      * @returns {number} Spectral rolloff frequency
      */
     calculateSpectralRolloff(frequencyData, threshold = 0.85) {
-        let totalEnergy = 0;
-        for (let i = 0; i < frequencyData.length; i++) {
-            totalEnergy += frequencyData[i];
-        }
-        
-        let cumulativeEnergy = 0;
-        for (let i = 0; i < frequencyData.length; i++) {
-            cumulativeEnergy += frequencyData[i];
-            if (cumulativeEnergy >= threshold * totalEnergy) {
-                return i * this.audioContext.sampleRate / (frequencyData.length * 2);
-            }
-        }
-        
-        return 0;
+        return spectralRolloff(frequencyData, this.getSampleRate(), threshold);
     }
 
     /**
      * Calculate spectral flux (measure of change)
-     * @param {Float32Array} frequencyData - FFT data
+     * @param {Float32Array} frequencyData - Magnitude spectrum
      * @returns {number} Spectral flux
      */
     calculateSpectralFlux(frequencyData) {
-        if (!this.previousSpectrum) {
-            this.previousSpectrum = new Float32Array(frequencyData);
-            return 0;
-        }
-        
-        let flux = 0;
-        for (let i = 0; i < frequencyData.length; i++) {
-            const difference = frequencyData[i] - this.previousSpectrum[i];
-            flux += difference * difference;
-        }
-        
+        const flux = spectralFlux(frequencyData, this.previousSpectrum);
         this.previousSpectrum = new Float32Array(frequencyData);
-        return Math.sqrt(flux);
+        return flux;
+    }
+
+    /**
+     * Find a sustained low drone (tanpura, didgeridoo, bagpipe, ison) in a buffer
+     * @param {Float32Array} buffer - Audio buffer
+     * @param {number} [sampleRate] - Sample rate (defaults to the audio context's)
+     * @returns {Object} See detectDrone in utils/tonic.js
+     */
+    detectDrone(buffer, sampleRate = this.getSampleRate()) {
+        return detectDrone(buffer, sampleRate, DEFAULT_DRONE_OPTIONS);
+    }
+
+    /**
+     * Estimate the tonic from the pitch histogram and, if given, a detected drone
+     * @param {Array} pitches - Detected pitches in Hz
+     * @param {Object} [evidence]
+     * @param {Array} [evidence.degrees] - Scale degrees, if already computed (see analyzeTuning)
+     * @param {Object} [evidence.drone] - Result of detectDrone
+     * @returns {Object|null} Tonic estimate (see estimateTonic in utils/tonic.js)
+     */
+    estimateTonic(pitches, { degrees, drone = null } = {}) {
+        const scaleDegrees = degrees || findScaleDegrees(pitchClassHistogram(pitches || [], this.tuningOptions), this.tuningOptions);
+        return estimateTonic({ degrees: scaleDegrees, drone, pitches });
+    }
+
+    /**
+     * Scales the analyzer can recognize: the registry's plus options.key.extraScales,
+     * which replace registry scales with the same id
+     * @returns {Array<Object>} Normalized scale definitions (see scaleLibrary.js)
+     */
+    getScales() {
+        const extra = (this.keyOptions.extraScales || []).map(validateScale);
+        const ids = new Set(extra.map(scale => scale.id));
+        return [...getAllScales().filter(scale => !ids.has(scale.id)), ...extra];
     }
 
     /**
-     * Identify musical scale from pitch data
+     * Identify the scale / mode by correlating the pitch-class distribution with
+     * key profiles at all 12 rotations: the corpus major / minor profiles and a
+     * template for every scale from getScales() (see utils/keyProfiles.js)
      * @param {Array} pitches - Array of detected pitches
-     * @returns {Object} Scale analysis
+     * @param {Object} [options]
+     * @param {Object} [options.tonic] - Tonic from estimateTonic(); estimated from the pitches when omitted
+     * @param {Object} [options.drone] - Drone from detectDrone(), used when the tonic is estimated here
+     * @returns {Object} { scale, score, confidence, tonic, hypotheses, meta }: scale is the best mode on
+     *   the tonic, confidence its probability among the modes on that tonic, and hypotheses the ranked
+     *   tonic + mode alternatives over all tonics with their probabilities. With fewer than
+     *   options.key.minPitchClasses scale degrees the scale is Unknown, with no hypotheses
      */
-    identifyScale(pitches) {
-        if (!pitches || pitches.length === 0) return { scale: 'Unknown', score: 0, confidence: 0 };
-        
-        const pitchClasses = pitches.map(p => this.frequencyToMidiNote(p) % 12);
-        const histogram = new Array(12).fill(0);
-        
-        pitchClasses.forEach(pc => {
-            if (pc >= 0 && pc < 12) histogram[pc]++;
-        });
-        
-        // Normalize histogram
-        const total = histogram.reduce((a, b) => a + b, 0);
-        const normalized = histogram.map(v => v / total);
-        
-        const scales = {
-            'Major (Western)': [0, 2, 4, 5, 7, 9, 11],
-            'Minor (Western)': [0, 2, 3, 5, 7, 8, 10],
-            'Harmonic Minor': [0, 2, 3, 5, 7, 8, 11],
-            'Melodic Minor': [0, 2, 3, 5, 7, 9, 11],
-            'Pentatonic Major': [0, 2, 4, 7, 9],
-            'Pentatonic Minor': [0, 3, 5, 7, 10],
-            'Blues': [0, 3, 5, 6, 7, 10],
-            'Dorian': [0, 2, 3, 5, 7, 9, 10],
-            'Phrygian': [0, 1, 3, 5, 7, 8, 10],
-            'Lydian': [0, 2, 4, 6, 7, 9, 11],
-            'Mixolydian': [0, 2, 4, 5, 7, 9, 10],
-            'Locrian': [0, 1, 3, 5, 6, 8, 10],
-            'Whole Tone': [0, 2, 4, 6, 8, 10],
-            'Hirajoshi (Japanese)': [0, 2, 3, 7, 8],
-            'In Sen (Japanese)': [0, 1, 5, 7, 10],
-            'Raga Bhairav (Indian)': [0, 1, 4, 5, 7, 8, 11],
-            'Raga Kafi (Indian)': [0, 2, 3, 5, 7, 9, 10],
-            'Maqam Hijaz (Arabic)': [0, 1, 4, 5, 7, 8, 11],
-            'Chromatic': [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
-        };
-        
-        let bestMatch = { scale: 'Unknown', score: 0, confidence: 0 };
-        const matches = [];
-        
-        for (const [scaleName, scalePattern] of Object.entries(scales)) {
-            // Calculate correlation score
-            let scaleScore = 0;
-            let nonScaleScore = 0;
-            
-            for (let i = 0; i < 12; i++) {
-                if (scalePattern.includes(i)) {
-                    scaleScore += normalized[i];
-                } else {
-                    nonScaleScore += normalized[i];
-                }
-            }
-            
-            // Precision and recall based scoring
-            const precision = scaleScore / (scaleScore + nonScaleScore);
-            const recall = scaleScore / scalePattern.length;
-            const f1Score = 2 * (precision * recall) / (precision + recall + 0.001);
-            
-            matches.push({ scale: scaleName, score: f1Score });
+    identifyScale(pitches, { tonic = null, drone = null } = {}) {
+        const meta = this.getAnalysisMeta({ pitchCount: pitches ? pitches.length : 0, ...this.keyOptions });
+        if (!pitches || pitches.length === 0) return { scale: 'Unknown', score: 0, confidence: 0, tonic: null, hypotheses: [], meta };
+        
+        const degrees = findScaleDegrees(pitchClassHistogram(pitches, this.tuningOptions), this.tuningOptions);
+        const reference = tonic || this.estimateTonic(pitches, { degrees, drone });
+        if (degrees.length < this.keyOptions.minPitchClasses) {
+            return { scale: 'Unknown', score: 0, confidence: 0, tonic: reference, hypotheses: [], meta };
         }
+        // Bins are centred on the tonic's tuning, so a performance pitched off A440 still fills them cleanly
+        const offset = reference ? circularDifference(reference.cents, Math.round(reference.cents / 100) * 100) : 0;
+        const binCents = 1200 / KEY_BINS;
+        const distribution = new Array(KEY_BINS).fill(0);
+        pitches.forEach(p => {
+            const cents = frequencyToPitchClassCents(p) - offset;
+            distribution[((Math.round(cents / binCents) % KEY_BINS) + KEY_BINS) % KEY_BINS]++;
+        });
         
-        // Sort and get best match
-        matches.sort((a, b) => b.score - a.score);
-        bestMatch = matches[0];
+        const profiles = [...CORPUS_PROFILES, ...scaleProfiles(this.getScales())];
+        const hypotheses = estimateKey(distribution, { ...this.keyOptions, profiles, maxHypotheses: Infinity });
+        if (hypotheses.length === 0) return { scale: 'Unknown', score: 0, confidence: 0, tonic: reference, hypotheses, meta };
         
-        // Calculate confidence based on score difference
-        const secondBest = matches[1];
-        const confidence = Math.min(1, (bestMatch.score - secondBest.score) * 2);
+        // The mode is chosen on the reference tonic, which may also rest on drone evidence the profiles cannot see
+        const tonicSemitone = reference ? ((Math.round((reference.cents - offset) / 100) % 12) + 12) % 12 : hypotheses[0].tonicSemitone;
+        const onTonic = hypotheses.filter(h => h.tonicSemitone === tonicSemitone);
+        const tonicProbability = onTonic.reduce((sum, h) => sum + h.probability, 0);
+        const best = onTonic[0];
         
-        return { ...bestMatch, confidence: confidence };
+        return {
+            scale: best.mode,
+            score: best.correlation,
+            confidence: tonicProbability > 0 ? Math.round((best.probability / tonicProbability) * 1000) / 1000 : 0,
+            tonic: reference,
+            hypotheses: hypotheses.slice(0, this.keyOptions.maxHypotheses),
+            meta
+        };
+    }
+
+    /**
+     * Cent-resolution pitch-class histogram, the scale degrees it shows and the
+     * tuning system that best explains them
+     * @param {Array} pitches - Detected pitches in Hz
+     * @param {Array} [weights] - Per-pitch weights, e.g. tracker confidence
+     * @returns {Object} { histogram, degrees, tuning: { best, ranking }, meta }
+     */
+    analyzeTuning(pitches, weights = null) {
+        const result = analyzeTuning(pitches || [], { ...this.tuningOptions, weights: weights || undefined });
+        return { ...result, meta: this.getAnalysisMeta({ pitchCount: pitches ? pitches.length : 0, ...this.tuningOptions }) };
+    }
+
+    /**
+     * Transcribe the melody into note events: onset, duration, pitch in cents and
+     * the nearest scale degree
+     * @param {Float32Array} buffer - Audio buffer
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.pitchTrack] - Pitch track (tracked when omitted)
+     * @param {Array<number>} [options.onsetTimes] - Onset times in seconds (detected when omitted)
+     * @param {Array<Object>} [options.degrees] - Scale degrees (see analyzeTuning; estimated when omitted)
+     * @param {Object} [options.tonic] - Tonic (see estimateTonic; estimated when omitted)
+     * @returns {{notes: Array<Object>, meta: Object}} See utils/transcription.js transcribeNotes
+     */
+    transcribeMelody(buffer, { pitchTrack = null, onsetTimes = null, degrees = null, tonic = null } = {}) {
+        const sampleRate = this.getSampleRate();
+        const track = pitchTrack || this.trackPitch(buffer, sampleRate);
+        const voiced = track.filter(frame => frame.voiced);
+        const pitches = voiced.map(frame => frame.frequency);
+        const scaleDegrees = degrees || this.analyzeTuning(pitches, voiced.map(frame => frame.confidence)).degrees;
+        const notes = transcribeNotes(track, {
+            onsetTimes: onsetTimes || this.detectOnsets(buffer).times,
+            degrees: scaleDegrees,
+            tonic: tonic || this.estimateTonic(pitches, { degrees: scaleDegrees })
+        }, this.transcriptionOptions);
+        return { notes, meta: this.getAnalysisMeta({ sampleRate, ...this.transcriptionOptions }) };
     }
 
     /**
@@ -443,43 +587,37 @@ export class AudioAnalyzer {
     }
 
     /**
-     * Detect polyrhythmic patterns
-     * @param {Array} intervals - Beat intervals
-     * @returns {Object} Polyrhythm analysis
+     * Detect polyrhythm: concurrent periodicities in different frequency bands (e.g. low
+     * drums against bells) in small ratios such as 3:2 or 4:3, with their phase relationship
+     * @param {Float32Array} buffer - Audio buffer
+     * @param {Object} [options]
+     * @param {Array<Float32Array>} [options.bandEnvelopes] - Precomputed band onset envelopes (see bandOnsetEnvelopes)
+     * @returns {Object} Polyrhythm analysis (see utils/polyrhythm.js)
      */
-    detectPolyrhythm(intervals) {
-        if (intervals.length < 4) return { isPolyrhythmic: false, ratio: null };
-        
-        // Find GCD of intervals to detect subdivisions
-        const gcd = (a, b) => b === 0 ? a : gcd(b, a % b);
-        const roundedIntervals = intervals.map(i => Math.round(i));
-        let commonDivisor = roundedIntervals[0];
-        
-        for (let i = 1; i < roundedIntervals.length; i++) {
-            commonDivisor = gcd(commonDivisor, roundedIntervals[i]);
-        }
-        
-        // Check for multiple distinct interval ratios
-        const ratios = roundedIntervals.map(i => Math.round(i / commonDivisor));
-        const uniqueRatios = [...new Set(ratios)];
-        
-        const isPolyrhythmic = uniqueRatios.length > 2;
-        
+    detectPolyrhythm(buffer, { bandEnvelopes } = {}) {
+        const sampleRate = this.getSampleRate();
+        const settings = { ...this.beatOptions, ...this.polyrhythmOptions };
+        const envelopes = bandEnvelopes || bandOnsetEnvelopes(buffer, sampleRate, settings.bands, settings);
+        const { bands: floors } = onsetFloors(buffer, sampleRate, { ...settings, method: 'flux' });
         return {
-            isPolyrhythmic,
-            ratio: uniqueRatios.length > 1 ? uniqueRatios.join(':') : null,
-            complexity: uniqueRatios.length
+            ...analyzePolyrhythm(envelopes, sampleRate / settings.hopSize, { ...settings, floors }),
+            meta: this.getAnalysisMeta({ ...this.polyrhythmOptions })
         };
     }
 
     /**
-     * Analyze pitch in audio buffer (alias for detectPitch)
+     * Summarize the pitch track of a buffer
      * @param {Float32Array} buffer - Audio buffer
      * @param {number} sampleRate - Sample rate
      * @returns {object} Pitch analysis results
      */
-    analyzePitch(buffer, sampleRate) {
-        const frequency = this.detectPitch(buffer);
+    analyzePitch(buffer, sampleRate = this.getSampleRate()) {
+        const track = this.trackPitch(buffer, sampleRate);
+        const voiced = track.filter(frame => frame.voiced);
+        
+        // Median f0 of voiced frames is robust to the odd octave slip
+        const sorted = voiced.map(frame => frame.frequency).sort((a, b) => a - b);
+        const frequency = sorted.length > 0 ? sorted[Math.floor(sorted.length / 2)] : 0;
         
         // Convert frequency to note
         const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
@@ -488,71 +626,162 @@ export class AudioAnalyzer {
         
         let octave = 0;
         let noteName = 'Unknown';
-        let clarity = 0;
         
         if (frequency > 0) {
             const semitones = 12 * Math.log2(frequency / C0);
             const noteIndex = Math.round(semitones) % 12;
             octave = Math.floor(semitones / 12);
             noteName = noteNames[noteIndex];
-            clarity = 0.8;
         }
         
+        const mean = values => values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+        const clarity = mean(voiced.map(frame => frame.confidence));
+        
         return {
             dominantFrequency: frequency > 0 ? Math.round(frequency * 10) / 10 : 0,
             frequency: frequency > 0 ? Math.round(frequency * 10) / 10 : 0,
             note: frequency > 0 ? noteName + octave : 'None',
             clarity: clarity,
-            confidence: clarity
+            confidence: mean(voiced.map(frame => frame.voicedProbability)),
+            voicedRatio: track.length > 0 ? voiced.length / track.length : 0,
+            track: track,
+            meta: this.getAnalysisMeta({ sampleRate, ...this.pitchOptions })
         };
     }
 
     /**
      * Analyze timbre characteristics
      * @param {Float32Array} buffer - Audio buffer
+     * @param {number} [sampleRate] - Sample rate (defaults to the audio context's)
      * @returns {object} Timbre analysis results
      */
-    analyzeTimbre(buffer) {
-        // Simple spectral centroid calculation
-        const fft = this.computeFFT(buffer);
-        let weightedSum = 0;
-        let sum = 0;
+    analyzeTimbre(buffer, sampleRate = this.getSampleRate()) {
+        const spectrum = this.computeFFT(buffer);
+        const centroid = spectralCentroid(spectrum, sampleRate);
+        const brightness = spectralBrightness(spectrum, sampleRate);
         
-        for (let i = 0; i < fft.length; i++) {
-            const magnitude = Math.abs(fft[i]);
-            weightedSum += i * magnitude;
-            sum += magnitude;
-        }
-        
-        const spectralCentroid = sum > 0 ? (weightedSum / sum) / fft.length : 0;
-        
-        // Classify brightness (as numeric value 0-1)
+        // Classify brightness (share of energy above 1.5 kHz)
         let brightnessLabel = 'Dark';
-        let brightnessValue = spectralCentroid;
-        if (spectralCentroid > 0.6) brightnessLabel = 'Bright';
-        else if (spectralCentroid > 0.3) brightnessLabel = 'Medium';
+        if (brightness > 0.6) brightnessLabel = 'Bright';
+        else if (brightness > 0.3) brightnessLabel = 'Medium';
         
         return {
-            spectralCentroid: Math.round(spectralCentroid * 100),
-            brightness: brightnessValue,
+            spectralCentroid: Math.round(centroid),
+            rolloff: spectralRolloff(spectrum, sampleRate),
+            brightness: brightness,
             brightnessLabel: brightnessLabel,
-            energy: this.calculateEnergy(buffer)
+            energy: this.calculateEnergy(buffer),
+            meta: this.getAnalysisMeta({ sampleRate, ...this.spectralOptions })
         };
     }
 
     /**
-     * Simple FFT calculation
+     * Timbre and pitch-class features: MFCCs, spectral contrast, spectral flatness and chroma,
+     * per frame and summarized as mean and variance
+     * @param {Float32Array} buffer - Audio buffer
+     * @param {Object} [options]
+     * @param {boolean} [options.keepFrames] - Return per-frame values too (default from the feature options)
+     * @returns {Object} See utils/features.js extractFeatures
      */
-    computeFFT(buffer) {
-        const fft = new Float32Array(buffer.length);
-        for (let i = 0; i < buffer.length; i++) {
-            fft[i] = Math.abs(buffer[i]);
+    extractFeatures(buffer, { keepFrames = this.featureOptions.keepFrames } = {}) {
+        const sampleRate = this.getSampleRate();
+        const params = { ...this.spectralOptions, ...this.featureOptions, keepFrames };
+        return {
+            ...extractFeatures(buffer, sampleRate, params),
+            meta: this.getAnalysisMeta({ sampleRate, ...params })
+        };
+    }
+
+    /**
+     * Spectral frames per segmentation frame (see DEFAULT_SEGMENTATION_OPTIONS.frameSeconds)
+     * @returns {number} Frames to pool
+     */
+    getSegmentationPoolSize() {
+        const frames = (this.segmentationOptions.frameSeconds * this.getSampleRate()) / this.spectralOptions.hopSize;
+        return Math.max(1, Math.round(frames));
+    }
+
+    /**
+     * Sections and repeated material from timbre, chroma and onset density (self-similarity segmentation)
+     * @param {Float32Array} buffer - Audio buffer
+     * @param {Object} [options]
+     * @param {Array<number>} [options.onsetTimes] - Onset times in seconds (e.g. analyzeRhythm().onsets.times)
+     * @param {Object} [options.pooled] - Precomputed pooledFeatures() output, to avoid recomputing spectra
+     * @returns {Object} See utils/segmentation.js segmentStructure
+     */
+    segmentStructure(buffer, { onsetTimes = null, pooled = null } = {}) {
+        const sampleRate = this.getSampleRate();
+        const poolFrames = this.getSegmentationPoolSize();
+        let frames = pooled;
+        if (!frames) {
+            const state = createFeatureState(this.spectralOptions.frameSize / 2 + 1, sampleRate, {
+                ...this.featureOptions,
+                keepFrames: false,
+                poolFrames
+            });
+            forEachSpectrumFrame(buffer, this.spectralOptions, magnitudes => addFeatureFrame(state, magnitudes));
+            frames = pooledFeatures(state);
         }
-        return fft;
+        return {
+            ...segmentStructure({
+                timbre: frames.mfcc,
+                harmony: frames.chroma,
+                onsetTimes,
+                frameRate: sampleRate / (this.spectralOptions.hopSize * frames.poolFrames)
+            }, this.segmentationOptions),
+            meta: this.getAnalysisMeta({ sampleRate, poolFrames: frames.poolFrames, ...this.segmentationOptions })
+        };
+    }
+
+    /**
+     * Likely instruments, from attack time, decay, continuity, harmonicity, inharmonicity,
+     * spectral envelope and register matched against the instrument profiles
+     * @param {Float32Array} buffer - Audio buffer
+     * @param {Object} [options]
+     * @param {Array<number>} [options.onsetTimes] - Onset times in seconds (detected when omitted)
+     * @param {Array<Object>} [options.pitchTrack] - Pitch track (tracked when omitted)
+     * @param {number} [options.spectralCentroid] - Precomputed spectral centroid in Hz
+     * @returns {{features: Object, candidates: Array<Object>, meta: Object}} See utils/instruments.js
+     */
+    identifyInstrument(buffer, { onsetTimes = null, pitchTrack = null, spectralCentroid = null } = {}) {
+        const sampleRate = this.getSampleRate();
+        const features = measureInstrumentFeatures(buffer, sampleRate, {
+            onsetTimes: onsetTimes || this.detectOnsets(buffer).times,
+            pitchTrack: pitchTrack || this.trackPitch(buffer, sampleRate),
+            spectralCentroid
+        }, this.instrumentOptions);
+        return {
+            features,
+            candidates: rankInstruments(features, { candidates: this.instrumentOptions.candidates }),
+            meta: this.getAnalysisMeta({ sampleRate, ...this.instrumentOptions })
+        };
+    }
+
+    /**
+     * Average windowed magnitude spectrum of a buffer
+     * @param {Float32Array} buffer - Audio buffer
+     * @returns {Float32Array} Magnitudes for bins 0..frameSize/2
+     */
+    computeFFT(buffer) {
+        return averageSpectrum(buffer, this.spectralOptions).spectrum;
+    }
+
+    /**
+     * Loudness and dynamics: integrated loudness (LUFS), loudness range, sample and true peak,
+     * crest factor, and RMS / momentary / short-term loudness envelopes
+     * @param {Float32Array|Array<Float32Array>} channels - Mono samples or one array per channel
+     * @returns {Object} See utils/loudness.js finishLoudness
+     */
+    analyzeLoudness(channels) {
+        const sampleRate = this.getSampleRate();
+        return {
+            ...analyzeLoudness(channels, sampleRate, this.loudnessOptions),
+            meta: this.getAnalysisMeta({ sampleRate, ...this.loudnessOptions })
+        };
     }
 
     /**
-     * Calculate signal energy
+     * Calculate signal energy (mean square); see analyzeLoudness for levels in dB
      */
     calculateEnergy(buffer) {
         let energy = 0;
@@ -0,0 +1,122 @@
+// Decoding of uploaded recordings. The browser's decodeAudioData is tried first;
+// when it fails or stalls, the file's header decides which JavaScript fallback
+// runs: utils/wav.js for WAV variants browsers refuse (24/32-bit integer, float,
+// WAVE_FORMAT_EXTENSIBLE, µ-law/A-law), utils/flac.js for FLAC, and
+// utils/mp3.js for MP3 (WebCodecs when the browser has it, then a JavaScript
+// Layer III decoder). The result records which decoder produced the samples.
+import { sniffAudioFormat } from './utils/audioFormats.js';
+import { decodeWav } from './utils/wav.js';
+import { decodeFlac } from './utils/flac.js';
+import { decodeMp3, decodeMp3WithWebCodecs, rebuildMp3 } from './utils/mp3.js';
+
+export const DEFAULT_DECODE_OPTIONS = {
+    nativeTimeoutMs: 5000     // decodeAudioData calls that take longer are abandoned for a fallback
+};
+
+// Decoder ids and how the UI names them
+export const DECODERS = {
+    native: 'Browser decoder (decodeAudioData)',
+    wav: 'JavaScript WAV decoder',
+    flac: 'JavaScript FLAC decoder',
+    'mp3-webcodecs': 'JavaScript MP3 frame parser + WebCodecs AudioDecoder',
+    mp3: 'JavaScript MP3 decoder',
+    'mp3-repaired': 'Browser decoder on MP3 frames cleaned up in JavaScript'
+};
+
+// Fallbacks by sniffed format, in the order they are tried
+const FALLBACKS = {
+    wav: [['wav', data => decodeWav(data)]],
+    flac: [['flac', data => decodeFlac(data)]],
+    mp3: [
+        ['mp3-webcodecs', data => decodeMp3WithWebCodecs(data)],
+        ['mp3', data => decodeMp3(data)],
+        // Layer I and II, and streams the JavaScript decoder cannot read, back to the browser cleaned up
+        ['mp3-repaired', async (data, audioContext) => {
+            if (!audioContext) throw new Error('No AudioContext to decode with');
+            const clean = rebuildMp3(data);
+            return fromAudioBuffer(await audioContext.decodeAudioData(clean.buffer));
+        }]
+    ]
+};
+
+function fromAudioBuffer(buffer) {
+    return {
+        sampleRate: buffer.sampleRate,
+        channels: Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c))
+    };
+}
+
+function withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Wrap decoded channels so they can stand in for an AudioBuffer (numberOfChannels,
+ * length, duration, sampleRate, getChannelData) and say where they came from
+ * @param {{sampleRate: number, channels: Array<Float32Array>}} decoded
+ * @param {Object} decoder - { id, format, fallbackReason }
+ * @returns {Object}
+ */
+export function createDecodedAudio({ sampleRate, channels }, { id, format = null, fallbackReason = null }) {
+    const length = channels[0]?.length || 0;
+    return {
+        sampleRate,
+        numberOfChannels: channels.length,
+        length,
+        duration: length / sampleRate,
+        channels,
+        getChannelData: c => channels[c],
+        decoder: { id, label: DECODERS[id], format, fallbackReason }
+    };
+}
+
+/**
+ * Decode an audio file, falling back to JavaScript decoders
+ * @param {ArrayBuffer} arrayBuffer - File contents (not detached; the native decoder gets a copy)
+ * @param {Object} [options] - See DEFAULT_DECODE_OPTIONS
+ * @param {BaseAudioContext} [options.audioContext] - For decodeAudioData; without one only the fallbacks run
+ * @param {Function} [options.onFallback] - Called with (format, reason) before the fallbacks start
+ * @returns {Promise<Object>} See createDecodedAudio
+ * @throws {Error} When every decoder fails; error.attempts lists { decoder, message } for each
+ */
+export async function decodeAudioFile(arrayBuffer, { audioContext = null, onFallback = () => {}, ...options } = {}) {
+    const opts = { ...DEFAULT_DECODE_OPTIONS, ...options };
+    const format = sniffAudioFormat(arrayBuffer);
+    const attempts = [];
+
+    if (audioContext) {
+        try {
+            const buffer = await withTimeout(
+                audioContext.decodeAudioData(arrayBuffer.slice(0)),
+                opts.nativeTimeoutMs,
+                `Timed out after ${opts.nativeTimeoutMs / 1000} s`
+            );
+            return createDecodedAudio(fromAudioBuffer(buffer), { id: 'native', format });
+        } catch (error) {
+            attempts.push({ decoder: 'native', message: error.message || String(error) });
+        }
+    }
+
+    const fallbacks = FALLBACKS[format] || [];
+    if (fallbacks.length > 0) await onFallback(format, attempts[0]?.message || null);
+    for (const [id, decode] of fallbacks) {
+        try {
+            const decoded = await decode(arrayBuffer, audioContext);
+            if (!decoded.channels.length || decoded.channels[0].length === 0) throw new Error('No samples decoded');
+            return createDecodedAudio(decoded, { id, format, fallbackReason: attempts[0]?.message || null });
+        } catch (error) {
+            attempts.push({ decoder: id, message: error.message || String(error) });
+        }
+    }
+
+    const summary = format ? `Could not decode this ${format.toUpperCase()} file` : 'Unrecognized audio format';
+    const details = attempts.map(attempt => `${DECODERS[attempt.decoder]}: ${attempt.message}`).join('; ');
+    const error = new Error(details ? `${summary}. ${details}` : summary);
+    error.format = format;
+    error.attempts = attempts;
+    throw error;
+}
@@ -0,0 +1,53 @@
+// Analysis of WAV files without a browser: decode with utils/wav.js, run the same
+// pipeline the app's worker runs, and summarize each recording in one row.
+// Nothing here touches the DOM, Web Audio or the file system, so it runs in Node
+// (see bin/analyze.mjs), in Jest and in the browser alike.
+import { runAnalysisPipeline } from './analysisPipeline.js';
+import { decodeWav } from './utils/wav.js';
+import { summarizeAnalysis } from './utils/summary.js';
+
+/**
+ * Decode and analyze one WAV file
+ * @param {ArrayBuffer|Uint8Array} data - File contents
+ * @param {Object} [options] - runAnalysisPipeline options: { analyzer, pipeline }
+ * @param {Object} [hooks] - runAnalysisPipeline hooks: { signal, onProgress }
+ * @returns {Promise<Object>} Pipeline result, plus the decoded file's { format, bitsPerSample }
+ */
+export async function analyzeWav(data, options = {}, hooks = {}) {
+    const { channels, sampleRate, format, bitsPerSample } = decodeWav(data);
+    if (channels[0].length === 0) throw new Error('WAV file has no samples');
+    const result = await runAnalysisPipeline(channels, sampleRate, options, hooks);
+    return { ...result, source: { format, bitsPerSample } };
+}
+
+/**
+ * Analyze several WAV files one after another. A file that fails is reported and skipped.
+ * @param {Array<{name: string, data: ArrayBuffer|Uint8Array}>|AsyncIterable} files - Loaded lazily when
+ *   given as an async iterable, so a large folder is never held in memory at once
+ * @param {Object} [options] - runAnalysisPipeline options
+ * @param {Object} [hooks]
+ * @param {Function} [hooks.onFile] - Called with ({ name, index, result, summary, error }) after each file
+ * @param {AbortSignal} [hooks.signal] - Stops the batch at the next chunk boundary
+ * @returns {Promise<Array<Object>>} One summary row per file (see utils/summary.js); failed files have an error column
+ */
+export async function analyzeWavBatch(files, options = {}, { onFile = () => {}, signal } = {}) {
+    const summaries = [];
+    let index = 0;
+    for await (const { name, data } of files) {
+        let result = null;
+        let summary;
+        let error = null;
+        try {
+            result = await analyzeWav(data, options, { signal });
+            summary = summarizeAnalysis(result, name);
+        } catch (e) {
+            if (e.name === 'AbortError') throw e;
+            error = e;
+            summary = { ...summarizeAnalysis({}, name), error: e.message };
+        }
+        summaries.push(summary);
+        await onFile({ name, index, result, summary, error });
+        index++;
+    }
+    return summaries;
+}
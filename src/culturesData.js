@@ -237,6 +237,28 @@ export function matchCulture(analysisResults) {
                     matchedFeatures.push('Dense Beat Structure');
                 }
             }
+
+            // Meter and rhythmic cycle
+            const meter = analysisResults.rhythm.meter;
+            if (meter && meter.label) {
+                const meterMatches = {
+                    'west-african': { pattern: /12\/8|6\/8|compound/, weight: 2, name: 'Compound 12/8 Bell Cycle' },
+                    'indian-classical': { pattern: /Teentaal|Jhaptaal|Ektaal|Deepchandi|Keherwa|Dadra|7\/8/, weight: 2.5, name: 'Tala Cycle' },
+                    'middle-eastern': { pattern: /aksak|10-beat/, weight: 2.5, name: 'Aksak Meter' },
+                    'european-folk': { pattern: /^(3\/4|2\/4|4\/4|6\/8)$/, weight: 1.5, name: 'Dance Meter' },
+                    'latin-american': { pattern: /compás|12\/8|4\/4/, weight: 1.5, name: 'Clave / Compás Cycle' },
+                    'japanese-traditional': { pattern: /Free rhythm/, weight: 2, name: 'Free Rhythm' },
+                    'chinese-traditional': { pattern: /Free rhythm/, weight: 1.5, name: 'Free Rhythm' },
+                    'aboriginal-australian': { pattern: /Free rhythm|2\/4/, weight: 1, name: 'Clapstick Pulse' }
+                };
+                const meterData = meterMatches[culture.id];
+                if (meterData && meterData.pattern.test(meter.label)) {
+                    // Free rhythm has no fit confidence of its own
+                    const confidence = meter.label === 'Free rhythm' ? 1 : meter.confidence;
+                    score += meterData.weight * confidence;
+                    matchedFeatures.push(`${meterData.name} (${meter.label})`);
+                }
+            }
         }
         
         // ========== SCALE & MELODIC ANALYSIS ==========
@@ -287,8 +309,11 @@ export function matchCulture(analysisResults) {
             const brightness = analysisResults.spectral.brightness;
             const centroid = analysisResults.spectral.centroid;
             
+            // Brightness is the share of spectral energy above 1.5 kHz; most
+            // acoustic music keeps well under a third of it up there
+            
             // Bright timbres (high-frequency dominant)
-            if (brightness > 0.65) {
+            if (brightness > 0.3) {
                 const brightCultures = {
                     'caribbean-steel-pan': 2.5,
                     'latin-american': 1.5,
@@ -302,7 +327,7 @@ export function matchCulture(analysisResults) {
             }
             
             // Mid-range brightness (balanced)
-            if (brightness >= 0.4 && brightness <= 0.65) {
+            if (brightness >= 0.1 && brightness <= 0.3) {
                 const balancedCultures = {
                     'indian-classical': 1.5,
                     'middle-eastern': 1.5,
@@ -316,7 +341,7 @@ export function matchCulture(analysisResults) {
             }
             
             // Dark/mellow timbres (low-frequency dominant)
-            if (brightness < 0.4) {
+            if (brightness < 0.1) {
                 const darkCultures = {
                     'japanese-traditional': 2,
                     'chinese-traditional': 2,
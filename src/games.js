@@ -1,3 +1,5 @@
+import { INSTRUMENT_PROFILES, rankInstruments } from './utils/instruments.js';
+
 export class MusicComposer {
     constructor(audioContext) {
         this.audioContext = audioContext;
@@ -364,38 +366,22 @@ export class RhythmDictation {
 }
 
 export class InstrumentIdentifier {
-    constructor() {
-        this.instruments = [
-            { name: 'Piano', timbre: 'harmonic', attack: 'fast', sustain: 'long' },
-            { name: 'Guitar', timbre: 'harmonic', attack: 'medium', sustain: 'medium' },
-            { name: 'Violin', timbre: 'harmonic', attack: 'slow', sustain: 'long' },
-            { name: 'Trumpet', timbre: 'bright', attack: 'medium', sustain: 'medium' },
-            { name: 'Flute', timbre: 'pure', attack: 'medium', sustain: 'long' },
-            { name: 'Drums', timbre: 'percussive', attack: 'fast', sustain: 'short' },
-            { name: 'Sitar', timbre: 'resonant', attack: 'medium', sustain: 'long' },
-            { name: 'Didgeridoo', timbre: 'drone', attack: 'slow', sustain: 'continuous' }
-        ];
-    }
-
-    identifyFromFeatures(spectralCentroid, attackTime, sustainLevel) {
-        // Simplified identification based on features
-        const scores = this.instruments.map(inst => {
-            let score = 0;
-            
-            // Timbre matching
-            if (spectralCentroid > 3000 && inst.timbre === 'bright') score += 3;
-            if (spectralCentroid < 1000 && inst.timbre === 'drone') score += 3;
-            if (spectralCentroid > 1000 && spectralCentroid < 3000 && inst.timbre === 'harmonic') score += 3;
-            
-            // Attack matching
-            if (attackTime < 0.01 && inst.attack === 'fast') score += 2;
-            if (attackTime > 0.1 && inst.attack === 'slow') score += 2;
-            
-            return { instrument: inst.name, score };
-        });
-        
-        scores.sort((a, b) => b.score - a.score);
-        return scores[0].instrument;
+    /**
+     * @param {Array<Object>} [profiles] - Instrument profiles (see utils/instruments.js INSTRUMENT_PROFILES)
+     */
+    constructor(profiles = INSTRUMENT_PROFILES) {
+        this.instruments = profiles;
+    }
+
+    /**
+     * Rank instruments by how well their profiles fit measured features
+     * @param {Object} features - From measureInstrumentFeatures (or AudioAnalyzer.identifyInstrument().features)
+     * @param {Object} [options]
+     * @param {number} [options.candidates=5] - How many to return
+     * @returns {Array<{instrument: string, family: string, score: number, matched: Array<string>}>} Best first
+     */
+    identifyFromFeatures(features, { candidates } = {}) {
+        return rankInstruments(features, { profiles: this.instruments, candidates });
     }
 
     getRandomInstrument() {
@@ -423,7 +409,11 @@ export function generatePDF(analysisData) {
         report += `Rhythm Analysis:\n`;
         report += `- Tempo: ${analysisData.rhythm.tempo} BPM\n`;
         report += `- Regularity: ${(analysisData.rhythm.regularity * 100).toFixed(1)}%\n`;
-        report += `- Beats Detected: ${analysisData.rhythm.peakCount}\n\n`;
+        report += `- Beats Detected: ${analysisData.rhythm.beats?.length ?? analysisData.rhythm.peakCount}\n`;
+        if (analysisData.rhythm.stability !== undefined) {
+            report += `- Tempo Stability: ${(analysisData.rhythm.stability * 100).toFixed(1)}%\n`;
+        }
+        report += `\n`;
     }
     
     if (analysisData.pitch) {
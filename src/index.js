@@ -4,11 +4,22 @@ import { jsPDF } from 'jspdf';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import { AudioAnalyzer } from './audioAnalyzer.js';
+import { decodeAudioFile } from './audioDecoding.js';
+import { createAnalysisDocument, documentToResult, parseAnalysisDocument, serializeAnalysisDocument } from './analysisDocument.js';
+import { analyzeInWorker } from './analysisWorkerClient.js';
+import { RecordingLibrary, estimateStorage, filterEntries, sortEntries } from './recordingLibrary.js';
 import { getAllCultures, getCultureById, matchCulture } from './culturesData.js';
 import { getAllExpandedCultures } from './expandedCultures.js';
+import { getAllScales, getCustomScales, getScaleById, getScalesForCulture, importScales, loadSavedScales, scaleFrequencies } from './scaleLibrary.js';
 import { dedupeCultures } from './utils/dedup.js';
+import { notesToCsv, notesToMidi } from './utils/transcription.js';
+import { downmix } from './utils/channels.js';
+import { formatTime, normalizeRegion, parseTime, regionLabel, sliceRegion, waveformPeaks } from './utils/regions.js';
+import { summarizeAnalysis, summariesToCsv } from './utils/summary.js';
+import { corpusStatistics, corpusToJson, sortSummaries } from './utils/corpus.js';
+import { compareAnalyses, pitchContourPoints, tempoCurvePoints } from './utils/comparison.js';
 import { RealTimePitchDetector, Visualizer3D, ProgressTracker, musicalGlossary } from './advancedFeatures.js';
-import { MusicComposer, Looper, PitchMatchingGame, RhythmDictation, InstrumentIdentifier, downloadJSON, generatePDF } from './games.js';
+import { MusicComposer, Looper, PitchMatchingGame, RhythmDictation, InstrumentIdentifier, generatePDF } from './games.js';
 import { culturalQuizQuestions, getRandomQuestions, lessonPlans, practiceExercises, accessibilityHelpers, mobileOptimizations } from './extendedFeatures.js';
 
 // Global state
@@ -17,6 +28,7 @@ let currentAudio = null;
 let audioContext = null;
 let mediaRecorder = null;
 let audioChunks = [];
+let lastRecordingBlob = null;
 let currentCulture = null;
 let pitchDetector = null;
 let visualizer = null;
@@ -25,7 +37,6 @@ let composer = null;
 let looper = null;
 let pitchGame = null;
 let isDarkMode = false;
-let analysisCancelled = false;
 let worldMapInstance = null; // Cache Leaflet map to fix size when tab toggles
 
 // Lightweight toast notifications (non-blocking replacement for alert())
@@ -261,6 +272,8 @@ document.addEventListener('DOMContentLoaded', async () => {
         initializeAnalyzer();
         initializeGames();
         initializeRecorder();
+        initializeComparison();
+        initializeLibrary();
         initializeLivePitch();
         initializeComposer();
         initializeProgress();
@@ -973,24 +986,13 @@ async function playCultureDemo(culture) {
         await audioContext.resume();
     }
     
-    // Different scales for different cultures
-    const scales = {
-        'chinese-traditional': ['C4', 'D4', 'E4', 'G4', 'A4', 'C5'], // Pentatonic
-        'indian-classical': ['C4', 'D4', 'E4', 'F4', 'G4', 'A4', 'B4', 'C5'], // Raga-inspired
-        'west-african': ['C4', 'D4', 'E4', 'G4', 'A4'], // Pentatonic
-        'middle-eastern': ['C4', 'Db4', 'E4', 'F4', 'G4', 'Ab4', 'B4', 'C5'], // Maqam-inspired
-        'latin-american': ['C4', 'D4', 'E4', 'F4', 'G4', 'A4', 'B4', 'C5'], // Major scale
-        'japanese-traditional': ['D4', 'F4', 'G4', 'A4', 'C5'], // Japanese pentatonic
-        'european-folk': ['C4', 'D4', 'E4', 'F4', 'G4', 'A4', 'B4', 'C5'], // Major
-        'aboriginal-australian': ['C3', 'E3', 'G3', 'C4'] // Drone-based
-    };
-    
-    const scale = scales[culture.id] || scales['chinese-traditional'];
+    // The culture's first scale in the registry, pentatonic when it has none
+    const scale = getScalesForCulture(culture.id)[0] || getScaleById('pentatonic-major');
     
     // Play a simple melody using Web Audio API
     const currentTime = audioContext.currentTime;
-    scale.forEach((note, i) => {
-        playNote(noteToFrequency(note), currentTime + i * 0.5, 0.4);
+    scaleFrequencies(scale, noteToFrequency('C4')).forEach((frequency, i) => {
+        playNote(frequency, currentTime + i * 0.5, 0.4);
     });
     
     visualizeWaveform();
@@ -1108,6 +1110,49 @@ function initializeAnalyzer() {
     // console.log('fileInput:', fileInput);
     // console.log('uploadLabel:', uploadLabel);
     
+    // Deterministic by default; seeded variation is opt-in
+    const variationToggle = document.getElementById('seeded-variation');
+    const seedInput = document.getElementById('variation-seed');
+    const applyAnalysisMode = () => {
+        const seeded = !!variationToggle?.checked;
+        if (seedInput) seedInput.disabled = !seeded;
+        audioAnalyzer.setAnalysisMode({ deterministic: !seeded, seed: seedInput?.value });
+    };
+    variationToggle?.addEventListener('change', applyAnalysisMode);
+    seedInput?.addEventListener('change', applyAnalysisMode);
+    
+    // Wider than the old fixed 80-1000 Hz so drones and khöömei undertones are tracked
+    const pitchMinInput = document.getElementById('pitch-min-hz');
+    const pitchMaxInput = document.getElementById('pitch-max-hz');
+    const applyPitchRange = () => {
+        try {
+            audioAnalyzer.setPitchRange(pitchMinInput.value, pitchMaxInput.value);
+        } catch (error) {
+            showToast('warning', error.message);
+        }
+    };
+    pitchMinInput?.addEventListener('change', applyPitchRange);
+    pitchMaxInput?.addEventListener('change', applyPitchRange);
+    
+    setupWaveformPanel();
+    setupCorpusPanel();
+    
+    // Saved analyses (.analysis.json) reopen without their audio
+    const documentInput = document.getElementById('analysis-document-input');
+    document.getElementById('open-analysis-document')?.addEventListener('click', () => documentInput?.click());
+    documentInput?.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const { migratedFrom } = openAnalysisDocument(await file.text());
+            showToast('success', migratedFrom ? `Opened ${file.name} (converted from an older format)` : `Opened ${file.name}`);
+        } catch (error) {
+            console.error('Could not open analysis:', error);
+            showToast('error', `Could not open ${file.name}: ${error.message}`, 6000);
+        }
+    });
+    
     if (uploadLabel) {
         uploadLabel.addEventListener('click', (e) => {
             // console.log('Upload button clicked!');
@@ -1124,338 +1169,226 @@ function initializeAnalyzer() {
             return;
         }
         
-        // console.log('=== FILE UPLOAD STARTED ===');
-        // console.log('File:', file.name, 'Type:', file.type, 'Size:', file.size);
+        await loadAudioFile(file);
+    });
+}
+
+// Decode an audio file, show its waveform and analyze the whole of it
+async function loadAudioFile(file) {
+    try {
+        // Show loading state IMMEDIATELY
+        const analysisResults = document.getElementById('analysis-results');
         
-        try {
-            // Show loading state IMMEDIATELY
-            const analysisResults = document.getElementById('analysis-results');
-            // console.log('analysis-results element:', analysisResults);
-            
-            if (!analysisResults) {
-                console.error('analysis-results element not found!');
-                showToast('error', 'Results container not found');
-                return;
-            }
-            
-            analysisResults.innerHTML = '<p style="padding: 40px; text-align: center; font-size: 2em; background: #ffeb3b; color: #000; border-radius: 8px; font-weight: bold;">🔄 LOADING FILE...</p>';
-            analysisResults.style.display = 'block';
-            // console.log('Loading message displayed');
-            
-            // console.log('File selected:', file.name, file.type, 'Size:', file.size, 'bytes');
-            
-            // Validate file size (max 100MB)
-            const maxSize = 100 * 1024 * 1024;
-            if (file.size > maxSize) {
-                throw new Error(`File is too large (${(file.size / 1024 / 1024).toFixed(1)}MB). Maximum size is 100MB.`);
-            }
-            
-            // console.log('Reading file as ArrayBuffer...');
-            const arrayBuffer = await file.arrayBuffer();
-            // console.log('ArrayBuffer created, size:', arrayBuffer.byteLength);
-            
-            // Update UI - starting decode
-            analysisResults.innerHTML = '<p style="padding: 40px; text-align: center; font-size: 2em; background: #e1bee7; color: #4a148c; border-radius: 8px; font-weight: bold;">🎵 DECODING AUDIO...</p>';
-            await new Promise(resolve => setTimeout(resolve, 100)); // Allow UI to update
-            
-            // Resume AudioContext if suspended (with timeout)
-            if (audioAnalyzer.audioContext.state === 'suspended') {
-                // console.log('AudioContext suspended, resuming...');
-                try {
-                    // Race resume() against a 2-second timeout
-                    await Promise.race([
-                        audioAnalyzer.audioContext.resume(),
-                        new Promise((_, reject) => setTimeout(() => reject(new Error('AudioContext resume timeout')), 2000))
-                    ]);
-                    // console.log('AudioContext resumed successfully');
-                } catch (resumeErr) {
-                    console.error('AudioContext resume failed or timed out:', resumeErr);
-                    // Safari fallback: try one more time
-                    if (audioAnalyzer.browserOptimizations.isSafari) {
-                        try {
-                            await audioAnalyzer.audioContext.resume();
-                        } catch (e2) {
-                            console.error('Safari resume retry failed:', e2);
-                        }
+        if (!analysisResults) {
+            console.error('analysis-results element not found!');
+            showToast('error', 'Results container not found');
+            return;
+        }
+        
+        analysisResults.innerHTML = '<p style="padding: 40px; text-align: center; font-size: 2em; background: #ffeb3b; color: #000; border-radius: 8px; font-weight: bold;">🔄 LOADING FILE...</p>';
+        analysisResults.style.display = 'block';
+        
+        // Validate file size (max 100MB)
+        const maxSize = 100 * 1024 * 1024;
+        if (file.size > maxSize) {
+            throw new Error(`File is too large (${(file.size / 1024 / 1024).toFixed(1)}MB). Maximum size is 100MB.`);
+        }
+        
+        const arrayBuffer = await file.arrayBuffer();
+        
+        // Update UI - starting decode
+        analysisResults.innerHTML = '<p style="padding: 40px; text-align: center; font-size: 2em; background: #e1bee7; color: #4a148c; border-radius: 8px; font-weight: bold;">🎵 DECODING AUDIO...</p>';
+        await new Promise(resolve => setTimeout(resolve, 100)); // Allow UI to update
+        
+        // Resume AudioContext if suspended (with timeout)
+        if (audioAnalyzer.audioContext.state === 'suspended') {
+            try {
+                // Race resume() against a 2-second timeout
+                await Promise.race([
+                    audioAnalyzer.audioContext.resume(),
+                    new Promise((_, reject) => setTimeout(() => reject(new Error('AudioContext resume timeout')), 2000))
+                ]);
+            } catch (resumeErr) {
+                console.error('AudioContext resume failed or timed out:', resumeErr);
+                // Safari fallback: try one more time
+                if (audioAnalyzer.browserOptimizations.isSafari) {
+                    try {
+                        await audioAnalyzer.audioContext.resume();
+                    } catch (e2) {
+                        console.error('Safari resume retry failed:', e2);
                     }
-                    // Continue anyway - try to decode even if resume failed
                 }
+                // Continue anyway - try to decode even if resume failed
             }
-            // console.log('AudioContext state:', audioAnalyzer.audioContext.state);
+        }
+        
+        // Attempt to decode the audio with promise + callback fallback (better cross-browser support)
+        let audioBuffer;
+        try {
+            // Update UI before decode
+            analysisResults.innerHTML = '<p style="padding: 40px; text-align: center; font-size: 1.5em; background: #ffccbc; color: #bf360c; border-radius: 8px; font-weight: bold;">⏳ Calling decode function...</p>';
+            await new Promise(resolve => setTimeout(resolve, 200));
             
-            // Attempt to decode the audio with promise + callback fallback (better cross-browser support)
-            let audioBuffer;
-            try {
-                // console.log('=== STARTING AUDIO DECODE ===');
-                // console.log('File type:', file.type);
-                // console.log('File name:', file.name);
-                // console.log('ArrayBuffer size:', arrayBuffer.byteLength);
-                // console.log('About to call decodeAudioBuffer...');
-                
-                // Update UI before decode
-                analysisResults.innerHTML = '<p style="padding: 40px; text-align: center; font-size: 1.5em; background: #ffccbc; color: #bf360c; border-radius: 8px; font-weight: bold;">⏳ Calling decode function...</p>';
-                await new Promise(resolve => setTimeout(resolve, 200));
-                
-                // console.log('Calling decodeAudioBuffer NOW');
-                audioBuffer = await decodeAudioBuffer(arrayBuffer, file);
-                // console.log('decodeAudioBuffer returned!');
-                // console.log('=== DECODE SUCCESSFUL ===');
-                // console.log('Audio decoded successfully. Duration:', audioBuffer.duration, 'seconds');
-                // console.log('Sample rate:', audioBuffer.sampleRate);
-                // console.log('Channels:', audioBuffer.numberOfChannels);
-            } catch (decodeError) {
-                console.error('Decode error:', decodeError);
-                console.error('Error name:', decodeError.name);
-                console.error('Error message:', decodeError.message);
-                
-                // Provide specific error messages for different formats
-                if (file.type === 'audio/mpeg' || file.name.toLowerCase().endsWith('.mp3')) {
-                    throw new Error('MP3 format detected. MP3 has limited browser support. Please convert to WAV, OGG, or FLAC format.');
-                } else if (file.type === 'audio/x-m4a' || file.type === 'audio/mp4' || file.name.toLowerCase().endsWith('.m4a')) {
-                    throw new Error('M4A format detected. Try converting to WAV or OGG format for better compatibility.');
-                } else if (file.name.toLowerCase().endsWith('.wav')) {
-                    throw new Error(`WAV file decode failed: ${decodeError.message}. The file may be corrupted or use an unsupported WAV encoding (e.g., ADPCM). Try exporting as PCM 16-bit WAV.`);
-                } else {
-                    throw new Error(`Unable to decode audio (${file.type || 'unknown type'}): ${decodeError.message}`);
+            // Browser decoder first; JavaScript decoders take over when it fails or stalls
+            audioBuffer = await decodeAudioFile(arrayBuffer, {
+                audioContext: audioAnalyzer.audioContext,
+                onFallback: async (format, reason) => {
+                    console.warn(`Browser could not decode this ${format.toUpperCase()} file (${reason}); trying a JavaScript decoder`);
+                    analysisResults.innerHTML = `<p style="padding: 40px; text-align: center; font-size: 1.5em; background: #ffccbc; color: #bf360c; border-radius: 8px; font-weight: bold;">🔧 Browser decoding failed, trying the JavaScript ${format.toUpperCase()} decoder...</p>`;
+                    await new Promise(resolve => setTimeout(resolve, 50));
                 }
+            });
+        } catch (decodeError) {
+            console.error('Decode error:', decodeError.attempts || decodeError);
+            if (decodeError.format === 'mp4' || file.type === 'audio/x-m4a' || file.name.toLowerCase().endsWith('.m4a')) {
+                throw new Error('M4A format detected. Try converting to WAV or OGG format for better compatibility.');
             }
-            
-            // console.log('=== DECODE COMPLETE - STARTING ANALYSIS ===');
-            analysisResults.innerHTML = '<p style="padding: 40px; text-align: center; font-size: 2em; background: #c8e6c9; color: #1b5e20; border-radius: 8px; font-weight: bold;">✅ STARTING ANALYSIS...</p>';
-            await new Promise(resolve => setTimeout(resolve, 100));
+            throw decodeError;
+        }
+        
+        analysisResults.innerHTML = '<p style="padding: 40px; text-align: center; font-size: 2em; background: #c8e6c9; color: #1b5e20; border-radius: 8px; font-weight: bold;">✅ STARTING ANALYSIS...</p>';
+        await new Promise(resolve => setTimeout(resolve, 100));
         
         // Create audio player for the uploaded file
-        const audioUrl = URL.createObjectURL(file);
-        const audioPlayer = document.createElement('audio');
-        audioPlayer.controls = true;
-        audioPlayer.src = audioUrl;
-        audioPlayer.style.width = '100%';
-        audioPlayer.style.marginBottom = '20px';
-        
-        // console.log('Calling analyzeAudioFile...');
+        const audioPlayer = createAudioPlayer(file);
+        
+        if (audioBuffer.decoder?.fallbackReason) showToast('info', `Browser decoding failed; decoded with: ${audioBuffer.decoder.label}`, 5000);
+        
+        // The waveform stays up for picking regions; the first pass covers the whole file
+        currentAudioFile = file;
+        loadWaveform(audioBuffer, file.name, audioPlayer);
         await analyzeAudioFile(audioBuffer, file.name, audioPlayer);
-        } catch (error) {
-            console.error('Analysis error:', error);
-            const analysisResults = document.getElementById('analysis-results');
-            analysisResults.innerHTML = `
-                <div style="padding: 20px; background: #ffebee; border-radius: 8px; border-left: 4px solid #f44336;">
-                    <h4 style="color: #c62828; margin-top: 0;">❌ Analysis Failed</h4>
-                    <p style="color: #d32f2f; margin: 10px 0;"><strong>Error:</strong> ${error.message}</p>
-                    <div style="background: white; padding: 15px; border-radius: 4px; margin-top: 15px; font-size: 0.9em;">
-                        <p style="margin-top: 0;"><strong>💡 Supported Formats & Solutions:</strong></p>
-                        <ul style="margin: 10px 0; padding-left: 20px; line-height: 1.6;">
-                            <li><strong>✅ Best formats:</strong> WAV, OGG, FLAC</li>
-                            <li><strong>⚠️ Limited support:</strong> MP3, M4A (depends on browser)</li>
-                            <li><strong>Converting MP3 to WAV:</strong>
-                                <div style="background: #f5f5f5; padding: 8px 12px; border-radius: 4px; margin-top: 5px; font-family: monospace; font-size: 0.85em; overflow-x: auto;">
-                                    ffmpeg -i file.mp3 file.wav
-                                </div>
-                            </li>
-                            <li>Ensure the file is a valid audio file</li>
-                            <li>Try a shorter audio clip (under 5 minutes)</li>
-                            <li>Check that the file is not corrupted</li>
-                        </ul>
-                    </div>
+    } catch (error) {
+        console.error('Analysis error:', error);
+        const analysisResults = document.getElementById('analysis-results');
+        analysisResults.innerHTML = `
+            <div style="padding: 20px; background: #ffebee; border-radius: 8px; border-left: 4px solid #f44336;">
+                <h4 style="color: #c62828; margin-top: 0;">❌ Analysis Failed</h4>
+                <p style="color: #d32f2f; margin: 10px 0;"><strong>Error:</strong> ${error.message}</p>
+                <div style="background: white; padding: 15px; border-radius: 4px; margin-top: 15px; font-size: 0.9em;">
+                    <p style="margin-top: 0;"><strong>💡 Supported Formats & Solutions:</strong></p>
+                    <ul style="margin: 10px 0; padding-left: 20px; line-height: 1.6;">
+                        <li><strong>✅ Best formats:</strong> WAV (PCM, float, µ-law/A-law), FLAC, MP3, OGG</li>
+                        <li><strong>⚠️ Limited support:</strong> MPEG Layer I/II (.mp2), M4A (depend on the browser)</li>
+                        <li><strong>Converting other formats to WAV:</strong>
+                            <div style="background: #f5f5f5; padding: 8px 12px; border-radius: 4px; margin-top: 5px; font-family: monospace; font-size: 0.85em; overflow-x: auto;">
+                                ffmpeg -i file.m4a file.wav
+                            </div>
+                        </li>
+                        <li>Ensure the file is a valid audio file</li>
+                        <li>Try a shorter audio clip (under 5 minutes)</li>
+                        <li>Check that the file is not corrupted</li>
+                    </ul>
                 </div>
-            `;
-            analysisResults.style.display = 'block';
-        }
-    });
+            </div>
+        `;
+        analysisResults.style.display = 'block';
+    }
+}
+
+// Player for the results area (copied into it as HTML, so only its src matters)
+function createAudioPlayer(blob) {
+    const audioPlayer = document.createElement('audio');
+    audioPlayer.controls = true;
+    audioPlayer.src = URL.createObjectURL(blob);
+    audioPlayer.style.width = '100%';
+    audioPlayer.style.marginBottom = '20px';
+    return audioPlayer;
 }
 
 // Store chart instances globally for download
 let pitchChart = null;
 let rhythmChart = null;
 let spectralChart = null;
+let loudnessChart = null;
 let currentAnalysisData = null;
+// Audio behind currentAnalysisData (null for a saved analysis opened without it), for Save to Library
+let currentAudioFile = null;
 
-// Robust decode helper (supports promise and callback forms)
-async function decodeAudioBuffer(arrayBuffer, file) {
-    // console.log('decodeAudioBuffer called');
-    // console.log('ArrayBuffer size:', arrayBuffer.byteLength);
-    // console.log('File type:', file.type);
-    // console.log('File name:', file.name);
-    
-    // Check if file is actually an audio file by looking at the header
-    const view = new Uint8Array(arrayBuffer, 0, 12);
-    // console.log('File header (first 12 bytes):', Array.from(view).map(b => b.toString(16).padStart(2, '0')).join(' '));
-    
-    // Create a COPY of the ArrayBuffer because decodeAudioData consumes it
-    const bufferCopy = arrayBuffer.slice(0);
-    // console.log('Created buffer copy, size:', bufferCopy.byteLength);
-    
-    // Create a timeout promise
-    const timeout = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Audio decode timeout after 5 seconds')), 5000)
-    );
-    
-    // Try promise-based decode first
-    const decodePromise = new Promise(async (resolve, reject) => {
-        try {
-            // console.log('Trying promise-based decodeAudioData...');
-            const decoded = await audioAnalyzer.audioContext.decodeAudioData(bufferCopy);
-            // console.log('Promise-based decode succeeded');
-            resolve(decoded);
-        } catch (promiseErr) {
-            // console.log('Promise-based decode failed:', promiseErr.message);
-            reject(promiseErr);
-        }
-    });
+// Labels for the stages reported by the analysis pipeline
+const ANALYSIS_STAGE_LABELS = {
+    rhythm: '🎵 Analyzing rhythm...',
+    pitch: '🎸 Analyzing pitch...',
+    spectrum: '📈 Analyzing spectrum...',
+    scale: '🎼 Identifying scale...',
+    loudness: '🔊 Measuring loudness...'
+};
+
+function renderAnalysisProgress(container, progress, partial, heading = null) {
+    const percent = Math.max(0, Math.min(100, progress.percent || 0));
+    const label = ANALYSIS_STAGE_LABELS[progress.stage] || '📊 Processing audio...';
+    const details = [];
+    if (partial.rhythm) {
+        details.push(`<strong>Tempo:</strong> ${partial.rhythm.tempo} BPM (${partial.rhythm.peakCount} onsets)`);
+    }
+    if (partial.pitches.length > 0) {
+        details.push(`<strong>Pitches detected:</strong> ${partial.pitches.length} (first ${partial.analyzedSeconds.toFixed(0)} s analyzed)`);
+    }
+    if (partial.centroid !== undefined) {
+        details.push(`<strong>Spectral centroid:</strong> ${partial.centroid.toFixed(0)} Hz`);
+    }
     
-    // Race between decode and timeout
-    return Promise.race([decodePromise, timeout]);
+    container.innerHTML = `
+        <div style="padding: 30px; background: #fff3e0; border-radius: 8px; text-align: center;">
+            ${heading ? `<p style="margin: 0 0 8px; font-weight: 600; color: #555;">${heading}</p>` : ''}
+            <p style="margin: 0 0 15px; font-size: 1.5em; color: #e65100;"><strong>${label}</strong></p>
+            <div style="height: 14px; background: #ffe0b2; border-radius: 7px; overflow: hidden;" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${percent}">
+                <div style="width: ${percent}%; height: 100%; background: #ff9800; transition: width 0.2s;"></div>
+            </div>
+            <p style="margin: 10px 0 0; font-weight: 600;">${percent}%</p>
+            ${details.map(d => `<p style="margin: 5px 0 0; font-size: 0.9em; color: #555;">${d}</p>`).join('')}
+        </div>
+    `;
+    container.style.display = 'block';
 }
 
-async function analyzeAudioFile(audioBuffer, filename = 'audio-file', audioPlayer = null) {
+// Controller for the analysis currently running, so a new upload cancels the old one
+let analysisController = null;
+// { region, result } for each region of the last region analysis, for the comparison table
+let regionAnalyses = [];
+
+/**
+ * Analyze a decoded file, or only some regions of it
+ * @param {AudioBuffer|Object} audioBuffer - Decoded audio (see decodeAudioFile)
+ * @param {string} [filename]
+ * @param {HTMLAudioElement} [audioPlayer]
+ * @param {Object} [options]
+ * @param {Array<{start: number, end: number}>} [options.regions] - Seconds; each is analyzed on its own and
+ *   the results compared side by side. Empty analyzes the whole file
+ */
+async function analyzeAudioFile(audioBuffer, filename = 'audio-file', audioPlayer = null, { regions = [] } = {}) {
     const analysisResults = document.getElementById('analysis-results');
     const cancelBtn = document.getElementById('cancel-analysis');
+    
+    analysisController?.abort();
+    const controller = new AbortController();
+    analysisController = controller;
+    const onCancel = () => controller.abort();
+    
     try {
-        // console.log('analyzeAudioFile called');
-        // Prepare cancel handling
-        analysisCancelled = false;
-        let onCancel;
         if (cancelBtn) {
             cancelBtn.style.display = 'inline-block';
-            onCancel = () => { analysisCancelled = true; };
             cancelBtn.addEventListener('click', onCancel, { once: true });
         }
-        analysisResults.innerHTML = '<p style="padding: 20px; text-align: center; font-size: 1.1em;"><strong>📊 Processing audio...</strong></p>';
-        analysisResults.style.display = 'block';
-        
-        // Get audio data (limit to first 15 seconds to keep UI responsive)
-        // console.log('Getting channel data...');
-        const channelData = audioBuffer.getChannelData(0);
-        const sampleRate = audioBuffer.sampleRate;
-        const maxDurationSec = 15;
-        const trimmedSamples = Math.min(channelData.length, Math.floor(sampleRate * maxDurationSec));
-        const trimmedChannel = channelData.slice(0, trimmedSamples);
-        // console.log('Channel data ready: length', trimmedChannel.length, 'at', sampleRate, 'Hz');
-        
-        // Update UI with progress
-        analysisResults.innerHTML = '<p style="padding: 40px; text-align: center; font-size: 1.8em; background: #fff3e0; color: #e65100; border-radius: 8px;"><strong>🎵 Analyzing rhythm...</strong></p>';
-        await new Promise(resolve => setTimeout(resolve, 500)); // Allow UI to update
-        
-        // Analyze rhythm
-        if (analysisCancelled) throw new Error('Analysis cancelled');
-        // console.log('Analyzing rhythm...');
-        const rhythmAnalysis = audioAnalyzer.analyzeRhythm(trimmedChannel);
-        
-        // Enhanced rhythm analysis with temporal features
-        const temporalFeatures = audioAnalyzer.calculateTemporalFeatures(rhythmAnalysis.intervals || []);
-        const polyrhythm = audioAnalyzer.detectPolyrhythm(rhythmAnalysis.intervals || []);
-        const zcr = audioAnalyzer.calculateZCR(trimmedChannel);
-        
-        rhythmAnalysis.temporalComplexity = temporalFeatures.complexity;
-        rhythmAnalysis.entropy = temporalFeatures.entropy;
-        rhythmAnalysis.polyrhythmic = polyrhythm.isPolyrhythmic;
-        rhythmAnalysis.polyrhythmRatio = polyrhythm.ratio;
-        rhythmAnalysis.percussiveness = zcr; // Higher ZCR indicates more percussive content
-        
-        // console.log('✓ Rhythm analysis complete:', rhythmAnalysis.tempo, 'BPM');
-        // console.log('Rhythm regularity:', rhythmAnalysis.regularity);
-        // console.log('Temporal complexity:', temporalFeatures.complexity.toFixed(3));
-        // console.log('Polyrhythmic:', polyrhythm.isPolyrhythmic);
-        await new Promise(resolve => setTimeout(resolve, 500)); // Allow UI to update
-        
-        // Analyze pitch (more samples for better accuracy)
-        if (analysisCancelled) throw new Error('Analysis cancelled');
-        analysisResults.innerHTML = '<p style="padding: 40px; text-align: center; font-size: 1.8em; background: #f3e5f5; color: #6a1b9a; border-radius: 8px;"><strong>🎸 Analyzing pitch...</strong></p>';
-        await new Promise(resolve => setTimeout(resolve, 500)); // Allow UI to update
-        // console.log('Analyzing pitch...');
-        const pitches = [];
-        const timestamps = [];
-        const sampleSize = 4096;
-        let frames = 0;
-        const maxFrames = 20; // Drastically reduced to prevent freeze
-        // console.log('Starting pitch detection, max frames:', maxFrames);
-        for (let i = 0; i < trimmedChannel.length - sampleSize; i += sampleSize * 64) {
-            if (analysisCancelled) throw new Error('Analysis cancelled');
-            const sample = trimmedChannel.slice(i, i + sampleSize);
-            const pitch = audioAnalyzer.detectPitch(sample);
-            if (pitch > 0 && pitch < 2000) { // Filter out noise
-                pitches.push(pitch);
-                timestamps.push(i / sampleRate);
-            }
-            frames++;
-            
-            // Yield to browser every 5 frames
-            if (frames % 5 === 0) {
-                await new Promise(resolve => setTimeout(resolve, 0));
-            }
-            
-            if (frames >= maxFrames) break;
-        }
-        // console.log('✓ Pitch analysis complete. Found', pitches.length, 'pitches');
-        await new Promise(resolve => setTimeout(resolve, 500)); // Allow UI to update
-        
-        // Spectral analysis
-        if (analysisCancelled) throw new Error('Analysis cancelled');
-        analysisResults.innerHTML = '<p style="padding: 40px; text-align: center; font-size: 1.8em; background: #e8f5e9; color: #2e7d32; border-radius: 8px;"><strong>📈 Analyzing spectrum...</strong></p>';
-        await new Promise(resolve => setTimeout(resolve, 500)); // Allow UI to update
-        // console.log('Analyzing spectrum...');
-        // console.log('Calling analyzeSpectrum with', trimmedChannel.length, 'samples at', sampleRate, 'Hz');
-        const spectralAnalysis = analyzeSpectrum(trimmedChannel, sampleRate);
-        // console.log('✓ Spectral analysis complete');
-        // console.log('Centroid:', spectralAnalysis.centroid, 'Brightness:', spectralAnalysis.brightness);
-
-        // Restore proper HTML structure for charts
-        analysisResults.innerHTML = `
-            ${audioPlayer ? '<div style="margin: 0 0 20px; padding: 15px; background: #e3f2fd; border-radius: 8px; border-left: 4px solid #2196f3;"><h4 style="margin: 0 0 10px; color: #1565c0;">🔊 Audio Playback</h4>' + audioPlayer.outerHTML + '</div>' : ''}
-            <div class="analysis-grid">
-                <div class="analysis-card">
-                    <h3>Pitch Analysis</h3>
-                    <canvas id="pitch-chart" width="400" height="300"></canvas>
-                    <div id="pitch-info"></div>
-                </div>
-                
-                <div class="analysis-card">
-                    <h3>Rhythm Analysis</h3>
-                    <canvas id="rhythm-chart" width="400" height="300"></canvas>
-                    <div id="rhythm-info"></div>
-                </div>
-                
-                <div class="analysis-card">
-                    <h3>Spectral Features</h3>
-                    <canvas id="spectral-chart" width="400" height="300"></canvas>
-                    <div id="spectral-info"></div>
-                </div>
-                
-                <div class="analysis-card">
-                    <h3>Cultural Insights</h3>
-                    <div id="cultural-insights"></div>
-                </div>
-            </div>
-        `;
         
-        // Store full analysis data
-        currentAnalysisData = {
-            filename: filename,
-            duration: audioBuffer.duration,
-            sampleRate: sampleRate,
-            rhythm: rhythmAnalysis,
-            pitches: pitches,
-            timestamps: timestamps,
-            spectral: spectralAnalysis,
-            analyzedAt: new Date().toISOString()
-        };
-        
-        displayPitchAnalysis(pitches, timestamps);
-        displayRhythmAnalysis(rhythmAnalysis);
-        displaySpectralAnalysis(spectralAnalysis);
-        
-        // Identify scale
-        const scaleAnalysis = audioAnalyzer.identifyScale(pitches);
-        
-        // Display musical characteristics (not cultural matching)
-        displayMusicalInsights(rhythmAnalysis, scaleAnalysis, spectralAnalysis);
-        
-        // Add download functionality
-        setupDownloadButtons();
-        // console.log('Analysis completed successfully');
-        if (cancelBtn) cancelBtn.style.display = 'none';
+        const channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, c) => audioBuffer.getChannelData(c));
+        const analyses = [];
+        for (const [index, region] of (regions.length > 0 ? regions : [null]).entries()) {
+            const heading = region ? `Region ${index + 1} of ${regions.length}: ${regionLabel(region)}` : null;
+            const selected = region ? sliceRegion(channels, audioBuffer.sampleRate, region) : channels;
+            analyses.push({ region, result: await runAnalysis(selected, audioBuffer.sampleRate, { signal: controller.signal, heading }) });
+        }
+        regionAnalyses = regions.length > 0 ? analyses : [];
+        showAnalysisResult(analyses[0], { filename, audioPlayer, decoder: audioBuffer.decoder || null });
     } catch (error) {
+        if (error.name === 'AbortError') {
+            // Superseded by a newer upload or analysis: leave its progress display alone
+            if (analysisController !== controller) return;
+            analysisResults.innerHTML = '<p style="padding: 20px; text-align: center; font-size: 1.1em; background: #f5f5f5; border-radius: 8px;">✖️ Analysis cancelled.</p>';
+            analysisResults.style.display = 'block';
+            return;
+        }
         console.error('Analysis error:', error);
-        if (cancelBtn) cancelBtn.style.display = 'none';
         analysisResults.innerHTML = `
             <div style="padding: 20px; background: #ffebee; border-radius: 8px; border-left: 4px solid #f44336;">
                 <h4 style="color: #c62828; margin-top: 0;">❌ Analysis Failed</h4>
@@ -1464,10 +1397,802 @@ async function analyzeAudioFile(audioBuffer, filename = 'audio-file', audioPlaye
             </div>
         `;
         analysisResults.style.display = 'block';
+    } finally {
+        cancelBtn?.removeEventListener('click', onCancel);
+        if (analysisController === controller) {
+            analysisController = null;
+            if (cancelBtn) cancelBtn.style.display = 'none';
+        }
+    }
+}
+
+// Analyze samples in the background, streaming progress and partial results into `container`
+async function runAnalysis(channels, sampleRate, { signal, heading = null, container = document.getElementById('analysis-results') } = {}) {
+    const channelMode = document.getElementById('channel-mode')?.value || 'mix';
+    const partial = { rhythm: null, pitches: [], analyzedSeconds: 0, centroid: undefined };
+    let lastProgress = { stage: 'rhythm', percent: 0 };
+    renderAnalysisProgress(container, lastProgress, partial, heading);
+    
+    return analyzeInWorker(channels, sampleRate, {
+        // Imported scales live in this page's registry; the worker only knows the built-in ones
+        options: {
+            analyzer: { ...audioAnalyzer.getOptions(), key: { ...audioAnalyzer.keyOptions, extraScales: getCustomScales() } },
+            pipeline: { channelMode }
+        },
+        signal,
+        onProgress: (progress) => {
+            lastProgress = progress;
+            renderAnalysisProgress(container, progress, partial, heading);
+        },
+        onPartial: (update) => {
+            if (update.stage === 'rhythm') partial.rhythm = update.rhythm;
+            if (update.stage === 'pitch') {
+                partial.pitches.push(...update.pitches);
+                partial.analyzedSeconds = update.analyzedSeconds;
+            }
+            if (update.stage === 'spectrum') partial.centroid = update.centroid;
+            renderAnalysisProgress(container, lastProgress, partial, heading);
+        }
+    });
+}
+
+// Fill the results area with one analysis (of the whole file or of a region).
+// `saved` is set for an analysis reopened from a document: { savedAt, migratedFrom, analyzedAt, annotations, regions,
+// libraryTitle } (libraryTitle when it came from the recording library)
+function showAnalysisResult(analysis, { filename, audioPlayer = null, decoder = null, saved = null }) {
+    const { region, result } = analysis;
+    const analysisResults = document.getElementById('analysis-results');
+    const { rhythm: rhythmAnalysis, pitches, timestamps, spectral: spectralAnalysis, scale: scaleAnalysis } = result;
+    const sampleRate = result.sampleRate;
+    // Every region of a multi-region analysis, with its headline numbers
+    const regions = saved ? saved.regions : regionAnalyses.length > 1
+        ? regionAnalyses.map(entry => ({ start: entry.region.start, end: entry.region.end, summary: summarizeAnalysis(entry.result, filename) }))
+        : null;
+    const regionIndex = region && regions ? regions.findIndex(entry => entry.start === region.start && entry.end === region.end) : -1;
+    
+    // Restore proper HTML structure for charts
+    analysisResults.innerHTML = `
+        ${audioPlayer ? '<div style="margin: 0 0 20px; padding: 15px; background: #e3f2fd; border-radius: 8px; border-left: 4px solid #2196f3;"><h4 style="margin: 0 0 10px; color: #1565c0;">🔊 Audio Playback</h4>' + audioPlayer.outerHTML + '</div>' : ''}
+        ${saved ? `<div style="margin: 0 0 15px; padding: 12px 15px; background: #e8f5e9; border-radius: 8px; border-left: 4px solid #4caf50;">${saved.libraryTitle ? `📚 <strong>${escapeHtml(saved.libraryTitle)}</strong> from the library (${escapeHtml(filename)})` : `📂 Saved analysis of <strong>${escapeHtml(filename)}</strong>`}${saved.savedAt ? `, saved ${new Date(saved.savedAt).toLocaleString()}` : ''}${saved.migratedFrom ? ` (converted from schema version ${saved.migratedFrom})` : ''}. Charts are redrawn from the saved data; ${audioPlayer ? 'the player and waveform use the stored audio.' : 'the audio is not part of it.'}</div>` : ''}
+        ${region ? `<div style="margin: 0 0 15px; padding: 12px 15px; background: #ede7f6; border-radius: 8px; border-left: 4px solid #667eea;"><strong>Region${regionIndex >= 0 ? ` ${regionIndex + 1}` : ''}: ${regionLabel(region)}</strong> (${(region.end - region.start).toFixed(1)} s) — times below are measured from the start of the region</div>` : ''}
+        ${regions ? renderRegionComparison(regions, regionIndex, !saved) : ''}
+        ${decoder ? `<p style="margin: 0 0 15px; font-size: 0.9em; color: ${decoder.fallbackReason ? '#bf360c' : '#555'};"><strong>Decoded with:</strong> ${escapeHtml(decoder.label)}${decoder.fallbackReason ? ` (browser decoding failed: ${escapeHtml(decoder.fallbackReason)})` : ''}</p>` : ''}
+        <div id="structure-timeline"></div>
+        <div class="analysis-grid">
+            <div class="analysis-card">
+                <h3>Pitch Analysis</h3>
+                <canvas id="pitch-chart" width="400" height="300"></canvas>
+                <div id="pitch-info"></div>
+                <div id="transcription-info"></div>
+                <canvas id="loudness-chart" width="400" height="220" style="margin-top: 15px;"></canvas>
+                <div id="loudness-info"></div>
+            </div>
+            
+            <div class="analysis-card">
+                <h3>Rhythm Analysis</h3>
+                <canvas id="rhythm-chart" width="400" height="300"></canvas>
+                <div id="rhythm-info"></div>
+            </div>
+            
+            <div class="analysis-card">
+                <h3>Spectral Features</h3>
+                <canvas id="spectral-chart" width="400" height="300"></canvas>
+                <div id="spectral-info"></div>
+            </div>
+            
+            <div class="analysis-card">
+                <h3>Instrument Recognition</h3>
+                <div id="instrument-info"></div>
+            </div>
+            
+            <div class="analysis-card">
+                <h3>Cultural Insights</h3>
+                <div id="cultural-insights"></div>
+            </div>
+            
+            ${result.stereo || result.channels ? `
+            <div class="analysis-card">
+                <h3>Channels &amp; Stereo Field</h3>
+                <div id="channel-info"></div>
+            </div>` : ''}
+        </div>
+        
+        <div style="margin-top: 30px; padding: 20px; background: #fffde7; border-radius: 8px;">
+            <h3 style="margin-top: 0;">📝 Annotations</h3>
+            <div id="annotation-list"></div>
+            <div style="display: flex; gap: 8px; flex-wrap: wrap; margin-top: 10px;">
+                <input type="text" id="annotation-time" placeholder="Time, e.g. 1:20 (optional)" style="width: 180px;" />
+                <input type="text" id="annotation-text" placeholder="Note" style="flex: 1; min-width: 200px;" />
+                <button id="add-annotation" class="btn-secondary">➕ Add Note</button>
+            </div>
+        </div>
+        
+        <div style="margin-top: 20px; padding: 20px; background: #f5f5f5; border-radius: 8px; text-align: center;">
+            <h3>📊 Export Analysis Data</h3>
+            <div style="display: flex; gap: 10px; justify-content: center; flex-wrap: wrap; margin-top: 15px;">
+                <button id="download-analysis-data" class="btn-primary">💾 Save Analysis (.json)</button>
+                <button id="download-full-report" class="btn-primary">📄 Download Full Report</button>
+                <button id="save-to-library" class="btn-secondary">📚 Save to Library</button>
+            </div>
+            <div id="library-save-form" style="margin-top: 15px;"></div>
+            <p class="help-text" style="margin-bottom: 0;">A saved analysis can be reopened later with "Open Saved Analysis", without the audio file. The library keeps the audio as well, in this browser.</p>
+        </div>
+    `;
+    
+    // Store full analysis data
+    currentAnalysisData = {
+        filename: filename,
+        duration: result.duration,
+        sampleRate: sampleRate,
+        rhythm: rhythmAnalysis,
+        pitches: pitches,
+        timestamps: timestamps,
+        pitchTrack: result.pitchTrack,
+        transcription: result.transcription,
+        spectral: spectralAnalysis,
+        features: result.features,
+        structure: result.structure,
+        instrument: result.instrument,
+        scale: scaleAnalysis,
+        tuning: result.tuning,
+        channel: result.channel,
+        channelCount: result.channelCount,
+        channels: result.channels,
+        stereo: result.stereo,
+        loudness: result.loudness,
+        analyzer: result.analyzer,
+        decoder,
+        region: region ? { start: region.start, end: region.end } : null,
+        regions,
+        annotations: saved ? [...saved.annotations] : [],
+        analyzedAt: saved?.analyzedAt || new Date().toISOString()
+    };
+    
+    displayStructure(result.structure, result.duration);
+    displayPitchAnalysis(pitches, timestamps, result.pitchTrack, result.tuning, result.transcription);
+    displayTranscription(result.transcription);
+    displayLoudnessAnalysis(result.loudness, result.pitchTrack);
+    displayRhythmAnalysis(rhythmAnalysis);
+    displaySpectralAnalysis(spectralAnalysis, result.features);
+    displayInstrumentRecognition(result.instrument);
+    displayChannelAnalysis(result);
+    
+    // Display musical characteristics (not cultural matching)
+    displayMusicalInsights(rhythmAnalysis, scaleAnalysis, spectralAnalysis);
+    
+    // Add download functionality
+    setupDownloadButtons();
+    
+    analysisResults.querySelectorAll('[data-show-region]').forEach(button => {
+        button.addEventListener('click', () => {
+            showAnalysisResult(regionAnalyses[Number(button.dataset.showRegion)], { filename, audioPlayer, decoder });
+        });
+    });
+    setupAnnotations();
+    document.getElementById('save-to-library')?.addEventListener('click', () => {
+        const data = currentAnalysisData;
+        const audio = currentAudioFile;
+        renderLibrarySaveForm(document.getElementById('library-save-form'), {
+            title: saved?.libraryTitle || (filename || 'Untitled').replace(/\.[^.]+$/, ''),
+            save: (library, details) => library.add({ ...details, document: createAnalysisDocument(data), audio, source: 'upload', fileName: data.filename })
+        });
+    });
+}
+
+function renderAnnotationList() {
+    const list = document.getElementById('annotation-list');
+    if (!list || !currentAnalysisData) return;
+    const annotations = currentAnalysisData.annotations;
+    list.innerHTML = annotations.length === 0
+        ? '<p style="margin: 0; color: #777; font-size: 0.9em;">No notes yet. They are kept when you save the analysis.</p>'
+        : annotations.map((annotation, i) => `
+            <div style="display: flex; gap: 10px; align-items: baseline; padding: 6px 0; border-bottom: 1px solid #f0e9b0;">
+                <span style="min-width: 60px; font-family: monospace; color: #555;">${annotation.time !== null ? formatTime(annotation.time) : '—'}</span>
+                <span style="flex: 1;">${escapeHtml(annotation.text)}</span>
+                <button data-remove-annotation="${i}" title="Remove note" aria-label="Remove note" style="border: none; background: none; cursor: pointer;">✖</button>
+            </div>`).join('');
+}
+
+// Notes on the analysis shown; they go into the saved document
+function setupAnnotations() {
+    renderAnnotationList();
+    const timeInput = document.getElementById('annotation-time');
+    const textInput = document.getElementById('annotation-text');
+    const add = () => {
+        const text = textInput.value.trim();
+        if (!text) return;
+        try {
+            const time = timeInput.value.trim() ? parseTime(timeInput.value) : null;
+            currentAnalysisData.annotations.push({ time, end: null, text, createdAt: new Date().toISOString() });
+            currentAnalysisData.annotations.sort((a, b) => (a.time ?? -1) - (b.time ?? -1));
+            timeInput.value = '';
+            textInput.value = '';
+            renderAnnotationList();
+        } catch (error) {
+            showToast('warning', error.message);
+        }
+    };
+    document.getElementById('add-annotation')?.addEventListener('click', add);
+    textInput?.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') add();
+    });
+    document.getElementById('annotation-list')?.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-remove-annotation]');
+        if (!button) return;
+        currentAnalysisData.annotations.splice(Number(button.dataset.removeAnnotation), 1);
+        renderAnnotationList();
+    });
+}
+
+// Re-render a saved analysis document (any schema version). `audio` ({ blob, audioBuffer, audioPlayer }) is
+// the recording it was made from, when there is one (library entries)
+function openAnalysisDocument(json, { audio = null, libraryTitle = null } = {}) {
+    const { document: saved, migratedFrom } = parseAnalysisDocument(json);
+    analysisController?.abort();
+    regionAnalyses = [];
+    const filename = saved.file.name || libraryTitle || 'saved analysis';
+    currentAudioFile = audio?.blob || null;
+    if (audio) {
+        loadWaveform(audio.audioBuffer, filename, audio.audioPlayer);
+    } else {
+        // The waveform belongs to audio that is not loaded any more
+        waveform.audioBuffer = null;
+        waveform.samples = null;
+        const panel = document.getElementById('waveform-panel');
+        if (panel) panel.style.display = 'none';
+    }
+    
+    const analysisResults = document.getElementById('analysis-results');
+    analysisResults.style.display = 'block';
+    showAnalysisResult({ region: saved.file.region, result: documentToResult(saved) }, {
+        filename,
+        audioPlayer: audio?.audioPlayer || null,
+        decoder: saved.file.decoder,
+        saved: {
+            savedAt: saved.savedAt,
+            migratedFrom,
+            analyzedAt: saved.analyzedAt,
+            annotations: saved.annotations,
+            regions: saved.file.regions,
+            libraryTitle
+        }
+    });
+    return { migratedFrom };
+}
+
+// Headline numbers compared across regions (keys of utils/summary.js SUMMARY_COLUMNS)
+const REGION_COMPARISON_ROWS = [
+    ['duration_s', 'Duration (s)'],
+    ['tempo_bpm', 'Tempo (BPM)'],
+    ['meter', 'Meter'],
+    ['tonic', 'Tonic'],
+    ['scale', 'Scale'],
+    ['scale_confidence', 'Scale confidence'],
+    ['tuning', 'Tuning'],
+    ['notes', 'Notes transcribed'],
+    ['centroid_hz', 'Spectral centroid (Hz)'],
+    ['loudness_lufs', 'Loudness (LUFS)'],
+    ['instrument', 'Likely instrument']
+];
+
+// Side-by-side table of analyzed regions ({ start, end, summary }); the one at `shownIndex` has its
+// details below. With `withDetails` the others get a button to show theirs (needs the full results)
+function renderRegionComparison(regions, shownIndex, withDetails) {
+    const cell = 'padding: 6px 10px; border-bottom: 1px solid #eee; text-align: left;';
+    const highlight = (i, color) => (i === shownIndex ? `background: ${color};` : '');
+    return `
+        <div style="margin: 0 0 20px; padding: 15px; background: white; border-radius: 8px; border: 1px solid #e0e0e0; overflow-x: auto;">
+            <h4 style="margin: 0 0 10px; color: #4a148c;">📊 Region Comparison</h4>
+            <table style="border-collapse: collapse; width: 100%; font-size: 0.9em;">
+                <thead>
+                    <tr>
+                        <th style="${cell}"></th>
+                        ${regions.map((entry, i) => `
+                        <th style="${cell} ${highlight(i, '#ede7f6')}">
+                            ${i + 1}. ${regionLabel(entry)}
+                            <div>${i === shownIndex ? '<span style="font-weight: normal; color: #555;">details below</span>' : withDetails ? `<button class="btn-secondary" data-show-region="${i}" style="padding: 2px 10px; font-size: 0.85em;">Show details</button>` : ''}</div>
+                        </th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${REGION_COMPARISON_ROWS.map(([key, label]) => `
+                    <tr>
+                        <th style="${cell}">${label}</th>
+                        ${regions.map((entry, i) => `<td style="${cell} ${highlight(i, '#f6f2fb')}">${escapeHtml(entry.summary?.[key] ?? '—')}</td>`).join('')}
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Waveform overview of the loaded file, for picking the regions to analyze
+const waveform = {
+    audioBuffer: null,
+    filename: null,
+    audioPlayer: null,
+    samples: null,           // Mono downmix that is drawn
+    view: { start: 0, end: 0 },
+    regions: [],
+    drag: null               // Region being dragged out
+};
+
+const REGION_COLORS = ['102, 126, 234', '255, 152, 0', '76, 175, 80', '233, 30, 99', '0, 150, 136', '121, 85, 72'];
+// Narrowest view, in seconds
+const MIN_WAVEFORM_VIEW = 0.05;
+
+function loadWaveform(audioBuffer, filename, audioPlayer) {
+    const panel = document.getElementById('waveform-panel');
+    if (!panel) return;
+    waveform.audioBuffer = audioBuffer;
+    waveform.filename = filename;
+    waveform.audioPlayer = audioPlayer;
+    waveform.samples = downmix(Array.from({ length: audioBuffer.numberOfChannels }, (_, c) => audioBuffer.getChannelData(c)));
+    waveform.view = { start: 0, end: audioBuffer.duration };
+    waveform.regions = [];
+    waveform.drag = null;
+    panel.style.display = 'block';
+    renderRegionList();
+    drawWaveform();
+}
+
+function setWaveformView(start, end) {
+    const duration = waveform.audioBuffer.duration;
+    const length = Math.min(duration, Math.max(MIN_WAVEFORM_VIEW, end - start));
+    const from = Math.max(0, Math.min(duration - length, start));
+    waveform.view = { start: from, end: from + length };
+    drawWaveform();
+}
+
+// Zoom by `factor` (< 1 zooms in) keeping `time` where it is on screen
+function zoomWaveform(factor, time = (waveform.view.start + waveform.view.end) / 2) {
+    const { start, end } = waveform.view;
+    setWaveformView(time - (time - start) * factor, time + (end - time) * factor);
+}
+
+// Tick spacing that gives at most about ten labels
+function waveformTickStep(span) {
+    return [0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300, 600, 1800, 3600].find(step => span / step <= 10) || 7200;
+}
+
+function drawWaveform() {
+    const canvas = document.getElementById('waveform-canvas');
+    if (!canvas || !waveform.samples) return;
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.max(1, Math.round(canvas.clientWidth * ratio));
+    const height = Math.max(1, Math.round(canvas.clientHeight * ratio));
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    const { start, end } = waveform.view;
+    const x = time => (time - start) / (end - start) * width;
+    const axis = 16 * ratio;
+    const middle = (height - axis) / 2;
+    ctx.clearRect(0, 0, width, height);
+    
+    // Regions behind the waveform
+    ctx.font = `${11 * ratio}px sans-serif`;
+    waveform.regions.forEach((region, i) => {
+        const color = REGION_COLORS[i % REGION_COLORS.length];
+        ctx.fillStyle = `rgba(${color}, 0.2)`;
+        ctx.fillRect(x(region.start), 0, x(region.end) - x(region.start), height - axis);
+        ctx.fillStyle = `rgba(${color}, 1)`;
+        ctx.fillRect(x(region.start), 0, ratio, height - axis);
+        ctx.fillRect(x(region.end) - ratio, 0, ratio, height - axis);
+        ctx.fillText(String(i + 1), x(region.start) + 4 * ratio, 12 * ratio);
+    });
+    if (waveform.drag) {
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.12)';
+        ctx.fillRect(x(Math.min(waveform.drag.start, waveform.drag.end)), 0, Math.abs(x(waveform.drag.end) - x(waveform.drag.start)), height - axis);
     }
+    
+    const { min, max } = waveformPeaks(waveform.samples, waveform.audioBuffer.sampleRate, { start, end, columns: width });
+    ctx.fillStyle = '#5c6bc0';
+    for (let c = 0; c < width; c++) {
+        const top = middle - max[c] * middle;
+        ctx.fillRect(c, top, 1, Math.max(1, (max[c] - min[c]) * middle));
+    }
+    
+    // Time axis
+    const step = waveformTickStep(end - start);
+    ctx.fillStyle = '#555';
+    ctx.fillRect(0, height - axis, width, 1);
+    for (let t = Math.ceil(start / step) * step; t <= end; t += step) {
+        ctx.fillRect(x(t), height - axis, 1, 4 * ratio);
+        ctx.fillText(formatTime(t, step < 1 ? 2 : 0), x(t) + 2 * ratio, height - 3 * ratio);
+    }
+    
+    const label = document.getElementById('waveform-view-label');
+    if (label) label.textContent = `${formatTime(start)}–${formatTime(end)} of ${formatTime(waveform.audioBuffer.duration)}`;
+    const scroll = document.getElementById('waveform-scroll');
+    if (scroll) {
+        const slack = waveform.audioBuffer.duration - (end - start);
+        scroll.disabled = slack <= 0;
+        scroll.value = slack > 0 ? String(Math.round(start / slack * 1000)) : '0';
+    }
+}
+
+function addWaveformRegion(region) {
+    try {
+        waveform.regions.push(normalizeRegion(region, waveform.audioBuffer.duration));
+        waveform.regions.sort((a, b) => a.start - b.start);
+        renderRegionList();
+        drawWaveform();
+    } catch (error) {
+        showToast('warning', error.message);
+    }
+}
+
+function renderRegionList() {
+    const list = document.getElementById('region-list');
+    const analyzeButton = document.getElementById('analyze-regions');
+    if (list) {
+        list.innerHTML = waveform.regions.length === 0
+            ? '<span style="color: #777; font-size: 0.9em;">No regions selected: the whole file is analyzed.</span>'
+            : waveform.regions.map((region, i) => `
+                <span style="display: inline-flex; align-items: center; gap: 6px; padding: 4px 10px; border-radius: 14px; background: rgba(${REGION_COLORS[i % REGION_COLORS.length]}, 0.2); font-size: 0.9em;">
+                    <strong>${i + 1}.</strong> ${regionLabel(region)} (${(region.end - region.start).toFixed(1)} s)
+                    <button data-remove-region="${i}" title="Remove region" aria-label="Remove region ${i + 1}" style="border: none; background: none; cursor: pointer;">✖</button>
+                </span>`).join('');
+    }
+    if (analyzeButton) {
+        analyzeButton.disabled = waveform.regions.length === 0;
+        analyzeButton.textContent = waveform.regions.length > 1 ? `🔍 Analyze & Compare ${waveform.regions.length} Regions` : '🔍 Analyze Selected Region';
+    }
+}
+
+function setupWaveformPanel() {
+    const canvas = document.getElementById('waveform-canvas');
+    if (!canvas) return;
+    
+    const timeAt = (event) => {
+        const rect = canvas.getBoundingClientRect();
+        const { start, end } = waveform.view;
+        return Math.max(0, Math.min(waveform.audioBuffer.duration, start + (event.clientX - rect.left) / rect.width * (end - start)));
+    };
+    canvas.addEventListener('pointerdown', (event) => {
+        if (!waveform.audioBuffer) return;
+        canvas.setPointerCapture(event.pointerId);
+        const time = timeAt(event);
+        waveform.drag = { start: time, end: time, x: event.clientX };
+    });
+    canvas.addEventListener('pointermove', (event) => {
+        if (!waveform.drag) return;
+        waveform.drag.end = timeAt(event);
+        drawWaveform();
+    });
+    const finishDrag = (event) => {
+        const drag = waveform.drag;
+        if (!drag) return;
+        waveform.drag = null;
+        // A click is not a selection
+        if (event.type === 'pointerup' && Math.abs(event.clientX - drag.x) > 3) {
+            addWaveformRegion({ start: drag.start, end: timeAt(event) });
+        } else {
+            drawWaveform();
+        }
+    };
+    canvas.addEventListener('pointerup', finishDrag);
+    canvas.addEventListener('pointercancel', finishDrag);
+    canvas.addEventListener('wheel', (event) => {
+        if (!waveform.audioBuffer) return;
+        event.preventDefault();
+        zoomWaveform(event.deltaY < 0 ? 0.8 : 1.25, timeAt(event));
+    }, { passive: false });
+    
+    document.getElementById('waveform-zoom-in')?.addEventListener('click', () => waveform.audioBuffer && zoomWaveform(0.5));
+    document.getElementById('waveform-zoom-out')?.addEventListener('click', () => waveform.audioBuffer && zoomWaveform(2));
+    document.getElementById('waveform-zoom-fit')?.addEventListener('click', () => waveform.audioBuffer && setWaveformView(0, waveform.audioBuffer.duration));
+    document.getElementById('waveform-scroll')?.addEventListener('input', (event) => {
+        if (!waveform.audioBuffer) return;
+        const length = waveform.view.end - waveform.view.start;
+        const start = Number(event.target.value) / 1000 * (waveform.audioBuffer.duration - length);
+        setWaveformView(start, start + length);
+    });
+    window.addEventListener('resize', drawWaveform);
+    
+    document.getElementById('region-add')?.addEventListener('click', () => {
+        if (!waveform.audioBuffer) return;
+        try {
+            addWaveformRegion({
+                start: parseTime(document.getElementById('region-start').value),
+                end: parseTime(document.getElementById('region-end').value)
+            });
+        } catch (error) {
+            showToast('warning', error.message);
+        }
+    });
+    document.getElementById('region-clear')?.addEventListener('click', () => {
+        waveform.regions = [];
+        renderRegionList();
+        drawWaveform();
+    });
+    document.getElementById('region-list')?.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-remove-region]');
+        if (!button) return;
+        waveform.regions.splice(Number(button.dataset.removeRegion), 1);
+        renderRegionList();
+        drawWaveform();
+    });
+    
+    document.getElementById('analyze-regions')?.addEventListener('click', () => {
+        if (!waveform.audioBuffer || waveform.regions.length === 0) return;
+        analyzeAudioFile(waveform.audioBuffer, waveform.filename, waveform.audioPlayer, { regions: waveform.regions.map(region => ({ ...region })) });
+    });
+    document.getElementById('analyze-whole-file')?.addEventListener('click', () => {
+        if (!waveform.audioBuffer) return;
+        analyzeAudioFile(waveform.audioBuffer, waveform.filename, waveform.audioPlayer);
+    });
+}
+
+// Corpus analysis: every file of a folder runs through the same decoder and analysis as a single upload,
+// one at a time, and is kept as a utils/summary.js row (the File stays referenced so a row can be reopened)
+const CORPUS_TABLE_COLUMNS = [
+    ['file', 'File'],
+    ['duration_s', 'Duration (s)'],
+    ['tempo_bpm', 'Tempo (BPM)'],
+    ['regularity', 'Regularity'],
+    ['meter', 'Meter'],
+    ['scale', 'Scale'],
+    ['tonic', 'Tonic'],
+    ['scale_confidence', 'Scale confidence'],
+    ['centroid_hz', 'Centroid (Hz)'],
+    ['brightness', 'Brightness'],
+    ['loudness_lufs', 'Loudness (LUFS)'],
+    ['loudness_range_lu', 'Loudness range (LU)'],
+    ['instrument', 'Instrument']
+];
+// Columns whose spread is listed under the table
+const CORPUS_STATISTIC_COLUMNS = ['duration_s', 'tempo_bpm', 'regularity', 'centroid_hz', 'brightness', 'loudness_lufs'];
+const CORPUS_AUDIO_FILE = /\.(wav|wave|flac|ogg|oga|opus|mp3|m4a|mp4|aac|weba|webm|aif|aiff)$/i;
+
+const corpus = {
+    entries: [],             // { summary, file }
+    sort: { column: 'file', direction: 'asc' },
+    controller: null,
+    charts: []
+};
+
+function setupCorpusPanel() {
+    const filesInput = document.getElementById('corpus-files-input');
+    const folderInput = document.getElementById('corpus-folder-input');
+    const dropZone = document.getElementById('corpus-drop-zone');
+    if (!filesInput || !dropZone) return;
+    
+    document.getElementById('corpus-choose-files')?.addEventListener('click', () => filesInput.click());
+    document.getElementById('corpus-choose-folder')?.addEventListener('click', () => folderInput?.click());
+    [filesInput, folderInput].forEach(input => input?.addEventListener('change', (e) => {
+        const files = [...e.target.files].map(file => ({ file, name: file.webkitRelativePath || file.name }));
+        e.target.value = '';
+        analyzeCorpus(files);
+    }));
+    dropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        dropZone.style.background = '#ede7f6';
+    });
+    dropZone.addEventListener('dragleave', () => {
+        dropZone.style.background = '';
+    });
+    dropZone.addEventListener('drop', async (e) => {
+        e.preventDefault();
+        dropZone.style.background = '';
+        try {
+            analyzeCorpus(await droppedFiles(e.dataTransfer));
+        } catch (error) {
+            console.error('Could not read the dropped files:', error);
+            showToast('error', `Could not read the dropped files: ${escapeHtml(error.message)}`);
+        }
+    });
+    document.getElementById('corpus-cancel')?.addEventListener('click', () => corpus.controller?.abort());
+    
+    document.getElementById('corpus-table')?.addEventListener('click', (e) => {
+        const header = e.target.closest('[data-corpus-sort]');
+        if (header) {
+            const column = header.dataset.corpusSort;
+            corpus.sort = { column, direction: corpus.sort.column === column && corpus.sort.direction === 'asc' ? 'desc' : 'asc' };
+            renderCorpusTable();
+            return;
+        }
+        const open = e.target.closest('[data-corpus-open]');
+        if (open) {
+            const entry = corpus.entries[Number(open.dataset.corpusOpen)];
+            if (!entry) return;
+            document.getElementById('analysis-results')?.scrollIntoView({ behavior: 'smooth' });
+            loadAudioFile(entry.file);
+        }
+    });
+    document.getElementById('corpus-download-csv')?.addEventListener('click', () => {
+        downloadBlob(new Blob([summariesToCsv(corpus.entries.map(entry => entry.summary))], { type: 'text/csv' }), 'corpus-summary.csv');
+    });
+    document.getElementById('corpus-download-json')?.addEventListener('click', () => {
+        downloadBlob(new Blob([corpusToJson(corpus.entries.map(entry => entry.summary))], { type: 'application/json' }), 'corpus-summary.json');
+    });
+}
+
+// Files of a drop, including everything inside dropped folders (with their paths)
+async function droppedFiles(dataTransfer) {
+    const entries = [...(dataTransfer.items || [])].map(item => item.webkitGetAsEntry?.()).filter(Boolean);
+    if (entries.length === 0) return [...dataTransfer.files].map(file => ({ file, name: file.name }));
+    const files = [];
+    const visit = async (entry, path) => {
+        if (entry.isFile) {
+            files.push({ file: await new Promise((resolve, reject) => entry.file(resolve, reject)), name: path + entry.name });
+        } else if (entry.isDirectory) {
+            const reader = entry.createReader();
+            // A folder is listed in batches, until an empty one
+            for (let batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject)); batch.length > 0;
+                batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject))) {
+                for (const child of batch) await visit(child, `${path}${entry.name}/`);
+            }
+        }
+    };
+    for (const entry of entries) await visit(entry, '');
+    return files;
+}
+
+async function analyzeCorpus(files) {
+    const audioFiles = files
+        .filter(({ file, name }) => CORPUS_AUDIO_FILE.test(name) || file.type.startsWith('audio/'))
+        .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    if (audioFiles.length === 0) {
+        showToast('warning', 'No audio files found there');
+        return;
+    }
+    if (audioFiles.length < files.length) showToast('info', `Skipping ${files.length - audioFiles.length} file(s) that are not audio`);
+    
+    corpus.controller?.abort();
+    const controller = new AbortController();
+    corpus.controller = controller;
+    corpus.entries = [];
+    const progress = document.getElementById('corpus-progress');
+    const cancelBtn = document.getElementById('corpus-cancel');
+    if (cancelBtn) cancelBtn.style.display = 'inline-block';
+    
+    renderCorpusResults();
+    
+    for (const [index, { file, name }] of audioFiles.entries()) {
+        const heading = `File ${index + 1} of ${audioFiles.length}: ${escapeHtml(name)}`;
+        let summary;
+        try {
+            progress.innerHTML = `<p style="margin: 0;">🔄 ${heading} — decoding...</p>`;
+            const audioBuffer = await decodeAudioFile(await file.arrayBuffer(), { audioContext: audioAnalyzer.audioContext || audioContext });
+            const channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, c) => audioBuffer.getChannelData(c));
+            summary = summarizeAnalysis(await runAnalysis(channels, audioBuffer.sampleRate, { signal: controller.signal, heading, container: progress }), name);
+        } catch (error) {
+            if (error.name === 'AbortError') break;
+            // A file that fails is reported in its row and the rest still run
+            console.error(`Corpus analysis failed for ${name}:`, error);
+            summary = { ...summarizeAnalysis({}, name), error: error.message };
+        }
+        if (controller.signal.aborted) break;
+        corpus.entries.push({ summary, file });
+        renderCorpusResults();
+    }
+    
+    // Superseded by a newer corpus: leave its display alone
+    if (corpus.controller !== controller) return;
+    corpus.controller = null;
+    if (cancelBtn) cancelBtn.style.display = 'none';
+    const failed = corpus.entries.filter(entry => entry.summary.error).length;
+    progress.innerHTML = controller.signal.aborted
+        ? `<p style="margin: 0;">✖️ Stopped after ${corpus.entries.length} of ${audioFiles.length} files.</p>`
+        : `<p style="margin: 0;">✅ Analyzed ${corpus.entries.length - failed} of ${audioFiles.length} files${failed ? ` (${failed} could not be analyzed)` : ''}.</p>`;
 }
 
-function displayPitchAnalysis(pitches, timestamps) {
+function formatCorpusValue(value) {
+    if (value === null || value === undefined) return '—';
+    if (typeof value === 'number') return Number.isInteger(value) ? String(value) : value.toFixed(Math.abs(value) >= 100 ? 0 : 2);
+    return escapeHtml(String(value));
+}
+
+function renderCorpusResults() {
+    const results = document.getElementById('corpus-results');
+    if (!results) return;
+    results.style.display = corpus.entries.length > 0 ? 'block' : 'none';
+    const rows = corpus.entries.map(entry => entry.summary);
+    const stats = corpusStatistics(rows);
+    
+    const tempo = stats.columns.tempo_bpm;
+    const headline = [
+        `<strong>${stats.analyzed}</strong> of ${stats.files} files analyzed${stats.failed ? ` (${stats.failed} failed)` : ''}`,
+        tempo ? `median tempo <strong>${tempo.median.toFixed(0)} BPM</strong> (${tempo.min.toFixed(0)}–${tempo.max.toFixed(0)})` : null,
+        stats.scales[0] ? `most common scale <strong>${escapeHtml(stats.scales[0].value)}</strong> (${stats.scales[0].count})` : null,
+        stats.tonics[0] ? `most common tonic <strong>${escapeHtml(stats.tonics[0].value)}</strong> (${stats.tonics[0].count})` : null,
+        stats.meters[0] ? `most common meter <strong>${escapeHtml(stats.meters[0].value)}</strong> (${stats.meters[0].count})` : null
+    ].filter(Boolean).join(' · ');
+    const statisticRows = CORPUS_STATISTIC_COLUMNS.filter(column => stats.columns[column]).map((column) => {
+        const { mean, median, min, max, std } = stats.columns[column];
+        const label = CORPUS_TABLE_COLUMNS.find(([key]) => key === column)[1];
+        return `<tr><td>${label}</td>${[mean, median, min, max, std].map(value => `<td>${formatCorpusValue(value)}</td>`).join('')}</tr>`;
+    }).join('');
+    document.getElementById('corpus-summary').innerHTML = `
+        <p style="margin: 0 0 10px;">${headline}</p>
+        ${statisticRows ? `<table style="border-collapse: collapse; font-size: 0.85em; margin-bottom: 10px;">
+            <thead><tr><th style="text-align: left;">Across the corpus</th><th>Mean</th><th>Median</th><th>Min</th><th>Max</th><th>Std. dev.</th></tr></thead>
+            <tbody>${statisticRows}</tbody>
+        </table>` : ''}
+    `;
+    
+    corpus.charts.forEach(chart => chart.destroy());
+    corpus.charts = [];
+    const tempoCanvas = document.getElementById('corpus-tempo-chart');
+    const scaleCanvas = document.getElementById('corpus-scale-chart');
+    if (tempoCanvas) {
+        corpus.charts.push(new Chart(tempoCanvas.getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels: stats.tempoHistogram.map(bin => `${bin.start}–${bin.end}`),
+                datasets: [{
+                    label: 'Files',
+                    data: stats.tempoHistogram.map(bin => bin.count),
+                    backgroundColor: 'rgba(102, 126, 234, 0.6)',
+                    borderColor: 'rgba(102, 126, 234, 1)',
+                    borderWidth: 1
+                }]
+            },
+            options: {
+                responsive: true,
+                animation: false,
+                plugins: { legend: { display: false } },
+                scales: {
+                    x: { title: { display: true, text: 'Tempo (BPM)' } },
+                    y: { beginAtZero: true, ticks: { precision: 0 }, title: { display: true, text: 'Files' } }
+                }
+            }
+        }));
+    }
+    if (scaleCanvas) {
+        corpus.charts.push(new Chart(scaleCanvas.getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels: stats.scales.map(entry => entry.value),
+                datasets: [{
+                    label: 'Files',
+                    data: stats.scales.map(entry => entry.count),
+                    backgroundColor: 'rgba(255, 152, 0, 0.6)',
+                    borderColor: 'rgba(255, 152, 0, 1)',
+                    borderWidth: 1
+                }]
+            },
+            options: {
+                responsive: true,
+                animation: false,
+                indexAxis: 'y',
+                plugins: { legend: { display: false } },
+                scales: { x: { beginAtZero: true, ticks: { precision: 0 }, title: { display: true, text: 'Files' } } }
+            }
+        }));
+    }
+    renderCorpusTable();
+}
+
+function renderCorpusTable() {
+    const table = document.getElementById('corpus-table');
+    if (!table) return;
+    const indexOf = new Map(corpus.entries.map((entry, index) => [entry.summary, index]));
+    const rows = sortSummaries(corpus.entries.map(entry => entry.summary), corpus.sort.column, corpus.sort.direction);
+    const arrow = column => (corpus.sort.column === column ? (corpus.sort.direction === 'asc' ? ' ▲' : ' ▼') : '');
+    table.innerHTML = `
+        <table style="width: 100%; border-collapse: collapse; font-size: 0.85em;">
+            <thead>
+                <tr style="background: #f5f5f5;">
+                    ${CORPUS_TABLE_COLUMNS.map(([column, label]) => `<th data-corpus-sort="${column}" style="padding: 6px; text-align: left; cursor: pointer; white-space: nowrap;" title="Sort by ${label}">${label}${arrow(column)}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => `
+                <tr style="border-top: 1px solid #eee;">
+                    <td style="padding: 6px;"><button data-corpus-open="${indexOf.get(row)}" title="Open in the analysis view" style="border: none; background: none; color: #667eea; cursor: pointer; text-align: left; padding: 0;">${escapeHtml(row.file)}</button></td>
+                    ${row.error
+                        ? `<td colspan="${CORPUS_TABLE_COLUMNS.length - 1}" style="padding: 6px; color: #c62828;">❌ ${escapeHtml(row.error)}</td>`
+                        : CORPUS_TABLE_COLUMNS.slice(1).map(([column]) => `<td style="padding: 6px;">${formatCorpusValue(row[column])}</td>`).join('')}
+                </tr>`).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function displayPitchAnalysis(pitches, timestamps, pitchTrack = [], tuningAnalysis = null, transcription = null) {
     const chartElement = document.getElementById('pitch-chart');
     const pitchInfo = document.getElementById('pitch-info');
     
@@ -1492,7 +2217,8 @@ function displayPitchAnalysis(pitches, timestamps) {
         .sort((a, b) => b[1] - a[1])
         .slice(0, 12);
     
-    pitchChart = new Chart(ctx, {
+    // With a transcription the chart becomes a piano roll; otherwise the most common notes
+    pitchChart = transcription?.notes.length > 0 && pitchTrack.length > 0 ? createPianoRollChart(ctx, pitchTrack, transcription.notes) : new Chart(ctx, {
         type: 'bar',
         data: {
             labels: sortedNotes.map(([note]) => audioAnalyzer.midiToNoteName(parseInt(note))),
@@ -1535,6 +2261,302 @@ function displayPitchAnalysis(pitches, timestamps) {
         <p><strong>Most Common Note:</strong> ${sortedNotes[0] ? audioAnalyzer.midiToNoteName(parseInt(sortedNotes[0][0])) : 'N/A'}</p>
         <p><strong>Pitch Variation:</strong> ${pitchStdDev.toFixed(2)} Hz (${pitchStdDev > 50 ? 'High' : pitchStdDev > 20 ? 'Moderate' : 'Low'} variability)</p>
         <p><strong>Total Pitches Detected:</strong> ${pitches.length}</p>
+        ${pitchTrack.length > 0 ? `<p><strong>Voiced Frames:</strong> ${(pitches.length / pitchTrack.length * 100).toFixed(1)}% (mean confidence ${(pitchTrack.filter(f => f.voiced).reduce((sum, f) => sum + f.confidence, 0) / Math.max(1, pitches.length) * 100).toFixed(1)}%)</p>` : ''}
+        ${renderTuningSummary(tuningAnalysis)}
+    `;
+}
+
+const frequencyToMidi = frequency => 69 + 12 * Math.log2(frequency / 440);
+
+// Transcribed notes as piano-roll bars over the voiced pitch contour, both in MIDI note numbers
+function createPianoRollChart(ctx, pitchTrack, notes) {
+    const contour = thinPoints(pitchTrack.filter(frame => frame.voiced).map(frame => ({ x: frame.time, y: frequencyToMidi(frame.frequency) })), 1500);
+    // One two-point segment per note, separated by gaps
+    const bars = notes.flatMap(note => [
+        { x: note.onset, y: note.midi },
+        { x: note.onset + note.duration, y: note.midi },
+        { x: note.onset + note.duration, y: null }
+    ]);
+    
+    return new Chart(ctx, {
+        type: 'line',
+        data: {
+            datasets: [{
+                label: 'Transcribed Notes',
+                data: bars,
+                borderColor: 'rgba(255, 152, 0, 0.8)',
+                borderWidth: 8,
+                borderCapStyle: 'butt',
+                pointRadius: 0
+            }, {
+                label: 'Pitch Contour',
+                data: contour,
+                showLine: false,
+                pointRadius: 1,
+                borderColor: 'rgba(102, 126, 234, 0.8)',
+                backgroundColor: 'rgba(102, 126, 234, 0.8)'
+            }]
+        },
+        options: {
+            responsive: true,
+            spanGaps: false,
+            plugins: {
+                legend: { display: true },
+                title: {
+                    display: true,
+                    text: `Melody Transcription (${notes.length} notes)`
+                }
+            },
+            scales: {
+                y: {
+                    title: { display: true, text: 'Note' },
+                    ticks: {
+                        stepSize: 1,
+                        callback: value => (Number.isInteger(value) ? audioAnalyzer.midiToNoteName(value) : '')
+                    }
+                },
+                x: {
+                    type: 'linear',
+                    title: { display: true, text: 'Time (seconds)' }
+                }
+            }
+        }
+    });
+}
+
+// Note list with scale degrees, plus playback and CSV / MIDI export of the transcription
+function displayTranscription(transcription) {
+    const transcriptionInfo = document.getElementById('transcription-info');
+    if (!transcriptionInfo || !transcription) return;
+    
+    const notes = transcription.notes;
+    if (notes.length === 0) {
+        transcriptionInfo.innerHTML = '<p><strong>Transcription:</strong> No sustained notes found</p>';
+        return;
+    }
+    
+    const shown = notes.slice(0, 24).map(note => `<span title="${note.onset.toFixed(2)} s, ${note.duration.toFixed(2)} s, ${note.frequency.toFixed(1)} Hz, confidence ${(note.confidence * 100).toFixed(0)}%" style="display: inline-block; margin: 2px; padding: 2px 6px; background: #fff3e0; border-radius: 4px; font-size: 0.85em;">${escapeHtml(note.name)}${note.degree ? ` <span style="color: #666;">(${escapeHtml(note.degree.number)})</span>` : ''}</span>`).join('');
+    
+    transcriptionInfo.innerHTML = `
+        <div style="margin-top: 12px; padding: 10px; background: #f5f5f5; border-radius: 6px;">
+            <p style="margin: 0 0 6px;"><strong>Transcription:</strong> ${notes.length} notes (numbers are scale degrees from the tonic)</p>
+            <div>${shown}${notes.length > 24 ? ` <span style="color: #666;">… ${notes.length - 24} more</span>` : ''}</div>
+            <button id="play-transcription" class="btn-secondary" style="margin-top: 8px;">▶️ Play Melody</button>
+            <button id="download-transcription-csv" class="btn-secondary" style="margin-top: 8px;">📄 Notes (CSV)</button>
+            <button id="download-transcription-midi" class="btn-secondary" style="margin-top: 8px;">🎹 Notes (MIDI)</button>
+        </div>
+    `;
+}
+
+function playTranscription(notes) {
+    if (!window.composer || !notes?.length) {
+        showToast('warning', 'Nothing to play yet');
+        return;
+    }
+    window.composer.clearSequence();
+    notes.forEach(note => window.composer.addNote(note.frequency, note.duration, note.onset - notes[0].onset));
+    window.composer.playSequence();
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.download = filename;
+    link.href = url;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+// For user text (and text from opened files) placed into HTML
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+// One colour per section letter; repeats share their letter's colour
+const SECTION_COLORS = ['#667eea', '#ff9800', '#4caf50', '#e91e63', '#00bcd4', '#9c27b0', '#795548', '#607d8b'];
+
+function formatSectionTime(seconds) {
+    return `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+}
+
+// Labeled section timeline (A, B, A′ ...) above the charts
+function displayStructure(structure, duration) {
+    const container = document.getElementById('structure-timeline');
+    if (!container || !structure || structure.sections.length === 0) return;
+    
+    const letters = [...new Set(structure.sections.map(section => section.letter))];
+    const total = duration || structure.sections[structure.sections.length - 1].end;
+    const blocks = structure.sections.map(section => {
+        const color = SECTION_COLORS[letters.indexOf(section.letter) % SECTION_COLORS.length];
+        const width = ((section.end - section.start) / total * 100).toFixed(2);
+        const title = `${section.label}: ${formatSectionTime(section.start)} - ${formatSectionTime(section.end)}${section.similarity !== null ? ` (${(section.similarity * 100).toFixed(0)}% like its first ${section.letter})` : ''}`;
+        return `<div title="${escapeHtml(title)}" style="width: ${width}%; background: ${color}; opacity: ${section.label.endsWith('′') ? 0.7 : 1}; color: white; display: flex; flex-direction: column; align-items: center; justify-content: center; overflow: hidden; border-right: 2px solid white;">
+            <strong>${escapeHtml(section.label)}</strong>
+            <span style="font-size: 0.7em;">${formatSectionTime(section.start)}</span>
+        </div>`;
+    }).join('');
+    const repeats = structure.repeats.length
+        ? structure.repeats.map(({ sections: [first, second], similarity }) => `${escapeHtml(structure.sections[second].label)} at ${formatSectionTime(structure.sections[second].start)} returns to ${escapeHtml(structure.sections[first].label)} (${(similarity * 100).toFixed(0)}%)`).join(' · ')
+        : 'No repeated sections found';
+    
+    container.innerHTML = `
+        <div style="margin: 0 0 10px; padding: 15px; background: #f8f9fa; border-radius: 8px;">
+            <h4 style="margin: 0 0 10px;">🧩 Structure: ${escapeHtml(structure.sections.map(section => section.label).join(' '))}</h4>
+            <div style="display: flex; height: 44px; border-radius: 6px; overflow: hidden;">${blocks}</div>
+            <p style="margin: 8px 0 0; font-size: 0.9em; color: #555;">${structure.sections.length} section${structure.sections.length === 1 ? '' : 's'} · ${repeats}</p>
+        </div>
+    `;
+}
+
+// Every n-th point, so long recordings stay responsive to draw
+function thinPoints(points, maxPoints) {
+    const step = Math.max(1, Math.ceil(points.length / maxPoints));
+    return points.filter((_, i) => i % step === 0);
+}
+
+// Overall shape of the dynamics, from the loudness range (EBU LRA, in LU)
+function describeDynamics(loudness) {
+    if (loudness.loudnessRange === null) return 'Too short to judge';
+    if (loudness.loudnessRange >= 15) return 'Wide arc from quiet to loud';
+    if (loudness.loudnessRange >= 8) return 'Clear swells and contrasts';
+    if (loudness.loudnessRange >= 4) return 'Moderate variation';
+    return 'Steady, even drive';
+}
+
+// Loudness envelope over time, with the pitch contour on a second axis so swells can be read against the melody
+function displayLoudnessAnalysis(loudness, pitchTrack = []) {
+    const chartElement = document.getElementById('loudness-chart');
+    const loudnessInfo = document.getElementById('loudness-info');
+    if (!chartElement || !loudness) return;
+    
+    if (loudnessChart) loudnessChart.destroy();
+    
+    const envelope = loudness.envelope;
+    const points = values => thinPoints(envelope.times.map((time, i) => ({ x: time, y: values[i] })), 600);
+    const contour = thinPoints(pitchTrack.filter(frame => frame.voiced).map(frame => ({ x: frame.time, y: frame.frequency })), 1500);
+    
+    loudnessChart = new Chart(chartElement.getContext('2d'), {
+        type: 'line',
+        data: {
+            datasets: [{
+                label: 'Short-term Loudness (LUFS, 3 s)',
+                data: points(envelope.shortTerm),
+                borderColor: 'rgba(233, 30, 99, 1)',
+                backgroundColor: 'rgba(233, 30, 99, 0.15)',
+                fill: true,
+                pointRadius: 0,
+                yAxisID: 'y'
+            }, {
+                label: 'Momentary Loudness (LUFS, 0.4 s)',
+                data: points(envelope.momentary),
+                borderColor: 'rgba(233, 30, 99, 0.35)',
+                borderWidth: 1,
+                pointRadius: 0,
+                yAxisID: 'y'
+            }, {
+                label: 'Pitch (Hz)',
+                data: contour,
+                showLine: false,
+                pointRadius: 1,
+                borderColor: 'rgba(102, 126, 234, 0.7)',
+                backgroundColor: 'rgba(102, 126, 234, 0.7)',
+                yAxisID: 'pitch'
+            }]
+        },
+        options: {
+            responsive: true,
+            spanGaps: false,
+            plugins: {
+                legend: { display: true },
+                title: {
+                    display: true,
+                    text: 'Loudness and Pitch Over Time'
+                }
+            },
+            scales: {
+                y: {
+                    position: 'left',
+                    title: { display: true, text: 'Loudness (LUFS)' }
+                },
+                pitch: {
+                    type: 'logarithmic',
+                    position: 'right',
+                    grid: { drawOnChartArea: false },
+                    title: { display: true, text: 'Pitch (Hz)' }
+                },
+                x: {
+                    type: 'linear',
+                    title: { display: true, text: 'Time (seconds)' }
+                }
+            }
+        }
+    });
+    
+    const format = (value, unit) => (value === null ? 'N/A' : `${value.toFixed(1)} ${unit}`);
+    loudnessInfo.innerHTML = `
+        <p><strong>Integrated Loudness:</strong> ${format(loudness.integrated, 'LUFS')}</p>
+        <p><strong>Loudness Range:</strong> ${format(loudness.loudnessRange, 'LU')} — ${describeDynamics(loudness)}</p>
+        <p><strong>Loudest Moment:</strong> ${format(loudness.momentaryMax, 'LUFS')} momentary, ${format(loudness.shortTermMax, 'LUFS')} short-term</p>
+        <p><strong>Peak:</strong> ${format(loudness.samplePeak, 'dBFS')} sample, ${format(loudness.truePeak, 'dBTP')} true peak</p>
+        <p><strong>Crest Factor:</strong> ${format(loudness.crestFactor, 'dB')} (peak over RMS ${format(loudness.rms, 'dBFS')})</p>
+        <p><strong>Peak-to-Loudness Ratio:</strong> ${format(loudness.peakToLoudness, 'LU')}</p>
+    `;
+}
+
+// Cent histogram sparkline plus the best-fitting tuning system and per-degree deviations
+function renderTuningSummary(tuningAnalysis) {
+    const best = tuningAnalysis?.tuning?.best;
+    if (!best && tuningAnalysis?.tuning?.insufficientData && tuningAnalysis.degrees?.length) {
+        return `
+        <div style="margin-top: 12px; padding: 10px; background: #f5f5f5; border-radius: 6px;">
+            <p style="margin: 0;"><strong>Tuning System:</strong> Insufficient data (${tuningAnalysis.degrees.map(degree => escapeHtml(degree.label)).join(', ')}; too few distinct pitch classes to compare tuning systems)</p>
+        </div>
+    `;
+    }
+    if (!best) return '';
+    
+    const histogram = tuningAnalysis.histogram || [];
+    const step = Math.max(1, Math.floor(histogram.length / 120));
+    const points = [];
+    let peak = 0;
+    for (let i = 0; i < histogram.length; i += step) {
+        const value = histogram.slice(i, i + step).reduce((a, b) => a + b, 0);
+        points.push(value);
+        peak = Math.max(peak, value);
+    }
+    const polyline = points
+        .map((value, i) => `${(i / Math.max(1, points.length - 1) * 300).toFixed(1)},${(40 - (peak > 0 ? value / peak : 0) * 38).toFixed(1)}`)
+        .join(' ');
+    
+    const runnerUp = tuningAnalysis.tuning.ranking[1];
+    const rows = best.degrees.map(degree => {
+        const deviation = degree.deviationCents;
+        const color = Math.abs(deviation) <= 10 ? '#2e7d32' : Math.abs(deviation) <= 25 ? '#ef6c00' : '#c62828';
+        return `<tr>
+            <td style="padding: 2px 8px;">${escapeHtml(degree.label)}</td>
+            <td style="padding: 2px 8px; text-align: right;">${degree.cents.toFixed(0)}¢</td>
+            <td style="padding: 2px 8px; text-align: right; color: ${color};">${deviation > 0 ? '+' : ''}${deviation.toFixed(1)}¢</td>
+            <td style="padding: 2px 8px; text-align: right;">${(degree.weight * 100).toFixed(0)}%</td>
+        </tr>`;
+    }).join('');
+    
+    return `
+        <div style="margin-top: 12px; padding: 10px; background: #f5f5f5; border-radius: 6px;">
+            <p style="margin: 0 0 6px;"><strong>Tuning System:</strong> ${escapeHtml(best.name)} (fit ${(best.score * 100).toFixed(0)}%${runnerUp ? `; next: ${escapeHtml(runnerUp.name)} ${(runnerUp.score * 100).toFixed(0)}%` : ''})</p>
+            <svg viewBox="0 0 300 42" preserveAspectRatio="none" style="width: 100%; height: 42px; background: white; border-radius: 4px;">
+                <polyline points="${polyline}" fill="none" stroke="rgba(102, 126, 234, 1)" stroke-width="1.5"/>
+            </svg>
+            <p style="margin: 2px 0 8px; font-size: 0.8em; color: #666;">Pitch-class histogram, C → B (1200 cents)</p>
+            <table style="width: 100%; font-size: 0.85em; border-collapse: collapse;">
+                <thead><tr style="border-bottom: 1px solid #ddd;">
+                    <th style="padding: 2px 8px; text-align: left;">Degree</th>
+                    <th style="padding: 2px 8px; text-align: right;">Position</th>
+                    <th style="padding: 2px 8px; text-align: right;">Deviation</th>
+                    <th style="padding: 2px 8px; text-align: right;">Weight</th>
+                </tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
     `;
 }
 
@@ -1552,17 +2574,29 @@ function displayRhythmAnalysis(rhythmAnalysis) {
     // Destroy existing chart
     if (rhythmChart) rhythmChart.destroy();
     
+    // Tempo over time, with the instantaneous tempo of each beat-to-beat interval behind it
+    const tempoCurve = rhythmAnalysis.tempoCurve || [];
+    const beats = rhythmAnalysis.beats || [];
+    const beatTempos = beats.slice(1).map((time, i) => ({ x: time, y: Math.round(60 / (time - beats[i]) * 10) / 10 }));
+    
     rhythmChart = new Chart(ctx, {
         type: 'line',
         data: {
-            labels: rhythmAnalysis.intervals.slice(0, 30).map((_, i) => `${i + 1}`),
             datasets: [{
-                label: 'Inter-onset Intervals (ms)',
-                data: rhythmAnalysis.intervals.slice(0, 30),
+                label: 'Tempo Curve (BPM)',
+                data: tempoCurve.map(point => ({ x: point.time, y: point.bpm })),
                 borderColor: 'rgba(118, 75, 162, 1)',
                 backgroundColor: 'rgba(118, 75, 162, 0.2)',
                 tension: 0.4,
-                fill: true
+                fill: true,
+                pointRadius: 0
+            }, {
+                label: 'Beat-to-beat Tempo',
+                data: beatTempos,
+                showLine: false,
+                pointRadius: 2,
+                borderColor: 'rgba(255, 152, 0, 0.8)',
+                backgroundColor: 'rgba(255, 152, 0, 0.5)'
             }]
         },
         options: {
@@ -1571,22 +2605,36 @@ function displayRhythmAnalysis(rhythmAnalysis) {
                 legend: { display: true },
                 title: {
                     display: true,
-                    text: 'Rhythm Pattern (First 30 Beats)'
+                    text: 'Tempo Over Time'
                 }
             },
             scales: {
                 y: {
-                    title: { display: true, text: 'Interval Duration (ms)' }
+                    title: { display: true, text: 'Tempo (BPM)' }
                 },
                 x: {
-                    title: { display: true, text: 'Beat Number' }
+                    type: 'linear',
+                    title: { display: true, text: 'Time (seconds)' }
                 }
             }
         }
     });
     
-    const avgInterval = rhythmAnalysis.intervals.reduce((a, b) => a + b, 0) / rhythmAnalysis.intervals.length;
-    const timeSignature = rhythmAnalysis.tempo > 150 ? '2/4 or 6/8' : rhythmAnalysis.tempo > 100 ? '4/4' : '3/4 or 6/8';
+    const avgInterval = rhythmAnalysis.tempo > 0 ? 60000 / rhythmAnalysis.tempo : 0;
+    const stability = rhythmAnalysis.stability || 0;
+    const tempoRange = rhythmAnalysis.tempoRange;
+    const tempoAlternatives = (rhythmAnalysis.tempoCandidates || [])
+        .filter(candidate => candidate.relation !== '×1' && candidate.score > 0.05)
+        .slice(0, 3)
+        .map(candidate => `${Math.round(candidate.bpm)} BPM ${escapeHtml(candidate.relation)} (${(candidate.score * 100).toFixed(0)}%)`)
+        .join(', ');
+    const polyrhythm = rhythmAnalysis.polyrhythmic && rhythmAnalysis.polyrhythm ? rhythmAnalysis.polyrhythm.relations[0] : null;
+    const meter = rhythmAnalysis.meter;
+    const meterAlternatives = meter ? meter.candidates
+        .slice(1, 4)
+        .filter(candidate => candidate.label !== meter.label)
+        .map(candidate => `${escapeHtml(candidate.label)} (${(candidate.confidence * 100).toFixed(0)}%)`)
+        .join(', ') : '';
     
     // Enhanced rhythm information with ML features
     const complexityLabel = rhythmAnalysis.temporalComplexity > 0.7 ? 'Very Complex' :
@@ -1599,56 +2647,55 @@ function displayRhythmAnalysis(rhythmAnalysis) {
     rhythmInfo.innerHTML = `
         <p><strong>Estimated Tempo:</strong> ${rhythmAnalysis.tempo} BPM</p>
         <p><strong>Rhythm Regularity:</strong> ${(rhythmAnalysis.regularity * 100).toFixed(1)}% (${rhythmAnalysis.regularity > 0.8 ? 'Very Regular' : rhythmAnalysis.regularity > 0.6 ? 'Moderate' : 'Irregular'})</p>
-        <p><strong>Detected Beats:</strong> ${rhythmAnalysis.peakCount}</p>
+        <p><strong>Tempo Stability:</strong> ${(stability * 100).toFixed(1)}% (${stability > 0.8 ? 'Steady' : stability > 0.5 ? 'Flexible' : 'Free / rubato'})</p>
+        ${tempoRange && tempoRange.max - tempoRange.min >= 10 ? `<p><strong>Tempo Range:</strong> ${Math.round(tempoRange.min)} - ${Math.round(tempoRange.max)} BPM</p>` : ''}
+        ${tempoAlternatives ? `<p><strong>Alternative Tempo Readings:</strong> ${tempoAlternatives}</p>` : ''}
+        <p><strong>Tracked Beats:</strong> ${beats.length} (${rhythmAnalysis.peakCount} onsets detected${rhythmAnalysis.onsets ? ` by ${ONSET_METHOD_LABELS[rhythmAnalysis.onsets.method] || escapeHtml(rhythmAnalysis.onsets.method)}` : ''})</p>
+        ${rhythmAnalysis.onsets && rhythmAnalysis.onsets.bands.length ? `<p><strong>Onsets per Band:</strong> ${rhythmAnalysis.onsets.bands.map(band => `${escapeHtml(band.label)} ${band.times.length}`).join(' · ')}</p>` : ''}
         <p><strong>Average Beat Interval:</strong> ${avgInterval.toFixed(2)} ms</p>
-        <p><strong>Likely Time Signature:</strong> ${timeSignature}</p>
+        ${meter ? `<p><strong>Meter / Cycle:</strong> ${escapeHtml(meter.label)}${meter.cycleLength ? ` (${(meter.confidence * 100).toFixed(0)}% confidence${meter.grouping.includes('+') ? `, grouped ${escapeHtml(meter.grouping)}` : ''})` : ''}</p>` : ''}
+        ${meterAlternatives ? `<p><strong>Other Cycle Readings:</strong> ${meterAlternatives}</p>` : ''}
         <p><strong>Rhythmic Complexity:</strong> ${complexityLabel} (${(rhythmAnalysis.temporalComplexity * 100).toFixed(1)}%)</p>
-        ${rhythmAnalysis.polyrhythmic ? `<p><strong>⚡ Polyrhythmic Pattern Detected:</strong> ${rhythmAnalysis.polyrhythmRatio}</p>` : ''}
+        ${polyrhythm ? `<p><strong>⚡ Polyrhythmic Pattern Detected:</strong> ${describePolyrhythm(polyrhythm, rhythmAnalysis.polyrhythm.streams)}</p>
+        <canvas id="polyrhythm-circle" width="240" height="240" style="display: block; margin: 10px auto; border-radius: 8px;"></canvas>` : ''}
         <p><strong>Percussiveness:</strong> ${percussivenessLabel} (ZCR: ${(rhythmAnalysis.percussiveness * 100).toFixed(2)}%)</p>
         <p style="margin-top: 10px; padding: 10px; background: #f5f5f5; border-radius: 4px; font-size: 0.9em;">
             <strong>Analysis:</strong> ${rhythmAnalysis.regularity > 0.7 ? 'Steady, metronomic rhythm suitable for dance or marching.' : rhythmAnalysis.polyrhythmic ? 'Complex polyrhythmic structure common in West African and Latin American music.' : 'Irregular rhythm pattern, possibly rubato or free-time performance.'}
         </p>
     `;
+
+    const circleCanvas = document.getElementById('polyrhythm-circle');
+    if (polyrhythm && circleCanvas) {
+        // One position per pulse of the shared grid: p:q streams meet on a p×q grid
+        const [fast, slow] = polyrhythm.ratio.split(':').map(Number);
+        const grid = Array.from({ length: fast * slow }, (_, i) => i % slow === 0 || i % fast === 0);
+        new Visualizer3D(circleCanvas).drawRhythmCircle(grid, -1, polyrhythm);
+    }
 }
 
-function displayMusicalInsights(rhythmAnalysis, scaleAnalysis, spectralAnalysis) {
-    const insightsDiv = document.getElementById('cultural-insights');
-    
-    // Find similar cultures based on musical characteristics
-    const allCultures = getAllCultures();
-    let culturalMatches = [];
-    
-    allCultures.forEach(culture => {
-        let score = 0;
-        const characteristics = culture.characteristics;
-        
-        // Compare tempo
-        const tempoRange = characteristics.tempo.split('-').map(t => parseInt(t));
-        const avgTempo = (tempoRange[0] + tempoRange[1]) / 2;
-        const tempoDiff = Math.abs(rhythmAnalysis.tempo - avgTempo);
-        
-        if (tempoDiff < 15) score += 3;
-        else if (tempoDiff < 30) score += 2;
-        else if (tempoDiff < 50) score += 1;
-        
-        // Compare rhythm characteristics
-        if (rhythmAnalysis.regularity > 0.7 && characteristics.rhythm.toLowerCase().includes('steady')) score += 2;
-        if (rhythmAnalysis.regularity > 0.7 && characteristics.rhythm.toLowerCase().includes('regular')) score += 2;
-        if (rhythmAnalysis.polyrhythmic && characteristics.rhythm.toLowerCase().includes('complex')) score += 3;
-        if (rhythmAnalysis.polyrhythmic && characteristics.rhythm.toLowerCase().includes('polyrhythmic')) score += 3;
-        
-        // Compare scale types
-        if (scaleAnalysis.scale.includes('Pentatonic') && characteristics.scales.toLowerCase().includes('pentatonic')) score += 3;
-        if (scaleAnalysis.scale.includes('Minor') && characteristics.scales.toLowerCase().includes('minor')) score += 2;
-        if (scaleAnalysis.scale.includes('Major') && characteristics.scales.toLowerCase().includes('major')) score += 2;
-        
-        if (score > 0) {
-            culturalMatches.push({ culture, score });
-        }
-    });
+const ONSET_METHOD_LABELS = {
+    energy: 'energy',
+    flux: 'spectral flux',
+    hfc: 'high-frequency content',
+    complex: 'complex-domain'
+};
+
+// "3:2 — Bells / shakers (150 BPM) against Low drums (100 BPM), pulses coincide once per cycle"
+function describePolyrhythm(relation, streams) {
+    const [fast, slow] = relation.streams.map(index => streams[index]);
+    const phase = relation.aligned
+        ? 'pulses coincide once per cycle'
+        : `offset by ${Math.abs(relation.phaseOffset * 1000).toFixed(0)} ms`;
+    return `${escapeHtml(relation.ratio)} — ${escapeHtml(fast.bandLabel)} (${Math.round(fast.bpm)} BPM) against ${escapeHtml(slow.bandLabel)} (${Math.round(slow.bpm)} BPM), ${phase}`;
+}
+
+function displayMusicalInsights(rhythmAnalysis, scaleAnalysis, spectralAnalysis) {
+    const insightsDiv = document.getElementById('cultural-insights');
     
-    culturalMatches.sort((a, b) => b.score - a.score);
-    const topMatches = culturalMatches.slice(0, 5);
+    // Find similar cultures based on musical characteristics (tempo, regularity, meter, scale, timbre)
+    const topMatches = matchCulture({ rhythm: rhythmAnalysis, scale: scaleAnalysis, spectral: spectralAnalysis })
+        .filter(match => match.matchedFeatures.length > 0)
+        .slice(0, 5);
     
     // Determine musical characteristics without cultural presumptions
     const tempoCategory = rhythmAnalysis.tempo < 60 ? 'Very Slow (Grave/Largo)' :
@@ -1668,7 +2715,8 @@ function displayMusicalInsights(rhythmAnalysis, scaleAnalysis, spectralAnalysis)
                        scaleAnalysis.scale.includes('Major') || scaleAnalysis.scale.includes('Minor') ? 'Diatonic (7-note scales)' :
                        scaleAnalysis.scale.includes('Blues') ? 'Blues-influenced' :
                        scaleAnalysis.scale.includes('Chromatic') ? 'Chromatic (12-tone)' :
-                       scaleAnalysis.scale.includes('Whole Tone') ? 'Whole Tone (6-note symmetrical)' : 'Modal';
+                       scaleAnalysis.scale.includes('Whole Tone') ? 'Whole Tone (6-note symmetrical)' :
+                       scaleAnalysis.scale === 'Unknown' ? 'Undetermined (too few distinct pitches)' : 'Modal';
     
     // Advanced musical analysis
     const energyLevel = spectralAnalysis.rolloff > 3000 ? 'High Energy' : 
@@ -1687,16 +2735,19 @@ function displayMusicalInsights(rhythmAnalysis, scaleAnalysis, spectralAnalysis)
             <div style="margin-bottom: 20px; padding: 15px; background: #e8f5e9; border-radius: 8px; border-left: 4px solid #4caf50;">
                 <h4 style="margin-top: 0;">🌍 Similar Musical Cultures</h4>
                 <p style="margin: 0 0 15px; font-size: 0.9em; color: #2e7d32;">
-                    Based on tempo, rhythm, and scale characteristics, your audio shares similarities with:
+                    Based on tempo, rhythm, meter, scale, and timbre characteristics, your audio shares similarities with:
                 </p>
                 ${topMatches.map((match, i) => `
                     <div style="margin: 10px 0; padding: 12px; background: white; border-radius: 6px; box-shadow: 0 1px 3px rgba(0,0,0,0.1);">
                         <strong style="font-size: 1.1em;">${i + 1}. ${match.culture.emoji} ${match.culture.name}</strong>
                         <p style="margin: 5px 0 0; font-size: 0.85em; color: #555;">
-                            <strong>Match Score:</strong> ${match.score}/10 | 
+                            <strong>Match Score:</strong> ${match.score.toFixed(1)} (${(match.confidence * 100).toFixed(0)}%) | 
                             <strong>Tempo:</strong> ${match.culture.characteristics.tempo} BPM | 
                             <strong>Rhythm:</strong> ${match.culture.characteristics.rhythm}
                         </p>
+                        <p style="margin: 5px 0 0; font-size: 0.85em; color: #666;">
+                            <strong>Matched:</strong> ${match.matchedFeatures.map(feature => escapeHtml(feature)).join(', ')}
+                        </p>
                         <p style="margin: 5px 0 0; font-size: 0.85em; color: #666;">
                             <strong>Scales:</strong> ${match.culture.characteristics.scales}
                         </p>
@@ -1714,11 +2765,19 @@ function displayMusicalInsights(rhythmAnalysis, scaleAnalysis, spectralAnalysis)
         
         <div style="margin-bottom: 20px; padding: 15px; background: #f0f4ff; border-radius: 8px; border-left: 4px solid #667eea;">
             <h4 style="margin-top: 0;">🎼 Musical Scale & Tonality</h4>
-            <p><strong style="font-size: 1.3em; color: #667eea;">${scaleAnalysis.scale}</strong></p>
+            <p><strong style="font-size: 1.3em; color: #667eea;">${escapeHtml(scaleAnalysis.scale)}</strong></p>
+            ${scaleAnalysis.tonic ? `<p style="margin: 5px 0;">${describeTonic(scaleAnalysis)}</p>` : ''}
+            ${scaleAnalysis.tonic ? `<p style="margin: 5px 0; font-size: 0.9em;">
+                <strong>Tonic Evidence:</strong> ${TONIC_SOURCE_LABELS[scaleAnalysis.tonic.source] || escapeHtml(scaleAnalysis.tonic.source)}
+                (${(scaleAnalysis.tonic.confidence * 100).toFixed(0)}%)${scaleAnalysis.tonic.drone ? ` · drone at ${scaleAnalysis.tonic.drone.frequency} Hz (${escapeHtml(scaleAnalysis.tonic.drone.label)})` : ''}
+            </p>` : ''}
             <p style="margin: 5px 0; font-size: 0.9em;">
                 <strong>Detection Confidence:</strong> ${(scaleAnalysis.confidence * 100).toFixed(1)}% 
                 ${scaleAnalysis.confidence > 0.7 ? '✓ High Confidence' : scaleAnalysis.confidence > 0.4 ? '~ Moderate Confidence' : '? Low Confidence - Ambiguous Tonality'}
             </p>
+            ${scaleAnalysis.hypotheses?.length ? `<p style="margin: 5px 0; font-size: 0.9em;">
+                <strong>Key Hypotheses:</strong> ${scaleAnalysis.hypotheses.slice(0, 5).map(h => `${escapeHtml(h.tonic)} ${escapeHtml(h.mode)} ${(h.probability * 100).toFixed(0)}%`).join(' · ')}
+            </p>` : ''}
             <p style="margin: 5px 0; font-size: 0.9em;">
                 <strong>Scale Family:</strong> ${scaleFamily}
             </p>
@@ -1733,7 +2792,7 @@ function displayMusicalInsights(rhythmAnalysis, scaleAnalysis, spectralAnalysis)
                 <p style="margin: 5px 0; font-size: 0.9em;"><strong>Category:</strong> ${tempoCategory}</p>
                 <p style="margin: 5px 0; font-size: 0.9em;"><strong>Character:</strong> ${rhythmicCharacter}</p>
                 <p style="margin: 5px 0; font-size: 0.9em;"><strong>Regularity:</strong> ${(rhythmAnalysis.regularity * 100).toFixed(0)}%</p>
-                ${rhythmAnalysis.polyrhythmic ? `<p style="margin: 5px 0; font-size: 0.9em; color: #d84315;"><strong>⚡ Polyrhythm:</strong> ${rhythmAnalysis.polyrhythmRatio}</p>` : ''}
+                ${rhythmAnalysis.polyrhythmic ? `<p style="margin: 5px 0; font-size: 0.9em; color: #d84315;"><strong>⚡ Polyrhythm:</strong> ${escapeHtml(rhythmAnalysis.polyrhythmRatio)}</p>` : ''}
             </div>
             
             <div style="padding: 15px; background: #f3e5f5; border-radius: 8px; border-left: 4px solid #9c27b0;">
@@ -1770,6 +2829,19 @@ function displayMusicalInsights(rhythmAnalysis, scaleAnalysis, spectralAnalysis)
     `;
 }
 
+const TONIC_SOURCE_LABELS = {
+    'drone': 'sustained drone',
+    'drone+histogram': 'drone and most-used pitch',
+    'histogram': 'most-used pitch and its fifth'
+};
+
+// e.g. "Tonic ≈ D (147 Hz), mode matches Raga Bhairav (Indian)"
+function describeTonic(scaleAnalysis) {
+    const tonic = scaleAnalysis.tonic;
+    if (!tonic) return '';
+    return `<strong>Tonic ≈ ${escapeHtml(tonic.note)} (${Math.round(tonic.frequency)} Hz)</strong>, mode matches ${escapeHtml(scaleAnalysis.scale)}`;
+}
+
 function getSuggestedMusicalUses(rhythmAnalysis, scaleAnalysis, spectralAnalysis) {
     let suggestions = [];
     
@@ -1847,78 +2919,118 @@ function getScaleDescription(scaleName) {
     return descriptions[scaleName] || '<p>An interesting scale structure with unique intervallic relationships.</p>';
 }
 
-// Spectral Analysis Function
-function analyzeSpectrum(channelData, sampleRate) {
-    const fftSize = 2048;
-    const spectrum = [];
-    
-    // Analyze multiple windows
-    let windows = 0;
-    const maxWindows = 50; // Reduced from 200 to prevent freeze
-    for (let i = 0; i < channelData.length - fftSize; i += fftSize * 32) {
-        const window = channelData.slice(i, i + fftSize);
-        const fft = performFFT(window);
-        spectrum.push(fft);
-        windows++;
-        if (windows >= maxWindows) break;
-    }
-    
-    // Calculate average spectrum
-    const avgSpectrum = new Array(fftSize / 2).fill(0);
-    spectrum.forEach(spec => {
-        for (let i = 0; i < spec.length; i++) {
-            avgSpectrum[i] += spec[i];
-        }
-    });
-    avgSpectrum.forEach((val, i, arr) => arr[i] = val / spectrum.length);
-    
-    // Calculate spectral features
-    const spectralCentroid = calculateSpectralCentroid(avgSpectrum, sampleRate);
-    const spectralRolloff = calculateSpectralRolloff(avgSpectrum, sampleRate);
-    const brightness = spectralCentroid / (sampleRate / 2);
-    
-    return {
-        spectrum: avgSpectrum,
-        centroid: spectralCentroid,
-        rolloff: spectralRolloff,
-        brightness: brightness
-    };
+// "Left 40%", "Centre", "Right 75%"
+function describePan(band) {
+    if (band.position === 'centre') return 'Centre';
+    return `${band.position === 'left' ? 'Left' : 'Right'} ${Math.round(Math.abs(band.pan) * 100)}%`;
 }
 
-function performFFT(data) {
-    // Simple magnitude spectrum approximation
-    const magnitudes = [];
-    for (let i = 0; i < data.length / 2; i++) {
-        magnitudes.push(Math.abs(data[i]));
-    }
-    return magnitudes;
+function describeStereoWidth(stereo) {
+    if (stereo.correlation < 0) return 'Out of phase (check the recording)';
+    if (stereo.width < 0.05) return 'Essentially mono';
+    if (stereo.width < 0.2) return 'Narrow';
+    if (stereo.width < 0.4) return 'Wide';
+    return 'Very wide / diffuse';
 }
 
-function calculateSpectralCentroid(spectrum, sampleRate) {
-    let weightedSum = 0;
-    let sum = 0;
-    for (let i = 0; i < spectrum.length; i++) {
-        const freq = (i * sampleRate) / (spectrum.length * 2);
-        weightedSum += freq * spectrum[i];
-        sum += spectrum[i];
-    }
-    return sum > 0 ? weightedSum / sum : 0;
+// Plain-language readings of the instrument cues
+function describeInstrumentFeatures(features) {
+    const cues = [];
+    if (features.attackTime !== null) cues.push(`Attack ${(features.attackTime * 1000).toFixed(0)} ms (${features.attackTime < 0.02 ? 'plucked / struck' : 'bowed / blown / sung'})`);
+    if (features.decayRate !== null) cues.push(`Decay ${features.decayRate.toFixed(0)} dB/s (${features.decayRate < 4 ? 'sustained' : features.decayRate < 25 ? 'ringing' : 'short'})`);
+    cues.push(`Continuity ${(features.continuity * 100).toFixed(0)}%`);
+    if (features.harmonicity !== null) cues.push(`Harmonicity ${(features.harmonicity * 100).toFixed(0)}%`);
+    if (features.inharmonicity !== null) cues.push(`Inharmonicity B = ${features.inharmonicity.toExponential(1)}${features.partialDeviation !== null ? ` (partials off by ${features.partialDeviation.toFixed(0)}¢)` : ''}`);
+    if (features.harmonicCentroid !== null) cues.push(`Harmonic centroid ${features.harmonicCentroid.toFixed(1)}${features.oddEvenRatio !== null ? `, odd/even ${features.oddEvenRatio > 0 ? '+' : ''}${features.oddEvenRatio.toFixed(1)} dB` : ''}`);
+    cues.push(`Spectral centroid ${features.spectralCentroid} Hz`);
+    if (features.pitch !== null) cues.push(`Register ${features.pitchRange[0].toFixed(0)}-${features.pitchRange[1].toFixed(0)} Hz`);
+    return cues;
 }
 
-function calculateSpectralRolloff(spectrum, sampleRate) {
-    const totalEnergy = spectrum.reduce((a, b) => a + b, 0);
-    const threshold = totalEnergy * 0.85;
-    let cumulativeEnergy = 0;
-    for (let i = 0; i < spectrum.length; i++) {
-        cumulativeEnergy += spectrum[i];
-        if (cumulativeEnergy >= threshold) {
-            return (i * sampleRate) / (spectrum.length * 2);
-        }
-    }
-    return 0;
+// Top instrument candidates with score bars, and the cues they were matched on
+function displayInstrumentRecognition(instrument) {
+    const instrumentInfo = document.getElementById('instrument-info');
+    if (!instrumentInfo || !instrument) return;
+    
+    const candidates = instrument.candidates.map((candidate, i) => `
+        <div style="margin: 6px 0;">
+            <div style="display: flex; justify-content: space-between; font-size: 0.95em;">
+                <span>${i === 0 ? '<strong>' : ''}${escapeHtml(candidate.instrument)}${i === 0 ? '</strong>' : ''} <span style="color: #666; font-size: 0.85em;">${escapeHtml(candidate.family)}</span></span>
+                <span>${(candidate.score * 100).toFixed(0)}%</span>
+            </div>
+            <div style="height: 8px; background: #e0e0e0; border-radius: 4px; overflow: hidden;">
+                <div style="width: ${(candidate.score * 100).toFixed(1)}%; height: 100%; background: ${i === 0 ? '#667eea' : 'rgba(102, 126, 234, 0.5)'};"></div>
+            </div>
+        </div>
+    `).join('');
+    
+    instrumentInfo.innerHTML = `
+        ${candidates}
+        <p style="margin-top: 12px; font-size: 0.85em; color: #555;">${describeInstrumentFeatures(instrument.features).join(' · ')}</p>
+        <p style="font-size: 0.8em; color: #888;">Scores show how well each instrument's typical attack, decay, harmonicity and register fit this recording; mixtures and unusual playing can mislead them.</p>
+    `;
+}
+
+// Stereo image of the file and, when several signals were analyzed, a short summary of each
+function displayChannelAnalysis(result) {
+    const channelInfo = document.getElementById('channel-info');
+    if (!channelInfo) return;
+    
+    const stereo = result.stereo;
+    const summaries = (result.channels || []).map(channel => `
+        <div style="margin: 8px 0; padding: 8px; background: #f5f5f5; border-radius: 6px;">
+            <p style="margin: 0 0 4px;"><strong>${escapeHtml(channel.label)}</strong></p>
+            <p style="margin: 2px 0; font-size: 0.9em;">Tempo: ${channel.rhythm.tempo} BPM · Meter: ${escapeHtml(channel.rhythm.meter?.label || 'N/A')}${channel.rhythm.polyrhythmic ? ` · Polyrhythm ${escapeHtml(channel.rhythm.polyrhythmRatio)}` : ''}</p>
+            <p style="margin: 2px 0; font-size: 0.9em;">Scale: ${escapeHtml(channel.scale?.scale || 'Unknown')}${channel.scale?.tonic ? ` on ${escapeHtml(channel.scale.tonic.note)}` : ''} · ${channel.pitches.length} voiced frames</p>
+            <p style="margin: 2px 0; font-size: 0.9em;">Spectral centroid: ${channel.spectral.centroid.toFixed(0)} Hz${channel.instrument?.candidates[0] ? ` · Sounds like: ${escapeHtml(channel.instrument.candidates[0].instrument)}` : ''}</p>
+        </div>
+    `).join('');
+    
+    channelInfo.innerHTML = `
+        <p><strong>Analyzed:</strong> ${escapeHtml(result.channel.label)} (${result.channelCount} channel${result.channelCount === 1 ? '' : 's'} in file)</p>
+        ${stereo ? `
+        <p><strong>Stereo Width:</strong> ${(stereo.width * 100).toFixed(0)}% — ${describeStereoWidth(stereo)}</p>
+        <p><strong>Correlation:</strong> ${stereo.correlation.toFixed(2)} (+1 = identical channels, 0 = unrelated, −1 = out of phase)</p>
+        <p><strong>Balance:</strong> ${stereo.balance === null ? 'N/A' : stereo.balance === 0 ? 'Even' : `${Math.abs(stereo.balance).toFixed(1)} dB louder on the ${stereo.balance > 0 ? 'right' : 'left'}`}</p>
+        <p><strong>Band Placement:</strong> ${stereo.bands.map(band => `${escapeHtml(band.label)}: ${describePan(band)}`).join(' · ')}</p>
+        ` : ''}
+        ${summaries ? `<p style="margin-top: 10px;"><strong>Per-signal results</strong> (the cards above show ${escapeHtml(result.channel.label)}):</p>${summaries}` : ''}
+    `;
+}
+
+// Contrast bands as produced by utils/features.js: below 200 Hz, then octaves
+const CONTRAST_BAND_LABELS = ['<200', '200-400', '400-800', '800-1.6k', '1.6k-3.2k', '3.2k-6.4k', '>6.4k'];
+
+// Chroma profile, spectral contrast, flatness and the MFCC mean as compact bar rows
+function renderFeatureSummary(features) {
+    if (!features || !features.frameCount) return '';
+    
+    const bars = (values, labels, color, format) => {
+        const max = Math.max(...values.map(Math.abs), 1e-9);
+        return `<div style="display: flex; align-items: flex-end; gap: 3px; height: 60px;">
+            ${values.map((value, i) => `<div title="${labels[i]}: ${format(value)}" style="flex: 1; display: flex; flex-direction: column; align-items: center; justify-content: flex-end; height: 100%;">
+                <div style="width: 100%; height: ${(Math.abs(value) / max * 46).toFixed(1)}px; background: ${value < 0 ? '#bdbdbd' : color}; border-radius: 2px 2px 0 0;"></div>
+                <span style="font-size: 0.65em; color: #666;">${labels[i]}</span>
+            </div>`).join('')}
+        </div>`;
+    };
+    const flatness = features.flatness.mean;
+    const contrastLabels = features.contrast.mean.map((_, i) => CONTRAST_BAND_LABELS[i] || `Band ${i + 1}`);
+    
+    return `
+        <div style="margin-top: 12px; padding: 10px; background: #f5f5f5; border-radius: 6px;">
+            <p style="margin: 0 0 6px;"><strong>Spectral Flatness:</strong> ${flatness.toFixed(3)} (${flatness > 0.3 ? 'noisy / breathy' : flatness > 0.1 ? 'mixed' : 'clearly pitched'})</p>
+            <p style="margin: 8px 0 4px; font-size: 0.9em;"><strong>Chroma (pitch-class energy)</strong></p>
+            ${bars(features.chroma.mean, features.chroma.labels, 'rgba(102, 126, 234, 0.8)', value => value.toFixed(2))}
+            <p style="margin: 8px 0 4px; font-size: 0.9em;"><strong>Spectral Contrast (dB, peak vs. valley per band)</strong></p>
+            ${bars(features.contrast.mean, contrastLabels, 'rgba(76, 175, 80, 0.8)', value => `${value.toFixed(1)} dB`)}
+            <p style="margin: 8px 0 4px; font-size: 0.9em;"><strong>MFCC Means</strong> (coefficients 1-${features.mfcc.mean.length - 1}; 0 is overall level)</p>
+            ${bars(features.mfcc.mean.slice(1), features.mfcc.mean.slice(1).map((_, i) => `${i + 1}`), 'rgba(255, 152, 0, 0.8)', value => value.toFixed(2))}
+        </div>
+    `;
 }
 
-function displaySpectralAnalysis(spectralAnalysis) {
+function displaySpectralAnalysis(spectralAnalysis, features = null) {
     const chartElement = document.getElementById('spectral-chart');
     const spectralInfo = document.getElementById('spectral-info');
     
@@ -1936,8 +3048,9 @@ function displaySpectralAnalysis(spectralAnalysis) {
     const downsampleFactor = 8;
     const labels = [];
     const data = [];
+    const binHz = spectralAnalysis.sampleRate / spectralAnalysis.fftSize;
     for (let i = 0; i < spectralAnalysis.spectrum.length; i += downsampleFactor) {
-        labels.push(`${(i * 22050 / spectralAnalysis.spectrum.length).toFixed(0)} Hz`);
+        labels.push(`${(i * binHz).toFixed(0)} Hz`);
         data.push(spectralAnalysis.spectrum[i]);
     }
     
@@ -1979,9 +3092,10 @@ function displaySpectralAnalysis(spectralAnalysis) {
     spectralInfo.innerHTML = `
         <p><strong>Spectral Centroid:</strong> ${spectralAnalysis.centroid.toFixed(2)} Hz</p>
         <p><strong>Spectral Rolloff:</strong> ${spectralAnalysis.rolloff.toFixed(2)} Hz (85% energy threshold)</p>
-        <p><strong>Brightness:</strong> ${(spectralAnalysis.brightness * 100).toFixed(1)}%</p>
+        <p><strong>Brightness:</strong> ${(spectralAnalysis.brightness * 100).toFixed(1)}% (energy above 1.5 kHz)</p>
         <p><strong>Timbre Character:</strong> ${timbre}</p>
         <p><strong>Analysis:</strong> ${spectralAnalysis.brightness > 0.5 ? 'High-frequency content suggests presence of cymbals, strings, or bright instruments' : 'Low-frequency dominant, suggests drums, bass, or darker timbres'}</p>
+        ${renderFeatureSummary(features)}
     `;
 }
 
@@ -1994,14 +3108,23 @@ function setupDownloadButtons() {
     document.addEventListener('click', (e) => {
         if (e.target?.id === 'download-pitch-chart') {
             downloadChart(pitchChart, 'pitch-analysis.png');
+        } else if (e.target?.id === 'download-loudness-chart') {
+            downloadChart(loudnessChart, 'loudness-analysis.png');
         } else if (e.target?.id === 'download-rhythm-chart') {
             downloadChart(rhythmChart, 'rhythm-analysis.png');
         } else if (e.target?.id === 'download-spectral-chart') {
             downloadChart(spectralChart, 'spectral-analysis.png');
-        } else if (e.target?.id === 'download-analysis-data') {
-            downloadJSON(currentAnalysisData, 'music-analysis-data.json');
+        } else if (e.target?.id === 'download-analysis-data' && currentAnalysisData) {
+            const name = (currentAnalysisData.filename || 'music-analysis').replace(/\.[^.]+$/, '');
+            downloadBlob(new Blob([serializeAnalysisDocument(createAnalysisDocument(currentAnalysisData))], { type: 'application/json' }), `${name}.analysis.json`);
         } else if (e.target?.id === 'download-full-report') {
             generateAnalysisReport();
+        } else if (e.target?.id === 'play-transcription') {
+            playTranscription(currentAnalysisData?.transcription?.notes);
+        } else if (e.target?.id === 'download-transcription-csv' && currentAnalysisData?.transcription) {
+            downloadBlob(new Blob([notesToCsv(currentAnalysisData.transcription.notes)], { type: 'text/csv' }), 'transcription.csv');
+        } else if (e.target?.id === 'download-transcription-midi' && currentAnalysisData?.transcription) {
+            downloadBlob(new Blob([notesToMidi(currentAnalysisData.transcription.notes, { bpm: currentAnalysisData.rhythm?.tempo || 120 })], { type: 'audio/midi' }), 'transcription.mid');
         }
     });
     
@@ -2031,14 +3154,19 @@ Created by: Rohan R. Sagar
 FILE INFORMATION
 Duration: ${currentAnalysisData.duration.toFixed(2)} seconds
 Sample Rate: ${currentAnalysisData.sampleRate} Hz
+${currentAnalysisData.decoder ? `Decoder: ${currentAnalysisData.decoder.label}\n` : ''}${currentAnalysisData.region ? `Region: ${regionLabel(currentAnalysisData.region)} (times below are measured from the region start)\n` : ''}Analyzer: v${currentAnalysisData.analyzer?.version || 'unknown'} (${currentAnalysisData.analyzer?.mode || 'unknown'} mode${currentAnalysisData.analyzer?.seed ? `, seed ${currentAnalysisData.analyzer.seed}` : ''})
 
 ═══════════════════════════════════════════════════
 
 RHYTHM ANALYSIS
 Tempo: ${currentAnalysisData.rhythm.tempo} BPM
 Rhythm Regularity: ${(currentAnalysisData.rhythm.regularity * 100).toFixed(1)}%
-Detected Beats: ${currentAnalysisData.rhythm.peakCount}
+Tracked Beats: ${currentAnalysisData.rhythm.beats?.length ?? 'N/A'} (${currentAnalysisData.rhythm.peakCount} onsets${currentAnalysisData.rhythm.onsets ? `, ${currentAnalysisData.rhythm.onsets.method} detection` : ''})
+Tempo Stability: ${currentAnalysisData.rhythm.stability !== undefined ? `${(currentAnalysisData.rhythm.stability * 100).toFixed(1)}%` : 'N/A'}
+Tempo Range: ${currentAnalysisData.rhythm.tempoRange ? `${Math.round(currentAnalysisData.rhythm.tempoRange.min)} - ${Math.round(currentAnalysisData.rhythm.tempoRange.max)} BPM` : 'N/A'}
+Meter / Cycle: ${currentAnalysisData.rhythm.meter ? `${currentAnalysisData.rhythm.meter.label}${currentAnalysisData.rhythm.meter.cycleLength ? ` (${(currentAnalysisData.rhythm.meter.confidence * 100).toFixed(0)}%, grouped ${currentAnalysisData.rhythm.meter.grouping})` : ''}` : 'N/A'}
 Pattern Complexity: ${currentAnalysisData.rhythm.regularity < 0.6 ? 'Complex (Polyrhythmic)' : 'Simple'}
+Polyrhythm: ${currentAnalysisData.rhythm.polyrhythmic && currentAnalysisData.rhythm.polyrhythm ? describePolyrhythm(currentAnalysisData.rhythm.polyrhythm.relations[0], currentAnalysisData.rhythm.polyrhythm.streams) : 'None detected'}
 
 ═══════════════════════════════════════════════════
 
@@ -2046,6 +3174,17 @@ PITCH ANALYSIS
 Total Pitches Detected: ${currentAnalysisData.pitches.length}
 Average Pitch: ${(currentAnalysisData.pitches.reduce((a,b)=>a+b,0)/currentAnalysisData.pitches.length).toFixed(2)} Hz
 Pitch Range: ${Math.min(...currentAnalysisData.pitches).toFixed(2)} - ${Math.max(...currentAnalysisData.pitches).toFixed(2)} Hz
+Tonic: ${currentAnalysisData.scale?.tonic ? `${currentAnalysisData.scale.tonic.label} (${Math.round(currentAnalysisData.scale.tonic.frequency)} Hz, from ${TONIC_SOURCE_LABELS[currentAnalysisData.scale.tonic.source] || currentAnalysisData.scale.tonic.source})` : 'N/A'}
+Scale / Mode: ${currentAnalysisData.scale?.scale || 'Unknown'}${currentAnalysisData.scale?.tonic ? ` on ${currentAnalysisData.scale.tonic.note}` : ''}
+Key Hypotheses: ${currentAnalysisData.scale?.hypotheses?.length ? currentAnalysisData.scale.hypotheses.map(h => `${h.tonic} ${h.mode} (r = ${h.correlation.toFixed(2)}, p = ${h.probability.toFixed(3)})`).join(', ') : 'N/A'}
+Tuning System: ${currentAnalysisData.tuning?.tuning?.best ? `${currentAnalysisData.tuning.tuning.best.name} (fit ${(currentAnalysisData.tuning.tuning.best.score * 100).toFixed(0)}%)` : currentAnalysisData.tuning?.tuning?.insufficientData && currentAnalysisData.tuning.degrees?.length ? 'Insufficient data (too few distinct pitch classes)' : 'N/A'}
+Scale Degrees: ${currentAnalysisData.tuning?.tuning?.best ? currentAnalysisData.tuning.tuning.best.degrees.map(d => `${d.label} (${d.deviationCents > 0 ? '+' : ''}${d.deviationCents}¢)`).join(', ') : 'N/A'}
+
+═══════════════════════════════════════════════════
+
+TRANSCRIPTION
+Notes: ${currentAnalysisData.transcription ? currentAnalysisData.transcription.notes.length : 'N/A'}
+${(currentAnalysisData.transcription?.notes || []).map(note => `${note.onset.toFixed(2)} s  ${note.duration.toFixed(2)} s  ${note.name}${note.degree ? `  degree ${note.degree.number} (${note.degree.label}${note.degree.deviationCents ? ` ${note.degree.deviationCents > 0 ? '+' : ''}${note.degree.deviationCents}¢` : ''})` : ''}`).join('\n')}
 
 ═══════════════════════════════════════════════════
 
@@ -2054,6 +3193,49 @@ Spectral Centroid: ${currentAnalysisData.spectral.centroid.toFixed(2)} Hz
 Spectral Rolloff: ${currentAnalysisData.spectral.rolloff.toFixed(2)} Hz
 Brightness: ${(currentAnalysisData.spectral.brightness * 100).toFixed(1)}%
 Timbre: ${currentAnalysisData.spectral.brightness > 0.6 ? 'Bright' : currentAnalysisData.spectral.brightness > 0.4 ? 'Balanced' : 'Dark'}
+Spectral Flatness: ${currentAnalysisData.features ? currentAnalysisData.features.flatness.mean.toFixed(3) : 'N/A'}
+Spectral Contrast (dB per band): ${currentAnalysisData.features ? currentAnalysisData.features.contrast.mean.map((value, i) => `${CONTRAST_BAND_LABELS[i] || i + 1} ${value.toFixed(1)}`).join(', ') : 'N/A'}
+Chroma Profile: ${currentAnalysisData.features ? currentAnalysisData.features.chroma.labels.map((label, i) => `${label} ${currentAnalysisData.features.chroma.mean[i].toFixed(2)}`).join(', ') : 'N/A'}
+MFCC Means: ${currentAnalysisData.features ? currentAnalysisData.features.mfcc.mean.map(value => value.toFixed(2)).join(', ') : 'N/A'}
+MFCC Variances: ${currentAnalysisData.features ? currentAnalysisData.features.mfcc.variance.map(value => value.toFixed(2)).join(', ') : 'N/A'}
+
+═══════════════════════════════════════════════════
+
+STRUCTURE
+Form: ${currentAnalysisData.structure ? currentAnalysisData.structure.sections.map(section => section.label).join(' ') : 'N/A'}
+${(currentAnalysisData.structure?.sections || []).map(section => `${section.label}: ${formatSectionTime(section.start)} - ${formatSectionTime(section.end)}${section.similarity !== null ? ` (similarity ${section.similarity.toFixed(2)})` : ''}`).join('\n')}
+
+═══════════════════════════════════════════════════
+
+INSTRUMENT RECOGNITION
+${currentAnalysisData.instrument ? currentAnalysisData.instrument.candidates.map((candidate, i) => `${i + 1}. ${candidate.instrument} (${candidate.family}) ${(candidate.score * 100).toFixed(0)}%`).join('\n') : 'N/A'}
+Cues: ${currentAnalysisData.instrument ? describeInstrumentFeatures(currentAnalysisData.instrument.features).join(', ') : 'N/A'}
+
+═══════════════════════════════════════════════════
+
+LOUDNESS & DYNAMICS
+Integrated Loudness: ${currentAnalysisData.loudness?.integrated != null ? `${currentAnalysisData.loudness.integrated.toFixed(1)} LUFS` : 'N/A'}
+Loudness Range: ${currentAnalysisData.loudness?.loudnessRange != null ? `${currentAnalysisData.loudness.loudnessRange.toFixed(1)} LU (${describeDynamics(currentAnalysisData.loudness)})` : 'N/A'}
+Max Momentary / Short-term: ${currentAnalysisData.loudness ? `${currentAnalysisData.loudness.momentaryMax ?? 'N/A'} / ${currentAnalysisData.loudness.shortTermMax ?? 'N/A'} LUFS` : 'N/A'}
+Sample Peak: ${currentAnalysisData.loudness?.samplePeak != null ? `${currentAnalysisData.loudness.samplePeak.toFixed(1)} dBFS` : 'N/A'}
+True Peak: ${currentAnalysisData.loudness?.truePeak != null ? `${currentAnalysisData.loudness.truePeak.toFixed(1)} dBTP` : 'N/A'}
+Crest Factor: ${currentAnalysisData.loudness?.crestFactor != null ? `${currentAnalysisData.loudness.crestFactor.toFixed(1)} dB` : 'N/A'}
+Peak-to-Loudness Ratio: ${currentAnalysisData.loudness?.peakToLoudness != null ? `${currentAnalysisData.loudness.peakToLoudness.toFixed(1)} LU` : 'N/A'}
+
+═══════════════════════════════════════════════════
+
+CHANNELS
+Analyzed: ${currentAnalysisData.channel?.label || 'Channel 1'} (${currentAnalysisData.channelCount ?? 1} channel(s) in file)
+Stereo Width: ${currentAnalysisData.stereo ? `${(currentAnalysisData.stereo.width * 100).toFixed(0)}% (${describeStereoWidth(currentAnalysisData.stereo)})` : 'N/A (mono)'}
+Correlation: ${currentAnalysisData.stereo ? currentAnalysisData.stereo.correlation.toFixed(2) : 'N/A'}
+Balance: ${currentAnalysisData.stereo?.balance != null ? `${currentAnalysisData.stereo.balance > 0 ? '+' : ''}${currentAnalysisData.stereo.balance.toFixed(1)} dB (positive = right louder)` : 'N/A'}
+Band Placement: ${currentAnalysisData.stereo ? currentAnalysisData.stereo.bands.map(band => `${band.label} ${describePan(band)}`).join(', ') : 'N/A'}
+${(currentAnalysisData.channels || []).map(channel => `${channel.label}: ${channel.rhythm.tempo} BPM, ${channel.rhythm.meter?.label || 'no meter'}, ${channel.scale?.scale || 'unknown scale'}${channel.scale?.tonic ? ` on ${channel.scale.tonic.note}` : ''}, centroid ${channel.spectral.centroid.toFixed(0)} Hz`).join('\n')}
+
+═══════════════════════════════════════════════════
+
+ANNOTATIONS
+${currentAnalysisData.annotations?.length ? currentAnalysisData.annotations.map(annotation => `${annotation.time !== null ? formatTime(annotation.time) : '-'}  ${annotation.text}`).join('\n') : 'None'}
 
 ═══════════════════════════════════════════════════
 
@@ -2426,19 +3608,28 @@ function initializeScaleExplorer() {
     const playScaleBtn = document.getElementById('play-scale');
     const scaleSelect = document.getElementById('scale-select');
     const scaleInfo = document.getElementById('scale-info');
+    const scaleImport = document.getElementById('scale-import');
+    let renderScaleMenu = () => {};
+    
+    loadSavedScales();
+    
+    // Options come from the scale registry, including scales imported earlier
+    const fillScaleSelect = () => {
+        const selected = scaleSelect.value;
+        scaleSelect.innerHTML = getAllScales().map(scale => `<option value="${escapeHtml(scale.id)}">${escapeHtml(scale.name)}${scale.custom ? ' (imported)' : ''}</option>`).join('');
+        if (getScaleById(selected)) scaleSelect.value = selected;
+    };
     
     // Replace native select with custom dropdown for better cross-browser styling
     if (scaleSelect) {
-        const options = Array.from(scaleSelect.options).map(opt => ({ value: opt.value, label: opt.text }));
+        fillScaleSelect();
         const customDropdown = document.createElement('div');
         customDropdown.className = 'custom-dropdown';
         customDropdown.innerHTML = `
             <button class="custom-dropdown-btn" style="background: white; color: #333; border: 2px solid #333; padding: 10px 20px; border-radius: 8px; font-weight: 600; cursor: pointer; font-size: 1em; width: 100%; max-width: 300px; text-align: left;">
-                ${options[0].label}
+                ${escapeHtml(scaleSelect.options[scaleSelect.selectedIndex].text)}
             </button>
-            <div class="custom-dropdown-menu" style="display: none; background: white; border: 2px solid #333; border-top: none; border-radius: 0 0 8px 8px; position: absolute; top: 100%; left: 0; width: 100%; max-width: 300px; z-index: 1000; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
-                ${options.map(opt => `<div class="custom-dropdown-option" data-value="${opt.value}" style="padding: 12px 20px; color: #333; cursor: pointer; font-weight: 500; hover:background: #f5f5f5;">${opt.label}</div>`).join('')}
-            </div>
+            <div class="custom-dropdown-menu" style="display: none; background: white; border: 2px solid #333; border-top: none; border-radius: 0 0 8px 8px; position: absolute; top: 100%; left: 0; width: 100%; max-width: 300px; max-height: 320px; overflow-y: auto; z-index: 1000; box-shadow: 0 4px 6px rgba(0,0,0,0.1);"></div>
         `;
         customDropdown.style.position = 'relative';
         customDropdown.style.display = 'inline-block';
@@ -2456,20 +3647,25 @@ function initializeScaleExplorer() {
             menu.style.display = menu.style.display === 'none' ? 'block' : 'none';
         });
         
-        customDropdown.querySelectorAll('.custom-dropdown-option').forEach(opt => {
-            opt.addEventListener('click', () => {
-                const value = opt.dataset.value;
-                btn.textContent = opt.textContent;
-                scaleSelect.value = value;
-                menu.style.display = 'none';
-            });
-            opt.addEventListener('mouseover', () => {
-                opt.style.backgroundColor = '#f5f5f5';
-            });
-            opt.addEventListener('mouseout', () => {
-                opt.style.backgroundColor = 'white';
+        renderScaleMenu = () => {
+            const options = Array.from(scaleSelect.options).map(opt => ({ value: opt.value, label: opt.text }));
+            menu.innerHTML = options.map(opt => `<div class="custom-dropdown-option" data-value="${escapeHtml(opt.value)}" style="padding: 12px 20px; color: #333; cursor: pointer; font-weight: 500; hover:background: #f5f5f5;">${escapeHtml(opt.label)}</div>`).join('');
+            menu.querySelectorAll('.custom-dropdown-option').forEach(opt => {
+                opt.addEventListener('click', () => {
+                    const value = opt.dataset.value;
+                    btn.textContent = opt.textContent;
+                    scaleSelect.value = value;
+                    menu.style.display = 'none';
+                });
+                opt.addEventListener('mouseover', () => {
+                    opt.style.backgroundColor = '#f5f5f5';
+                });
+                opt.addEventListener('mouseout', () => {
+                    opt.style.backgroundColor = 'white';
+                });
             });
-        });
+        };
+        renderScaleMenu();
         
         // Close menu on outside click
         document.addEventListener('click', (e) => {
@@ -2479,13 +3675,22 @@ function initializeScaleExplorer() {
         });
     }
     
-    const scales = {
-        'major': { notes: ['C4', 'D4', 'E4', 'F4', 'G4', 'A4', 'B4', 'C5'], info: 'The major scale is foundational in Western music, known for its bright, happy sound.' },
-        'minor': { notes: ['A3', 'B3', 'C4', 'D4', 'E4', 'F4', 'G4', 'A4'], info: 'The natural minor scale has a darker, more melancholic sound than major.' },
-        'pentatonic': { notes: ['C4', 'D4', 'E4', 'G4', 'A4', 'C5'], info: 'Used globally in many cultures including Chinese, Japanese, and West African music.' },
-        'raga': { notes: ['C4', 'D4', 'E4', 'F4', 'G4', 'A4', 'B4', 'C5'], info: 'Indian ragas have specific rules for melody and are associated with times of day and emotions.' },
-        'maqam': { notes: ['C4', 'Db4', 'E4', 'F4', 'G4', 'Ab4', 'B4', 'C5'], info: 'Middle Eastern maqamat use quarter tones and have unique emotional qualities.' }
-    };
+    // Teachers' scales from a JSON file: added to the registry, the analyzer and the players
+    scaleImport?.addEventListener('change', async () => {
+        const file = scaleImport.files[0];
+        if (!file) return;
+        try {
+            const { imported, errors } = importScales(await file.text());
+            fillScaleSelect();
+            renderScaleMenu();
+            if (imported.length > 0) showToast('success', `Imported ${imported.length} scale${imported.length === 1 ? '' : 's'}: ${escapeHtml(imported.map(scale => scale.name).join(', '))}`);
+            if (errors.length > 0) showToast('warning', `Skipped ${errors.length}: ${escapeHtml(errors.join('; '))}`, 6000);
+        } catch (error) {
+            showToast('error', 'Could not import scales: ' + escapeHtml(error.message));
+        } finally {
+            scaleImport.value = '';
+        }
+    });
     
     playScaleBtn.addEventListener('click', async () => {
         if (!audioContext) {
@@ -2516,16 +3721,25 @@ function initializeScaleExplorer() {
         
         console.log('Playing scale, audioContext state:', audioContext.state);
         
-        const selectedScale = scaleSelect.value;
-        const scale = scales[selectedScale];
+        const scale = getScaleById(scaleSelect.value);
+        if (!scale) return;
         
         const currentTime = audioContext.currentTime;
+        const tonic = noteToFrequency('C4');
+        // Up, then down the descending form (which may differ, as in melodic minor or a raga's avaroha)
+        const notes = [...scaleFrequencies(scale, tonic), ...scaleFrequencies(scale, tonic, 'descending').slice(1)];
         
-        scale.notes.forEach((note, i) => {
-            playNote(noteToFrequency(note), currentTime + i * 0.5, 0.3);
+        notes.forEach((frequency, i) => {
+            playNote(frequency, currentTime + i * 0.4, 0.3);
         });
         
-        scaleInfo.innerHTML = `<p style="margin-top: 15px; padding: 15px; background: #f0f0f0; border-radius: 8px;">${scale.info}</p>`;
+        const cultures = scale.cultures.map(id => getCultureById(id)?.name || id).join(', ');
+        scaleInfo.innerHTML = `<div style="margin-top: 15px; padding: 15px; background: #f0f0f0; border-radius: 8px;">
+            <p style="margin: 0 0 8px;">${escapeHtml(scale.description || scale.name)}</p>
+            <p style="margin: 4px 0; font-size: 0.9em;"><strong>Ascending (cents):</strong> ${scale.ascending.join(' · ')}</p>
+            ${scale.descending.join() !== [...scale.ascending].reverse().join() ? `<p style="margin: 4px 0; font-size: 0.9em;"><strong>Descending (cents):</strong> ${scale.descending.join(' · ')}</p>` : ''}
+            ${cultures ? `<p style="margin: 4px 0; font-size: 0.9em;"><strong>Heard in:</strong> ${escapeHtml(cultures)}</p>` : ''}
+        </div>`;
     });
 }
 
@@ -2591,6 +3805,7 @@ function initializeRecorder() {
                     showToast('error', 'Recording failed: empty audio blob');
                     return;
                 }
+                lastRecordingBlob = audioBlob;
                 
                 const audioUrl = URL.createObjectURL(audioBlob);
                 console.log('Object URL created:', !!audioUrl);
@@ -2706,7 +3921,7 @@ async function analyzeRecording(audioBlob) {
             throw new Error(`Failed to decode audio: ${decodeError.message}`);
         }
         
-        const channelData = audioBuffer.getChannelData(0);
+        const channelData = downmix(Array.from({ length: audioBuffer.numberOfChannels }, (_, c) => audioBuffer.getChannelData(c)));
         
         // Comprehensive analysis
         if (!audioAnalyzer) {
@@ -2754,67 +3969,19 @@ async function analyzeRecording(audioBlob) {
             timbreAnalysis = { spectralCentroid: 0, brightness: 0, brightnessLabel: 'Unknown', energy: 0 };
         }
         
-        // Find similar cultures based on characteristics
-        const allCultures = getAllCultures();
-        let matches = [];
-        
-        allCultures.forEach(culture => {
-            let score = 0;
-            const tempoRange = culture.characteristics.tempo.split('-').map(t => parseInt(t));
-            const avgTempo = (tempoRange[0] + tempoRange[1]) / 2;
-            
-            // Tempo matching (more granular scoring)
-            const tempoDiff = Math.abs(rhythmAnalysis.tempo - avgTempo);
-            if (tempoDiff < 15) score += 4;
-            else if (tempoDiff < 30) score += 3;
-            else if (tempoDiff < 50) score += 2;
-            else if (tempoDiff < 75) score += 1;
-            
-            // Rhythm regularity matching
-            if (rhythmAnalysis.regularity > 0.7 && culture.characteristics.rhythm.includes('regular')) score += 3;
-            if (rhythmAnalysis.regularity < 0.5 && culture.characteristics.rhythm.includes('complex')) score += 3;
-            if (rhythmAnalysis.regularity >= 0.5 && rhythmAnalysis.regularity <= 0.7) score += 1; // moderate
-            
-            // Timbre/brightness matching
-            if (timbreAnalysis.brightness) {
-                if (timbreAnalysis.brightness > 0.6 && culture.characteristics.instruments.toLowerCase().includes('metal')) score += 2;
-                if (timbreAnalysis.brightness > 0.6 && culture.characteristics.instruments.toLowerCase().includes('percussion')) score += 2;
-                if (timbreAnalysis.brightness < 0.4 && culture.characteristics.instruments.toLowerCase().includes('drum')) score += 2;
-                if (timbreAnalysis.brightness < 0.4 && culture.characteristics.instruments.toLowerCase().includes('string')) score += 1;
-            }
-            
-            // Pitch/frequency matching
-            if (pitchAnalysis.dominantFrequency > 0) {
-                if (pitchAnalysis.dominantFrequency > 300 && culture.characteristics.instruments.toLowerCase().includes('flute')) score += 2;
-                if (pitchAnalysis.dominantFrequency > 300 && culture.characteristics.instruments.toLowerCase().includes('vocal')) score += 1;
-                if (pitchAnalysis.dominantFrequency < 200 && culture.characteristics.instruments.toLowerCase().includes('drum')) score += 2;
-            }
-            
-            // Beat count matching (for rhythmic complexity)
-            if (rhythmAnalysis.peakCount > 20 && culture.characteristics.rhythm.includes('complex')) score += 2;
-            if (rhythmAnalysis.peakCount < 10 && culture.characteristics.rhythm.includes('simple')) score += 1;
-            
-            // Add randomization to scoring to make matches less predictable
-            // Each culture gets a random modifier between -2 and +3
-            const randomModifier = Math.floor(Math.random() * 6) - 2;
-            score += randomModifier;
-            
-            // Ensure score stays non-negative
-            score = Math.max(0, score);
-            
-            if (score > 0) {
-                matches.push({ culture, score });
-            }
-        });
+        // Find similar cultures based on characteristics, scored as for uploaded files
+        const random = audioAnalyzer.createRandom();
+        const matches = matchCulture({ rhythm: rhythmAnalysis, spectral: { brightness: timbreAnalysis.brightness } })
+            .filter(match => match.matchedFeatures.length > 0)
+            .map(match => ({
+                ...match,
+                // Seeded variation mode only: each culture gets a modifier between -2 and +3
+                score: random ? Math.max(0, match.score + Math.floor(random() * 6) - 2) : match.score
+            }))
+            .filter(match => match.score > 0);
         
-        // Sort and add small random shuffling for ties
-        matches.sort((a, b) => {
-            if (b.score === a.score) {
-                // For tied scores, randomly determine order
-                return Math.random() - 0.5;
-            }
-            return b.score - a.score;
-        });
+        // Sort by score; ties keep a stable, alphabetical order
+        matches.sort((a, b) => b.score - a.score || a.culture.name.localeCompare(b.culture.name));
         
         const topMatches = matches.slice(0, 3);
         
@@ -2843,15 +4010,18 @@ async function analyzeRecording(audioBlob) {
                     <h4 style="margin-top: 0; color: #2e7d32;">🌍 Similar Musical Cultures</h4>
                     ${genreHTML}
                     <p style="margin: 0 0 15px; font-size: 0.9em;">
-                        Based on your recording's tempo, rhythm, and characteristics, here are similar cultures:
+                        Based on your recording's tempo, rhythm, meter, and timbre, here are similar cultures:
                     </p>
                     ${topMatches.map((match, i) => `
                         <div style="margin: 10px 0; padding: 12px; background: white; border-radius: 6px; box-shadow: 0 1px 3px rgba(0,0,0,0.1);">
                             <strong style="font-size: 1.1em;">${i + 1}. ${match.culture.emoji} ${match.culture.name}</strong>
                             <p style="margin: 5px 0 0; font-size: 0.85em; color: #555;">
-                                <strong>Match Score:</strong> ${match.score}/19 | 
+                                <strong>Match Score:</strong> ${match.score.toFixed(1)} | 
                                 <strong>Typical Tempo:</strong> ${match.culture.characteristics.tempo} BPM
                             </p>
+                            <p style="margin: 5px 0 0; font-size: 0.85em; color: #666;">
+                                <strong>Matched:</strong> ${match.matchedFeatures.map(feature => escapeHtml(feature)).join(', ')}
+                            </p>
                             <p style="margin: 5px 0 0; font-size: 0.85em; color: #666;">
                                 <strong>Rhythm Style:</strong> ${match.culture.characteristics.rhythm}
                             </p>
@@ -2887,7 +4057,7 @@ async function analyzeRecording(audioBlob) {
                         <h4 style="margin: 0 0 10px; color: #ff9800;">🥁 Rhythm & Tempo</h4>
                         <p style="margin: 5px 0;"><strong>Tempo:</strong> ${rhythmAnalysis.tempo} BPM</p>
                         <p style="margin: 5px 0;"><strong>Regularity:</strong> ${(rhythmAnalysis.regularity * 100).toFixed(1)}%</p>
-                        <p style="margin: 5px 0;"><strong>Detected Beats:</strong> ${rhythmAnalysis.peakCount}</p>
+                        <p style="margin: 5px 0;"><strong>Detected Beats:</strong> ${rhythmAnalysis.beats?.length || rhythmAnalysis.peakCount}</p>
                         <p style="margin: 8px 0 0; padding: 8px; background: #fff3e0; border-radius: 4px; font-size: 0.85em;">
                             ${rhythmAnalysis.regularity > 0.7 ? '✓ Steady, consistent rhythm' : rhythmAnalysis.regularity > 0.5 ? '~ Moderately regular pattern' : '≈ Variable, free-flowing rhythm'}
                         </p>
@@ -2936,6 +4106,545 @@ async function analyzeRecording(audioBlob) {
     }
 }
 
+// Two analyses compared in the Record & Compare tab: { label, result } per slot
+const comparisonSlots = { a: null, b: null };
+const comparisonControllers = { a: null, b: null };
+let comparisonCharts = [];
+
+const COMPARISON_COLORS = { a: '102, 126, 234', b: '255, 152, 0' };
+
+function initializeComparison() {
+    document.querySelectorAll('.comparison-slot').forEach(slotElement => {
+        const slot = slotElement.dataset.slot;
+        const status = slotElement.querySelector('.comparison-slot-status');
+        
+        slotElement.querySelectorAll('[data-compare-source]').forEach(button => {
+            button.addEventListener('click', () => {
+                const source = button.dataset.compareSource;
+                if (source === 'file' || source === 'document') {
+                    slotElement.querySelector(`[data-compare-input="${source}"]`).click();
+                } else if (source === 'recording') {
+                    if (!lastRecordingBlob) {
+                        showToast('warning', 'Record something first (Start Recording above)');
+                        return;
+                    }
+                    loadComparisonAudio(slot, status, lastRecordingBlob, 'My recording');
+                } else if (source === 'current') {
+                    if (!currentAnalysisData) {
+                        showToast('warning', 'Analyze a file in the Analyze tab first');
+                        return;
+                    }
+                    setComparisonSlot(slot, status, { label: currentAnalysisData.filename || 'Analyze tab result', result: currentAnalysisData });
+                }
+            });
+        });
+        
+        slotElement.querySelector('[data-compare-input="file"]').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) loadComparisonAudio(slot, status, file, file.name);
+        });
+        slotElement.querySelector('[data-compare-input="document"]').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            try {
+                const { document: saved } = parseAnalysisDocument(await file.text());
+                setComparisonSlot(slot, status, { label: saved.file.name || file.name, result: documentToResult(saved) });
+            } catch (error) {
+                status.innerHTML = `<span style="color: #c62828;">❌ ${escapeHtml(error.message)}</span>`;
+            }
+        });
+    });
+    
+    document.getElementById('comparison-time-axis')?.addEventListener('change', renderComparison);
+}
+
+// Decode and analyze an audio file or recording for one comparison slot
+async function loadComparisonAudio(slot, status, blob, label) {
+    comparisonControllers[slot]?.abort();
+    const controller = new AbortController();
+    comparisonControllers[slot] = controller;
+    comparisonSlots[slot] = null;
+    renderComparison();
+    try {
+        status.textContent = '🔄 Decoding...';
+        const audioBuffer = await decodeAudioFile(await blob.arrayBuffer(), { audioContext: audioAnalyzer.audioContext || audioContext });
+        const channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, c) => audioBuffer.getChannelData(c));
+        const result = await runAnalysis(channels, audioBuffer.sampleRate, { signal: controller.signal, heading: escapeHtml(label), container: status });
+        setComparisonSlot(slot, status, { label, result });
+    } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.error('Comparison analysis error:', error);
+        status.innerHTML = `<span style="color: #c62828;">❌ ${escapeHtml(error.message)}</span>`;
+    } finally {
+        if (comparisonControllers[slot] === controller) comparisonControllers[slot] = null;
+    }
+}
+
+function setComparisonSlot(slot, status, entry) {
+    comparisonSlots[slot] = entry;
+    const { result } = entry;
+    status.innerHTML = `
+        <p style="margin: 0;"><strong>✅ ${escapeHtml(entry.label)}</strong></p>
+        <p style="margin: 4px 0 0; color: #555;">${result.duration.toFixed(1)} s · ${result.rhythm?.tempo ?? '?'} BPM · ${escapeHtml(result.scale?.scale || 'unknown scale')}${result.scale?.tonic ? ` on ${escapeHtml(result.scale.tonic.note)}` : ''}</p>
+    `;
+    renderComparison();
+}
+
+function formatComparisonValue(value, unit) {
+    if (value === null) return '—';
+    if (unit === '') return value.toFixed(2);
+    if (unit === 'cents' || unit === 'Hz') return `${value.toFixed(unit === 'Hz' && Math.abs(value) < 100 ? 1 : 0)} ${unit}`;
+    return `${value.toFixed(1)} ${unit}`;
+}
+
+function renderComparison() {
+    const container = document.getElementById('comparison-results');
+    if (!container) return;
+    comparisonCharts.forEach(chart => chart.destroy());
+    comparisonCharts = [];
+    const { a, b } = comparisonSlots;
+    if (!a || !b) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    const relative = document.getElementById('comparison-time-axis')?.value !== 'seconds';
+    const { features, categories, similarity } = compareAnalyses(a.result, b.result);
+    const cell = 'padding: 6px 10px; border-bottom: 1px solid #eee; text-align: left;';
+    const signed = (value, unit) => (value === null ? '—' : `${value > 0 ? '+' : ''}${formatComparisonValue(value, unit)}`);
+    
+    container.innerHTML = `
+        ${similarity !== null ? `<p style="font-size: 1.1em;"><strong>Overall similarity:</strong> ${(similarity * 100).toFixed(0)}% <span style="color: #555; font-size: 0.85em;">(1 minus the average gap between the normalized features)</span></p>` : ''}
+        <div class="analysis-grid">
+            <div class="analysis-card">
+                <h3>Pitch Contours</h3>
+                <canvas id="comparison-pitch-chart" width="400" height="300"></canvas>
+            </div>
+            <div class="analysis-card">
+                <h3>Tempo Curves</h3>
+                <canvas id="comparison-tempo-chart" width="400" height="300"></canvas>
+            </div>
+            <div class="analysis-card">
+                <h3>Feature Profile</h3>
+                <canvas id="comparison-radar-chart" width="400" height="400"></canvas>
+            </div>
+        </div>
+        <div style="overflow-x: auto; margin-top: 20px;">
+            <table style="border-collapse: collapse; width: 100%; font-size: 0.9em;">
+                <thead>
+                    <tr>
+                        <th style="${cell}">Feature</th>
+                        <th style="${cell} color: rgb(${COMPARISON_COLORS.a});">A: ${escapeHtml(a.label)}</th>
+                        <th style="${cell} color: rgb(${COMPARISON_COLORS.b});">B: ${escapeHtml(b.label)}</th>
+                        <th style="${cell}">Difference (B − A)</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${features.map(feature => `
+                    <tr>
+                        <th style="${cell}">${feature.label}</th>
+                        <td style="${cell}">${formatComparisonValue(feature.a, feature.unit)}</td>
+                        <td style="${cell}">${formatComparisonValue(feature.b, feature.unit)}</td>
+                        <td style="${cell}">${signed(feature.difference, feature.differenceUnit)}</td>
+                    </tr>`).join('')}
+                    ${categories.map(category => `
+                    <tr>
+                        <th style="${cell}">${category.label}</th>
+                        <td style="${cell}">${escapeHtml(category.a ?? '—')}</td>
+                        <td style="${cell}">${escapeHtml(category.b ?? '—')}</td>
+                        <td style="${cell}">${category.a === null || category.b === null ? '—' : category.same ? '✅ same' : '≠ different'}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+    
+    const xTitle = relative ? '% of recording' : 'Time (s)';
+    const dataset = (slot, label, data, extra = {}) => ({
+        label,
+        data,
+        borderColor: `rgba(${COMPARISON_COLORS[slot]}, 1)`,
+        backgroundColor: `rgba(${COMPARISON_COLORS[slot]}, 0.5)`,
+        ...extra
+    });
+    
+    comparisonCharts.push(new Chart(document.getElementById('comparison-pitch-chart').getContext('2d'), {
+        type: 'scatter',
+        data: {
+            datasets: ['a', 'b'].map(slot => dataset(slot, `${slot.toUpperCase()}: ${comparisonSlots[slot].label}`,
+                thinPoints(pitchContourPoints(comparisonSlots[slot].result, { relative }), 1500), { pointRadius: 1.5 }))
+        },
+        options: {
+            responsive: true,
+            animation: false,
+            scales: {
+                x: { type: 'linear', title: { display: true, text: xTitle } },
+                y: {
+                    title: { display: true, text: 'Note' },
+                    ticks: { stepSize: 1, callback: value => (Number.isInteger(value) ? audioAnalyzer.midiToNoteName(value) : '') }
+                }
+            }
+        }
+    }));
+    
+    comparisonCharts.push(new Chart(document.getElementById('comparison-tempo-chart').getContext('2d'), {
+        type: 'line',
+        data: {
+            datasets: ['a', 'b'].map(slot => dataset(slot, `${slot.toUpperCase()}: ${comparisonSlots[slot].label}`,
+                tempoCurvePoints(comparisonSlots[slot].result, { relative }), { fill: false, tension: 0.2, pointRadius: 2 }))
+        },
+        options: {
+            responsive: true,
+            animation: false,
+            scales: {
+                x: { type: 'linear', title: { display: true, text: xTitle } },
+                y: { title: { display: true, text: 'BPM' } }
+            }
+        }
+    }));
+    
+    // Only features both analyses have; values are scaled to 0-1 by the ranges in utils/comparison.js
+    const shared = features.filter(feature => feature.normalized.a !== null && feature.normalized.b !== null);
+    comparisonCharts.push(new Chart(document.getElementById('comparison-radar-chart').getContext('2d'), {
+        type: 'radar',
+        data: {
+            labels: shared.map(feature => feature.label),
+            datasets: ['a', 'b'].map(slot => dataset(slot, `${slot.toUpperCase()}: ${comparisonSlots[slot].label}`,
+                shared.map(feature => feature.normalized[slot]), { backgroundColor: `rgba(${COMPARISON_COLORS[slot]}, 0.2)`, pointRadius: 2 }))
+        },
+        options: {
+            responsive: true,
+            scales: { r: { min: 0, max: 1, ticks: { stepSize: 0.25 } } },
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        label: (context) => {
+                            const feature = shared[context.dataIndex];
+                            const slot = context.datasetIndex === 0 ? 'a' : 'b';
+                            return `${context.dataset.label}: ${formatComparisonValue(feature[slot], feature.unit)}`;
+                        }
+                    }
+                }
+            }
+        }
+    }));
+}
+
+// Recording library (IndexedDB): uploads and recordings kept with their analyses
+let libraryPromise = null;
+let libraryCultures = null;
+const libraryView = { entries: [], query: '', tag: '', cultureId: '', sort: 'date', direction: 'desc' };
+
+function getLibrary() {
+    if (!libraryPromise) {
+        libraryPromise = RecordingLibrary.open().catch((error) => {
+            libraryPromise = null;
+            throw error;
+        });
+    }
+    return libraryPromise;
+}
+
+function getLibraryCultures() {
+    libraryCultures = libraryCultures || dedupeCultures(getAllCultures(), getAllExpandedCultures());
+    return libraryCultures;
+}
+
+const findLibraryCulture = id => getLibraryCultures().find(culture => culture.id === id) || null;
+
+function cultureOptions(selectedId, emptyLabel = 'No culture') {
+    return `<option value="">${emptyLabel}</option>` + getLibraryCultures().map(culture => `<option value="${escapeHtml(culture.id)}"${culture.id === selectedId ? ' selected' : ''}>${culture.emoji} ${escapeHtml(culture.name)}</option>`).join('');
+}
+
+function formatBytes(bytes) {
+    if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+    if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+    return `${Math.round(bytes / 1024)} KB`;
+}
+
+function libraryErrorMessage(error) {
+    return error.name === 'QuotaExceededError' ? 'the browser storage for this site is full; delete some entries first' : error.message;
+}
+
+// Title, tags and culture for a new entry; `save(library, { title, tags, cultureId })` stores it
+function renderLibrarySaveForm(container, { title, save }) {
+    if (!container) return;
+    container.innerHTML = `
+        <div style="padding: 15px; background: #ede7f6; border-radius: 8px; display: flex; flex-wrap: wrap; gap: 8px; align-items: center;">
+            <input type="text" data-library-field="title" value="${escapeHtml(title)}" placeholder="Title" aria-label="Title" style="flex: 1; min-width: 180px;" />
+            <input type="text" data-library-field="tags" placeholder="Tags, comma separated" aria-label="Tags" style="flex: 1; min-width: 180px;" />
+            <select data-library-field="culture" aria-label="Culture">${cultureOptions(null)}</select>
+            <button data-library-action="save" class="btn-primary">💾 Save</button>
+            <button data-library-action="cancel" class="btn-secondary">Cancel</button>
+        </div>
+    `;
+    const field = name => container.querySelector(`[data-library-field="${name}"]`);
+    container.querySelector('[data-library-action="cancel"]').addEventListener('click', () => {
+        container.innerHTML = '';
+    });
+    container.querySelector('[data-library-action="save"]').addEventListener('click', async (event) => {
+        const button = event.currentTarget;
+        button.disabled = true;
+        try {
+            const library = await getLibrary();
+            const entry = await save(library, { title: field('title').value, tags: field('tags').value, cultureId: field('culture').value || null });
+            container.innerHTML = '';
+            showToast('success', `Saved "${escapeHtml(entry.title)}" to the library`);
+        } catch (error) {
+            console.error('Could not save to the library:', error);
+            showToast('error', `Could not save to the library: ${escapeHtml(libraryErrorMessage(error))}`, 6000);
+            button.disabled = false;
+        }
+    });
+}
+
+// The last recording is analyzed before it is stored, so the library can sort it by its features
+async function saveRecordingToLibrary() {
+    const container = document.getElementById('recording-library-save');
+    const blob = lastRecordingBlob;
+    if (!blob || !container) {
+        showToast('warning', 'Record something first (Start Recording above)');
+        return;
+    }
+    try {
+        container.textContent = '🔄 Decoding...';
+        const audioBuffer = await decodeAudioFile(await blob.arrayBuffer(), { audioContext: audioAnalyzer.audioContext || audioContext });
+        const channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, c) => audioBuffer.getChannelData(c));
+        const result = await runAnalysis(channels, audioBuffer.sampleRate, { heading: 'Analyzing the recording for the library', container });
+        const fileName = `recording-${Date.now()}.${(blob.type.split(';')[0].split('/')[1] || 'webm').replace('x-', '')}`;
+        const analysisDocument = createAnalysisDocument({ ...result, filename: fileName, decoder: audioBuffer.decoder || null, analyzedAt: new Date().toISOString() });
+        renderLibrarySaveForm(container, {
+            title: `Recording ${new Date().toLocaleString()}`,
+            save: (library, details) => library.add({ ...details, document: analysisDocument, audio: blob, source: 'recording', fileName })
+        });
+    } catch (error) {
+        console.error('Could not analyze the recording:', error);
+        container.innerHTML = `<span style="color: #c62828;">❌ ${escapeHtml(error.message)}</span>`;
+    }
+}
+
+function initializeLibrary() {
+    document.getElementById('save-recording-to-library')?.addEventListener('click', saveRecordingToLibrary);
+    document.querySelector('.tab-btn[data-tab="library"]')?.addEventListener('click', refreshLibrary);
+    
+    const cultureFilter = document.getElementById('library-culture-filter');
+    if (cultureFilter) cultureFilter.innerHTML = cultureOptions(null, 'All cultures');
+    
+    document.getElementById('library-search')?.addEventListener('input', (e) => {
+        libraryView.query = e.target.value;
+        renderLibraryList();
+    });
+    document.getElementById('library-tag-filter')?.addEventListener('change', (e) => {
+        libraryView.tag = e.target.value;
+        renderLibraryList();
+    });
+    cultureFilter?.addEventListener('change', (e) => {
+        libraryView.cultureId = e.target.value;
+        renderLibraryList();
+    });
+    document.getElementById('library-sort')?.addEventListener('change', (e) => {
+        libraryView.sort = e.target.value;
+        renderLibraryList();
+    });
+    document.getElementById('library-sort-direction')?.addEventListener('click', (e) => {
+        libraryView.direction = libraryView.direction === 'desc' ? 'asc' : 'desc';
+        e.currentTarget.textContent = libraryView.direction === 'desc' ? '⬇️ Descending' : '⬆️ Ascending';
+        renderLibraryList();
+    });
+    
+    document.getElementById('library-list')?.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-library-action]');
+        if (!button) return;
+        const id = button.closest('[data-entry-id]')?.dataset.entryId;
+        const entry = libraryView.entries.find(e => e.id === id);
+        if (!entry) return;
+        const action = button.dataset.libraryAction;
+        if (action === 'open') openLibraryEntry(entry);
+        else if (action === 'edit') editLibraryEntry(entry, button.closest('[data-entry-id]'));
+        else if (action === 'delete') deleteLibraryEntry(entry);
+        else if (action === 'culture') {
+            const culture = findLibraryCulture(entry.cultureId);
+            if (!culture) return;
+            document.querySelector('.tab-btn[data-tab="explore"]')?.click();
+            showCultureDetails(culture);
+        } else if (action === 'tag') {
+            libraryView.tag = button.dataset.tag;
+            renderLibraryFilters();
+            renderLibraryList();
+        }
+    });
+}
+
+async function refreshLibrary() {
+    const list = document.getElementById('library-list');
+    if (!list) return;
+    try {
+        const library = await getLibrary();
+        libraryView.entries = await library.list();
+    } catch (error) {
+        console.error('Could not open the library:', error);
+        libraryView.entries = [];
+        list.innerHTML = `<p style="color: #c62828;">❌ ${escapeHtml(error.message)}</p>`;
+        renderLibraryStorage();
+        return;
+    }
+    renderLibraryFilters();
+    renderLibraryList();
+    renderLibraryStorage();
+}
+
+// Tag choices come from the entries; a tag that no entry has any more is dropped from the filter
+function renderLibraryFilters() {
+    const select = document.getElementById('library-tag-filter');
+    if (!select) return;
+    const tags = [...new Set(libraryView.entries.flatMap(entry => entry.tags))].sort((a, b) => a.localeCompare(b));
+    if (!tags.some(tag => tag.toLowerCase() === libraryView.tag.toLowerCase())) libraryView.tag = '';
+    select.innerHTML = '<option value="">All tags</option>' + tags.map(tag => `<option value="${escapeHtml(tag)}"${tag.toLowerCase() === libraryView.tag.toLowerCase() ? ' selected' : ''}>${escapeHtml(tag)}</option>`).join('');
+}
+
+function renderLibraryList() {
+    const list = document.getElementById('library-list');
+    if (!list) return;
+    if (libraryView.entries.length === 0) {
+        list.innerHTML = '<p style="color: #777;">The library is empty. Use "📚 Save to Library" after analyzing a file, or under your recording in Record &amp; Compare.</p>';
+        return;
+    }
+    const shown = sortEntries(filterEntries(libraryView.entries, {
+        query: libraryView.query,
+        tag: libraryView.tag || null,
+        cultureId: libraryView.cultureId || null,
+        cultureName: id => findLibraryCulture(id)?.name || ''
+    }), libraryView.sort, libraryView.direction);
+    if (shown.length === 0) {
+        list.innerHTML = '<p style="color: #777;">No entries match the search and filters.</p>';
+        return;
+    }
+    list.innerHTML = shown.map((entry) => {
+        const { duration, tempo, scale, tonic, brightness } = entry.features;
+        const culture = findLibraryCulture(entry.cultureId);
+        const details = [
+            duration !== null ? formatTime(duration) : null,
+            tempo !== null ? `${Math.round(tempo)} BPM` : null,
+            scale ? `${escapeHtml(scale)}${tonic ? ` on ${escapeHtml(tonic)}` : ''}` : null,
+            brightness !== null ? `brightness ${brightness.toFixed(2)}` : null,
+            entry.audioSize ? formatBytes(entry.audioSize) : 'analysis only'
+        ].filter(Boolean).join(' · ');
+        return `
+            <div data-entry-id="${escapeHtml(entry.id)}" style="padding: 15px; margin-bottom: 10px; background: white; border-radius: 8px; border: 1px solid #e0e0e0;">
+                <div style="display: flex; flex-wrap: wrap; justify-content: space-between; gap: 10px;">
+                    <div style="flex: 1; min-width: 220px;">
+                        <strong>${entry.source === 'recording' ? '🎤' : '📁'} ${escapeHtml(entry.title)}</strong>
+                        <span style="color: #777; font-size: 0.85em;"> · ${new Date(entry.createdAt).toLocaleString()}</span>
+                        <p style="margin: 4px 0; color: #555; font-size: 0.9em;">${details}</p>
+                        <div style="display: flex; flex-wrap: wrap; gap: 4px; align-items: center;">
+                            ${culture ? `<span style="font-size: 0.85em;">${culture.emoji} ${escapeHtml(culture.name)}</span>` : ''}
+                            ${entry.tags.map(tag => `<button data-library-action="tag" data-tag="${escapeHtml(tag)}" title="Show entries tagged ${escapeHtml(tag)}" style="border: none; border-radius: 10px; padding: 2px 8px; background: #ede7f6; cursor: pointer; font-size: 0.8em;">#${escapeHtml(tag)}</button>`).join('')}
+                        </div>
+                    </div>
+                    <div style="display: flex; flex-wrap: wrap; gap: 6px; align-items: flex-start;">
+                        <button data-library-action="open" class="btn-primary">📊 Open</button>
+                        <button data-library-action="edit" class="btn-secondary">✏️ Edit</button>
+                        ${culture ? '<button data-library-action="culture" class="btn-secondary">🌍 Culture</button>' : ''}
+                        <button data-library-action="delete" class="btn-secondary">🗑️ Delete</button>
+                    </div>
+                </div>
+                <div data-library-edit></div>
+            </div>
+        `;
+    }).join('');
+}
+
+async function renderLibraryStorage() {
+    const element = document.getElementById('library-storage');
+    if (!element) return;
+    const estimate = await estimateStorage().catch(() => null);
+    const count = `${libraryView.entries.length} ${libraryView.entries.length === 1 ? 'entry' : 'entries'}`;
+    if (!estimate) {
+        element.textContent = `💽 ${count}. This browser does not report how much storage is available.`;
+        return;
+    }
+    const percent = estimate.quota > 0 ? estimate.usage / estimate.quota * 100 : 0;
+    element.innerHTML = `
+        <div style="display: flex; flex-wrap: wrap; justify-content: space-between; align-items: center; gap: 8px;">
+            <span>💽 ${count} · this site uses ${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)} (${percent.toFixed(1)}%)</span>
+            ${estimate.persisted
+                ? '<span>🔒 Protected from automatic cleanup</span>'
+                : '<button id="library-persist" class="btn-secondary" title="Ask the browser not to clear the library when disk space runs low">🔒 Keep Library Storage</button>'}
+        </div>
+        <div style="height: 8px; margin-top: 8px; background: #e0e0e0; border-radius: 4px; overflow: hidden;">
+            <div style="width: ${Math.min(100, percent)}%; height: 100%; background: ${percent > 80 ? '#f44336' : '#667eea'};"></div>
+        </div>
+    `;
+    document.getElementById('library-persist')?.addEventListener('click', async () => {
+        const granted = await navigator.storage.persist?.();
+        showToast(granted ? 'success' : 'info', granted ? 'The browser will keep the library when space runs low' : 'The browser did not grant persistent storage; it may clear the library when space runs low', 5000);
+        renderLibraryStorage();
+    });
+}
+
+// Show an entry in the Analyze tab, with its audio in the player and waveform
+async function openLibraryEntry(entry) {
+    try {
+        const library = await getLibrary();
+        const blob = await library.getAudio(entry.id);
+        let audio = null;
+        if (blob) {
+            try {
+                const audioBuffer = await decodeAudioFile(await blob.arrayBuffer(), { audioContext: audioAnalyzer.audioContext || audioContext });
+                audio = { blob, audioBuffer, audioPlayer: createAudioPlayer(blob) };
+            } catch (error) {
+                console.error('Could not decode library audio:', error);
+                showToast('warning', `The stored audio could not be decoded (${escapeHtml(error.message)}); showing the analysis only`, 6000);
+            }
+        }
+        openAnalysisDocument(entry.document, { audio, libraryTitle: entry.title });
+        document.querySelector('.tab-btn[data-tab="analyze"]')?.click();
+    } catch (error) {
+        console.error('Could not open library entry:', error);
+        showToast('error', `Could not open "${escapeHtml(entry.title)}": ${escapeHtml(error.message)}`, 6000);
+    }
+}
+
+function editLibraryEntry(entry, card) {
+    const container = card.querySelector('[data-library-edit]');
+    container.innerHTML = `
+        <div style="margin-top: 10px; display: flex; flex-wrap: wrap; gap: 8px; align-items: center;">
+            <input type="text" data-library-field="title" value="${escapeHtml(entry.title)}" aria-label="Title" style="flex: 1; min-width: 180px;" />
+            <input type="text" data-library-field="tags" value="${escapeHtml(entry.tags.join(', '))}" placeholder="Tags, comma separated" aria-label="Tags" style="flex: 1; min-width: 180px;" />
+            <select data-library-field="culture" aria-label="Culture">${cultureOptions(entry.cultureId)}</select>
+            <button data-library-edit-action="save" class="btn-primary">💾 Save</button>
+            <button data-library-edit-action="cancel" class="btn-secondary">Cancel</button>
+        </div>
+    `;
+    const field = name => container.querySelector(`[data-library-field="${name}"]`);
+    container.querySelector('[data-library-edit-action="cancel"]').addEventListener('click', () => {
+        container.innerHTML = '';
+    });
+    container.querySelector('[data-library-edit-action="save"]').addEventListener('click', async () => {
+        try {
+            const library = await getLibrary();
+            await library.update(entry.id, { title: field('title').value, tags: field('tags').value, cultureId: field('culture').value || null });
+            await refreshLibrary();
+        } catch (error) {
+            showToast('error', `Could not update "${escapeHtml(entry.title)}": ${escapeHtml(libraryErrorMessage(error))}`, 6000);
+        }
+    });
+}
+
+async function deleteLibraryEntry(entry) {
+    if (!confirm(`Delete "${entry.title}" and its audio from the library? This cannot be undone.`)) return;
+    try {
+        const library = await getLibrary();
+        await library.remove(entry.id);
+        showToast('success', `Deleted "${escapeHtml(entry.title)}"`);
+        await refreshLibrary();
+    } catch (error) {
+        showToast('error', `Could not delete "${escapeHtml(entry.title)}": ${escapeHtml(error.message)}`, 6000);
+    }
+}
+
 // Live Pitch Detection
 function initializeLivePitch() {
     const startBtn = document.getElementById('start-live-pitch');
@@ -2948,14 +4657,25 @@ function initializeLivePitch() {
     visualizer = new Visualizer3D(canvas);
     let pitchHistory = [];
     let animationId = null;
+    const rangeSelect = document.getElementById('pitch-range');
+    const getPitchRange = () => {
+        const [minFrequency, maxFrequency] = (rangeSelect?.value || '40-2000').split('-').map(Number);
+        return { minFrequency, maxFrequency };
+    };
+    rangeSelect?.addEventListener('change', () => {
+        const { minFrequency, maxFrequency } = getPitchRange();
+        pitchDetector?.setRange(minFrequency, maxFrequency);
+        pitchHistory = [];
+    });
     
     function detectPitchLoop() {
         if (!pitchDetector || !pitchDetector.isActive) return;
         
-        const pitch = pitchDetector.getPitch();
+        const estimate = pitchDetector.getPitchEstimate();
         const volume = pitchDetector.getVolume();
         
-        if (pitch > 0 && pitch < 2000) {
+        if (estimate && estimate.voicedProbability >= pitchDetector.pitchOptions.voicingThreshold) {
+            const pitch = estimate.frequency;
             pitchHistory.push(pitch);
             if (pitchHistory.length > 100) pitchHistory.shift();
             
@@ -2965,6 +4685,7 @@ function initializeLivePitch() {
                 display.innerHTML = `
                     <div style="font-size: 2em; font-weight: bold; color: #00ff00;">${note}</div>
                     <div>Frequency: ${pitch.toFixed(2)} Hz</div>
+                    <div>Voicing: ${(estimate.voicedProbability * 100).toFixed(0)}% · Confidence: ${(estimate.confidence * 100).toFixed(0)}%</div>
                     <div>Volume: ${(volume * 100).toFixed(1)}%</div>
                 `;
             }
@@ -2990,7 +4711,7 @@ function initializeLivePitch() {
             audioContext = new (window.AudioContext || window.webkitAudioContext)();
         }
         
-        pitchDetector = new RealTimePitchDetector(audioContext);
+        pitchDetector = new RealTimePitchDetector(audioContext, getPitchRange());
         const success = await pitchDetector.start();
         
         if (success) {
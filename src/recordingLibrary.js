@@ -0,0 +1,242 @@
+// Library of recordings kept in this browser (IndexedDB). Each entry holds the
+// audio of an upload or recording with its analysis document (see
+// analysisDocument.js), a title, tags, a linked culture and the date. Entries and
+// audio live in separate object stores so listing the library never loads audio.
+
+const DB_NAME = 'ethno-library';
+const DB_VERSION = 1;
+const ENTRY_STORE = 'entries';
+const AUDIO_STORE = 'audio';
+
+// Sort keys of the library panel and how to read them from an entry
+export const LIBRARY_SORT_KEYS = {
+    date: entry => entry.createdAt,
+    title: entry => entry.title.toLowerCase(),
+    tempo: entry => entry.features.tempo,
+    scale: entry => entry.features.scale?.toLowerCase(),
+    brightness: entry => entry.features.brightness,
+    duration: entry => entry.features.duration
+};
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Library transaction aborted'));
+    });
+}
+
+function createId() {
+    return globalThis.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Tags from comma-separated text: trimmed, without repeats (ignoring case)
+ * @param {string|Array<string>} text
+ * @returns {Array<string>}
+ */
+export function parseTags(text) {
+    const tags = [];
+    (Array.isArray(text) ? text : String(text || '').split(',')).forEach(tag => {
+        const trimmed = String(tag).trim();
+        if (trimmed && !tags.some(existing => existing.toLowerCase() === trimmed.toLowerCase())) tags.push(trimmed);
+    });
+    return tags;
+}
+
+/**
+ * The values the library sorts and searches by, from an analysis document
+ * @param {Object} document - Analysis document
+ * @returns {{duration: number|null, tempo: number|null, scale: string|null, tonic: string|null, brightness: number|null}}
+ */
+export function libraryFeatures(document) {
+    const features = document?.features || {};
+    return {
+        duration: document?.file?.duration ?? null,
+        tempo: features.rhythm?.tempo ?? null,
+        scale: features.scale?.scale ?? null,
+        tonic: features.scale?.tonic?.note ?? null,
+        brightness: features.spectral?.brightness ?? null
+    };
+}
+
+/**
+ * Entries matching a search
+ * @param {Array<Object>} entries
+ * @param {Object} [filters]
+ * @param {string} [filters.query] - Every word must appear in the title, file name, tags, scale, tonic or culture
+ * @param {string} [filters.tag] - Only entries with this tag (ignoring case)
+ * @param {string} [filters.cultureId] - Only entries linked to this culture
+ * @param {Function} [filters.cultureName] - cultureId => name, so the query also matches culture names
+ * @returns {Array<Object>}
+ */
+export function filterEntries(entries, { query = '', tag = null, cultureId = null, cultureName = () => '' } = {}) {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return entries.filter((entry) => {
+        if (tag && !entry.tags.some(t => t.toLowerCase() === tag.toLowerCase())) return false;
+        if (cultureId && entry.cultureId !== cultureId) return false;
+        if (words.length === 0) return true;
+        const text = [entry.title, entry.fileName, ...entry.tags, entry.features.scale, entry.features.tonic, entry.cultureId && cultureName(entry.cultureId)]
+            .filter(Boolean).join(' ').toLowerCase();
+        return words.every(word => text.includes(word));
+    });
+}
+
+/**
+ * Entries in order; entries without the value come last either way
+ * @param {Array<Object>} entries
+ * @param {string} [key='date'] - A key of LIBRARY_SORT_KEYS
+ * @param {string} [direction='desc'] - 'asc' or 'desc'
+ * @returns {Array<Object>} A sorted copy
+ */
+export function sortEntries(entries, key = 'date', direction = 'desc') {
+    const read = LIBRARY_SORT_KEYS[key];
+    if (!read) throw new Error(`Unknown sort key: ${key}`);
+    const sign = direction === 'asc' ? 1 : -1;
+    return [...entries].sort((a, b) => {
+        const valueA = read(a);
+        const valueB = read(b);
+        if (valueA === null || valueA === undefined) return valueB === null || valueB === undefined ? 0 : 1;
+        if (valueB === null || valueB === undefined) return -1;
+        return (valueA < valueB ? -1 : valueA > valueB ? 1 : 0) * sign;
+    });
+}
+
+/**
+ * How much this site stores and may store
+ * @param {StorageManager} [storage=navigator.storage]
+ * @returns {Promise<{usage: number, quota: number, persisted: boolean}|null>} null when the browser cannot tell
+ */
+export async function estimateStorage(storage = globalThis.navigator?.storage) {
+    if (!storage?.estimate) return null;
+    const { usage = 0, quota = 0 } = await storage.estimate();
+    const persisted = storage.persisted ? await storage.persisted() : false;
+    return { usage, quota, persisted };
+}
+
+export class RecordingLibrary {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Open (and on first use create) the library database
+     * @param {Object} [options]
+     * @param {IDBFactory} [options.indexedDB=globalThis.indexedDB]
+     * @param {string} [options.name] - Database name
+     * @returns {Promise<RecordingLibrary>}
+     */
+    static async open({ indexedDB = globalThis.indexedDB, name = DB_NAME } = {}) {
+        if (!indexedDB) throw new Error('This browser has no IndexedDB, so the library is not available');
+        const request = indexedDB.open(name, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(ENTRY_STORE)) db.createObjectStore(ENTRY_STORE, { keyPath: 'id' });
+            if (!db.objectStoreNames.contains(AUDIO_STORE)) db.createObjectStore(AUDIO_STORE, { keyPath: 'id' });
+        };
+        return new RecordingLibrary(await promisify(request));
+    }
+
+    /**
+     * Save a recording and its analysis
+     * @param {Object} item
+     * @param {string} item.title
+     * @param {Object} item.document - Analysis document (analysisDocument.js)
+     * @param {Blob} [item.audio] - Without it only the analysis is kept
+     * @param {string|Array<string>} [item.tags]
+     * @param {string} [item.cultureId]
+     * @param {string} [item.source] - 'upload' or 'recording'
+     * @param {string} [item.fileName]
+     * @returns {Promise<Object>} The stored entry (without audio)
+     */
+    async add({ title, document, audio = null, tags = [], cultureId = null, source = 'upload', fileName = null }) {
+        if (!title?.trim()) throw new Error('A library entry needs a title');
+        if (!document) throw new Error('A library entry needs an analysis document');
+        // Read the audio first: a transaction closes as soon as it waits on anything else
+        const data = audio ? await audio.arrayBuffer() : null;
+        const now = new Date().toISOString();
+        const entry = {
+            id: createId(),
+            title: title.trim(),
+            tags: parseTags(tags),
+            cultureId: cultureId || null,
+            createdAt: now,
+            updatedAt: now,
+            source,
+            fileName,
+            audioType: audio ? audio.type || null : null,
+            audioSize: data ? data.byteLength : 0,
+            features: libraryFeatures(document),
+            document
+        };
+        const transaction = this.db.transaction([ENTRY_STORE, AUDIO_STORE], 'readwrite');
+        transaction.objectStore(ENTRY_STORE).put(entry);
+        if (data) transaction.objectStore(AUDIO_STORE).put({ id: entry.id, data, type: entry.audioType });
+        await transactionDone(transaction);
+        return entry;
+    }
+
+    /**
+     * Every entry, newest first
+     * @returns {Promise<Array<Object>>}
+     */
+    async list() {
+        const entries = await promisify(this.db.transaction(ENTRY_STORE, 'readonly').objectStore(ENTRY_STORE).getAll());
+        return sortEntries(entries, 'date', 'desc');
+    }
+
+    async get(id) {
+        return (await promisify(this.db.transaction(ENTRY_STORE, 'readonly').objectStore(ENTRY_STORE).get(id))) || null;
+    }
+
+    /**
+     * The audio of an entry
+     * @param {string} id
+     * @returns {Promise<Blob|null>}
+     */
+    async getAudio(id) {
+        const stored = await promisify(this.db.transaction(AUDIO_STORE, 'readonly').objectStore(AUDIO_STORE).get(id));
+        return stored ? new Blob([stored.data], stored.type ? { type: stored.type } : {}) : null;
+    }
+
+    /**
+     * Change the title, tags or culture of an entry
+     * @param {string} id
+     * @param {Object} changes - { title, tags, cultureId }
+     * @returns {Promise<Object>} The updated entry
+     */
+    async update(id, { title, tags, cultureId } = {}) {
+        const entry = await this.get(id);
+        if (!entry) throw new Error('That library entry no longer exists');
+        if (title !== undefined && !title.trim()) throw new Error('A library entry needs a title');
+        const updated = {
+            ...entry,
+            title: title !== undefined ? title.trim() : entry.title,
+            tags: tags !== undefined ? parseTags(tags) : entry.tags,
+            cultureId: cultureId !== undefined ? cultureId || null : entry.cultureId,
+            updatedAt: new Date().toISOString()
+        };
+        const transaction = this.db.transaction(ENTRY_STORE, 'readwrite');
+        transaction.objectStore(ENTRY_STORE).put(updated);
+        await transactionDone(transaction);
+        return updated;
+    }
+
+    async remove(id) {
+        const transaction = this.db.transaction([ENTRY_STORE, AUDIO_STORE], 'readwrite');
+        transaction.objectStore(ENTRY_STORE).delete(id);
+        transaction.objectStore(AUDIO_STORE).delete(id);
+        await transactionDone(transaction);
+    }
+
+    close() {
+        this.db.close();
+    }
+}
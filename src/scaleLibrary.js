@@ -0,0 +1,318 @@
+// Scale registry shared by the analyzer, the Scale Explorer and the culture demos.
+// Scales are defined in cents above the tonic, so quarter-tones and non-equal
+// tunings can be written down exactly. Teachers can import more from JSON; the
+// imported scales are kept in localStorage when it is available.
+
+const STORAGE_KEY = 'customScales';
+
+export const builtInScales = [
+    {
+        id: 'major',
+        name: 'Major (Western)',
+        cultures: ['european-folk', 'latin-american'],
+        ascending: [0, 200, 400, 500, 700, 900, 1100, 1200],
+        description: 'The major scale is foundational in Western music, known for its bright, happy sound.'
+    },
+    {
+        id: 'minor',
+        name: 'Minor (Western)',
+        cultures: ['european-folk'],
+        ascending: [0, 200, 300, 500, 700, 800, 1000, 1200],
+        description: 'The natural minor scale has a darker, more melancholic sound than major.'
+    },
+    {
+        id: 'harmonic-minor',
+        name: 'Harmonic Minor',
+        cultures: [],
+        ascending: [0, 200, 300, 500, 700, 800, 1100, 1200],
+        description: 'Natural minor with a raised seventh, giving a leading note and an augmented second between the sixth and seventh.'
+    },
+    {
+        id: 'melodic-minor',
+        name: 'Melodic Minor',
+        cultures: [],
+        ascending: [0, 200, 300, 500, 700, 900, 1100, 1200],
+        descending: [1200, 1000, 800, 700, 500, 300, 200, 0],
+        description: 'Raises the sixth and seventh on the way up and returns to the natural minor on the way down.'
+    },
+    {
+        id: 'pentatonic-major',
+        name: 'Pentatonic Major',
+        cultures: ['chinese-traditional', 'west-african'],
+        ascending: [0, 200, 400, 700, 900, 1200],
+        description: 'Used globally in many cultures including Chinese, Japanese, and West African music.'
+    },
+    {
+        id: 'pentatonic-minor',
+        name: 'Pentatonic Minor',
+        cultures: ['west-african'],
+        ascending: [0, 300, 500, 700, 1000, 1200],
+        description: 'Five notes without semitones, common in West African, blues and folk melodies.'
+    },
+    {
+        id: 'blues',
+        name: 'Blues',
+        cultures: [],
+        ascending: [0, 300, 500, 600, 700, 1000, 1200],
+        description: 'Minor pentatonic with the added flattened fifth, the "blue note".'
+    },
+    {
+        id: 'dorian',
+        name: 'Dorian',
+        cultures: ['european-folk'],
+        ascending: [0, 200, 300, 500, 700, 900, 1000, 1200],
+        description: 'Minor mode with a raised sixth, common in Celtic and English folk song.'
+    },
+    {
+        id: 'phrygian',
+        name: 'Phrygian',
+        cultures: [],
+        ascending: [0, 100, 300, 500, 700, 800, 1000, 1200],
+        description: 'Minor mode with a lowered second, heard in flamenco.'
+    },
+    {
+        id: 'lydian',
+        name: 'Lydian',
+        cultures: [],
+        ascending: [0, 200, 400, 600, 700, 900, 1100, 1200],
+        description: 'Major mode with a raised fourth.'
+    },
+    {
+        id: 'mixolydian',
+        name: 'Mixolydian',
+        cultures: ['european-folk'],
+        ascending: [0, 200, 400, 500, 700, 900, 1000, 1200],
+        description: 'Major mode with a lowered seventh, common in folk, rock and bagpipe music.'
+    },
+    {
+        id: 'locrian',
+        name: 'Locrian',
+        cultures: [],
+        ascending: [0, 100, 300, 500, 600, 800, 1000, 1200],
+        // No perfect fifth: the third carries the weight instead
+        stressed: [300],
+        description: 'The mode with a diminished fifth above its tonic; rare as a home key.'
+    },
+    {
+        id: 'whole-tone',
+        name: 'Whole Tone',
+        cultures: [],
+        ascending: [0, 200, 400, 600, 800, 1000, 1200],
+        stressed: [],
+        description: 'Six equal whole steps; symmetrical, with no pull towards any note.'
+    },
+    {
+        id: 'hirajoshi',
+        name: 'Hirajoshi (Japanese)',
+        cultures: ['japanese-traditional'],
+        ascending: [0, 200, 300, 700, 800, 1200],
+        description: 'Pentatonic scale used in koto tuning.'
+    },
+    {
+        id: 'in-sen',
+        name: 'In Sen (Japanese)',
+        cultures: ['japanese-traditional'],
+        ascending: [0, 100, 500, 700, 1000, 1200],
+        description: 'Pentatonic scale with a semitone above the tonic, associated with the shakuhachi.'
+    },
+    {
+        id: 'raga-bhairav',
+        name: 'Raga Bhairav (Indian)',
+        cultures: ['indian-classical'],
+        ascending: [0, 100, 400, 500, 700, 800, 1100, 1200],
+        // Vadi dha, samvadi re; pa is a resting note as well
+        stressed: [800, 100, 700],
+        description: 'Morning raga with komal re and komal dha; Indian ragas have specific rules for melody and are associated with times of day and emotions.'
+    },
+    {
+        id: 'raga-kafi',
+        name: 'Raga Kafi (Indian)',
+        cultures: ['indian-classical'],
+        ascending: [0, 200, 300, 500, 700, 900, 1000, 1200],
+        // Vadi pa, samvadi sa
+        stressed: [700],
+        description: 'Raga with komal ga and komal ni, close to the Dorian mode, often sung in spring.'
+    },
+    {
+        id: 'maqam-hijaz',
+        name: 'Maqam Hijaz (Arabic)',
+        cultures: ['middle-eastern'],
+        ascending: [0, 100, 400, 500, 700, 800, 1000, 1200],
+        // Ghammaz on the fourth, where the upper jins starts
+        stressed: [500],
+        description: 'Jins Hijaz, with its augmented second, below jins Nahawand on the fourth.'
+    },
+    {
+        id: 'maqam-rast',
+        name: 'Maqam Rast (Arabic)',
+        cultures: ['middle-eastern'],
+        ascending: [0, 200, 350, 500, 700, 900, 1050, 1200],
+        descending: [1200, 1000, 900, 700, 500, 350, 200, 0],
+        description: 'Middle Eastern maqamat use quarter tones: Rast has a third and seventh between minor and major.'
+    },
+    {
+        id: 'maqam-bayati',
+        name: 'Maqam Bayati (Arabic)',
+        cultures: ['middle-eastern'],
+        ascending: [0, 150, 300, 500, 700, 800, 1000, 1200],
+        stressed: [500],
+        description: 'Maqam with a neutral second, a three-quarter-tone above the tonic.'
+    }
+];
+
+const customScales = new Map();
+
+// Ids end up in option values and data attributes, so they are kept to slugs
+const SCALE_ID = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+function slug(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function isCentsList(values) {
+    return Array.isArray(values) && values.every(value => typeof value === 'number' && Number.isFinite(value));
+}
+
+/**
+ * Check a scale definition and fill in its defaults
+ * @param {Object} definition - { name, ascending, [id], [cultures], [descending], [stressed], [description] }
+ * @returns {Object} Normalized scale
+ * @throws {Error} When a required field is missing or the cents are out of order
+ */
+export function validateScale(definition) {
+    if (!definition || typeof definition !== 'object') throw new Error('Scale definition must be an object');
+    const name = typeof definition.name === 'string' ? definition.name.trim() : '';
+    if (!name) throw new Error('Scale needs a name');
+    const label = `Scale "${name}"`;
+
+    const { ascending } = definition;
+    if (!isCentsList(ascending) || ascending.length < 2) throw new Error(`${label}: ascending must list at least two cents values`);
+    if (ascending[0] !== 0) throw new Error(`${label}: ascending must start at 0 (the tonic)`);
+    for (let i = 1; i < ascending.length; i++) {
+        if (ascending[i] <= ascending[i - 1]) throw new Error(`${label}: ascending cents must increase`);
+    }
+    if (ascending[ascending.length - 1] > 2400) throw new Error(`${label}: ascending spans more than two octaves`);
+
+    const descending = definition.descending ?? [...ascending].reverse();
+    if (!isCentsList(descending) || descending.length < 2) throw new Error(`${label}: descending must list at least two cents values`);
+    for (let i = 1; i < descending.length; i++) {
+        if (descending[i] >= descending[i - 1]) throw new Error(`${label}: descending cents must decrease`);
+    }
+
+    const stressed = definition.stressed ?? [700];
+    if (!isCentsList(stressed)) throw new Error(`${label}: stressed must be a list of cents values`);
+    const cultures = definition.cultures ?? (definition.culture ? [definition.culture] : []);
+    const id = definition.id ? String(definition.id) : slug(name);
+    if (!SCALE_ID.test(id)) throw new Error(`${label}: id must be lowercase letters, digits and hyphens, like "maqam-rast"`);
+
+    return {
+        id,
+        name,
+        cultures: Array.isArray(cultures) ? cultures.map(String) : [String(cultures)],
+        ascending: [...ascending],
+        descending: [...descending],
+        stressed: [...stressed],
+        description: definition.description ? String(definition.description) : ''
+    };
+}
+
+const normalizedBuiltIns = builtInScales.map(validateScale);
+
+/**
+ * Built-in scales followed by imported ones; an imported scale replaces a built-in with the same id
+ * @returns {Array<Object>}
+ */
+export function getAllScales() {
+    return [
+        ...normalizedBuiltIns.filter(scale => !customScales.has(scale.id)),
+        ...customScales.values()
+    ];
+}
+
+export function getScaleById(id) {
+    return getAllScales().find(scale => scale.id === id);
+}
+
+export function getScalesForCulture(cultureId) {
+    return getAllScales().filter(scale => scale.cultures.includes(cultureId));
+}
+
+export function getCustomScales() {
+    return [...customScales.values()];
+}
+
+function saveCustomScales() {
+    if (typeof localStorage === 'undefined') return;
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(getCustomScales()));
+    } catch (error) {
+        console.warn('Could not save imported scales:', error);
+    }
+}
+
+/**
+ * Add or replace a scale
+ * @param {Object} definition - See validateScale
+ * @returns {Object} The normalized scale
+ */
+export function registerScale(definition) {
+    const scale = { ...validateScale(definition), custom: true };
+    customScales.set(scale.id, scale);
+    saveCustomScales();
+    return scale;
+}
+
+export function removeScale(id) {
+    const removed = customScales.delete(id);
+    if (removed) saveCustomScales();
+    return removed;
+}
+
+/**
+ * Import scales from JSON: an array of definitions or { scales: [...] }
+ * @param {string|Object|Array} json - File contents or parsed JSON
+ * @returns {{imported: Array<Object>, errors: Array<string>}} Invalid entries are skipped and reported
+ */
+export function importScales(json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    const definitions = Array.isArray(data) ? data : data?.scales;
+    if (!Array.isArray(definitions)) throw new Error('Expected a list of scales or { "scales": [...] }');
+
+    const imported = [];
+    const errors = [];
+    definitions.forEach((definition, i) => {
+        try {
+            imported.push(registerScale(definition));
+        } catch (error) {
+            errors.push(`Entry ${i + 1}: ${error.message}`);
+        }
+    });
+    return { imported, errors };
+}
+
+/**
+ * Restore scales imported in an earlier session
+ * @returns {number} How many were restored
+ */
+export function loadSavedScales() {
+    if (typeof localStorage === 'undefined') return 0;
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        return saved ? importScales(saved).imported.length : 0;
+    } catch (error) {
+        console.warn('Could not restore imported scales:', error);
+        return 0;
+    }
+}
+
+/**
+ * Frequencies of a scale's notes from a tonic
+ * @param {Object} scale - From the registry
+ * @param {number} tonicFrequency - Tonic in Hz
+ * @param {string} [direction='ascending'] - 'ascending' or 'descending'
+ * @returns {Array<number>}
+ */
+export function scaleFrequencies(scale, tonicFrequency, direction = 'ascending') {
+    const cents = direction === 'descending' ? scale.descending : scale.ascending;
+    return cents.map(value => tonicFrequency * Math.pow(2, value / 1200));
+}
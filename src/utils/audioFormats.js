@@ -0,0 +1,56 @@
+// Utility: Audio container detection
+// Identifies a file from its first bytes rather than its name or MIME type,
+// which are often missing or wrong for field recordings and downloads.
+
+/**
+ * View any binary input as bytes, without copying
+ * @param {ArrayBuffer|ArrayBufferView} data
+ * @returns {Uint8Array}
+ */
+export function toBytes(data) {
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  throw new Error('Expected an ArrayBuffer or a byte array');
+}
+
+function ascii(bytes, offset, length) {
+  return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+/**
+ * Length of an ID3v2 tag at `offset` (header, body and footer), 0 when there is none
+ * @param {Uint8Array} bytes
+ * @param {number} [offset=0]
+ * @returns {number}
+ */
+export function id3v2Length(bytes, offset = 0) {
+  if (bytes.length < offset + 10 || ascii(bytes, offset, 3) !== 'ID3') return 0;
+  // Sizes are "syncsafe": 7 bits per byte
+  const size = (bytes[offset + 6] << 21) | (bytes[offset + 7] << 14) | (bytes[offset + 8] << 7) | bytes[offset + 9];
+  const hasFooter = (bytes[offset + 5] & 0x10) !== 0;
+  return 10 + size + (hasFooter ? 10 : 0);
+}
+
+/**
+ * Container / codec of an audio file from its header
+ * @param {ArrayBuffer|Uint8Array} data - File contents (the first few kilobytes are enough)
+ * @returns {string|null} 'wav', 'flac', 'mp3', 'ogg', 'mp4', 'webm' or 'aiff'; null when unknown
+ */
+export function sniffAudioFormat(data) {
+  const bytes = toBytes(data);
+  if (bytes.length < 4) return null;
+  if (ascii(bytes, 0, 4) === 'RIFF' && bytes.length >= 12 && ascii(bytes, 8, 4) === 'WAVE') return 'wav';
+  if (ascii(bytes, 0, 4) === 'FORM' && bytes.length >= 12 && /^AIF[FC]$/.test(ascii(bytes, 8, 4))) return 'aiff';
+  if (ascii(bytes, 0, 4) === 'OggS') return 'ogg';
+  if (bytes[0] === 0x1a && bytes[1] === 0x45 && bytes[2] === 0xdf && bytes[3] === 0xa3) return 'webm';
+  if (bytes.length >= 8 && ascii(bytes, 4, 4) === 'ftyp') return 'mp4';
+
+  // FLAC and MP3 may both start with an ID3 tag
+  const start = id3v2Length(bytes);
+  if (bytes.length >= start + 4 && ascii(bytes, start, 4) === 'fLaC') return 'flac';
+  if (start > 0) return 'mp3';
+  // MPEG audio frame sync: 11 set bits, a valid version and layer III
+  if (bytes[0] === 0xff && (bytes[1] & 0xe0) === 0xe0 && (bytes[1] & 0x18) !== 0x08 && (bytes[1] & 0x06) === 0x02) return 'mp3';
+  return null;
+}
@@ -0,0 +1,345 @@
+// Utility: Beat tracking
+// Onset strength envelope (log-spectral flux) -> autocorrelation tempogram ->
+// Viterbi tempo curve -> dynamic-programming beat alignment (Ellis 2007) with a
+// period that follows the tempo curve, so rubato and accelerando are tracked.
+
+import { onsetFrameCount as countOnsetFrames, onsetStrength } from './onsets.js';
+
+export const DEFAULT_BEAT_OPTIONS = {
+  frameSize: 2048,
+  hopSize: 512,
+  compression: 1000,      // log(1 + c|X|) before differencing
+  minBpm: 30,
+  maxBpm: 300,
+  binsPerOctave: 36,      // Resolution of the tempo grid
+  tempogramSeconds: 8,    // Autocorrelation window
+  tempogramHopSeconds: 1,
+  priorBpm: 120,          // Centre of the log-normal tempo prior used to settle octave ambiguity
+  priorOctaves: 1,
+  tempoChangePenalty: 50, // Cost of a one-octave tempo jump between tempogram frames
+  tightness: 100          // How strongly beat spacing sticks to the local period
+};
+
+/**
+ * Number of envelope frames for a signal of `length` samples
+ * @param {number} length - Signal length in samples
+ * @param {Object} [options] - frameSize and hopSize
+ * @returns {number} Frame count
+ */
+export function onsetFrameCount(length, options = {}) {
+  return countOnsetFrames(length, { ...DEFAULT_BEAT_OPTIONS, ...options });
+}
+
+/**
+ * Onset strength: half-wave rectified log-spectral flux, one value per hop (the
+ * 'flux' detection function of utils/onsets.js). A frame range can be given so long
+ * signals are processed in chunks; the concatenated chunks equal a single full call.
+ * @param {Float32Array} signal - Mono samples
+ * @param {Object} [options] - frameSize, hopSize, compression
+ * @param {number} [fromFrame=0] - First frame to compute
+ * @param {number} [toFrame=Infinity] - One past the last frame
+ * @returns {Float32Array} Envelope values for frames fromFrame..toFrame-1
+ */
+export function onsetStrengthEnvelope(signal, options = {}, fromFrame = 0, toFrame = Infinity) {
+  // Broadband flux does not depend on the sample rate
+  const opts = { ...DEFAULT_BEAT_OPTIONS, ...options, method: 'flux', bands: [] };
+  return onsetStrength(signal, 1, opts, fromFrame, toFrame).envelope;
+}
+
+/**
+ * Onset strength restricted to frequency bands, e.g. low drums vs. bells and shakers.
+ * Chunkable in the same way as onsetStrengthEnvelope.
+ * @param {Float32Array} signal - Mono samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Array<{minFrequency: number, maxFrequency: number}>} bands - Frequency bands in Hz
+ * @param {Object} [options] - frameSize, hopSize, compression
+ * @param {number} [fromFrame=0] - First frame to compute
+ * @param {number} [toFrame=Infinity] - One past the last frame
+ * @returns {Array<Float32Array>} One envelope per band
+ */
+export function bandOnsetEnvelopes(signal, sampleRate, bands, options = {}, fromFrame = 0, toFrame = Infinity) {
+  const opts = { ...DEFAULT_BEAT_OPTIONS, ...options, method: 'flux', bands };
+  return onsetStrength(signal, sampleRate, opts, fromFrame, toFrame).bands;
+}
+
+/**
+ * Remove the slowly varying part of an onset envelope and scale it to unit standard deviation
+ * @param {Float32Array} raw - Onset strength envelope
+ * @param {number} frameRate - Envelope frames per second
+ * @returns {Float32Array} Normalized envelope
+ */
+export function normalizeEnvelope(raw, frameRate) {
+  const half = Math.max(1, Math.round(0.25 * frameRate));
+  const prefix = new Float64Array(raw.length + 1);
+  for (let i = 0; i < raw.length; i++) prefix[i + 1] = prefix[i] + raw[i];
+  const out = new Float32Array(raw.length);
+  for (let i = 0; i < raw.length; i++) {
+    const lo = Math.max(0, i - half);
+    const hi = Math.min(raw.length, i + half + 1);
+    out[i] = Math.max(0, raw[i] - (prefix[hi] - prefix[lo]) / (hi - lo));
+  }
+  let sumSq = 0;
+  for (let i = 0; i < out.length; i++) sumSq += out[i] * out[i];
+  const std = Math.sqrt(sumSq / Math.max(1, out.length));
+  if (std > 0) for (let i = 0; i < out.length; i++) out[i] /= std;
+  return out;
+}
+
+function tempoGrid(opts) {
+  const count = Math.floor(opts.binsPerOctave * Math.log2(opts.maxBpm / opts.minBpm)) + 1;
+  return Array.from({ length: count }, (_, i) => opts.minBpm * Math.pow(2, i / opts.binsPerOctave));
+}
+
+function logPrior(bpm, opts) {
+  const octaves = Math.log2(bpm / opts.priorBpm);
+  return -0.5 * (octaves / opts.priorOctaves) * (octaves / opts.priorOctaves);
+}
+
+/**
+ * Autocorrelation tempogram of a normalized onset envelope
+ * @param {Float32Array} envelope - Normalized onset strength
+ * @param {number} frameRate - Envelope frames per second
+ * @param {Object} [options] - See DEFAULT_BEAT_OPTIONS
+ * @returns {{bpms: Array<number>, times: Array<number>, columns: Array<Float32Array>, strengths: Array<number>}}
+ *   One column per analysis window, each scaled so its largest value is 1; strengths holds
+ *   each window's peak autocorrelation relative to lag 0 (how periodic it is)
+ */
+export function tempogram(envelope, frameRate, options = {}) {
+  const opts = { ...DEFAULT_BEAT_OPTIONS, ...options };
+  const bpms = tempoGrid(opts);
+  const lagMax = Math.ceil((60 * frameRate) / opts.minBpm) + 1;
+  // Slight smoothing so onsets split across two frames still give one clean autocorrelation peak
+  const smoothed = new Float32Array(envelope.length);
+  for (let i = 0; i < envelope.length; i++) {
+    smoothed[i] = 0.5 * envelope[i]
+      + 0.25 * (i > 0 ? envelope[i - 1] : 0)
+      + 0.25 * (i + 1 < envelope.length ? envelope[i + 1] : 0);
+  }
+  const windowFrames = Math.min(envelope.length, Math.round(opts.tempogramSeconds * frameRate));
+  const hop = Math.max(1, Math.round(opts.tempogramHopSeconds * frameRate));
+  const times = [];
+  const columns = [];
+  const strengths = [];
+
+  for (let centre = 0; centre < envelope.length; centre += hop) {
+    const start = Math.max(0, Math.min(envelope.length - windowFrames, centre - Math.floor(windowFrames / 2)));
+    const end = start + windowFrames;
+    const acf = new Float64Array(lagMax + 2);
+    for (let lag = 0; lag < acf.length; lag++) {
+      let sum = 0;
+      for (let n = start; n + lag < end; n++) sum += smoothed[n] * smoothed[n + lag];
+      acf[lag] = end - start - lag > 0 ? sum / (end - start - lag) : 0;
+    }
+    const column = new Float32Array(bpms.length);
+    let max = 0;
+    bpms.forEach((bpm, i) => {
+      const lag = (60 * frameRate) / bpm;
+      // Onset peaks straddle frame boundaries, so take the better of the two neighbouring lags
+      const k = Math.floor(lag);
+      const value = k + 1 < acf.length ? Math.max(acf[k], acf[k + 1]) : 0;
+      column[i] = Math.max(0, value);
+      if (column[i] > max) max = column[i];
+    });
+    if (max > 0) for (let i = 0; i < column.length; i++) column[i] /= max;
+    times.push(centre / frameRate);
+    columns.push(column);
+    strengths.push(acf[0] > 0 ? Math.min(1, max / acf[0]) : 0);
+  }
+  return { bpms, times, columns, strengths };
+}
+
+// Smooth path through the tempogram. The tempo prior applies to every frame, so
+// among tempo octaves with similar evidence the one nearer priorBpm wins.
+function decodeTempoCurve(gram, opts) {
+  const { bpms, columns } = gram;
+  const EPS = 1e-3;
+  const emission = (column, i) => Math.log(EPS + column[i]) + logPrior(bpms[i], opts);
+  const stepOctaves = 1 / opts.binsPerOctave;
+  const maxStep = Math.ceil(opts.binsPerOctave / 2); // Jumps beyond half an octave per frame are not considered
+
+  let scores = bpms.map((_, i) => emission(columns[0], i));
+  const pointers = [];
+  for (let t = 1; t < columns.length; t++) {
+    const next = new Float64Array(bpms.length);
+    const back = new Int32Array(bpms.length);
+    for (let i = 0; i < bpms.length; i++) {
+      let best = -Infinity;
+      let bestJ = i;
+      for (let j = Math.max(0, i - maxStep); j <= Math.min(bpms.length - 1, i + maxStep); j++) {
+        const jump = (i - j) * stepOctaves;
+        const score = scores[j] - opts.tempoChangePenalty * jump * jump;
+        if (score > best) {
+          best = score;
+          bestJ = j;
+        }
+      }
+      next[i] = best + emission(columns[t], i);
+      back[i] = bestJ;
+    }
+    pointers.push(back);
+    scores = next;
+  }
+
+  let index = 0;
+  for (let i = 1; i < scores.length; i++) if (scores[i] > scores[index]) index = i;
+  const path = new Array(columns.length);
+  for (let t = columns.length - 1; t >= 0; t--) {
+    path[t] = bpms[index];
+    if (t > 0) index = pointers[t - 1][index];
+  }
+  return path;
+}
+
+function interpolateCurve(times, values, time) {
+  if (time <= times[0]) return values[0];
+  for (let i = 1; i < times.length; i++) {
+    if (time <= times[i]) {
+      const t = (time - times[i - 1]) / (times[i] - times[i - 1]);
+      return values[i - 1] * (1 - t) + values[i] * t;
+    }
+  }
+  return values[values.length - 1];
+}
+
+// Sub-frame position of an envelope peak
+function refinePeak(envelope, frame) {
+  if (frame <= 0 || frame >= envelope.length - 1) return frame;
+  const a = envelope[frame - 1];
+  const b = envelope[frame];
+  const c = envelope[frame + 1];
+  const denom = a - 2 * b + c;
+  if (denom >= 0) return frame;
+  return frame + Math.max(-0.5, Math.min(0.5, (0.5 * (a - c)) / denom));
+}
+
+// Ellis-style DP: each beat rewards onset strength and penalizes deviation from the local period
+function alignBeats(envelope, frameRate, periodAt, tightness) {
+  const n = envelope.length;
+  const cumulative = new Float64Array(n);
+  const backlink = new Int32Array(n).fill(-1);
+  for (let t = 0; t < n; t++) {
+    const period = periodAt(t);
+    const from = Math.max(0, Math.round(t - 2 * period));
+    const to = Math.round(t - period / 2);
+    let best = 0;
+    for (let tau = from; tau <= to; tau++) {
+      const penalty = Math.log((t - tau) / period);
+      const score = cumulative[tau] - tightness * penalty * penalty;
+      if (backlink[t] === -1 || score > best) {
+        best = score;
+        backlink[t] = tau;
+      }
+    }
+    cumulative[t] = envelope[t] + best;
+  }
+
+  // Last beat: best cumulative score within the final period
+  const lastPeriod = periodAt(n - 1);
+  let last = n - 1;
+  for (let t = Math.max(0, Math.round(n - lastPeriod)); t < n; t++) {
+    if (cumulative[t] > cumulative[last]) last = t;
+  }
+  const beats = [];
+  for (let t = last; t >= 0; t = backlink[t]) beats.push(t);
+  return beats.reverse();
+}
+
+function emptyResult() {
+  return { tempo: 0, beats: [], tempoCurve: [], tempoCandidates: [], stability: 0, tempoRange: { min: 0, max: 0 } };
+}
+
+/**
+ * Track beats from a raw onset strength envelope
+ * @param {Float32Array} rawEnvelope - From onsetStrengthEnvelope
+ * @param {number} frameRate - Envelope frames per second (sampleRate / hopSize)
+ * @param {Object} [options] - See DEFAULT_BEAT_OPTIONS
+ * @returns {{tempo: number, beats: Array<number>, tempoCurve: Array<{time: number, bpm: number}>,
+ *   tempoCandidates: Array<{bpm: number, relation: string, score: number}>, stability: number,
+ *   tempoRange: {min: number, max: number}}} Times in seconds; stability is 0-1 beat-to-beat consistency
+ */
+export function trackBeatsFromEnvelope(rawEnvelope, frameRate, options = {}) {
+  const opts = { ...DEFAULT_BEAT_OPTIONS, ...options };
+  if (!rawEnvelope || rawEnvelope.length < 2 * frameRate) return emptyResult();
+  const envelope = normalizeEnvelope(rawEnvelope, frameRate);
+  if (!envelope.some(v => v > 0)) return emptyResult();
+
+  const gram = tempogram(envelope, frameRate, opts);
+  const { bpms, columns } = gram;
+
+  const curve = decodeTempoCurve(gram, opts);
+  const periodAt = frame => (60 * frameRate) / interpolateCurve(gram.times, curve, frame / frameRate);
+  // Envelope frame f is centred frameSize / 2 samples after its start
+  const frameCentre = opts.frameSize / 2 / opts.hopSize;
+  const beats = alignBeats(envelope, frameRate, periodAt, opts.tightness)
+    .map(frame => Math.round(((refinePeak(envelope, frame) + frameCentre) / frameRate) * 1000) / 1000);
+
+  const intervals = [];
+  for (let i = 1; i < beats.length; i++) intervals.push(beats[i] - beats[i - 1]);
+  const median = values => [...values].sort((a, b) => a - b)[Math.floor(values.length / 2)];
+  const tempo = intervals.length >= 2 ? 60 / median(intervals) : median(curve);
+
+  // Reported curve: local beat spacing where there are beats, the tempogram path elsewhere
+  const tempoCurve = gram.times.map((time, i) => {
+    const local = [];
+    for (let b = 1; b < beats.length; b++) {
+      if (Math.abs(beats[b] - time) <= opts.tempogramSeconds / 4) local.push(beats[b] - beats[b - 1]);
+    }
+    const bpm = local.length >= 2 ? 60 / median(local) : curve[i];
+    return { time: Math.round(time * 100) / 100, bpm: Math.round(bpm * 10) / 10 };
+  });
+
+  // Tempo-octave alternatives (half/double time, and 3:2 for triple/compound feels)
+  const salience = new Float64Array(bpms.length);
+  columns.forEach(column => column.forEach((v, i) => { salience[i] += v / columns.length; }));
+  const salienceAt = bpm => {
+    const position = opts.binsPerOctave * Math.log2(bpm / opts.minBpm);
+    const k = Math.floor(position);
+    if (k < 0 || k >= bpms.length) return 0;
+    if (k + 1 >= bpms.length) return salience[k];
+    return salience[k] * (1 - (position - k)) + salience[k + 1] * (position - k);
+  };
+  const relations = [['×1', 1], ['×2', 2], ['×½', 0.5], ['×3/2', 1.5], ['×2/3', 2 / 3], ['×3', 3], ['×⅓', 1 / 3]];
+  const candidates = relations
+    .map(([relation, factor]) => ({ relation, bpm: tempo * factor }))
+    .filter(c => c.bpm >= opts.minBpm && c.bpm <= opts.maxBpm)
+    .map(c => ({ ...c, weight: salienceAt(c.bpm) * Math.exp(logPrior(c.bpm, opts)) }));
+  const weightSum = candidates.reduce((sum, c) => sum + c.weight, 0) || 1;
+  const tempoCandidates = candidates
+    .map(c => ({ bpm: Math.round(c.bpm * 10) / 10, relation: c.relation, score: Math.round((c.weight / weightSum) * 1000) / 1000 }))
+    .sort((a, b) => b.score - a.score);
+
+  // Stability: how periodic the onsets are, times how evenly the beats are spaced
+  // (slow tempo drift is fine, jitter beyond one envelope frame is not)
+  let stability = 0;
+  if (intervals.length >= 2) {
+    let sumSq = 0;
+    for (let i = 1; i < intervals.length; i++) {
+      const change = Math.max(0, Math.abs(intervals[i] - intervals[i - 1]) - 1 / frameRate);
+      sumSq += Math.pow(change / ((intervals[i] + intervals[i - 1]) / 2), 2);
+    }
+    const consistency = Math.exp(-Math.sqrt(sumSq / (intervals.length - 1)) / 0.05);
+    const periodicity = gram.strengths.reduce((a, b) => a + b, 0) / gram.strengths.length;
+    stability = Math.sqrt(consistency * periodicity);
+  }
+  const curveBpms = tempoCurve.map(point => point.bpm);
+  return {
+    tempo: Math.round(tempo * 10) / 10,
+    beats,
+    tempoCurve,
+    tempoCandidates,
+    stability: Math.round(stability * 1000) / 1000,
+    tempoRange: { min: Math.min(...curveBpms), max: Math.max(...curveBpms) }
+  };
+}
+
+/**
+ * Track beats in a signal
+ * @param {Float32Array} signal - Mono samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} [options] - See DEFAULT_BEAT_OPTIONS
+ * @returns {Object} See trackBeatsFromEnvelope
+ */
+export function trackBeats(signal, sampleRate, options = {}) {
+  const opts = { ...DEFAULT_BEAT_OPTIONS, ...options };
+  return trackBeatsFromEnvelope(onsetStrengthEnvelope(signal, opts), sampleRate / opts.hopSize, opts);
+}
@@ -0,0 +1,151 @@
+// Utility: Channel handling
+// Reduces a multichannel recording to the signal(s) the analysis runs on (mono
+// downmix, one channel, mid or side, or several of them separately) and measures
+// the stereo image of the first two channels: correlation, width, balance and
+// where each frequency band sits between left and right.
+
+import { magnitudeSpectrum } from './spectral.js';
+import { DEFAULT_ONSET_BANDS } from './onsets.js';
+
+export const CHANNEL_MODES = ['mix', 'left', 'right', 'mid', 'side', 'each', 'mid-side'];
+
+export const DEFAULT_STEREO_OPTIONS = {
+  frameSize: 2048,
+  maxFrames: 200,          // Frames sampled evenly across the file for band panning
+  bands: DEFAULT_ONSET_BANDS,
+  centreTolerance: 0.1     // |pan| below this counts as centred
+};
+
+/**
+ * Average of all channels
+ * @param {Array<Float32Array>} channels - One array of samples per channel
+ * @returns {Float32Array} Mono samples
+ */
+export function downmix(channels) {
+  if (channels.length === 1) return channels[0];
+  const length = Math.min(...channels.map(channel => channel.length));
+  const out = new Float32Array(length);
+  for (const channel of channels) {
+    for (let i = 0; i < length; i++) out[i] += channel[i];
+  }
+  for (let i = 0; i < length; i++) out[i] /= channels.length;
+  return out;
+}
+
+/**
+ * Mid (L + R) / 2 and side (L - R) / 2 signals
+ * @param {Float32Array} left - Left channel
+ * @param {Float32Array} right - Right channel
+ * @returns {{mid: Float32Array, side: Float32Array}}
+ */
+export function midSide(left, right) {
+  const length = Math.min(left.length, right.length);
+  const mid = new Float32Array(length);
+  const side = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    mid[i] = (left[i] + right[i]) / 2;
+    side[i] = (left[i] - right[i]) / 2;
+  }
+  return { mid, side };
+}
+
+function channelLabel(index, count) {
+  if (count === 2) return index === 0 ? 'Left' : 'Right';
+  return `Channel ${index + 1}`;
+}
+
+/**
+ * Signals to analyze for a channel mode. Mono input always gives its one channel.
+ * @param {Array<Float32Array>} channels - One array of samples per channel
+ * @param {string} [mode='mix'] - One of CHANNEL_MODES
+ * @returns {Array<{id: string, label: string, data: Float32Array}>}
+ */
+export function selectChannels(channels, mode = 'mix') {
+  if (!CHANNEL_MODES.includes(mode)) throw new Error(`Unknown channel mode: ${mode}`);
+  if (!channels.length) throw new Error('No audio channels to analyze');
+  if (channels.length === 1) return [{ id: 'mono', label: 'Mono', data: channels[0] }];
+
+  const [left, right] = channels;
+  switch (mode) {
+    case 'left':
+      return [{ id: 'left', label: channelLabel(0, channels.length), data: left }];
+    case 'right':
+      return [{ id: 'right', label: channelLabel(1, channels.length), data: right }];
+    case 'mid':
+      return [{ id: 'mid', label: 'Mid (centre)', data: midSide(left, right).mid }];
+    case 'side':
+      return [{ id: 'side', label: 'Side (difference)', data: midSide(left, right).side }];
+    case 'mid-side': {
+      const { mid, side } = midSide(left, right);
+      return [
+        { id: 'mid', label: 'Mid (centre)', data: mid },
+        { id: 'side', label: 'Side (difference)', data: side }
+      ];
+    }
+    case 'each':
+      return channels.map((data, c) => ({ id: `ch${c + 1}`, label: channelLabel(c, channels.length), data }));
+    default:
+      return [{ id: 'mix', label: `Mono downmix of ${channels.length} channels`, data: downmix(channels) }];
+  }
+}
+
+const toDb = ratio => (ratio > 0 ? Math.round(10 * Math.log10(ratio) * 10) / 10 : null);
+
+/**
+ * Stereo image of a left/right pair
+ * @param {Float32Array} left - Left channel
+ * @param {Float32Array} right - Right channel
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} [options] - See DEFAULT_STEREO_OPTIONS
+ * @returns {{correlation: number, width: number, balance: number|null, sideToMid: number|null,
+ *   bands: Array<{name: string, label: string, pan: number, position: string}>}}
+ *   correlation: +1 mono, 0 unrelated, -1 out of phase. width: side energy share, 0 (mono) to 1.
+ *   balance and sideToMid in dB; balance > 0 when the right channel is louder.
+ *   pan per band: -1 hard left to +1 hard right.
+ */
+export function stereoImage(left, right, sampleRate, options = {}) {
+  const opts = { ...DEFAULT_STEREO_OPTIONS, ...options };
+  const length = Math.min(left.length, right.length);
+  let ll = 0, rr = 0, lr = 0;
+  for (let i = 0; i < length; i++) {
+    ll += left[i] * left[i];
+    rr += right[i] * right[i];
+    lr += left[i] * right[i];
+  }
+  // Mid and side energies follow from the same sums: (L ± R)² / 4
+  const midEnergy = (ll + rr + 2 * lr) / 4;
+  const sideEnergy = (ll + rr - 2 * lr) / 4;
+  const silent = ll + rr === 0;
+  const correlation = silent ? 1 : ll > 0 && rr > 0 ? lr / Math.sqrt(ll * rr) : 0;
+
+  // Band panning from magnitude spectra of frames spread over the file
+  const binHz = sampleRate / opts.frameSize;
+  const top = opts.frameSize / 2;
+  const frames = Math.max(1, Math.floor(length / opts.frameSize));
+  const step = Math.max(1, Math.floor(frames / opts.maxFrames));
+  const energies = opts.bands.map(() => [0, 0]);
+  for (let f = 0; f < frames; f += step) {
+    const start = f * opts.frameSize;
+    const spectra = [left, right].map(channel => magnitudeSpectrum(channel.subarray(start, start + opts.frameSize), { fftSize: opts.frameSize }));
+    opts.bands.forEach((band, b) => {
+      const lo = Math.max(0, Math.floor(band.minFrequency / binHz));
+      const hi = Math.min(top, Math.ceil(band.maxFrequency / binHz));
+      spectra.forEach((mags, side) => {
+        for (let k = lo; k <= hi; k++) energies[b][side] += mags[k] * mags[k];
+      });
+    });
+  }
+
+  return {
+    correlation: Math.round(correlation * 1000) / 1000,
+    width: silent ? 0 : Math.round((sideEnergy / (midEnergy + sideEnergy)) * 1000) / 1000,
+    balance: ll > 0 && rr > 0 ? toDb(rr / ll) : null,
+    sideToMid: midEnergy > 0 && sideEnergy > 0 ? toDb(sideEnergy / midEnergy) : null,
+    bands: opts.bands.map((band, b) => {
+      const [l, r] = energies[b];
+      const pan = l + r > 0 ? Math.round(((r - l) / (r + l)) * 100) / 100 : 0;
+      const position = Math.abs(pan) < opts.centreTolerance ? 'centre' : pan < 0 ? 'left' : 'right';
+      return { name: band.name, label: band.label, pan, position };
+    })
+  };
+}
@@ -0,0 +1,153 @@
+// Utility: Comparing two analyses
+// Lines up two runAnalysisPipeline results (say a student's singing and a
+// reference recording): the headline features side by side with their
+// differences, the same features scaled to 0-1 for a radar chart, and the pitch
+// contours and tempo curves as points that can be overlaid.
+
+const cents = (a, b) => 1200 * Math.log2(b / a);
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((x, y) => x - y);
+  const middle = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.round(p * (sorted.length - 1))))];
+}
+
+const voicedFrequencies = result => (result.pitchTrack || []).filter(frame => frame.voiced && frame.frequency > 0).map(frame => frame.frequency);
+
+/**
+ * Numeric features that are compared. `range` scales them to 0-1 for the radar chart
+ * (`log` for frequencies); `difference` overrides b - a (pitch differences are in cents).
+ */
+export const COMPARISON_FEATURES = [
+  { key: 'tempo', label: 'Tempo', unit: 'BPM', range: [40, 220], read: r => r.rhythm?.tempo },
+  { key: 'regularity', label: 'Rhythm regularity', unit: '', range: [0, 1], read: r => r.rhythm?.regularity },
+  { key: 'stability', label: 'Tempo stability', unit: '', range: [0, 1], read: r => r.rhythm?.stability },
+  {
+    key: 'onsetRate', label: 'Onsets per second', unit: '/s', range: [0, 8],
+    read: r => (r.rhythm?.onsets?.times && r.duration > 0 ? r.rhythm.onsets.times.length / r.duration : null)
+  },
+  { key: 'percussiveness', label: 'Percussiveness', unit: '', range: [0, 1], read: r => r.rhythm?.percussiveness },
+  {
+    key: 'medianPitch', label: 'Median pitch', unit: 'Hz', range: [65, 1050], log: true,
+    read: r => median(voicedFrequencies(r)), difference: cents, differenceUnit: 'cents'
+  },
+  {
+    key: 'pitchRange', label: 'Pitch range (5th-95th percentile)', unit: 'semitones', range: [0, 36],
+    read: (r) => {
+      const sorted = voicedFrequencies(r).sort((x, y) => x - y);
+      return sorted.length > 1 ? cents(percentile(sorted, 0.05), percentile(sorted, 0.95)) / 100 : null;
+    }
+  },
+  {
+    key: 'voiced', label: 'Voiced frames', unit: '', range: [0, 1],
+    read: r => (r.pitchTrack?.length ? voicedFrequencies(r).length / r.pitchTrack.length : null)
+  },
+  {
+    key: 'tonic', label: 'Tonic', unit: 'Hz', range: [55, 880], log: true,
+    read: r => r.scale?.tonic?.frequency, difference: cents, differenceUnit: 'cents'
+  },
+  { key: 'scaleConfidence', label: 'Scale confidence', unit: '', range: [0, 1], read: r => r.scale?.confidence },
+  { key: 'centroid', label: 'Spectral centroid', unit: 'Hz', range: [100, 8000], log: true, read: r => r.spectral?.centroid },
+  { key: 'brightness', label: 'Brightness', unit: '', range: [0, 1], read: r => r.spectral?.brightness },
+  { key: 'flatness', label: 'Spectral flatness', unit: '', range: [0, 0.5], read: r => r.features?.flatness?.mean },
+  { key: 'loudness', label: 'Loudness', unit: 'LUFS', range: [-50, -5], read: r => r.loudness?.integrated },
+  { key: 'loudnessRange', label: 'Loudness range', unit: 'LU', range: [0, 25], read: r => r.loudness?.loudnessRange }
+];
+
+// Features that are names rather than numbers
+export const COMPARISON_CATEGORIES = [
+  { key: 'tonicNote', label: 'Tonic note', read: r => r.scale?.tonic?.note },
+  { key: 'scale', label: 'Scale / mode', read: r => r.scale?.scale },
+  { key: 'meter', label: 'Meter', read: r => r.rhythm?.meter?.label },
+  { key: 'tuning', label: 'Tuning system', read: r => r.tuning?.tuning?.best?.name },
+  { key: 'instrument', label: 'Likely instrument', read: r => r.instrument?.candidates?.[0]?.instrument }
+];
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * A feature value scaled to 0-1 by its range (clamped)
+ * @param {Object} feature - From COMPARISON_FEATURES
+ * @param {number|null} value
+ * @returns {number|null}
+ */
+export function normalizeFeature(feature, value) {
+  if (!isNumber(value)) return null;
+  const [min, max] = feature.range;
+  const scaled = feature.log
+    ? Math.log(Math.max(value, 1e-9) / min) / Math.log(max / min)
+    : (value - min) / (max - min);
+  return Math.max(0, Math.min(1, scaled));
+}
+
+/**
+ * Compare two analysis results feature by feature
+ * @param {Object} a - runAnalysisPipeline result (e.g. the reference)
+ * @param {Object} b - runAnalysisPipeline result (e.g. the student's take)
+ * @returns {{features: Array<Object>, categories: Array<Object>, similarity: number|null}}
+ *   features: { key, label, unit, a, b, difference, differenceUnit, normalized: {a, b} }; difference is b - a
+ *   (null when either is missing). categories: { key, label, a, b, same }. similarity is 1 minus the mean
+ *   normalized difference over the features both have
+ */
+export function compareAnalyses(a, b) {
+  const features = COMPARISON_FEATURES.map((feature) => {
+    const valueA = feature.read(a);
+    const valueB = feature.read(b);
+    const both = isNumber(valueA) && isNumber(valueB);
+    return {
+      key: feature.key,
+      label: feature.label,
+      unit: feature.unit,
+      a: isNumber(valueA) ? valueA : null,
+      b: isNumber(valueB) ? valueB : null,
+      difference: both ? (feature.difference ? feature.difference(valueA, valueB) : valueB - valueA) : null,
+      differenceUnit: feature.differenceUnit || feature.unit,
+      normalized: { a: normalizeFeature(feature, valueA), b: normalizeFeature(feature, valueB) }
+    };
+  });
+  const categories = COMPARISON_CATEGORIES.map((category) => {
+    const valueA = category.read(a) ?? null;
+    const valueB = category.read(b) ?? null;
+    return { key: category.key, label: category.label, a: valueA, b: valueB, same: valueA !== null && valueA === valueB };
+  });
+  const gaps = features.filter(f => f.normalized.a !== null && f.normalized.b !== null).map(f => Math.abs(f.normalized.a - f.normalized.b));
+  return {
+    features,
+    categories,
+    similarity: gaps.length > 0 ? 1 - gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length : null
+  };
+}
+
+const timeAxis = (time, duration, relative) => (relative ? (duration > 0 ? time / duration * 100 : 0) : time);
+
+/**
+ * Voiced pitch contour as chart points
+ * @param {Object} result - runAnalysisPipeline result
+ * @param {Object} [options]
+ * @param {boolean} [options.relative=false] - x in percent of the recording instead of seconds, so takes of
+ *   different lengths line up
+ * @returns {Array<{x: number, y: number}>} y is a MIDI note number (fractional)
+ */
+export function pitchContourPoints(result, { relative = false } = {}) {
+  return (result.pitchTrack || [])
+    .filter(frame => frame.voiced && frame.frequency > 0)
+    .map(frame => ({ x: timeAxis(frame.time, result.duration, relative), y: 69 + 12 * Math.log2(frame.frequency / 440) }));
+}
+
+/**
+ * Local tempo over time as chart points
+ * @param {Object} result - runAnalysisPipeline result
+ * @param {Object} [options] - See pitchContourPoints
+ * @returns {Array<{x: number, y: number}>} y in BPM; a flat line at the overall tempo when there is no curve
+ */
+export function tempoCurvePoints(result, { relative = false } = {}) {
+  const curve = result.rhythm?.tempoCurve || [];
+  if (curve.length > 0) return curve.map(point => ({ x: timeAxis(point.time, result.duration, relative), y: point.bpm }));
+  if (!isNumber(result.rhythm?.tempo)) return [];
+  return [0, result.duration].map(time => ({ x: timeAxis(time, result.duration, relative), y: result.rhythm.tempo }));
+}
@@ -0,0 +1,116 @@
+// Utility: Corpus statistics
+// Works on the one-row summaries of utils/summary.js for a whole set of
+// recordings: sorting the table, tempo histograms, counts of scale types, and
+// mean / median / range of each numeric column.
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Rows in order of one column; rows without a value come last either way
+ * @param {Array<Object>} rows - From summarizeAnalysis
+ * @param {string} column
+ * @param {string} [direction='asc'] - 'asc' or 'desc'
+ * @returns {Array<Object>} A sorted copy
+ */
+export function sortSummaries(rows, column, direction = 'asc') {
+  const sign = direction === 'desc' ? -1 : 1;
+  return [...rows].sort((a, b) => {
+    const valueA = a[column];
+    const valueB = b[column];
+    const missingA = valueA === null || valueA === undefined || valueA === '';
+    const missingB = valueB === null || valueB === undefined || valueB === '';
+    if (missingA || missingB) return missingA === missingB ? 0 : missingA ? 1 : -1;
+    if (isNumber(valueA) && isNumber(valueB)) return (valueA - valueB) * sign;
+    return String(valueA).localeCompare(String(valueB), undefined, { numeric: true, sensitivity: 'base' }) * sign;
+  });
+}
+
+/**
+ * Fixed-width histogram of the numeric values of a column
+ * @param {Array<Object>} rows
+ * @param {string} column
+ * @param {Object} [options]
+ * @param {number} [options.binWidth=10]
+ * @returns {Array<{start: number, end: number, count: number}>} Consecutive bins from the lowest value's bin
+ *   to the highest's (empty bins included); empty when no row has a value
+ */
+export function histogram(rows, column, { binWidth = 10 } = {}) {
+  const values = rows.map(row => row[column]).filter(isNumber);
+  if (values.length === 0) return [];
+  const first = Math.floor(Math.min(...values) / binWidth);
+  const last = Math.floor(Math.max(...values) / binWidth);
+  const bins = Array.from({ length: last - first + 1 }, (_, i) => ({ start: (first + i) * binWidth, end: (first + i + 1) * binWidth, count: 0 }));
+  values.forEach(value => bins[Math.floor(value / binWidth) - first].count++);
+  return bins;
+}
+
+/**
+ * How often each value of a column occurs
+ * @param {Array<Object>} rows
+ * @param {string} column
+ * @returns {Array<{value: string, count: number}>} Most frequent first; rows without a value are left out
+ */
+export function countValues(rows, column) {
+  const counts = new Map();
+  rows.forEach((row) => {
+    const value = row[column];
+    if (value !== null && value !== undefined && value !== '') counts.set(value, (counts.get(value) || 0) + 1);
+  });
+  return [...counts].map(([value, count]) => ({ value, count })).sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+}
+
+/**
+ * Spread of a numeric column
+ * @param {Array<Object>} rows
+ * @param {string} column
+ * @returns {{count: number, mean: number, median: number, min: number, max: number, std: number}|null}
+ *   null when no row has a value
+ */
+export function columnStatistics(rows, column) {
+  const values = rows.map(row => row[column]).filter(isNumber).sort((a, b) => a - b);
+  if (values.length === 0) return null;
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const middle = values.length >> 1;
+  return {
+    count: values.length,
+    mean,
+    median: values.length % 2 ? values[middle] : (values[middle - 1] + values[middle]) / 2,
+    min: values[0],
+    max: values[values.length - 1],
+    std: Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length)
+  };
+}
+
+/**
+ * Corpus-level view of a set of summaries
+ * @param {Array<Object>} rows - From summarizeAnalysis; failed files carry an error column
+ * @param {Object} [options]
+ * @param {number} [options.tempoBinWidth=10] - BPM per tempo histogram bin
+ * @returns {{files: number, analyzed: number, failed: number, tempoHistogram: Array<Object>,
+ *   scales: Array<Object>, tonics: Array<Object>, meters: Array<Object>, columns: Object}}
+ *   columns maps each numeric column to its columnStatistics
+ */
+export function corpusStatistics(rows, { tempoBinWidth = 10 } = {}) {
+  const analyzed = rows.filter(row => !row.error);
+  const numericColumns = [...new Set(analyzed.flatMap(row => Object.keys(row).filter(key => isNumber(row[key]))))];
+  return {
+    files: rows.length,
+    analyzed: analyzed.length,
+    failed: rows.length - analyzed.length,
+    tempoHistogram: histogram(analyzed, 'tempo_bpm', { binWidth: tempoBinWidth }),
+    scales: countValues(analyzed, 'scale'),
+    tonics: countValues(analyzed.map(row => ({ tonic: typeof row.tonic === 'string' ? row.tonic.replace(/-?\d+$/, '') : row.tonic })), 'tonic'),
+    meters: countValues(analyzed, 'meter'),
+    columns: Object.fromEntries(numericColumns.map(column => [column, columnStatistics(analyzed, column)]))
+  };
+}
+
+/**
+ * JSON export of a corpus: every row and the statistics
+ * @param {Array<Object>} rows - From summarizeAnalysis
+ * @param {Object} [options] - corpusStatistics options
+ * @returns {string}
+ */
+export function corpusToJson(rows, options = {}) {
+  return JSON.stringify({ generatedAt: new Date().toISOString(), statistics: corpusStatistics(rows, options), files: rows }, null, 2);
+}
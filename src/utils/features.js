@@ -0,0 +1,296 @@
+// Utility: Frame-level timbre and pitch-class features
+// MFCCs (mel filterbank + DCT), spectral contrast per octave band, spectral
+// flatness and chroma, computed from magnitude spectra one frame at a time.
+// Features are accumulated into a state so the pipeline can feed the frames it
+// already transforms for the average spectrum; finishFeatures then returns the
+// mean and variance of each feature, plus the frames themselves if kept.
+
+import { binFrequency, forEachSpectrumFrame } from './spectral.js';
+
+export const CHROMA_LABELS = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+export const DEFAULT_FEATURE_OPTIONS = {
+  melBands: 40,
+  mfccCount: 13,
+  melMinFrequency: 0,
+  melMaxFrequency: 8000,      // Clamped to Nyquist
+  contrastMinFrequency: 200,  // Lower edge of the first octave band; below it is one more band
+  contrastBands: 6,
+  contrastQuantile: 0.02,     // Share of each band's bins averaged for its peak and its valley
+  chromaMinFrequency: 65,     // C2
+  chromaMaxFrequency: 5000,
+  referenceFrequency: 440,    // A4, for chroma bin mapping
+  keepFrames: true,           // Also return the per-frame values
+  poolFrames: 0,              // Also average MFCC and chroma over every this many frames (0: off), see pooledFeatures
+  decimals: 4
+};
+
+const hzToMel = hz => 2595 * Math.log10(1 + hz / 700);
+const melToHz = mel => 700 * (Math.pow(10, mel / 2595) - 1);
+
+/**
+ * Triangular mel filterbank over a half spectrum
+ * @param {number} binCount - Bins in the half spectrum (fftSize / 2 + 1)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} [options] - melBands, melMinFrequency, melMaxFrequency
+ * @returns {Array<{start: number, weights: Float32Array}>} One filter per band, from its first bin
+ */
+export function melFilterbank(binCount, sampleRate, options = {}) {
+  const { melBands, melMinFrequency, melMaxFrequency } = { ...DEFAULT_FEATURE_OPTIONS, ...options };
+  const top = Math.min(melMaxFrequency, sampleRate / 2);
+  const low = hzToMel(melMinFrequency);
+  const high = hzToMel(top);
+  const edges = Array.from({ length: melBands + 2 }, (_, i) => melToHz(low + ((high - low) * i) / (melBands + 1)));
+  return Array.from({ length: melBands }, (_, m) => {
+    const [left, centre, right] = [edges[m], edges[m + 1], edges[m + 2]];
+    const weights = [];
+    let start = -1;
+    for (let k = 0; k < binCount; k++) {
+      const f = binFrequency(k, sampleRate, binCount);
+      const weight = f <= left || f >= right ? 0 : f <= centre ? (f - left) / (centre - left) : (right - f) / (right - centre);
+      if (weight > 0 && start < 0) start = k;
+      if (start >= 0 && f < right) weights.push(weight);
+    }
+    return { start: Math.max(0, start), weights: Float32Array.from(weights) };
+  });
+}
+
+// Orthonormal DCT-II of `values`, first `count` coefficients
+function dct(values, count) {
+  const n = values.length;
+  return Array.from({ length: count }, (_, k) => {
+    let sum = 0;
+    for (let i = 0; i < n; i++) sum += values[i] * Math.cos((Math.PI * k * (2 * i + 1)) / (2 * n));
+    return sum * Math.sqrt((k === 0 ? 1 : 2) / n);
+  });
+}
+
+/**
+ * Mel-frequency cepstral coefficients of one magnitude spectrum
+ * @param {Float32Array} magnitudes - Half spectrum
+ * @param {Array} filterbank - From melFilterbank
+ * @param {number} [count=13] - Coefficients to keep
+ * @returns {Array<number>} MFCCs; the first is overall log energy
+ */
+export function mfcc(magnitudes, filterbank, count = DEFAULT_FEATURE_OPTIONS.mfccCount) {
+  const energies = filterbank.map(({ start, weights }) => {
+    let energy = 0;
+    for (let i = 0; i < weights.length; i++) energy += weights[i] * magnitudes[start + i] * magnitudes[start + i];
+    return Math.log(energy + 1e-10);
+  });
+  return dct(energies, Math.min(count, energies.length));
+}
+
+/**
+ * Spectral flatness: geometric over arithmetic mean of the power spectrum (DC excluded).
+ * Near 1 for noise (breathy flutes, shakers), near 0 for clear tones.
+ * @param {Float32Array} magnitudes - Half spectrum
+ * @returns {number} 0-1
+ */
+export function spectralFlatness(magnitudes) {
+  let logSum = 0;
+  let sum = 0;
+  const n = magnitudes.length - 1;
+  for (let k = 1; k < magnitudes.length; k++) {
+    const power = magnitudes[k] * magnitudes[k] + 1e-20;
+    logSum += Math.log(power);
+    sum += power;
+  }
+  return n > 0 && sum > n * 1e-20 ? Math.exp(logSum / n) / (sum / n) : 0;
+}
+
+// Bin ranges of the contrast bands: everything below the first edge, then octaves
+function contrastRanges(binCount, sampleRate, opts) {
+  const binHz = binFrequency(1, sampleRate, binCount);
+  const edges = [0];
+  for (let b = 0; b < opts.contrastBands; b++) edges.push(opts.contrastMinFrequency * Math.pow(2, b));
+  edges.push(sampleRate / 2);
+  return edges.slice(0, -1).map((low, b) => [
+    Math.min(binCount - 1, Math.round(low / binHz)),
+    Math.min(binCount, Math.max(Math.round(low / binHz) + 1, Math.round(edges[b + 1] / binHz)))
+  ]);
+}
+
+/**
+ * Spectral contrast: peak-to-valley level difference per octave band, in dB.
+ * High for clear harmonic peaks, low for noisy or dense bands.
+ * @param {Float32Array} magnitudes - Half spectrum
+ * @param {Array<Array<number>>} ranges - [first, end) bins per band
+ * @param {number} [quantile=0.02] - Share of bins averaged for the peak and the valley
+ * @returns {Array<number>} One value per band
+ */
+export function spectralContrast(magnitudes, ranges, quantile = DEFAULT_FEATURE_OPTIONS.contrastQuantile) {
+  return ranges.map(([first, end]) => {
+    const powers = Array.from(magnitudes.subarray(first, end), m => m * m).sort((a, b) => a - b);
+    const take = Math.max(1, Math.round(quantile * powers.length));
+    const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+    const valley = mean(powers.slice(0, take));
+    const peak = mean(powers.slice(-take));
+    return 10 * Math.log10((peak + 1e-10) / (valley + 1e-10));
+  });
+}
+
+/**
+ * Pitch class (0 = C) of every bin in the chroma range, -1 outside it
+ * @param {number} binCount - Bins in the half spectrum
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} [options] - chromaMinFrequency, chromaMaxFrequency, referenceFrequency
+ * @returns {Int8Array} Pitch class per bin
+ */
+export function chromaMap(binCount, sampleRate, options = {}) {
+  const opts = { ...DEFAULT_FEATURE_OPTIONS, ...options };
+  return Int8Array.from({ length: binCount }, (_, k) => {
+    const f = binFrequency(k, sampleRate, binCount);
+    if (f < opts.chromaMinFrequency || f > opts.chromaMaxFrequency) return -1;
+    const semitonesFromA = Math.round(12 * Math.log2(f / opts.referenceFrequency));
+    return (((semitonesFromA + 9) % 12) + 12) % 12;
+  });
+}
+
+/**
+ * Chroma (pitch-class profile) of one magnitude spectrum
+ * @param {Float32Array} magnitudes - Half spectrum
+ * @param {Int8Array} map - Pitch class per bin (see chromaMap)
+ * @returns {Array<number>} 12 values, C first, scaled so the strongest is 1 (all 0 in silence)
+ */
+export function chroma(magnitudes, map) {
+  const profile = new Array(12).fill(0);
+  for (let k = 0; k < magnitudes.length; k++) {
+    if (map[k] >= 0) profile[map[k]] += magnitudes[k] * magnitudes[k];
+  }
+  const max = Math.max(...profile);
+  return max > 0 ? profile.map(value => value / max) : profile;
+}
+
+/**
+ * Start a feature accumulation for spectra of `binCount` bins
+ * @param {number} binCount - Bins per half spectrum (frameSize / 2 + 1)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} [options] - See DEFAULT_FEATURE_OPTIONS
+ * @returns {Object} State for addFeatureFrame / finishFeatures
+ */
+export function createFeatureState(binCount, sampleRate, options = {}) {
+  const opts = { ...DEFAULT_FEATURE_OPTIONS, ...options };
+  return {
+    opts,
+    filterbank: melFilterbank(binCount, sampleRate, opts),
+    ranges: contrastRanges(binCount, sampleRate, opts),
+    map: chromaMap(binCount, sampleRate, opts),
+    frameCount: 0,
+    sums: {},
+    squares: {},
+    frames: opts.keepFrames ? { mfcc: [], contrast: [], flatness: [], chroma: [] } : null,
+    pooled: opts.poolFrames > 0 ? { mfcc: [], chroma: [], sums: null, count: 0 } : null
+  };
+}
+
+// Running sums of the current pooling window; a full window becomes one pooled vector
+function pool(pooled, values, size) {
+  if (!pooled.sums) pooled.sums = { mfcc: new Float64Array(values.mfcc.length), chroma: new Float64Array(12) };
+  ['mfcc', 'chroma'].forEach(name => values[name].forEach((v, i) => { pooled.sums[name][i] += v; }));
+  if (++pooled.count === size) flushPool(pooled);
+}
+
+function flushPool(pooled) {
+  if (!pooled.count) return;
+  ['mfcc', 'chroma'].forEach(name => pooled[name].push(Array.from(pooled.sums[name], sum => sum / pooled.count)));
+  pooled.sums = null;
+  pooled.count = 0;
+}
+
+function accumulate(state, name, values) {
+  if (!state.sums[name]) {
+    state.sums[name] = new Float64Array(values.length);
+    state.squares[name] = new Float64Array(values.length);
+  }
+  for (let i = 0; i < values.length; i++) {
+    state.sums[name][i] += values[i];
+    state.squares[name][i] += values[i] * values[i];
+  }
+}
+
+/**
+ * Compute and accumulate the features of one frame
+ * @param {Object} state - From createFeatureState
+ * @param {Float32Array} magnitudes - The frame's half spectrum
+ */
+export function addFeatureFrame(state, magnitudes) {
+  const { opts } = state;
+  const values = {
+    mfcc: mfcc(magnitudes, state.filterbank, opts.mfccCount),
+    contrast: spectralContrast(magnitudes, state.ranges, opts.contrastQuantile),
+    flatness: [spectralFlatness(magnitudes)],
+    chroma: chroma(magnitudes, state.map)
+  };
+  Object.entries(values).forEach(([name, frame]) => {
+    accumulate(state, name, frame);
+    if (state.frames) state.frames[name].push(name === 'flatness' ? round(frame[0], opts.decimals) : frame.map(v => round(v, opts.decimals)));
+  });
+  if (state.pooled) pool(state.pooled, values, opts.poolFrames);
+  state.frameCount++;
+}
+
+/**
+ * MFCC and chroma averaged over consecutive groups of poolFrames frames (the last group may be shorter)
+ * @param {Object} state - From createFeatureState with poolFrames > 0
+ * @returns {{mfcc: Array<Array<number>>, chroma: Array<Array<number>>, poolFrames: number}|null}
+ */
+export function pooledFeatures(state) {
+  if (!state.pooled) return null;
+  flushPool(state.pooled);
+  return { mfcc: state.pooled.mfcc, chroma: state.pooled.chroma, poolFrames: state.opts.poolFrames };
+}
+
+function round(value, decimals) {
+  const scale = Math.pow(10, decimals);
+  return Math.round(value * scale) / scale;
+}
+
+/**
+ * Summaries (and frames, if kept) of an accumulation
+ * @param {Object} state - From createFeatureState
+ * @returns {{frameCount: number, mfcc: Object, contrast: Object, flatness: Object, chroma: Object}}
+ *   Each feature has mean and variance (arrays; numbers for flatness) and, if kept, frames.
+ *   chroma also carries its pitch-class labels.
+ */
+export function finishFeatures(state) {
+  const { opts, frameCount } = state;
+  const summary = name => {
+    const sums = state.sums[name] || new Float64Array(0);
+    const mean = Array.from(sums, sum => (frameCount ? sum / frameCount : 0));
+    const variance = mean.map((m, i) => (frameCount ? Math.max(0, state.squares[name][i] / frameCount - m * m) : 0));
+    const scalar = name === 'flatness';
+    const result = {
+      mean: scalar ? round(mean[0] || 0, opts.decimals) : mean.map(v => round(v, opts.decimals)),
+      variance: scalar ? round(variance[0] || 0, opts.decimals) : variance.map(v => round(v, opts.decimals))
+    };
+    if (state.frames) result.frames = state.frames[name];
+    return result;
+  };
+  return {
+    frameCount,
+    mfcc: summary('mfcc'),
+    contrast: summary('contrast'),
+    flatness: summary('flatness'),
+    chroma: { ...summary('chroma'), labels: CHROMA_LABELS }
+  };
+}
+
+/**
+ * MFCC, spectral contrast, flatness and chroma of a whole signal
+ * @param {Float32Array} signal - Mono samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} [options] - See DEFAULT_FEATURE_OPTIONS, plus frameSize, hopSize and window
+ * @returns {Object} See finishFeatures; frameTimes (seconds, frame centres) is added when frames are kept
+ */
+export function extractFeatures(signal, sampleRate, options = {}) {
+  const { frameSize = 2048, hopSize = 1024 } = options;
+  const state = createFeatureState(frameSize / 2 + 1, sampleRate, options);
+  const frameTimes = [];
+  forEachSpectrumFrame(signal, { ...options, frameSize, hopSize }, (magnitudes, index, start) => {
+    addFeatureFrame(state, magnitudes);
+    frameTimes.push(round((start + frameSize / 2) / sampleRate, 3));
+  });
+  const result = finishFeatures(state);
+  return state.frames ? { ...result, frameTimes } : result;
+}
@@ -0,0 +1,372 @@
+// Utility: FLAC decoding
+// A complete decoder for native FLAC streams (not Ogg FLAC): STREAMINFO, fixed and
+// variable block sizes, CONSTANT / VERBATIM / FIXED / LPC subframes, wasted bits,
+// Rice and Rice2 residuals with escape partitions, and the three stereo
+// decorrelation modes. A damaged frame (bad CRC-16 or unreadable) becomes
+// silence of the same length, so later frames keep their timing, and decoding
+// resumes at the next frame header whose CRC-8 checks out.
+
+import { id3v2Length, toBytes } from './audioFormats.js';
+
+const BLOCK_TYPE_STREAMINFO = 0;
+const SAMPLE_RATES = [0, 88200, 176400, 192000, 8000, 16000, 22050, 24000, 32000, 44100, 48000, 96000];
+const SAMPLE_SIZES = [0, 8, 12, 0, 16, 20, 24, 32];
+const CHANNEL_LEFT_SIDE = 8;
+const CHANNEL_SIDE_RIGHT = 9;
+const CHANNEL_MID_SIDE = 10;
+
+// CRC-8, polynomial x^8 + x^2 + x + 1, over frame headers
+const CRC8_TABLE = Uint8Array.from({ length: 256 }, (_, byte) => {
+  let crc = byte;
+  for (let bit = 0; bit < 8; bit++) crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xff : (crc << 1) & 0xff;
+  return crc;
+});
+
+// CRC-16, polynomial x^16 + x^15 + x^2 + 1, over whole frames
+const CRC16_TABLE = Uint16Array.from({ length: 256 }, (_, byte) => {
+  let crc = byte << 8;
+  for (let bit = 0; bit < 8; bit++) crc = crc & 0x8000 ? ((crc << 1) ^ 0x8005) & 0xffff : (crc << 1) & 0xffff;
+  return crc;
+});
+
+export function crc8(bytes, start, end) {
+  let crc = 0;
+  for (let i = start; i < end; i++) crc = CRC8_TABLE[crc ^ bytes[i]];
+  return crc;
+}
+
+export function crc16(bytes, start, end) {
+  let crc = 0;
+  for (let i = start; i < end; i++) crc = ((crc << 8) & 0xffff) ^ CRC16_TABLE[(crc >> 8) ^ bytes[i]];
+  return crc;
+}
+
+function endOfData() {
+  return new Error('Unexpected end of FLAC data');
+}
+
+// MSB-first bit reader; values up to 32 bits
+function createBitReader(bytes, byteOffset) {
+  let pos = byteOffset * 8;
+  return {
+    get bytePosition() {
+      return Math.ceil(pos / 8);
+    },
+    readBits(count) {
+      let value = 0;
+      for (let done = 0; done < count;) {
+        const byte = bytes[pos >> 3];
+        if (byte === undefined) throw endOfData();
+        const available = 8 - (pos & 7);
+        const take = Math.min(available, count - done);
+        value = value * (1 << take) + ((byte >> (available - take)) & ((1 << take) - 1));
+        pos += take;
+        done += take;
+      }
+      return value;
+    },
+    readSigned(count) {
+      if (count === 0) return 0;
+      const value = this.readBits(count);
+      return value >= 2 ** (count - 1) ? value - 2 ** count : value;
+    },
+    // Zero bits before the next set bit
+    readUnary() {
+      let zeros = 0;
+      for (;;) {
+        const byte = bytes[pos >> 3];
+        if (byte === undefined) throw endOfData();
+        const rest = (byte << (pos & 7)) & 0xff;
+        if (rest === 0) {
+          zeros += 8 - (pos & 7);
+          pos += 8 - (pos & 7);
+          continue;
+        }
+        const leading = Math.clz32(rest) - 24;
+        zeros += leading;
+        pos += leading + 1;
+        return zeros;
+      }
+    },
+    alignToByte() {
+      pos = Math.ceil(pos / 8) * 8;
+    }
+  };
+}
+
+function parseStreamInfo(bytes, offset) {
+  const reader = createBitReader(bytes, offset);
+  reader.readBits(16); // Minimum block size
+  const maxBlockSize = reader.readBits(16);
+  reader.readBits(24); // Minimum frame size
+  reader.readBits(24); // Maximum frame size
+  const sampleRate = reader.readBits(20);
+  const channelCount = reader.readBits(3) + 1;
+  const bitsPerSample = reader.readBits(5) + 1;
+  const totalSamples = reader.readBits(4) * 2 ** 32 + reader.readBits(32);
+  return { maxBlockSize, sampleRate, channelCount, bitsPerSample, totalSamples };
+}
+
+// UTF-8-style coded frame / sample number; returns its length in bytes, 0 when malformed
+function codedNumberLength(bytes, offset) {
+  const first = bytes[offset];
+  if (first === undefined) return 0;
+  if (first < 0x80) return 1;
+  const length = Math.clz32(~(first << 24)); // Leading set bits
+  if (length < 2 || length > 7) return 0;
+  for (let i = 1; i < length; i++) {
+    if ((bytes[offset + i] & 0xc0) !== 0x80) return 0;
+  }
+  return length;
+}
+
+/**
+ * Parse the frame header at `offset`
+ * @returns {Object|null} { blockSize, sampleRate, channelAssignment, channelCount, bitsPerSample, headerEnd }, or null
+ *   when there is no valid header there (bad sync, reserved values or CRC-8 mismatch)
+ */
+function parseFrameHeader(bytes, offset, info) {
+  if (bytes[offset] !== 0xff || (bytes[offset + 1] & 0xfe) !== 0xf8) return null;
+  const blockCode = bytes[offset + 2] >> 4;
+  const rateCode = bytes[offset + 2] & 0x0f;
+  const channelAssignment = bytes[offset + 3] >> 4;
+  const sizeCode = (bytes[offset + 3] >> 1) & 0x07;
+  if (blockCode === 0 || rateCode === 15 || channelAssignment > CHANNEL_MID_SIDE || sizeCode === 3 || (bytes[offset + 3] & 1)) return null;
+
+  const numberLength = codedNumberLength(bytes, offset + 4);
+  if (numberLength === 0) return null;
+  let position = offset + 4 + numberLength;
+
+  let blockSize;
+  if (blockCode === 1) blockSize = 192;
+  else if (blockCode <= 5) blockSize = 576 << (blockCode - 2);
+  else if (blockCode === 6) blockSize = bytes[position++] + 1;
+  else if (blockCode === 7) {
+    blockSize = ((bytes[position] << 8) | bytes[position + 1]) + 1;
+    position += 2;
+  } else blockSize = 256 << (blockCode - 8);
+
+  let sampleRate = SAMPLE_RATES[rateCode] || info.sampleRate;
+  if (rateCode === 12) sampleRate = bytes[position++] * 1000;
+  else if (rateCode === 13) {
+    sampleRate = (bytes[position] << 8) | bytes[position + 1];
+    position += 2;
+  } else if (rateCode === 14) {
+    sampleRate = ((bytes[position] << 8) | bytes[position + 1]) * 10;
+    position += 2;
+  }
+
+  if (position >= bytes.length || crc8(bytes, offset, position) !== bytes[position]) return null;
+  return {
+    blockSize,
+    sampleRate,
+    channelAssignment,
+    channelCount: channelAssignment < CHANNEL_LEFT_SIDE ? channelAssignment + 1 : 2,
+    bitsPerSample: SAMPLE_SIZES[sizeCode] || info.bitsPerSample,
+    headerEnd: position + 1
+  };
+}
+
+function readResidual(reader, blockSize, order, out) {
+  const method = reader.readBits(2);
+  if (method > 1) throw new Error(`Reserved FLAC residual coding method ${method}`);
+  const parameterBits = method === 0 ? 4 : 5;
+  const escape = (1 << parameterBits) - 1;
+  const partitionOrder = reader.readBits(4);
+  const partitionSize = blockSize >> partitionOrder;
+  let index = order;
+  for (let partition = 0; partition < 1 << partitionOrder; partition++) {
+    const count = partition === 0 ? partitionSize - order : partitionSize;
+    const parameter = reader.readBits(parameterBits);
+    if (parameter === escape) {
+      const bits = reader.readBits(5);
+      for (let i = 0; i < count; i++) out[index++] = reader.readSigned(bits);
+    } else {
+      const scale = 2 ** parameter;
+      for (let i = 0; i < count; i++) {
+        const folded = reader.readUnary() * scale + reader.readBits(parameter);
+        // Zig-zag: 0, -1, 1, -2, 2, ...
+        out[index++] = folded % 2 ? -(folded + 1) / 2 : folded / 2;
+      }
+    }
+  }
+}
+
+// One channel's samples, as integers
+function readSubframe(reader, blockSize, bitsPerSample) {
+  if (reader.readBits(1) !== 0) throw new Error('Invalid FLAC subframe padding');
+  const type = reader.readBits(6);
+  let wasted = 0;
+  if (reader.readBits(1)) wasted = reader.readUnary() + 1;
+  const bits = bitsPerSample - wasted;
+  const samples = new Float64Array(blockSize);
+
+  if (type === 0) {
+    samples.fill(reader.readSigned(bits));
+  } else if (type === 1) {
+    for (let i = 0; i < blockSize; i++) samples[i] = reader.readSigned(bits);
+  } else if (type >= 8 && type <= 12) {
+    const order = type - 8;
+    for (let i = 0; i < order; i++) samples[i] = reader.readSigned(bits);
+    readResidual(reader, blockSize, order, samples);
+    for (let i = order; i < blockSize; i++) {
+      const s1 = samples[i - 1], s2 = samples[i - 2], s3 = samples[i - 3], s4 = samples[i - 4];
+      const prediction = order === 0 ? 0
+        : order === 1 ? s1
+        : order === 2 ? 2 * s1 - s2
+        : order === 3 ? 3 * s1 - 3 * s2 + s3
+        : 4 * s1 - 6 * s2 + 4 * s3 - s4;
+      samples[i] += prediction;
+    }
+  } else if (type >= 32) {
+    const order = type - 31;
+    for (let i = 0; i < order; i++) samples[i] = reader.readSigned(bits);
+    const precision = reader.readBits(4) + 1;
+    if (precision === 16) throw new Error('Invalid FLAC LPC precision');
+    const shift = reader.readSigned(5);
+    if (shift < 0) throw new Error('Negative FLAC LPC shift');
+    const coefficients = Array.from({ length: order }, () => reader.readSigned(precision));
+    readResidual(reader, blockSize, order, samples);
+    const divisor = 2 ** shift;
+    for (let i = order; i < blockSize; i++) {
+      let sum = 0;
+      for (let j = 0; j < order; j++) sum += coefficients[j] * samples[i - 1 - j];
+      samples[i] += Math.floor(sum / divisor);
+    }
+  } else {
+    throw new Error(`Reserved FLAC subframe type ${type}`);
+  }
+
+  if (wasted > 0) {
+    const factor = 2 ** wasted;
+    for (let i = 0; i < blockSize; i++) samples[i] *= factor;
+  }
+  return samples;
+}
+
+// Decode the frame whose header has been parsed; returns integer samples per channel,
+// the end offset and whether the frame's CRC-16 matched
+function decodeFrame(bytes, offset, header) {
+  const { blockSize, channelAssignment, channelCount, bitsPerSample } = header;
+  const reader = createBitReader(bytes, header.headerEnd);
+  const channels = [];
+  for (let c = 0; c < channelCount; c++) {
+    // The side channel needs one extra bit
+    const isSide = (channelAssignment === CHANNEL_LEFT_SIDE && c === 1)
+      || (channelAssignment === CHANNEL_SIDE_RIGHT && c === 0)
+      || (channelAssignment === CHANNEL_MID_SIDE && c === 1);
+    channels.push(readSubframe(reader, blockSize, bitsPerSample + (isSide ? 1 : 0)));
+  }
+  reader.alignToByte();
+  const crcOffset = reader.bytePosition;
+  const intact = reader.readBits(16) === crc16(bytes, offset, crcOffset);
+
+  const [a, b] = channels;
+  if (channelAssignment === CHANNEL_LEFT_SIDE) {
+    for (let i = 0; i < blockSize; i++) b[i] = a[i] - b[i];
+  } else if (channelAssignment === CHANNEL_SIDE_RIGHT) {
+    for (let i = 0; i < blockSize; i++) a[i] += b[i];
+  } else if (channelAssignment === CHANNEL_MID_SIDE) {
+    for (let i = 0; i < blockSize; i++) {
+      const side = b[i];
+      const mid = a[i] * 2 + (Math.abs(side) % 2);
+      a[i] = (mid + side) / 2;
+      b[i] = (mid - side) / 2;
+    }
+  }
+  return { channels, end: reader.bytePosition, intact };
+}
+
+function findNextFrame(bytes, from, info) {
+  for (let offset = from; offset < bytes.length - 1; offset++) {
+    if (bytes[offset] === 0xff && parseFrameHeader(bytes, offset, info)) return offset;
+  }
+  return -1;
+}
+
+/**
+ * Check for a FLAC stream marker (after an optional ID3v2 tag)
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {boolean}
+ */
+export function isFlac(data) {
+  const bytes = toBytes(data);
+  const start = id3v2Length(bytes);
+  return bytes.length >= start + 4 && String.fromCharCode(...bytes.subarray(start, start + 4)) === 'fLaC';
+}
+
+/**
+ * Decode a FLAC file
+ * @param {ArrayBuffer|Uint8Array} data - File contents
+ * @returns {{sampleRate: number, channels: Array<Float32Array>, bitsPerSample: number, format: string,
+ *   duration: number, damagedFrames: number}} One Float32Array per channel, samples in -1..1;
+ *   damagedFrames counts frames replaced by silence
+ * @throws {Error} When the stream marker or STREAMINFO is missing, or no frame decodes
+ */
+export function decodeFlac(data) {
+  const bytes = toBytes(data);
+  if (!isFlac(bytes)) throw new Error('Not a FLAC file (missing fLaC marker)');
+
+  // Metadata blocks; only STREAMINFO matters for decoding
+  let offset = id3v2Length(bytes) + 4;
+  let info = null;
+  for (let last = false; !last;) {
+    if (offset + 4 > bytes.length) throw endOfData();
+    last = (bytes[offset] & 0x80) !== 0;
+    const type = bytes[offset] & 0x7f;
+    const length = (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3];
+    if (type === BLOCK_TYPE_STREAMINFO) info = parseStreamInfo(bytes, offset + 4);
+    offset += 4 + length;
+  }
+  if (!info) throw new Error('FLAC file has no STREAMINFO block');
+
+  const blocks = [];
+  let sampleCount = 0;
+  let damagedFrames = 0;
+  let intactFrames = 0;
+  for (offset = findNextFrame(bytes, offset, info); offset >= 0;) {
+    const header = parseFrameHeader(bytes, offset, info);
+    let frame = null;
+    try {
+      frame = decodeFrame(bytes, offset, header);
+    } catch (error) {
+      // Unreadable: look for the next header after this one
+    }
+    if (frame && frame.intact && frame.channels.length === info.channelCount) {
+      blocks.push(frame.channels);
+      intactFrames++;
+    } else {
+      blocks.push(Array.from({ length: info.channelCount }, () => new Float64Array(header.blockSize)));
+      damagedFrames++;
+    }
+    sampleCount += header.blockSize;
+    const next = frame ? frame.end : offset + 2;
+    // Stop at the length STREAMINFO promises, when it gives one
+    if (info.totalSamples > 0 && sampleCount >= info.totalSamples) break;
+    offset = next < bytes.length && parseFrameHeader(bytes, next, info) ? next : findNextFrame(bytes, next, info);
+  }
+  if (intactFrames === 0) throw new Error('No decodable FLAC frames');
+
+  const length = info.totalSamples > 0 ? Math.min(info.totalSamples, sampleCount) : sampleCount;
+  const scale = 2 ** (info.bitsPerSample - 1);
+  const channels = Array.from({ length: info.channelCount }, () => new Float32Array(length));
+  let position = 0;
+  for (const block of blocks) {
+    const count = Math.min(block[0].length, length - position);
+    for (let c = 0; c < info.channelCount; c++) {
+      const source = block[c];
+      const target = channels[c];
+      for (let i = 0; i < count; i++) target[position + i] = source[i] / scale;
+    }
+    position += count;
+  }
+
+  return {
+    sampleRate: info.sampleRate,
+    channels,
+    bitsPerSample: info.bitsPerSample,
+    format: 'flac',
+    duration: length / info.sampleRate,
+    damagedFrames
+  };
+}
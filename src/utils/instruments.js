@@ -0,0 +1,392 @@
+// Utility: Instrument recognition
+// Measures the acoustic cues that tell instruments apart (how fast notes start,
+// how fast they die away, how continuous the sound is, how harmonic and how
+// stretched the partials are, where the spectral energy sits and the pitch
+// register) and scores them against a table of instrument profiles covering
+// the instruments named in the culture data.
+
+import { DEFAULT_HOP_SIZE, averageSpectrum, magnitudeSpectrum, spectralCentroid } from './spectral.js';
+
+export const DEFAULT_INSTRUMENT_OPTIONS = {
+  envelopeHopSeconds: 0.001,    // Amplitude envelope resolution, for attack times
+  envelopeWindowSeconds: 0.025, // Envelope peak-hold window; longer than the period of notes down to 40 Hz
+  preOnsetSeconds: 0.03,        // Attack search starts this long before each onset...
+  attackSearchSeconds: 0.3,     // ... and the note's peak is looked for this long after it
+  decaySeconds: 0.5,            // Decay rate is fitted over at most this long after the peak
+  maxOnsets: 60,                // Onsets measured, evenly spread over the recording
+  harmonicFrameSize: 4096,      // FFT length for the partial analysis
+  maxHarmonicFrames: 40,        // Voiced frames analyzed, the most confident first
+  harmonics: 12,                // Partials measured per frame
+  partialFloorDb: -40,          // Partials this far below the strongest are ignored for inharmonicity
+  continuityRangeDb: 20,        // "Sounding" = within this much of the loud level
+  candidates: 5                 // Instruments returned by rankInstruments
+};
+
+/**
+ * How each feature is compared with a profile range: log features compare
+ * ratios (tolerance in octaves, i.e. doublings), others differences.
+ * Weights set how much each cue counts towards the score.
+ */
+export const INSTRUMENT_FEATURE_SCALES = {
+  attackTime: { log: true, floor: 0.0005, tolerance: 1, weight: 2 },
+  decayRate: { log: true, floor: 0.5, tolerance: 1, weight: 1.5 },
+  continuity: { tolerance: 0.2, weight: 1 },
+  harmonicity: { tolerance: 0.15, weight: 1.5 },
+  inharmonicity: { log: true, floor: 0.00001, tolerance: 2, weight: 1 },
+  spectralCentroid: { log: true, floor: 20, tolerance: 0.7, weight: 1 },
+  pitch: { log: true, floor: 20, tolerance: 0.5, weight: 1.5 },
+  voicedRatio: { tolerance: 0.2, weight: 1 }
+};
+
+// Shared ranges for the broad ways of making a sound; profiles refine them.
+// attackTime s, decayRate dB/s, continuity / harmonicity / voicedRatio 0-1,
+// inharmonicity B (f_k = k f0 √(1 + B k²)), spectralCentroid and pitch (median f0) Hz
+const PLUCKED = { attackTime: [0.001, 0.02], decayRate: [4, 25], harmonicity: [0.6, 0.95], inharmonicity: [0.00001, 0.0005], voicedRatio: [0.4, 1], continuity: [0.3, 0.9] };
+const BOWED = { attackTime: [0.03, 0.25], decayRate: [0, 4], harmonicity: [0.7, 0.98], inharmonicity: [0, 0.0001], voicedRatio: [0.6, 1], continuity: [0.7, 1] };
+const BLOWN = { attackTime: [0.02, 0.2], decayRate: [0, 5], harmonicity: [0.5, 0.92], inharmonicity: [0, 0.0001], voicedRatio: [0.5, 1], continuity: [0.5, 1] };
+const REED = { attackTime: [0.015, 0.1], decayRate: [0, 4], harmonicity: [0.75, 0.99], inharmonicity: [0, 0.0001], voicedRatio: [0.6, 1], continuity: [0.6, 1] };
+const DRUM = { attackTime: [0.0005, 0.01], decayRate: [15, 150], harmonicity: [0, 0.5], voicedRatio: [0, 0.35], continuity: [0, 0.5] };
+const STRUCK = { attackTime: [0.001, 0.015], decayRate: [3, 25], harmonicity: [0.5, 0.9], inharmonicity: [0.0002, 0.02], voicedRatio: [0.3, 0.9], continuity: [0.3, 0.9] };
+
+/**
+ * Instrument profiles: expected feature ranges (see INSTRUMENT_FEATURE_SCALES).
+ * A feature a profile leaves out does not count for or against it.
+ */
+export const INSTRUMENT_PROFILES = [
+  // Plucked strings
+  { name: 'Kora', family: 'Plucked string', ranges: { ...PLUCKED, decayRate: [6, 30], spectralCentroid: [400, 2500], pitch: [80, 1000] } },
+  { name: 'Sitar', family: 'Plucked string', ranges: { ...PLUCKED, decayRate: [2, 12], harmonicity: [0.5, 0.9], spectralCentroid: [1000, 4000], pitch: [100, 900], continuity: [0.6, 1] } },
+  { name: 'Sarod', family: 'Plucked string', ranges: { ...PLUCKED, decayRate: [2, 12], spectralCentroid: [600, 2500], pitch: [100, 700], continuity: [0.5, 1] } },
+  { name: 'Tanpura', family: 'Plucked string (drone)', ranges: { ...PLUCKED, decayRate: [1, 8], harmonicity: [0.5, 0.9], spectralCentroid: [500, 3000], pitch: [65, 300], continuity: [0.85, 1] } },
+  { name: 'Guzheng', family: 'Plucked string', ranges: { ...PLUCKED, spectralCentroid: [500, 2500], pitch: [70, 1200] } },
+  { name: 'Koto', family: 'Plucked string', ranges: { ...PLUCKED, spectralCentroid: [500, 2500], pitch: [100, 1000] } },
+  { name: 'Gayageum', family: 'Plucked string', ranges: { ...PLUCKED, spectralCentroid: [400, 2000], pitch: [100, 900] } },
+  { name: 'Pipa', family: 'Plucked string', ranges: { ...PLUCKED, decayRate: [6, 30], spectralCentroid: [700, 3000], pitch: [110, 1300] } },
+  { name: 'Shamisen', family: 'Plucked string', ranges: { ...PLUCKED, decayRate: [10, 40], spectralCentroid: [800, 3500], pitch: [120, 1000] } },
+  { name: 'Oud', family: 'Plucked string', ranges: { ...PLUCKED, decayRate: [5, 25], spectralCentroid: [400, 2000], pitch: [70, 700] } },
+  { name: 'Qanun', family: 'Plucked string', ranges: { ...PLUCKED, decayRate: [5, 25], spectralCentroid: [600, 3000], pitch: [100, 1400] } },
+  { name: 'Guitar', family: 'Plucked string', ranges: { ...PLUCKED, decayRate: [3, 20], spectralCentroid: [300, 2500], pitch: [80, 1000] } },
+  { name: 'Charango', family: 'Plucked string', ranges: { ...PLUCKED, decayRate: [6, 30], spectralCentroid: [800, 3500], pitch: [200, 1200] } },
+  { name: 'Cuatro', family: 'Plucked string', ranges: { ...PLUCKED, decayRate: [6, 30], spectralCentroid: [600, 3000], pitch: [150, 1000] } },
+  { name: 'Banjo', family: 'Plucked string', ranges: { ...PLUCKED, decayRate: [15, 50], spectralCentroid: [1000, 4000], pitch: [120, 1000] } },
+  { name: 'Mandolin', family: 'Plucked string', ranges: { ...PLUCKED, decayRate: [10, 40], spectralCentroid: [800, 3500], pitch: [190, 1500] } },
+  { name: 'Harp (arpa llanera)', family: 'Plucked string', ranges: { ...PLUCKED, decayRate: [3, 15], spectralCentroid: [300, 2000], pitch: [60, 1500] } },
+  // Bowed strings
+  { name: 'Erhu', family: 'Bowed string', ranges: { ...BOWED, spectralCentroid: [800, 3000], pitch: [290, 1800] } },
+  { name: 'Haegeum', family: 'Bowed string', ranges: { ...BOWED, spectralCentroid: [800, 3000], pitch: [250, 1500] } },
+  { name: 'Morin khuur', family: 'Bowed string', ranges: { ...BOWED, spectralCentroid: [500, 2500], pitch: [80, 600] } },
+  { name: 'Rebab', family: 'Bowed string', ranges: { ...BOWED, spectralCentroid: [600, 2500], pitch: [150, 900] } },
+  { name: 'Fiddle / violin', family: 'Bowed string', ranges: { ...BOWED, spectralCentroid: [1000, 4000], pitch: [196, 2000] } },
+  // Struck strings
+  { name: 'Piano', family: 'Struck string', ranges: { ...STRUCK, harmonicity: [0.7, 0.98], inharmonicity: [0.0001, 0.001], spectralCentroid: [300, 2500], pitch: [27, 4200] } },
+  // Flutes
+  { name: 'Bansuri', family: 'Flute', ranges: { ...BLOWN, spectralCentroid: [500, 2000], pitch: [250, 1300] } },
+  { name: 'Shakuhachi', family: 'Flute', ranges: { ...BLOWN, harmonicity: [0.4, 0.85], spectralCentroid: [600, 2500], pitch: [280, 1200] } },
+  { name: 'Dizi', family: 'Flute', ranges: { ...BLOWN, spectralCentroid: [1000, 4000], pitch: [400, 2000] } },
+  { name: 'Ney', family: 'Flute', ranges: { ...BLOWN, harmonicity: [0.4, 0.85], spectralCentroid: [500, 2000], pitch: [200, 900] } },
+  { name: 'Quena', family: 'Flute', ranges: { ...BLOWN, spectralCentroid: [700, 2500], pitch: [390, 1800] } },
+  { name: 'Zampoña (panpipes)', family: 'Flute', ranges: { ...BLOWN, harmonicity: [0.4, 0.85], spectralCentroid: [400, 2000], pitch: [200, 1500] } },
+  { name: 'Suling', family: 'Flute', ranges: { ...BLOWN, spectralCentroid: [700, 2500], pitch: [400, 1800] } },
+  { name: 'Daegeum', family: 'Flute', ranges: { ...BLOWN, spectralCentroid: [500, 2500], pitch: [250, 1200] } },
+  { name: 'Flute', family: 'Flute', ranges: { ...BLOWN, harmonicity: [0.7, 0.97], spectralCentroid: [500, 2500], pitch: [260, 2100] } },
+  // Reeds, free reeds and lip-buzzed
+  { name: 'Bandoneón', family: 'Free reed', ranges: { ...REED, spectralCentroid: [800, 3500], pitch: [70, 1400] } },
+  { name: 'Accordion', family: 'Free reed', ranges: { ...REED, spectralCentroid: [800, 3500], pitch: [80, 1400] } },
+  { name: 'Harmonium', family: 'Free reed', ranges: { ...REED, spectralCentroid: [800, 3000], pitch: [100, 1000], continuity: [0.7, 1] } },
+  { name: 'Sheng', family: 'Free reed', ranges: { ...REED, spectralCentroid: [1000, 4000], pitch: [200, 1500] } },
+  { name: 'Bagpipes', family: 'Reed', ranges: { ...REED, decayRate: [0, 2], spectralCentroid: [1500, 5000], pitch: [200, 1000], continuity: [0.9, 1] } },
+  { name: 'Didgeridoo', family: 'Lip-buzzed drone', ranges: { ...REED, attackTime: [0.03, 0.3], decayRate: [0, 3], harmonicity: [0.6, 0.98], spectralCentroid: [200, 1500], pitch: [55, 100], voicedRatio: [0.7, 1], continuity: [0.85, 1] } },
+  { name: 'Brass (trumpet, horns)', family: 'Lip-buzzed', ranges: { ...REED, attackTime: [0.02, 0.08], harmonicity: [0.8, 0.99], spectralCentroid: [800, 4000], pitch: [80, 1000], continuity: [0.4, 1] } },
+  // Voice
+  { name: 'Voice', family: 'Voice', ranges: { ...BLOWN, attackTime: [0.03, 0.2], decayRate: [0, 6], harmonicity: [0.6, 0.95], spectralCentroid: [400, 3000], pitch: [80, 1100], voicedRatio: [0.4, 0.95], continuity: [0.4, 1] } },
+  // Drums
+  { name: 'Djembe', family: 'Drum', ranges: { ...DRUM, decayRate: [20, 150], spectralCentroid: [300, 3000] } },
+  { name: 'Tabla', family: 'Drum (tuned)', ranges: { ...DRUM, decayRate: [10, 50], harmonicity: [0.3, 0.8], inharmonicity: [0.00005, 0.005], spectralCentroid: [300, 2500], pitch: [100, 500], voicedRatio: [0.2, 0.7], continuity: [0.2, 0.8] } },
+  { name: 'Talking drum', family: 'Drum (tuned)', ranges: { ...DRUM, decayRate: [8, 40], harmonicity: [0.2, 0.6], spectralCentroid: [200, 1500], pitch: [80, 300], voicedRatio: [0.2, 0.6] } },
+  { name: 'Dholak', family: 'Drum (tuned)', ranges: { ...DRUM, decayRate: [10, 50], harmonicity: [0.2, 0.6], spectralCentroid: [200, 2000], pitch: [80, 300], voicedRatio: [0.1, 0.5] } },
+  { name: 'Congas', family: 'Drum', ranges: { ...DRUM, harmonicity: [0.2, 0.6], spectralCentroid: [200, 1500], pitch: [150, 400], voicedRatio: [0.1, 0.5] } },
+  { name: 'Bongos', family: 'Drum', ranges: { ...DRUM, decayRate: [20, 70], spectralCentroid: [400, 2500], pitch: [200, 600] } },
+  { name: 'Darbuka', family: 'Drum', ranges: { ...DRUM, decayRate: [20, 150], spectralCentroid: [500, 4000] } },
+  { name: 'Taiko', family: 'Drum', ranges: { ...DRUM, attackTime: [0.002, 0.02], decayRate: [10, 40], harmonicity: [0, 0.4], spectralCentroid: [80, 600], voicedRatio: [0, 0.3] } },
+  { name: 'Tassa drums', family: 'Drum', ranges: { ...DRUM, decayRate: [20, 60], harmonicity: [0, 0.4], spectralCentroid: [1000, 5000] } },
+  { name: 'Cajón', family: 'Drum', ranges: { ...DRUM, decayRate: [20, 80], harmonicity: [0, 0.4], spectralCentroid: [100, 2000] } },
+  { name: 'Timbales', family: 'Drum', ranges: { ...DRUM, decayRate: [8, 30], spectralCentroid: [600, 3500], pitch: [150, 500] } },
+  // Idiophones
+  { name: 'Steel pan', family: 'Idiophone (tuned)', ranges: { ...STRUCK, decayRate: [5, 25], harmonicity: [0.6, 0.95], inharmonicity: [0.00001, 0.0005], spectralCentroid: [600, 3000], pitch: [150, 1200], voicedRatio: [0.4, 1] } },
+  { name: 'Balafon', family: 'Idiophone (tuned)', ranges: { ...STRUCK, decayRate: [15, 60], inharmonicity: [0.0001, 0.01], spectralCentroid: [400, 2000], pitch: [150, 1000], voicedRatio: [0.3, 0.8] } },
+  { name: 'Gamelan metallophones', family: 'Idiophone (tuned)', ranges: { ...STRUCK, decayRate: [2, 12], harmonicity: [0.4, 0.85], inharmonicity: [0.0005, 0.05], spectralCentroid: [300, 2000], pitch: [150, 1200] } },
+  { name: 'Gongs', family: 'Idiophone', ranges: { ...STRUCK, attackTime: [0.005, 0.05], decayRate: [1, 8], harmonicity: [0.1, 0.5], inharmonicity: [0.001, 0.1], spectralCentroid: [100, 1000], pitch: [50, 400], continuity: [0.7, 1] } },
+  { name: 'Clapsticks', family: 'Idiophone', ranges: { ...DRUM, attackTime: [0.0005, 0.005], decayRate: [40, 120], harmonicity: [0.1, 0.6], spectralCentroid: [1000, 4000], pitch: [500, 2500] } },
+  { name: 'Maracas / shakers', family: 'Idiophone', ranges: { ...DRUM, attackTime: [0.005, 0.03], decayRate: [20, 80], harmonicity: [0, 0.2], spectralCentroid: [3000, 9000], voicedRatio: [0, 0.1] } }
+];
+
+// Peak-amplitude envelope on a fine grid: a jump as soon as a note starts,
+// and no ripple as long as the window spans a period of the lowest note
+function peakEnvelope(signal, sampleRate, opts) {
+  const hop = Math.max(1, Math.round(opts.envelopeHopSeconds * sampleRate));
+  const blocks = new Float32Array(Math.ceil(signal.length / hop));
+  for (let i = 0; i < signal.length; i++) {
+    const b = Math.floor(i / hop);
+    const v = Math.abs(signal[i]);
+    if (v > blocks[b]) blocks[b] = v;
+  }
+  const half = Math.max(0, Math.round(opts.envelopeWindowSeconds * sampleRate / hop / 2));
+  const envelope = new Float32Array(blocks.length);
+  for (let f = 0; f < blocks.length; f++) {
+    let max = 0;
+    for (let g = Math.max(0, f - half); g <= Math.min(blocks.length - 1, f + half); g++) if (blocks[g] > max) max = blocks[g];
+    envelope[f] = max;
+  }
+  return { envelope, rate: sampleRate / hop };
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+// Up to `count` items spread evenly over a list
+function spread(items, count) {
+  if (items.length <= count) return items;
+  return Array.from({ length: count }, (_, i) => items[Math.floor((i * items.length) / count)]);
+}
+
+/**
+ * Attack time (10 % to 90 % of the rise to each note's peak) and decay rate
+ * (slope of the level after the peak) per onset
+ * @returns {{attacks: Array<number>, decays: Array<number>}} Seconds and dB per second
+ */
+function measureNotes(envelope, rate, onsetTimes, opts) {
+  const attacks = [];
+  const decays = [];
+  const pre = Math.round(opts.preOnsetSeconds * rate);
+  const onsetFrames = onsetTimes.map(time => Math.round(time * rate)).filter(f => f >= 0 && f < envelope.length).sort((a, b) => a - b);
+  // First onset after a frame, or the end of the recording
+  const nextOnset = frame => onsetFrames.find(f => f > frame) ?? envelope.length;
+  spread(onsetFrames, opts.maxOnsets).forEach(onset => {
+    const start = Math.max(0, onset - pre);
+    const searchEnd = Math.min(envelope.length, nextOnset(onset), onset + Math.round(opts.attackSearchSeconds * rate));
+    if (searchEnd - start < 3) return;
+    let peak = start;
+    for (let f = start; f < searchEnd; f++) if (envelope[f] > envelope[peak]) peak = f;
+    let floor = envelope[peak];
+    for (let f = start; f <= peak; f++) floor = Math.min(floor, envelope[f]);
+    const rise = envelope[peak] - floor;
+    // Onsets that do not at least double the level (e.g. within a sustained note) are not note starts
+    if (!(rise > 1e-6) || envelope[peak] < 2 * floor) return;
+
+    // Walk back from the peak to the 90 % and then the 10 % level
+    let f = peak;
+    while (f > start && envelope[f] > floor + 0.9 * rise) f--;
+    const at90 = f;
+    while (f > start && envelope[f] > floor + 0.1 * rise) f--;
+    attacks.push((at90 - f + 1) / rate);
+
+    // Least-squares slope of the level in dB over the decay window; onsets in
+    // the first 100 ms after the peak are ripples of this note, not the next one
+    const minDecay = Math.round(0.1 * rate);
+    const decayEnd = Math.min(envelope.length, peak + Math.round(opts.decaySeconds * rate), nextOnset(peak + minDecay) - pre);
+    if (decayEnd - peak < minDecay) return;
+    let st = 0, sy = 0, stt = 0, sty = 0, n = 0;
+    for (let g = peak; g < decayEnd; g++) {
+      const t = (g - peak) / rate;
+      const y = 20 * Math.log10(Math.max(envelope[g], 1e-9));
+      st += t; sy += y; stt += t * t; sty += t * y; n++;
+    }
+    const slope = (n * sty - st * sy) / Math.max(1e-12, n * stt - st * st);
+    decays.push(Math.max(0, -slope));
+  });
+  return { attacks, decays };
+}
+
+// Least-squares inharmonicity B of the partials above the floor:
+// (f_k / (k f_1))² - 1 ≈ B (k² - 1) for small B
+function fitStretch(partials, strongest, floorDb) {
+  const first = partials[0].frequency;
+  let num = 0, den = 0;
+  partials.forEach(p => {
+    if (p.harmonic === 1 || 20 * Math.log10(p.amplitude / strongest) <= floorDb) return;
+    const m = p.harmonic * p.harmonic - 1;
+    num += m * ((p.frequency / (p.harmonic * first)) ** 2 - 1);
+    den += m * m;
+  });
+  return den > 0 ? Math.max(0, num / den) : null;
+}
+
+// Partials of one voiced frame: harmonic energy share, stretch (B), deviation and amplitudes
+function analyzePartials(magnitudes, sampleRate, fftSize, f0, opts) {
+  const binHz = sampleRate / fftSize;
+  const power = magnitudes.map(m => m * m);
+  const lowest = Math.max(1, Math.floor((0.5 * f0) / binHz));
+  let total = 0;
+  for (let k = lowest; k < power.length; k++) total += power[k];
+  if (!(total > 0)) return null;
+
+  const partials = [];
+  const counted = new Uint8Array(power.length);
+  let harmonic = 0;
+  let strongest = 0;
+  let stretch = 0;
+  for (let h = 1; h <= opts.harmonics; h++) {
+    // Stretched partials drift sharp, so each search is centred on the stretch fitted so far
+    const first = partials[0]?.frequency || f0;
+    const target = h * first * Math.sqrt(1 + stretch * (h * h - 1));
+    if (target > 0.95 * (sampleRate / 2)) break;
+    const reach = Math.max(2 * binHz, 0.3 * f0) / binHz;
+    const from = Math.max(1, Math.floor(target / binHz - reach));
+    const to = Math.min(power.length - 2, Math.ceil(target / binHz + reach));
+    if (from > to) break;
+    let best = from;
+    for (let k = from; k <= to; k++) if (magnitudes[k] > magnitudes[best]) best = k;
+    const a = magnitudes[best - 1], b = magnitudes[best], c = magnitudes[best + 1];
+    const offset = a - 2 * b + c !== 0 ? (0.5 * (a - c)) / (a - 2 * b + c) : 0;
+    partials.push({ harmonic: h, frequency: (best + offset) * binHz, amplitude: b });
+    strongest = Math.max(strongest, b);
+    stretch = fitStretch(partials, strongest, opts.partialFloorDb) ?? 0;
+    // Main lobe of a Hann window spans ±2 bins
+    for (let k = Math.max(lowest, best - 2); k <= Math.min(power.length - 1, best + 2); k++) {
+      if (!counted[k]) harmonic += power[k];
+      counted[k] = 1;
+    }
+  }
+  if (partials.length === 0) return null;
+
+  const first = partials[0].frequency;
+  const audible = partials.filter(p => p.harmonic > 1 && 20 * Math.log10(p.amplitude / strongest) > opts.partialFloorDb);
+  return {
+    harmonicity: Math.min(1, harmonic / total),
+    inharmonicity: fitStretch(partials, strongest, opts.partialFloorDb),
+    deviation: audible.length ? audible.reduce((sum, p) => sum + Math.abs(1200 * Math.log2(p.frequency / (p.harmonic * first))), 0) / audible.length : null,
+    amplitudes: partials.map(p => p.amplitude / strongest)
+  };
+}
+
+/**
+ * Measure the features instrument recognition works from
+ * @param {Float32Array} signal - Mono samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} [context]
+ * @param {Array<number>} [context.onsetTimes] - Note onsets in seconds; without usable ones the start of the sound is measured
+ * @param {Array<Object>} [context.pitchTrack] - Per-frame { time, frequency, voiced, confidence } (see trackPitch)
+ * @param {number} [context.spectralCentroid] - Precomputed centroid in Hz, to skip a pass over the signal
+ * @param {Object} [options] - See DEFAULT_INSTRUMENT_OPTIONS
+ * @returns {Object} attackTime, decayRate, continuity, harmonicity, inharmonicity, partialDeviation,
+ *   harmonicCentroid, oddEvenRatio, harmonicProfile, spectralCentroid, pitch, pitchRange, voicedRatio,
+ *   onsetRate and the number of notes / frames measured; null where nothing could be measured
+ */
+export function measureInstrumentFeatures(signal, sampleRate, { onsetTimes = null, pitchTrack = null, spectralCentroid: centroid = null } = {}, options = {}) {
+  const opts = { ...DEFAULT_INSTRUMENT_OPTIONS, ...options };
+  const duration = signal.length / sampleRate;
+  const { envelope, rate } = peakEnvelope(signal, sampleRate, opts);
+
+  // Continuity: share of the recording within continuityRangeDb of its loud level
+  const sortedLevels = Array.from(envelope).sort((a, b) => a - b);
+  const loud = sortedLevels.length ? percentile(sortedLevels, 0.95) : 0;
+  const threshold = loud * Math.pow(10, -opts.continuityRangeDb / 20);
+  const sounding = loud > 0 ? envelope.reduce((count, v) => count + (v >= threshold ? 1 : 0), 0) : 0;
+
+  let { attacks, decays } = measureNotes(envelope, rate, onsetTimes || [], opts);
+  // No clear note starts (e.g. one sustained drone): measure how the recording itself begins
+  if (attacks.length === 0 && loud > 0) {
+    const first = envelope.findIndex(v => v >= 0.1 * loud);
+    ({ attacks, decays } = measureNotes(envelope, rate, [first / rate], opts));
+  }
+
+  // Partials of the most confident voiced frames
+  const voiced = (pitchTrack || []).filter(frame => frame.voiced && frame.frequency > 0);
+  const chosen = spread([...voiced].sort((a, b) => b.confidence - a.confidence), opts.maxHarmonicFrames);
+  const size = opts.harmonicFrameSize;
+  const frames = [];
+  chosen.forEach(frame => {
+    const start = Math.round(frame.time * sampleRate);
+    if (start + size > signal.length) return;
+    const mags = magnitudeSpectrum(signal.subarray ? signal.subarray(start, start + size) : signal.slice(start, start + size), { fftSize: size });
+    const partials = analyzePartials(mags, sampleRate, size, frame.frequency, opts);
+    if (partials) frames.push(partials);
+  });
+  const profile = Array.from({ length: opts.harmonics }, (_, h) => {
+    const values = frames.map(f => f.amplitudes[h]).filter(v => v !== undefined);
+    return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+  }).filter(v => v !== null);
+  const profileSum = profile.reduce((a, b) => a + b, 0);
+  const odd = profile.reduce((sum, a, i) => sum + (i >= 2 && i % 2 === 0 ? a * a : 0), 0);
+  const even = profile.reduce((sum, a, i) => sum + (i % 2 === 1 ? a * a : 0), 0);
+
+  const f0s = voiced.map(frame => frame.frequency).sort((a, b) => a - b);
+  if (centroid === null) {
+    // At most ~2000 frames, spread over the whole signal
+    const hopSize = Math.max(DEFAULT_HOP_SIZE, Math.ceil(signal.length / 2000));
+    centroid = spectralCentroid(averageSpectrum(signal, { hopSize }).spectrum, sampleRate);
+  }
+
+  return {
+    attackTime: round(median(attacks), 4),
+    decayRate: round(median(decays), 2),
+    continuity: round(envelope.length ? sounding / envelope.length : 0, 3),
+    harmonicity: round(median(frames.map(f => f.harmonicity)), 3),
+    inharmonicity: round(median(frames.map(f => f.inharmonicity).filter(v => v !== null)), 6),
+    partialDeviation: round(median(frames.map(f => f.deviation).filter(v => v !== null)), 1),
+    harmonicCentroid: profileSum > 0 ? round(profile.reduce((sum, a, i) => sum + (i + 1) * a, 0) / profileSum, 2) : null,
+    oddEvenRatio: odd > 0 && even > 0 ? round(10 * Math.log10(odd / even), 1) : null,
+    harmonicProfile: profile.map(a => round(20 * Math.log10(Math.max(a, 1e-6)), 1)),
+    spectralCentroid: Math.round(centroid),
+    pitch: f0s.length ? round(median(f0s), 1) : null,
+    pitchRange: f0s.length ? [round(percentile(f0s, 0.1), 1), round(percentile(f0s, 0.9), 1)] : null,
+    voicedRatio: pitchTrack && pitchTrack.length ? round(voiced.length / pitchTrack.length, 3) : null,
+    onsetRate: duration > 0 ? round((onsetTimes || []).length / duration, 2) : 0,
+    notesMeasured: attacks.length,
+    framesMeasured: frames.length
+  };
+}
+
+// 1 inside [low, high], falling off with the distance outside it
+function rangeScore(value, [low, high], scale) {
+  const v = scale.log ? Math.log2(Math.max(value, scale.floor)) : value;
+  const lo = scale.log ? Math.log2(Math.max(low, scale.floor)) : low;
+  const hi = scale.log ? Math.log2(Math.max(high, scale.floor)) : high;
+  const distance = v < lo ? lo - v : v > hi ? v - hi : 0;
+  return Math.exp(-((distance / scale.tolerance) ** 2));
+}
+
+/**
+ * Score instrument profiles against measured features
+ * @param {Object} features - From measureInstrumentFeatures
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.profiles] - Defaults to INSTRUMENT_PROFILES
+ * @param {number} [options.candidates] - How many to return
+ * @returns {Array<{instrument: string, family: string, score: number, matched: Array<string>}>}
+ *   Best first; score is the weighted share of the measured cues that fit (0-1),
+ *   matched lists the features inside the profile's ranges; empty for silence
+ */
+export function rankInstruments(features, { profiles = INSTRUMENT_PROFILES, candidates = DEFAULT_INSTRUMENT_OPTIONS.candidates } = {}) {
+  // Nothing sounding, nothing to recognize
+  if (!(features.continuity > 0)) return [];
+  const scored = profiles.map(profile => {
+    let total = 0;
+    let weight = 0;
+    const matched = [];
+    Object.entries(INSTRUMENT_FEATURE_SCALES).forEach(([name, scale]) => {
+      const range = profile.ranges[name];
+      const value = features[name];
+      if (!range || value === null || value === undefined) return;
+      const score = rangeScore(value, range, scale);
+      if (score === 1) matched.push(name);
+      total += scale.weight * score;
+      weight += scale.weight;
+    });
+    return { instrument: profile.name, family: profile.family, score: weight > 0 ? round(total / weight, 3) : 0, matched };
+  });
+  return scored.sort((a, b) => b.score - a.score).slice(0, candidates);
+}
+
+function round(value, decimals) {
+  if (value === null || value === undefined || !Number.isFinite(value)) return null;
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
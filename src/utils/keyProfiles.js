@@ -0,0 +1,148 @@
+// Utility: Key and mode estimation
+// A pitch-class distribution is correlated (Pearson) with weighted key profiles
+// at all 12 tonic rotations, as in Krumhansl's key-finding algorithm. Besides the
+// Krumhansl-Kessler and Temperley major/minor profiles, any scale definition can
+// be turned into a template profile, so a mode is told apart from its rotations
+// by which degrees are stressed and not only by which are present. Distributions
+// and templates use quarter-tone bins, so a maqam's neutral third is neither
+// credited nor blamed for notes a semitone scale would play.
+
+export const DEFAULT_KEY_OPTIONS = {
+  temperature: 0.05,   // Softmax temperature on correlations: lower gives more decisive probabilities
+  maxHypotheses: 10,   // Ranked tonic + mode hypotheses returned
+  minPitchClasses: 3,  // With fewer distinct pitch classes (scale degrees) every mode fits; the scale is Unknown
+  extraScales: []      // Scale definitions to consider besides the registry's (see AudioAnalyzer.getScales)
+};
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Quarter-tone resolution for distributions and templates
+export const KEY_BINS = 24;
+
+// Template weights by role, taken from Temperley's profiles: tonic, stressed
+// degrees (dominant, vadi / samvadi, ghammaz), other scale degrees, the rest
+const TEMPLATE_WEIGHTS = { tonic: 5, stressed: 4.5, scale: 3.5, outside: 1.5 };
+
+/**
+ * Key profile from a scale: its degrees in cents above the tonic and the degrees
+ * it stresses. A degree between bins shares its weight between the two.
+ * @param {Array<number>} degrees - Cents above the tonic, tonic included
+ * @param {Array<number>} [stressed=[700]] - Degrees weighted next to the tonic, in cents
+ * @param {number} [bins=KEY_BINS] - Bins per octave
+ * @returns {Array<number>} Weights, tonic first
+ */
+export function templateProfile(degrees, stressed = [700], bins = KEY_BINS) {
+  const profile = new Array(bins).fill(TEMPLATE_WEIGHTS.outside);
+  const isStressed = cents => stressed.some(s => Math.abs(((s - cents) % 1200 + 1200) % 1200) < 1e-6);
+  degrees.forEach(cents => {
+    const position = ((((cents % 1200) + 1200) % 1200) / 1200) * bins;
+    const low = Math.floor(position);
+    const fraction = position - low;
+    const weight = position === 0 ? TEMPLATE_WEIGHTS.tonic : isStressed(cents) ? TEMPLATE_WEIGHTS.stressed : TEMPLATE_WEIGHTS.scale;
+    const share = (bin, part) => {
+      profile[bin % bins] = Math.max(profile[bin % bins], TEMPLATE_WEIGHTS.outside + (weight - TEMPLATE_WEIGHTS.outside) * part);
+    };
+    share(low, 1 - fraction);
+    if (fraction > 0) share(low + 1, fraction);
+  });
+  profile[0] = TEMPLATE_WEIGHTS.tonic;
+  return profile;
+}
+
+/**
+ * Major and minor key profiles from listening experiments and corpus counts:
+ * 12 semitone weights from the tonic up
+ */
+export const CORPUS_PROFILES = [
+  // Krumhansl & Kessler (1982), probe-tone ratings
+  { mode: 'Major (Western)', source: 'Krumhansl-Kessler', weights: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88] },
+  { mode: 'Minor (Western)', source: 'Krumhansl-Kessler', weights: [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17] },
+  // Temperley (2001), from the Kostka-Payne corpus
+  { mode: 'Major (Western)', source: 'Temperley', weights: [5.0, 2.0, 3.5, 2.0, 4.5, 4.0, 2.0, 4.5, 2.0, 3.5, 1.5, 4.0] },
+  { mode: 'Minor (Western)', source: 'Temperley', weights: [5.0, 2.0, 3.5, 4.5, 2.0, 4.0, 2.0, 4.5, 3.5, 2.0, 1.5, 4.0] }
+];
+
+/**
+ * Template profiles for scale definitions (see scaleLibrary.js), one per scale,
+ * named after the scale so they share a mode with any corpus profile of that name
+ * @param {Array<{name: string, ascending: Array<number>, descending?: Array<number>, stressed?: Array<number>}>} scales
+ * @returns {Array<{mode: string, source: string, weights: Array<number>}>}
+ */
+export function scaleProfiles(scales) {
+  return scales.map(scale => ({
+    mode: scale.name,
+    source: 'template',
+    weights: templateProfile([...scale.ascending, ...(scale.descending || [])], scale.stressed)
+  }));
+}
+
+// A profile at another resolution: finer bins between semitones take the profile's
+// lowest weight, coarser bins the highest of the bins they merge
+function resampleProfile(weights, bins) {
+  if (weights.length === bins) return weights;
+  if (bins > weights.length) {
+    const factor = bins / weights.length;
+    const floor = Math.min(...weights);
+    return Array.from({ length: bins }, (_, i) => (i % factor === 0 ? weights[i / factor] : floor));
+  }
+  const factor = weights.length / bins;
+  return Array.from({ length: bins }, (_, i) => Math.max(...weights.slice(i * factor, (i + 1) * factor)));
+}
+
+function pearson(a, b) {
+  const n = a.length;
+  const meanA = a.reduce((s, v) => s + v, 0) / n;
+  const meanB = b.reduce((s, v) => s + v, 0) / n;
+  let cov = 0, varA = 0, varB = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (a[i] - meanA) * (b[i] - meanB);
+    varA += (a[i] - meanA) ** 2;
+    varB += (b[i] - meanB) ** 2;
+  }
+  return varA > 0 && varB > 0 ? cov / Math.sqrt(varA * varB) : 0;
+}
+
+/**
+ * Rank tonic + mode hypotheses for a pitch-class distribution
+ * @param {Array<number>} distribution - Weights per pitch-class bin (e.g. time spent on each), C first;
+ *   12 or KEY_BINS bins per octave, profiles are resampled to match
+ * @param {Object} [options] - See DEFAULT_KEY_OPTIONS
+ * @param {Array<Object>} [options.profiles=CORPUS_PROFILES] - { mode, source, weights }
+ * @returns {Array<{tonic: string, tonicSemitone: number, mode: string, sources: Array<string>,
+ *   correlation: number, probability: number}>} Best first. Probabilities are a softmax of the
+ *   correlations over every tonic and mode, so they sum to 1 over all hypotheses, not just those returned.
+ */
+export function estimateKey(distribution, { profiles = CORPUS_PROFILES, ...options } = {}) {
+  const opts = { ...DEFAULT_KEY_OPTIONS, ...options };
+  if (!distribution || distribution.every(v => v === distribution[0])) return [];
+
+  const bins = distribution.length;
+  const step = bins / 12;
+  const modes = new Map();
+  profiles.forEach(profile => {
+    if (!modes.has(profile.mode)) modes.set(profile.mode, []);
+    modes.get(profile.mode).push({ ...profile, weights: resampleProfile(profile.weights, bins) });
+  });
+
+  const hypotheses = [];
+  modes.forEach((modeProfiles, mode) => {
+    for (let tonic = 0; tonic < 12; tonic++) {
+      // The distribution read from this tonic upward
+      const rotated = distribution.map((_, i) => distribution[(i + tonic * step) % bins]);
+      const correlation = modeProfiles.reduce((sum, profile) => sum + pearson(rotated, profile.weights), 0) / modeProfiles.length;
+      hypotheses.push({ tonic: NOTE_NAMES[tonic], tonicSemitone: tonic, mode, sources: modeProfiles.map(p => p.source), correlation });
+    }
+  });
+
+  const best = Math.max(...hypotheses.map(h => h.correlation));
+  const exps = hypotheses.map(h => Math.exp((h.correlation - best) / opts.temperature));
+  const total = exps.reduce((a, b) => a + b, 0);
+  hypotheses.forEach((h, i) => { h.probability = exps[i] / total; });
+  hypotheses.sort((a, b) => b.correlation - a.correlation);
+
+  return hypotheses.slice(0, opts.maxHypotheses).map(h => ({
+    ...h,
+    correlation: Math.round(h.correlation * 1000) / 1000,
+    probability: Math.round(h.probability * 1000) / 1000
+  }));
+}
@@ -0,0 +1,252 @@
+// Utility: Loudness and dynamics
+// ITU-R BS.1770 loudness (K-weighting, 400 ms gated blocks), EBU R128 momentary
+// and short-term loudness, loudness range (EBU Tech 3342), sample and true peak
+// (4x oversampled, BS.1770 Annex 2), RMS level and crest factor.
+// Audio is consumed in sequential sample ranges so long files can be processed
+// in chunks: accumulateLoudness keeps filter and block state between calls.
+
+export const DEFAULT_LOUDNESS_OPTIONS = {
+  blockSeconds: 0.1,       // Envelope resolution; momentary and short-term windows are made of these
+  momentaryBlocks: 4,      // 400 ms
+  shortTermBlocks: 30,     // 3 s
+  absoluteGate: -70,       // LUFS
+  relativeGate: -10,       // LU below the absolute-gated loudness (integrated loudness)
+  rangeRelativeGate: -20,  // LU, for the loudness range
+  rangePercentiles: [0.1, 0.95],
+  oversampling: 4,         // True-peak interpolation factor
+  channelWeights: null     // Per-channel power weights; null: 5.1 surrounds 1.41, LFE 0, all else 1
+};
+
+// Interpolation taps per oversampled phase
+const TRUE_PEAK_TAPS = 12;
+
+// Biquad coefficients of the two K-weighting stages at any sample rate (BS.1770 filter
+// parameters, as used by libebur128): a high shelf for the head, then a high-pass
+function kWeightingFilters(sampleRate) {
+  const shelf = (() => {
+    const K = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+    const Q = 0.7071752369554196;
+    const Vh = Math.pow(10, 3.999843853973347 / 20);
+    const Vb = Math.pow(Vh, 0.4996667741545416);
+    const a0 = 1 + K / Q + K * K;
+    return {
+      b: [(Vh + (Vb * K) / Q + K * K) / a0, (2 * (K * K - Vh)) / a0, (Vh - (Vb * K) / Q + K * K) / a0],
+      a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0]
+    };
+  })();
+  const highPass = (() => {
+    const K = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+    const Q = 0.5003270373238773;
+    const a0 = 1 + K / Q + K * K;
+    return { b: [1, -2, 1], a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0] };
+  })();
+  return [shelf, highPass];
+}
+
+// Windowed-sinc low-pass for `factor`x oversampling, split into polyphase branches
+function interpolationPhases(factor) {
+  const length = factor * TRUE_PEAK_TAPS;
+  // Centred on a tap, so phase 0 reproduces the original samples
+  const centre = length / 2;
+  const taps = Array.from({ length }, (_, n) => {
+    const x = (n - centre) / factor;
+    const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+    return sinc * (0.5 + 0.5 * Math.cos((Math.PI * (n - centre)) / centre));
+  });
+  return Array.from({ length: factor }, (_, p) => {
+    const phase = [];
+    for (let k = p; k < length; k += factor) phase.push(taps[k]);
+    const sum = phase.reduce((a, b) => a + b, 0);
+    return phase.map(tap => tap / sum);
+  });
+}
+
+function defaultChannelWeights(count) {
+  // L, R, C, LFE, Ls, Rs
+  if (count === 6) return [1, 1, 1, 0, 1.41, 1.41];
+  return new Array(count).fill(1);
+}
+
+function createState(channelCount, sampleRate, opts) {
+  const phases = interpolationPhases(opts.oversampling).map(phase => Float64Array.from(phase));
+  return {
+    sampleRate,
+    blockSize: Math.max(1, Math.round(opts.blockSeconds * sampleRate)),
+    weights: opts.channelWeights || defaultChannelWeights(channelCount),
+    filters: kWeightingFilters(sampleRate),
+    phases,
+    peakGain: Math.max(...phases.map(phase => phase.reduce((sum, tap) => sum + Math.abs(tap), 0))),
+    // Per channel: [x1, x2, y1, y2] for each biquad, and the last input samples for true peak,
+    // written twice so the newest TRUE_PEAK_TAPS samples are always contiguous
+    filterState: Array.from({ length: channelCount }, () => [new Float64Array(4), new Float64Array(4)]),
+    history: Array.from({ length: channelCount }, () => new Float64Array(2 * TRUE_PEAK_TAPS)),
+    historyPosition: new Array(channelCount).fill(0),
+    peakCountdown: new Array(channelCount).fill(0),  // Samples left that may still interpolate above truePeak
+    blockPower: 0,       // Weighted K-filtered mean square, summed over channels
+    blockSquares: 0,     // Unweighted mean square, averaged over channels
+    blockFill: 0,
+    blocks: [],          // Per 100 ms block: { power, squares }
+    totalSquares: 0,
+    totalSamples: 0,
+    samplePeak: 0,
+    truePeak: 0
+  };
+}
+
+/**
+ * Feed samples [from, to) of every channel into a loudness measurement.
+ * Ranges must be consecutive; the result after the last range equals one call over the whole signal.
+ * @param {Array<Float32Array>} channels - One array of samples per channel
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} [options] - See DEFAULT_LOUDNESS_OPTIONS
+ * @param {number} [from=0] - First sample
+ * @param {number} [to=Infinity] - One past the last sample
+ * @param {Object} [state] - State returned by the previous call
+ * @returns {Object} Updated state, for finishLoudness
+ */
+export function accumulateLoudness(channels, sampleRate, options = {}, from = 0, to = Infinity, state = null) {
+  const opts = { ...DEFAULT_LOUDNESS_OPTIONS, ...options };
+  const acc = state || createState(channels.length, sampleRate, opts);
+  const end = Math.min(to, ...channels.map(channel => channel.length));
+  const [shelf, highPass] = acc.filters;
+  const { phases, peakGain } = acc;
+
+  for (let i = from; i < end; i++) {
+    let power = 0;
+    let squares = 0;
+    for (let c = 0; c < channels.length; c++) {
+      const x = channels[c][i];
+      squares += x * x;
+
+      // K-weighting: two direct-form I biquads
+      const z1 = acc.filterState[c][0];
+      const y1 = shelf.b[0] * x + shelf.b[1] * z1[0] + shelf.b[2] * z1[1] - shelf.a[0] * z1[2] - shelf.a[1] * z1[3];
+      z1[1] = z1[0]; z1[0] = x; z1[3] = z1[2]; z1[2] = y1;
+      const z2 = acc.filterState[c][1];
+      const y2 = y1 - 2 * z2[0] + z2[1] - highPass.a[0] * z2[2] - highPass.a[1] * z2[3];
+      z2[1] = z2[0]; z2[0] = y1; z2[3] = z2[2]; z2[2] = y2;
+      power += acc.weights[c] * y2 * y2;
+
+      // Sample and true peak. Interpolated values are bounded by peakGain times the
+      // largest recent sample, so quiet stretches skip the interpolation entirely
+      const history = acc.history[c];
+      const position = acc.historyPosition[c];
+      history[position] = x;
+      history[position + TRUE_PEAK_TAPS] = x;
+      acc.historyPosition[c] = (position + 1) % TRUE_PEAK_TAPS;
+      const magnitude = Math.abs(x);
+      if (magnitude > acc.samplePeak) acc.samplePeak = magnitude;
+      if (magnitude * peakGain > acc.truePeak) acc.peakCountdown[c] = TRUE_PEAK_TAPS;
+      if (acc.peakCountdown[c] > 0) {
+        acc.peakCountdown[c]--;
+        const newest = position + TRUE_PEAK_TAPS;
+        for (const phase of phases) {
+          let interpolated = 0;
+          for (let k = 0; k < TRUE_PEAK_TAPS; k++) interpolated += phase[k] * history[newest - k];
+          if (Math.abs(interpolated) > acc.truePeak) acc.truePeak = Math.abs(interpolated);
+        }
+      }
+    }
+    acc.blockPower += power;
+    acc.blockSquares += squares / channels.length;
+    acc.totalSquares += squares / channels.length;
+    acc.totalSamples++;
+    if (++acc.blockFill === acc.blockSize) {
+      acc.blocks.push({ power: acc.blockPower / acc.blockSize, squares: acc.blockSquares / acc.blockSize });
+      acc.blockPower = 0;
+      acc.blockSquares = 0;
+      acc.blockFill = 0;
+    }
+  }
+  return acc;
+}
+
+const lufs = power => (power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity);
+const dbfs = value => (value > 0 ? 20 * Math.log10(value) : -Infinity);
+// Envelope and summary values: one decimal, and null for silence so results stay JSON-safe
+const round1 = value => (Number.isFinite(value) ? Math.round(value * 10) / 10 : null);
+
+// Mean block power over windows of `size` blocks ending at each block; null until a window is full
+function windowPowers(blocks, size) {
+  const powers = new Array(blocks.length).fill(null);
+  let sum = 0;
+  for (let i = 0; i < blocks.length; i++) {
+    sum += blocks[i].power;
+    if (i >= size) sum -= blocks[i - size].power;
+    if (i >= size - 1) powers[i] = Math.max(0, sum / size);
+  }
+  return powers;
+}
+
+// Powers above the absolute gate, then above `relative` LU below their own mean
+function gate(powers, opts, relative) {
+  const absolute = powers.filter(power => power !== null && lufs(power) > opts.absoluteGate);
+  if (!absolute.length) return [];
+  const threshold = lufs(absolute.reduce((a, b) => a + b, 0) / absolute.length) + relative;
+  return absolute.filter(power => lufs(power) > threshold);
+}
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.round(p * (sorted.length - 1))))];
+}
+
+/**
+ * Loudness summary and envelopes from an accumulated state
+ * @param {Object} state - From accumulateLoudness
+ * @param {Object} [options] - See DEFAULT_LOUDNESS_OPTIONS
+ * @returns {{integrated: number|null, loudnessRange: number|null, momentaryMax: number|null,
+ *   shortTermMax: number|null, samplePeak: number|null, truePeak: number|null, rms: number|null,
+ *   crestFactor: number|null, peakToLoudness: number|null,
+ *   envelope: {blockSeconds: number, times: Array<number>, rms: Array<number|null>,
+ *   momentary: Array<number|null>, shortTerm: Array<number|null>}}}
+ *   Loudness in LUFS, ranges in LU, peaks and RMS in dBFS (true peak in dBTP), crest factor in dB.
+ *   null where the signal is silent or too short.
+ */
+export function finishLoudness(state, options = {}) {
+  const opts = { ...DEFAULT_LOUDNESS_OPTIONS, ...options };
+  const { blocks } = state;
+  const momentary = windowPowers(blocks, opts.momentaryBlocks);
+  const shortTerm = windowPowers(blocks, opts.shortTermBlocks);
+
+  const gated = gate(momentary, opts, opts.relativeGate);
+  const integrated = gated.length ? lufs(gated.reduce((a, b) => a + b, 0) / gated.length) : -Infinity;
+  const rangeValues = gate(shortTerm, opts, opts.rangeRelativeGate).map(lufs).sort((a, b) => a - b);
+  const [low, high] = opts.rangePercentiles;
+  const loudnessRange = rangeValues.length ? percentile(rangeValues, high) - percentile(rangeValues, low) : null;
+
+  const rms = state.totalSamples ? Math.sqrt(state.totalSquares / state.totalSamples) : 0;
+  const maxOf = values => Math.max(-Infinity, ...values.filter(power => power !== null).map(lufs));
+  const truePeak = Math.max(state.truePeak, state.samplePeak);
+
+  return {
+    integrated: round1(integrated),
+    loudnessRange: round1(loudnessRange),
+    momentaryMax: round1(maxOf(momentary)),
+    shortTermMax: round1(maxOf(shortTerm)),
+    samplePeak: round1(dbfs(state.samplePeak)),
+    truePeak: round1(dbfs(truePeak)),
+    rms: round1(dbfs(rms)),
+    crestFactor: rms > 0 ? round1(dbfs(state.samplePeak / rms)) : null,
+    peakToLoudness: Number.isFinite(integrated) ? round1(dbfs(truePeak) - integrated) : null,
+    envelope: {
+      blockSeconds: state.blockSize / state.sampleRate,
+      // Each value describes the window ending at this time
+      times: blocks.map((_, i) => Math.round(((i + 1) * state.blockSize * 1000) / state.sampleRate) / 1000),
+      rms: blocks.map(block => round1(dbfs(Math.sqrt(block.squares)))),
+      momentary: momentary.map(power => (power === null ? null : round1(lufs(power)))),
+      shortTerm: shortTerm.map(power => (power === null ? null : round1(lufs(power))))
+    }
+  };
+}
+
+/**
+ * Loudness and dynamics of a whole signal
+ * @param {Float32Array|Array<Float32Array>} channels - Mono samples or one array per channel
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} [options] - See DEFAULT_LOUDNESS_OPTIONS
+ * @returns {Object} See finishLoudness
+ */
+export function analyzeLoudness(channels, sampleRate, options = {}) {
+  const list = Array.isArray(channels) ? channels : [channels];
+  return finishLoudness(accumulateLoudness(list, sampleRate, options), options);
+}
@@ -0,0 +1,196 @@
+// Utility: Meter and rhythmic-cycle detection
+// Works on tracked beats: each beat gets an accent (onset strength at the beat),
+// accents are folded over candidate cycle lengths, and the cycle that explains
+// the most accent variance beyond chance wins. Beat subdivision (duple or
+// triple) separates e.g. 4/4 from 12/8. Additive meters (aksak, compás) are
+// looked for one level down, on the subdivision pulse, since their 2+2+3
+// groupings do not fit a whole number of beats.
+
+export const DEFAULT_METER_OPTIONS = {
+  cycleLengths: [2, 3, 4, 5, 6, 7, 8, 9, 10, 12, 14, 16],
+  pulseCycleLengths: [5, 7, 9, 11, 12], // Additive cycles, counted in subdivision pulses
+  minCycles: 3,           // A cycle must repeat at least this often to be considered
+  frameOffset: 0,         // Envelope frames between a frame's index and the time it represents
+  minConfidence: 0.2,     // Weaker best fits are reported as free rhythm
+  pulseBonus: 0.1,        // Ranking allowance for pulse-level fits, whose interpolated pulse times are noisier
+  maxCandidates: 5
+};
+
+const ACCENT_WINDOW = 0.08;  // Search ± this fraction of the beat period around each position
+
+// Onset strength summed around a position, so onsets split across frames count in full
+function envelopeSum(envelope, centre, radius) {
+  let sum = 0;
+  const from = Math.max(0, Math.floor(centre - radius));
+  const to = Math.min(envelope.length - 1, Math.ceil(centre + radius));
+  for (let i = from; i <= to; i++) sum += envelope[i];
+  return sum;
+}
+
+const mean = values => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+
+/**
+ * Accent of each beat and the strength of duple and triple subdivisions
+ * @param {Float32Array} envelope - Onset strength envelope
+ * @param {number} frameRate - Envelope frames per second
+ * @param {Array<number>} beats - Beat times in seconds
+ * @param {number} [frameOffset=0] - See DEFAULT_METER_OPTIONS
+ * @returns {{accents: Array<number>, duple: number, triple: number}} Subdivision strengths are relative to the mean accent
+ */
+export function beatAccents(envelope, frameRate, beats, frameOffset = 0) {
+  const toFrame = time => time * frameRate - frameOffset;
+  const accents = [];
+  const halves = [];
+  const thirds = [];
+  for (let i = 0; i < beats.length; i++) {
+    const period = i + 1 < beats.length ? beats[i + 1] - beats[i] : beats[i] - beats[i - 1] || 0.5;
+    const radius = Math.max(1, ACCENT_WINDOW * period * frameRate);
+    accents.push(envelopeSum(envelope, toFrame(beats[i]), radius));
+    if (i + 1 < beats.length) {
+      halves.push(envelopeSum(envelope, toFrame(beats[i] + period / 2), radius));
+      thirds.push((envelopeSum(envelope, toFrame(beats[i] + period / 3), radius)
+        + envelopeSum(envelope, toFrame(beats[i] + (2 * period) / 3), radius)) / 2);
+    }
+  }
+  const accentMean = mean(accents) || 1;
+  return { accents, duple: mean(halves) / accentMean, triple: mean(thirds) / accentMean };
+}
+
+// Share of accent variance explained by position within a cycle of `length`, corrected for
+// chance; this is also the reported confidence
+function cycleFit(accents, length) {
+  const n = accents.length;
+  const overall = mean(accents);
+  const folded = new Array(length).fill(0);
+  const counts = new Array(length).fill(0);
+  accents.forEach((a, i) => {
+    folded[i % length] += a;
+    counts[i % length]++;
+  });
+  for (let p = 0; p < length; p++) folded[p] /= counts[p] || 1;
+
+  let total = 0;
+  let between = 0;
+  accents.forEach((a, i) => {
+    total += (a - overall) * (a - overall);
+    between += (folded[i % length] - overall) * (folded[i % length] - overall);
+  });
+  if (total <= 0) return { score: 0, folded };
+  const explained = between / total;
+  const chance = (length - 1) / (n - 1);
+  return { score: Math.max(0, (explained - chance) / (1 - chance)), folded };
+}
+
+// Accented positions of a folded cycle, rotated so the strongest comes first, as "2+2+3"
+function accentGrouping(folded) {
+  const level = mean(folded);
+  const spread = Math.sqrt(mean(folded.map(v => (v - level) * (v - level))));
+  const downbeat = folded.indexOf(Math.max(...folded));
+  const positions = [];
+  for (let k = 0; k < folded.length; k++) {
+    const p = (downbeat + k) % folded.length;
+    if (k === 0 || folded[p] > level + 0.5 * spread) positions.push(k);
+  }
+  const groups = positions.map((p, i) => (i + 1 < positions.length ? positions[i + 1] : folded.length) - p);
+  return { downbeat, groups };
+}
+
+const isAdditive = groups => groups.length > 1 && groups.every(g => g === 2 || g === 3) && new Set(groups).size > 1;
+
+function meterLabel(length, subdivision, groups) {
+  const triple = subdivision === 'triple';
+  const even = groups.every(g => g === groups[0]);
+  switch (length) {
+    case 2: return triple ? '6/8' : '2/4';
+    case 3: return triple ? '9/8' : '3/4';
+    case 4: return triple ? '12/8' : '4/4';
+    case 5: return '5/8 aksak';
+    case 6: return triple ? '6-beat cycle in compound time' : '6-beat cycle (Dadra-like)';
+    case 7: return '7/8 aksak';
+    case 8: return '8-beat cycle (Keherwa-like)';
+    case 9: return even ? '9-beat cycle' : '9/8 aksak';
+    case 10: return '10-beat cycle (Jhaptaal-like)';
+    case 11: return '11/8 aksak';
+    case 12: return even ? '12-beat cycle (Ektaal-like)' : '12-beat compás';
+    case 14: return '14-beat cycle (Deepchandi / Dhamar-like)';
+    case 16: return '16-beat cycle (Teentaal-like)';
+    default: return `${length}-beat cycle`;
+  }
+}
+
+// Beat times with the subdivision pulses between them filled in
+function pulseTimes(beats, perBeat) {
+  const pulses = [];
+  for (let i = 0; i + 1 < beats.length; i++) {
+    for (let k = 0; k < perBeat; k++) pulses.push(beats[i] + ((beats[i + 1] - beats[i]) * k) / perBeat);
+  }
+  pulses.push(beats[beats.length - 1]);
+  return pulses;
+}
+
+// Candidate cycles at one level; span is the cycle length in beats
+function fitLevel(envelope, frameRate, times, lengths, opts, level, perBeat = 1) {
+  const { accents } = beatAccents(envelope, frameRate, times, opts.frameOffset);
+  return lengths
+    .filter(length => times.length >= opts.minCycles * length)
+    .map(length => {
+      const { score, folded } = cycleFit(accents, length);
+      const { downbeat, groups } = accentGrouping(folded);
+      return { level, times, length, span: length / perBeat, score, downbeat, groups };
+    })
+    .filter(fit => fit.score > 0 && (level === 'beat' || isAdditive(fit.groups)));
+}
+
+/**
+ * Estimate meter / cycle length from tracked beats
+ * @param {Float32Array} envelope - Onset strength envelope
+ * @param {number} frameRate - Envelope frames per second
+ * @param {Array<number>} beats - Beat times in seconds
+ * @param {Object} [options] - See DEFAULT_METER_OPTIONS
+ * @returns {{label: string, cycleLength: number, level: string, subdivision: string, grouping: string,
+ *   downbeats: Array<number>, confidence: number, candidates: Array}} cycleLength counts beats, or
+ *   subdivision pulses when level is 'pulse'; label is 'Free rhythm' when no cycle fits
+ */
+export function detectMeter(envelope, frameRate, beats, options = {}) {
+  const opts = { ...DEFAULT_METER_OPTIONS, ...options };
+  const free = { label: 'Free rhythm', cycleLength: 0, level: 'beat', subdivision: 'none', grouping: '', downbeats: [], confidence: 0, candidates: [] };
+  if (!envelope || !beats || beats.length < 2 * opts.minCycles) return free;
+
+  const { duple, triple } = beatAccents(envelope, frameRate, beats, opts.frameOffset);
+  const subdivision = triple > 0.15 && triple > 1.2 * duple ? 'triple' : duple > 0.15 ? 'duple' : 'none';
+
+  const fits = fitLevel(envelope, frameRate, beats, opts.cycleLengths, opts, 'beat');
+  if (subdivision !== 'none') {
+    const perBeat = subdivision === 'triple' ? 3 : 2;
+    fits.push(...fitLevel(envelope, frameRate, pulseTimes(beats, perBeat), opts.pulseCycleLengths, opts, 'pulse', perBeat));
+  }
+  if (fits.length === 0) return { ...free, subdivision };
+
+  // A cycle and its multiples fit equally well, so near-ties go to the shorter cycle, and
+  // between equally long ones to the additive pulse grouping
+  const rank = fit => fit.score + (fit.level === 'pulse' ? opts.pulseBonus : 0);
+  fits.sort((a, b) => (Math.abs(rank(b) - rank(a)) > 0.05
+    ? rank(b) - rank(a)
+    : a.span - b.span || (a.level === 'pulse' ? -1 : 0) + (b.level === 'pulse' ? 1 : 0)));
+  if (fits[0].score < opts.minConfidence) return { ...free, subdivision };
+  const candidates = fits.slice(0, opts.maxCandidates).map(fit => ({
+    label: meterLabel(fit.length, fit.level === 'pulse' ? 'none' : subdivision, fit.groups),
+    cycleLength: fit.length,
+    level: fit.level,
+    grouping: fit.groups.join('+'),
+    confidence: Math.round(fit.score * 1000) / 1000
+  }));
+
+  const best = fits[0];
+  const downbeats = best.times.filter((_, i) => i % best.length === best.downbeat);
+  return {
+    label: candidates[0].label,
+    cycleLength: best.length,
+    level: best.level,
+    subdivision,
+    grouping: candidates[0].grouping,
+    downbeats,
+    confidence: candidates[0].confidence,
+    candidates
+  };
+}
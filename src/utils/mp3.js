@@ -0,0 +1,283 @@
+// Utility: MP3 stream parsing and decoding
+// The frame parser is plain JavaScript: it skips ID3v2 / ID3v1 / APE tags and
+// junk, resynchronizes after damaged frames, and reads the Xing/Info and LAME
+// headers for gapless trimming. The Layer III frames themselves are decoded in
+// JavaScript by utils/mp3Decoder.js or by the browser's WebCodecs AudioDecoder,
+// or re-wrapped as a clean stream for decodeAudioData, which often rejects files
+// only for their tags or leading junk.
+
+import { id3v2Length, toBytes } from './audioFormats.js';
+import { decodeLayer3 } from './mp3Decoder.js';
+
+const VERSIONS = { 0: '2.5', 2: '2', 3: '1' };
+const LAYERS = { 1: 3, 2: 2, 3: 1 };
+const SAMPLE_RATES = { 1: [44100, 48000, 32000], 2: [22050, 24000, 16000], 2.5: [11025, 12000, 8000] };
+// kbps by bitrate index, for MPEG-1 layers I-III and MPEG-2/2.5 layer I and layers II/III
+const BITRATES = {
+  '1:1': [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  '1:2': [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  '1:3': [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  '2:1': [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  '2:2': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  '2:3': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+// Delay of the Layer III synthesis filterbank, already counted in LAME's encoder delay
+const DECODER_DELAY = 529;
+
+/**
+ * Parse the 4-byte MPEG audio frame header at `offset`
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @returns {Object|null} { version, layer, sampleRate, channelCount, bitrate, length, samplesPerFrame, protected },
+ *   or null for anything but a valid fixed-bitrate header (free-format frames are not supported)
+ */
+export function parseFrameHeader(bytes, offset) {
+  if (offset + 4 > bytes.length || bytes[offset] !== 0xff || (bytes[offset + 1] & 0xe0) !== 0xe0) return null;
+  const version = VERSIONS[(bytes[offset + 1] >> 3) & 0x03];
+  const layer = LAYERS[(bytes[offset + 1] >> 1) & 0x03];
+  const bitrateIndex = bytes[offset + 2] >> 4;
+  const rateIndex = (bytes[offset + 2] >> 2) & 0x03;
+  if (!version || !layer || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) return null;
+
+  const bitrate = BITRATES[`${version === '1' ? 1 : 2}:${layer}`][bitrateIndex] * 1000;
+  const sampleRate = SAMPLE_RATES[version][rateIndex];
+  const padding = (bytes[offset + 2] >> 1) & 0x01;
+  const samplesPerFrame = layer === 1 ? 384 : layer === 3 && version !== '1' ? 576 : 1152;
+  const length = layer === 1
+    ? (Math.floor(12 * bitrate / sampleRate) + padding) * 4
+    : Math.floor((samplesPerFrame / 8) * bitrate / sampleRate) + padding;
+  return {
+    version,
+    layer,
+    sampleRate,
+    channelCount: bytes[offset + 3] >> 6 === 3 ? 1 : 2,
+    bitrate,
+    length,
+    samplesPerFrame,
+    protected: (bytes[offset + 1] & 0x01) === 0
+  };
+}
+
+// Two headers agree when they could belong to one stream
+function sameStream(a, b) {
+  return a.version === b.version && a.layer === b.layer && a.sampleRate === b.sampleRate;
+}
+
+// Xing/Info (and LAME) header in the first frame: frame count, encoder delay and padding
+function readXingHeader(bytes, offset, header) {
+  const sideInfo = header.version === '1' ? (header.channelCount === 1 ? 17 : 32) : (header.channelCount === 1 ? 9 : 17);
+  let position = offset + 4 + (header.protected ? 2 : 0) + sideInfo;
+  const tag = String.fromCharCode(...bytes.subarray(position, position + 4));
+  if (tag !== 'Xing' && tag !== 'Info') return null;
+  const flags = (bytes[position + 4] << 24 | bytes[position + 5] << 16 | bytes[position + 6] << 8 | bytes[position + 7]) >>> 0;
+  position += 8;
+  let frameCount = null;
+  if (flags & 0x01) {
+    frameCount = (bytes[position] << 24 | bytes[position + 1] << 16 | bytes[position + 2] << 8 | bytes[position + 3]) >>> 0;
+    position += 4;
+  }
+  if (flags & 0x02) position += 4; // Byte count
+  if (flags & 0x04) position += 100; // Seek table
+  if (flags & 0x08) position += 4; // Quality
+  // LAME extension: 9-byte encoder name, then delay and padding (12 bits each) 21 bytes in
+  const encoder = String.fromCharCode(...bytes.subarray(position, position + 4));
+  let encoderDelay = null;
+  let encoderPadding = null;
+  if (/^(LAME|Lavf|Lavc|GOGO)/.test(encoder) && position + 24 <= offset + header.length) {
+    encoderDelay = (bytes[position + 21] << 4) | (bytes[position + 22] >> 4);
+    encoderPadding = ((bytes[position + 22] & 0x0f) << 8) | bytes[position + 23];
+  }
+  return { frameCount, encoderDelay, encoderPadding };
+}
+
+// ID3v1 and APE tags follow the last frame
+function isTrailingTag(bytes, offset) {
+  const text = String.fromCharCode(...bytes.subarray(offset, offset + 8));
+  return text.startsWith('TAG') || text === 'APETAGEX';
+}
+
+/**
+ * Find the audio frames of an MP3 file
+ * @param {ArrayBuffer|Uint8Array} data - File contents
+ * @returns {{version: string, layer: number, sampleRate: number, channelCount: number, samplesPerFrame: number,
+ *   frames: Array<{offset: number, length: number}>, encoderDelay: number|null, encoderPadding: number|null,
+ *   skippedBytes: number, duration: number}} skippedBytes counts junk and damaged data between frames
+ * @throws {Error} When no run of valid frames is found
+ */
+export function parseMp3(data) {
+  const bytes = toBytes(data);
+  let offset = id3v2Length(bytes);
+  let first = null;
+  const frames = [];
+  let skippedBytes = 0;
+  let expected = -1;
+
+  while (offset + 4 <= bytes.length) {
+    const header = parseFrameHeader(bytes, offset);
+    // A header counts when it directly follows the previous frame, or when the next
+    // frame follows it; this rules out chance sync patterns inside tags and audio data
+    const end = header ? offset + header.length : 0;
+    const next = header && parseFrameHeader(bytes, end);
+    const fits = header && end <= bytes.length
+      && (!first || sameStream(first, header))
+      && (offset === expected || (next && sameStream(header, next)));
+    if (!fits) {
+      if (frames.length > 0 && isTrailingTag(bytes, offset)) break;
+      offset++;
+      skippedBytes++;
+      continue;
+    }
+    if (!first) first = header;
+    frames.push({ offset, length: header.length });
+    offset = expected = end;
+  }
+  if (!first) throw new Error('No MPEG audio frames found');
+
+  // The Xing/Info frame carries no audio
+  const xing = readXingHeader(bytes, frames[0].offset, first);
+  if (xing) frames.shift();
+  const samples = frames.length * first.samplesPerFrame;
+  const trimmed = xing?.encoderDelay !== null && xing?.encoderDelay !== undefined
+    ? samples - xing.encoderDelay - xing.encoderPadding
+    : samples;
+  return {
+    version: first.version,
+    layer: first.layer,
+    sampleRate: first.sampleRate,
+    channelCount: first.channelCount,
+    samplesPerFrame: first.samplesPerFrame,
+    frames,
+    encoderDelay: xing?.encoderDelay ?? null,
+    encoderPadding: xing?.encoderPadding ?? null,
+    skippedBytes,
+    duration: Math.max(0, trimmed) / first.sampleRate
+  };
+}
+
+/**
+ * The audio frames alone, as a clean MP3 stream without tags or junk
+ * @param {ArrayBuffer|Uint8Array} data - File contents
+ * @param {Object} [stream] - From parseMp3, when already parsed
+ * @returns {Uint8Array}
+ */
+export function rebuildMp3(data, stream = parseMp3(data)) {
+  const bytes = toBytes(data);
+  const out = new Uint8Array(stream.frames.reduce((sum, frame) => sum + frame.length, 0));
+  let position = 0;
+  stream.frames.forEach(({ offset, length }) => {
+    out.set(bytes.subarray(offset, offset + length), position);
+    position += length;
+  });
+  return out;
+}
+
+// Samples [start, end) of `total` decoded ones that remain once the encoder's delay and
+// padding are trimmed; LAME's delay counts the decoder's own delay, and without a LAME
+// header nothing is trimmed
+function gaplessRange(stream, total) {
+  const start = stream.encoderDelay !== null ? Math.min(total, stream.encoderDelay + DECODER_DELAY) : 0;
+  const end = stream.encoderPadding !== null ? Math.max(start, total - Math.max(0, stream.encoderPadding - DECODER_DELAY)) : total;
+  return { start, end };
+}
+
+/**
+ * Decode an MP3 file in JavaScript
+ * @param {ArrayBuffer|Uint8Array} data - File contents
+ * @returns {{sampleRate: number, channels: Array<Float32Array>, format: string, duration: number,
+ *   skippedBytes: number, damagedFrames: number}} Trimmed to the encoder's delay and padding when
+ *   a LAME header gives them; damagedFrames counts frames replaced by silence
+ * @throws {Error} When the stream is not Layer III, or no frame decodes
+ */
+export function decodeMp3(data) {
+  const bytes = toBytes(data);
+  const stream = parseMp3(bytes);
+  if (stream.layer !== 3) throw new Error(`MPEG layer ${stream.layer} audio is not supported`);
+  const { channels, damagedFrames } = decodeLayer3(bytes, stream);
+  if (damagedFrames === stream.frames.length) throw new Error('No decodable MP3 frames');
+
+  const { start, end } = gaplessRange(stream, channels[0].length);
+  return {
+    sampleRate: stream.sampleRate,
+    channels: channels.map(channel => channel.slice(start, end)),
+    format: 'mp3',
+    duration: (end - start) / stream.sampleRate,
+    skippedBytes: stream.skippedBytes,
+    damagedFrames
+  };
+}
+
+/**
+ * Decode an MP3 file with WebCodecs
+ * @param {ArrayBuffer|Uint8Array} data - File contents
+ * @param {Object} [options]
+ * @param {Function} [options.AudioDecoder=globalThis.AudioDecoder] - WebCodecs AudioDecoder class
+ * @param {Function} [options.EncodedAudioChunk=globalThis.EncodedAudioChunk] - WebCodecs EncodedAudioChunk class
+ * @returns {Promise<{sampleRate: number, channels: Array<Float32Array>, format: string, duration: number, skippedBytes: number}>}
+ *   Trimmed to the encoder's delay and padding when a LAME header gives them
+ * @throws {Error} When WebCodecs is unavailable or cannot decode the stream
+ */
+export async function decodeMp3WithWebCodecs(data, {
+  AudioDecoder: AudioDecoderClass = globalThis.AudioDecoder,
+  EncodedAudioChunk: EncodedAudioChunkClass = globalThis.EncodedAudioChunk
+} = {}) {
+  const bytes = toBytes(data);
+  const stream = parseMp3(bytes);
+  if (stream.layer !== 3) throw new Error(`MPEG layer ${stream.layer} audio is not supported`);
+  if (!AudioDecoderClass || !EncodedAudioChunkClass) throw new Error('This browser has no WebCodecs AudioDecoder');
+  const config = { codec: 'mp3', sampleRate: stream.sampleRate, numberOfChannels: stream.channelCount };
+  const support = await AudioDecoderClass.isConfigSupported(config);
+  if (!support?.supported) throw new Error('This browser\'s AudioDecoder cannot decode MP3');
+
+  const pieces = [];
+  let failure = null;
+  const decoder = new AudioDecoderClass({
+    output: audioData => {
+      const planes = Array.from({ length: audioData.numberOfChannels }, (_, c) => {
+        const plane = new Float32Array(audioData.numberOfFrames);
+        audioData.copyTo(plane, { planeIndex: c, format: 'f32-planar' });
+        return plane;
+      });
+      pieces.push({ timestamp: audioData.timestamp, planes });
+      audioData.close();
+    },
+    error: error => {
+      failure = error;
+    }
+  });
+  decoder.configure(config);
+  stream.frames.forEach(({ offset, length }, i) => {
+    decoder.decode(new EncodedAudioChunkClass({
+      type: 'key',
+      timestamp: Math.round(i * stream.samplesPerFrame * 1e6 / stream.sampleRate),
+      data: bytes.subarray(offset, offset + length)
+    }));
+  });
+  try {
+    await decoder.flush();
+  } finally {
+    if (decoder.state !== 'closed') decoder.close();
+  }
+  if (failure) throw failure;
+  if (pieces.length === 0) throw new Error('The MP3 decoder produced no audio');
+
+  pieces.sort((a, b) => a.timestamp - b.timestamp);
+  const channelCount = pieces[0].planes.length;
+  const total = pieces.reduce((sum, piece) => sum + piece.planes[0].length, 0);
+  const { start, end } = gaplessRange(stream, total);
+  const channels = Array.from({ length: channelCount }, () => new Float32Array(end - start));
+  let position = 0;
+  pieces.forEach(({ planes }) => {
+    const from = Math.max(0, start - position);
+    const to = Math.min(planes[0].length, end - position);
+    if (to > from) planes.forEach((plane, c) => channels[c].set(plane.subarray(from, to), position + from - start));
+    position += planes[0].length;
+  });
+
+  return {
+    sampleRate: stream.sampleRate,
+    channels,
+    format: 'mp3',
+    duration: (end - start) / stream.sampleRate,
+    skippedBytes: stream.skippedBytes
+  };
+}
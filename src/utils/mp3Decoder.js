@@ -0,0 +1,522 @@
+// Utility: MPEG audio Layer III decoding
+// A plain JavaScript decoder for the Layer III frames utils/mp3.js finds, so MP3s
+// decode without the browser's decodeAudioData or WebCodecs: MPEG-1, MPEG-2 and
+// MPEG-2.5 side information, the bit reservoir, scalefactors, Huffman big-value
+// and count1 regions, requantization, mid/side and intensity stereo, short-block
+// reordering, alias reduction, the hybrid IMDCT and the polyphase synthesis
+// filterbank. A frame whose main data is missing (the reservoir reaches back
+// past a damaged frame) or unreadable becomes silence of the same length.
+
+import {
+  BAND_BOUNDARIES,
+  HUFFMAN_TABLES,
+  PRETAB,
+  SCALEFACTOR_LENGTHS,
+  SCALEFACTOR_PARTITIONS,
+  SYNTHESIS_WINDOW
+} from './mp3Tables.js';
+
+const GRANULE = 576;
+const MODE_JOINT_STEREO = 1;
+const MODE_MONO = 3;
+const BLOCK_SHORT = 2;
+// Longest reach of main_data_begin (9 bits), plus the largest frame's main data
+const RESERVOIR_SIZE = 511 + 2881;
+
+// Alias-reduction butterflies between adjacent subbands
+const ALIAS_COEFFICIENTS = [-0.6, -0.535, -0.33, -0.185, -0.095, -0.041, -0.0142, -0.0037];
+const ALIAS_CS = ALIAS_COEFFICIENTS.map(c => 1 / Math.sqrt(1 + c * c));
+const ALIAS_CA = ALIAS_COEFFICIENTS.map(c => c / Math.sqrt(1 + c * c));
+
+// IMDCT windows by block type: 0 normal, 1 start, 2 short (12 points), 3 stop
+const IMDCT_WINDOWS = [0, 1, 2, 3].map(type => Float64Array.from({ length: 36 }, (_, i) => {
+  const long = Math.sin(Math.PI / 36 * (i + 0.5));
+  if (type === 0) return long;
+  if (type === 1) return i < 18 ? long : i < 24 ? 1 : i < 30 ? Math.sin(Math.PI / 12 * (i - 17.5)) : 0;
+  if (type === 3) return i < 6 ? 0 : i < 12 ? Math.sin(Math.PI / 12 * (i - 5.5)) : i < 18 ? 1 : long;
+  return i < 12 ? Math.sin(Math.PI / 12 * (i + 0.5)) : 0;
+}));
+const IMDCT_LONG = Float64Array.from({ length: 36 * 18 }, (_, n) =>
+  Math.cos(Math.PI / 72 * (2 * Math.floor(n / 18) + 19) * (2 * (n % 18) + 1)));
+const IMDCT_SHORT = Float64Array.from({ length: 12 * 6 }, (_, n) =>
+  Math.cos(Math.PI / 24 * (2 * Math.floor(n / 6) + 7) * (2 * (n % 6) + 1)));
+// cos((2k + 1) i π / 64); the 64 matrixing outputs are these 32 sums, mirrored
+const SYNTHESIS_COS = Float64Array.from({ length: 32 * 32 }, (_, n) =>
+  Math.cos((2 * (n % 32) + 1) * Math.floor(n / 32) * Math.PI / 64));
+// |x|^(4/3) up to the largest Huffman value (15 plus 13 linbits)
+const POW_43 = Float64Array.from({ length: 15 + 8192 }, (_, i) => Math.pow(i, 4 / 3));
+
+// MSB-first bit reader; reads past the end give zeros
+function createBitReader(bytes) {
+  let pos = 0;
+  return {
+    get position() {
+      return pos;
+    },
+    set position(value) {
+      pos = value;
+    },
+    readBit() {
+      const bit = (bytes[pos >> 3] >> (7 - (pos & 7))) & 1;
+      pos++;
+      return bit;
+    },
+    readBits(count) {
+      let value = 0;
+      for (let i = 0; i < count; i++) value = (value << 1) | this.readBit();
+      return value;
+    }
+  };
+}
+
+// Band widths in spectrum order for long, short (each band once per window) and mixed blocks
+function bandLayouts(sampleRate, mpeg1) {
+  const { long, short } = BAND_BOUNDARIES[sampleRate];
+  const longWidths = long.slice(1).map((boundary, i) => boundary - long[i]);
+  const shortWidths = short.slice(1).flatMap((boundary, i) => [0, 1, 2].map(() => boundary - short[i]));
+  const mixedLong = mpeg1 ? 8 : 6;
+  return {
+    long: { widths: longWidths, longBands: longWidths.length },
+    short: { widths: shortWidths, longBands: 0 },
+    mixed: { widths: [...longWidths.slice(0, mixedLong), ...shortWidths.slice(9)], longBands: mixedLong }
+  };
+}
+
+function readGranuleInfo(reader, mpeg1, layouts) {
+  const granule = {
+    part23Length: reader.readBits(12),
+    bigValues: Math.min(reader.readBits(9), GRANULE / 2),
+    globalGain: reader.readBits(8),
+    scalefacCompress: reader.readBits(mpeg1 ? 4 : 9),
+    blockType: 0,
+    mixed: false,
+    tableSelect: [0, 0, 0],
+    subblockGain: [0, 0, 0]
+  };
+  let region0Count;
+  let region1Count;
+  if (reader.readBit()) {
+    granule.blockType = reader.readBits(2);
+    granule.mixed = reader.readBit() === 1;
+    granule.tableSelect = [reader.readBits(5), reader.readBits(5), 0];
+    granule.subblockGain = [reader.readBits(3), reader.readBits(3), reader.readBits(3)];
+    // Region 1 runs to the end of the spectrum
+    region0Count = granule.blockType === BLOCK_SHORT && !granule.mixed ? 8 : 7;
+    region1Count = Infinity;
+  } else {
+    granule.tableSelect = [reader.readBits(5), reader.readBits(5), reader.readBits(5)];
+    region0Count = reader.readBits(4);
+    region1Count = reader.readBits(3);
+  }
+  granule.preflag = mpeg1 ? reader.readBit() : 0;
+  granule.scalefacScale = reader.readBit();
+  granule.count1Table = reader.readBit();
+
+  const layout = granule.blockType !== BLOCK_SHORT ? layouts.long : granule.mixed ? layouts.mixed : layouts.short;
+  granule.kind = granule.blockType !== BLOCK_SHORT ? 'long' : granule.mixed ? 'mixed' : 'short';
+  granule.widths = layout.widths;
+  granule.longBands = layout.longBands;
+  const regionEnd = bands => granule.widths.slice(0, bands).reduce((sum, width) => sum + width, 0);
+  granule.region1Start = Math.min(GRANULE, regionEnd(region0Count + 1));
+  granule.region2Start = Math.min(GRANULE, regionEnd(region0Count + region1Count + 2));
+  return granule;
+}
+
+/**
+ * Read a frame's side information
+ * @returns {{mainDataBegin: number, scfsi: Array<Array<number>>, granules: Array<Array<Object>>}}
+ *   granules[granule][channel]
+ */
+function readSideInfo(bytes, offset, { mpeg1, channelCount, layouts }) {
+  const reader = createBitReader(bytes.subarray(offset));
+  const mainDataBegin = reader.readBits(mpeg1 ? 9 : 8);
+  reader.readBits(mpeg1 ? (channelCount === 1 ? 5 : 3) : channelCount); // Private bits
+  const scfsi = Array.from({ length: channelCount }, () => (mpeg1 ? [0, 1, 2, 3].map(() => reader.readBit()) : [0, 0, 0, 0]));
+  const granules = Array.from({ length: mpeg1 ? 2 : 1 }, () =>
+    Array.from({ length: channelCount }, () => readGranuleInfo(reader, mpeg1, layouts)));
+  return { mainDataBegin, scfsi, granules };
+}
+
+// MPEG-2 scalefactor lengths and partition row (1-6) from scalefac_compress
+function lsfLengths(compress, intensityChannel) {
+  if (intensityChannel) {
+    const c = compress >> 1;
+    if (c < 180) return { row: 4, lengths: [Math.floor(c / 36), Math.floor((c % 36) / 6), c % 6, 0], preflag: 0 };
+    if (c < 244) return { row: 5, lengths: [((c - 180) & 63) >> 4, ((c - 180) & 15) >> 2, (c - 180) & 3, 0], preflag: 0 };
+    return { row: 6, lengths: [Math.floor((c - 244) / 3), (c - 244) % 3, 0, 0], preflag: 0 };
+  }
+  if (compress < 400) {
+    return { row: 1, lengths: [Math.floor((compress >> 4) / 5), (compress >> 4) % 5, (compress & 15) >> 2, compress & 3], preflag: 0 };
+  }
+  if (compress < 500) {
+    const c = compress - 400;
+    return { row: 2, lengths: [Math.floor((c >> 2) / 5), (c >> 2) % 5, c & 3, 0], preflag: 0 };
+  }
+  const c = compress - 500;
+  return { row: 3, lengths: [Math.floor(c / 3), c % 3, 0, 0], preflag: 1 };
+}
+
+// Scalefactors, one per entry of granule.widths, with the bit length each was coded in
+function readScalefactors(reader, granule, { mpeg1, intensityChannel, scfsi, previous }) {
+  let row = 0;
+  let lengths;
+  if (mpeg1) {
+    const [slen1, slen2] = SCALEFACTOR_LENGTHS[granule.scalefacCompress];
+    lengths = [slen1, slen1, slen2, slen2];
+  } else {
+    ({ row, lengths, preflag: granule.preflag } = lsfLengths(granule.scalefacCompress, intensityChannel));
+  }
+  granule.scalefactors = new Uint8Array(granule.widths.length);
+  granule.scalefactorBits = new Uint8Array(granule.widths.length);
+  let k = 0;
+  SCALEFACTOR_PARTITIONS[granule.kind][row].forEach((count, group) => {
+    // Second-granule long blocks may reuse the first granule's scalefactors group by group
+    const reuse = previous && granule.kind === 'long' && previous.kind === 'long' && scfsi[group];
+    for (let n = 0; n < count; n++, k++) {
+      granule.scalefactors[k] = reuse ? previous.scalefactors[k] : reader.readBits(lengths[group]);
+      granule.scalefactorBits[k] = lengths[group];
+    }
+  });
+}
+
+// One Huffman code word: the leaf's value pair as two nibbles
+function readCodeWord(reader, tree) {
+  let point = 0;
+  for (let steps = 0; steps < 32 && point < tree.length; steps++) {
+    if ((tree[point] & 0xff00) === 0) return tree[point];
+    if (reader.readBit()) {
+      while ((tree[point] & 0xff) >= 250) point += tree[point] & 0xff;
+      point += tree[point] & 0xff;
+    } else {
+      while ((tree[point] >> 8) >= 250) point += tree[point] >> 8;
+      point += tree[point] >> 8;
+    }
+  }
+  throw new Error('Invalid Huffman code in MP3 data');
+}
+
+function readSigned(reader, value, linbits) {
+  if (linbits && value === 15) value += reader.readBits(linbits);
+  return value !== 0 && reader.readBit() ? -value : value;
+}
+
+/**
+ * Huffman-decode a granule's quantized spectrum into `values`
+ * @returns {number} Index past the last decoded value (everything above is zero)
+ */
+function readSpectrum(reader, granule, end, values) {
+  values.fill(0);
+  const bigEnd = granule.bigValues * 2;
+  let i = 0;
+  for (; i < bigEnd; i += 2) {
+    const region = i < granule.region1Start ? 0 : i < granule.region2Start ? 1 : 2;
+    const table = HUFFMAN_TABLES[granule.tableSelect[region]];
+    if (!table) continue;
+    const word = readCodeWord(reader, table.tree);
+    values[i] = readSigned(reader, word >> 4, table.linbits);
+    values[i + 1] = readSigned(reader, word & 0x0f, table.linbits);
+  }
+  // Count1 region: quadruples of -1, 0 and 1 until the granule's bits run out
+  const quads = HUFFMAN_TABLES[32 + granule.count1Table].tree;
+  while (i + 4 <= GRANULE && reader.position < end) {
+    const word = readCodeWord(reader, quads);
+    const quad = [(word >> 3) & 1, (word >> 2) & 1, (word >> 1) & 1, word & 1].map(bit => readSigned(reader, bit, 0));
+    // A quadruple that overran the granule is stuffing, not data
+    if (reader.position > end) break;
+    values.set(quad, i);
+    i += 4;
+  }
+  return i;
+}
+
+// values -> spectral lines; returns where the nonzero spectrum ends
+function requantize(values, granule, limit, xr) {
+  const gain = granule.globalGain - 210;
+  const shift = granule.scalefacScale ? 1 : 0.5;
+  xr.fill(0);
+  let start = 0;
+  for (let band = 0; band < granule.widths.length && start < limit; band++) {
+    const exponent = band < granule.longBands
+      ? 0.25 * gain - shift * (granule.scalefactors[band] + granule.preflag * PRETAB[band])
+      : 0.25 * (gain - 8 * granule.subblockGain[(band - granule.longBands) % 3]) - shift * granule.scalefactors[band];
+    const scale = 2 ** exponent;
+    const end = start + granule.widths[band];
+    for (let i = start; i < end; i++) {
+      const value = values[i];
+      if (value !== 0) xr[i] = (value < 0 ? -POW_43[-value] : POW_43[value]) * scale;
+    }
+    start = end;
+  }
+  return start;
+}
+
+function midSide(left, right, start, end) {
+  for (let i = start; i < end; i++) {
+    const mid = left[i];
+    const side = right[i];
+    left[i] = (mid + side) * Math.SQRT1_2;
+    right[i] = (mid - side) * Math.SQRT1_2;
+  }
+}
+
+// Intensity stereo above the right channel's last nonzero band (per window for short blocks);
+// the bands below, and any with an illegal position, are mid/side coded when that is on
+function intensityStereo(left, right, granule, mpeg1, useMidSide) {
+  const { widths, longBands, scalefactors, scalefactorBits } = granule;
+  const windowOf = band => (band < longBands ? 0 : (band - longBands) % 3);
+  const top = [-1, -1, -1];
+  let start = 0;
+  widths.forEach((width, band) => {
+    for (let i = start; i < start + width; i++) {
+      if (right[i] !== 0) {
+        top[windowOf(band)] = band;
+        break;
+      }
+    }
+    start += width;
+  });
+  if (longBands > 0) top.fill(Math.max(...top));
+
+  // The top band (per window) has no scalefactor of its own: it takes the one below
+  const positions = Array.from(scalefactors);
+  const illegal = Array.from(scalefactorBits, (bits, band) =>
+    (mpeg1 ? positions[band] === 7 : bits > 0 && positions[band] === (1 << bits) - 1));
+  const windows = longBands < widths.length ? 3 : 1;
+  for (let w = 0; w < windows; w++) {
+    const last = widths.length - windows + w;
+    const below = last - windows;
+    positions[last] = top[w] >= below ? (mpeg1 ? 3 : 0) : positions[below];
+    illegal[last] = top[w] < below && illegal[below];
+  }
+
+  const ratio = mpeg1 ? 0 : (granule.scalefacCompress & 1 ? Math.SQRT1_2 : 2 ** -0.25);
+  start = 0;
+  widths.forEach((width, band) => {
+    const end = start + width;
+    if (band > top[windowOf(band)] && !illegal[band]) {
+      const position = positions[band];
+      let kl;
+      let kr;
+      if (mpeg1) {
+        const sin = Math.sin(position * Math.PI / 12);
+        const cos = Math.cos(position * Math.PI / 12);
+        kl = sin / (sin + cos);
+        kr = cos / (sin + cos);
+      } else {
+        kl = position & 1 ? ratio ** ((position + 1) >> 1) : 1;
+        kr = position & 1 ? 1 : ratio ** (position >> 1);
+      }
+      for (let i = start; i < end; i++) {
+        right[i] = left[i] * kr;
+        left[i] *= kl;
+      }
+    } else if (useMidSide) {
+      midSide(left, right, start, end);
+    }
+    start = end;
+  });
+}
+
+// Short-block bands arrive window by window; the IMDCT wants them interleaved
+function reorder(xr, granule, scratch) {
+  if (granule.blockType !== BLOCK_SHORT) return;
+  let start = granule.widths.slice(0, granule.longBands).reduce((sum, width) => sum + width, 0);
+  for (let band = granule.longBands; band < granule.widths.length; band += 3) {
+    const width = granule.widths[band];
+    for (let w = 0; w < 3; w++) {
+      for (let f = 0; f < width; f++) scratch[3 * f + w] = xr[start + w * width + f];
+    }
+    xr.set(scratch.subarray(0, 3 * width), start);
+    start += 3 * width;
+  }
+}
+
+function reduceAliases(xr, granule) {
+  if (granule.blockType === BLOCK_SHORT && !granule.mixed) return;
+  // Mixed blocks: only between the two long subbands
+  const last = granule.blockType === BLOCK_SHORT ? 1 : 31;
+  for (let sb = 1; sb <= last; sb++) {
+    for (let i = 0; i < 8; i++) {
+      const lower = xr[18 * sb - 1 - i];
+      const upper = xr[18 * sb + i];
+      xr[18 * sb - 1 - i] = lower * ALIAS_CS[i] - upper * ALIAS_CA[i];
+      xr[18 * sb + i] = upper * ALIAS_CS[i] + lower * ALIAS_CA[i];
+    }
+  }
+}
+
+// IMDCT and overlap-add per subband; out holds 18 time slots of 32 subband samples
+function hybridSynthesis(xr, granule, overlap, raw, out) {
+  for (let sb = 0; sb < 32; sb++) {
+    const base = 18 * sb;
+    const short = granule.blockType === BLOCK_SHORT && (!granule.mixed || sb >= 2);
+    let silent = true;
+    for (let k = 0; k < 18 && silent; k++) silent = xr[base + k] === 0;
+    raw.fill(0);
+    if (!silent && short) {
+      const window = IMDCT_WINDOWS[BLOCK_SHORT];
+      for (let w = 0; w < 3; w++) {
+        for (let i = 0; i < 12; i++) {
+          let sum = 0;
+          for (let k = 0; k < 6; k++) sum += xr[base + 3 * k + w] * IMDCT_SHORT[i * 6 + k];
+          raw[6 + 6 * w + i] += sum * window[i];
+        }
+      }
+    } else if (!silent) {
+      const window = IMDCT_WINDOWS[granule.mixed ? 0 : granule.blockType];
+      for (let i = 0; i < 36; i++) {
+        let sum = 0;
+        for (let k = 0; k < 18; k++) sum += xr[base + k] * IMDCT_LONG[i * 18 + k];
+        raw[i] = sum * window[i];
+      }
+    }
+    for (let i = 0; i < 18; i++) {
+      const value = raw[i] + overlap[base + i];
+      overlap[base + i] = raw[18 + i];
+      // Frequency inversion: odd subbands, odd time slots
+      out[i * 32 + sb] = sb & 1 && i & 1 ? -value : value;
+    }
+  }
+}
+
+// Polyphase synthesis of 18 time slots into 576 samples at out[offset]
+function synthesize(state, slots, out, offset) {
+  const { v, sums } = state;
+  for (let t = 0; t < 18; t++) {
+    state.position = (state.position - 64) & 1023;
+    const position = state.position;
+    for (let i = 0; i < 32; i++) {
+      let sum = 0;
+      for (let k = 0; k < 32; k++) sum += slots[t * 32 + k] * SYNTHESIS_COS[i * 32 + k];
+      sums[i] = sum;
+    }
+    for (let i = 0; i < 64; i++) {
+      const m = i + 16;
+      v[(position + i) & 1023] = m < 32 ? sums[m] : m === 32 ? 0 : m <= 64 ? -sums[64 - m] : -sums[m - 64];
+    }
+    for (let j = 0; j < 32; j++) {
+      let sum = 0;
+      for (let i = 0; i < 8; i++) {
+        sum += v[(position + 128 * i + j) & 1023] * SYNTHESIS_WINDOW[64 * i + j]
+          + v[(position + 128 * i + 96 + j) & 1023] * SYNTHESIS_WINDOW[64 * i + 32 + j];
+      }
+      out[offset + t * 32 + j] = sum;
+    }
+  }
+}
+
+function createChannelState() {
+  return {
+    overlap: new Float64Array(GRANULE),
+    v: new Float64Array(1024),
+    sums: new Float64Array(32),
+    position: 0
+  };
+}
+
+function decodeFrame(mainData, side, frame, states, outputs, outputOffset) {
+  const { mpeg1, channelCount, mode, modeExtension } = frame;
+  const reader = createBitReader(mainData);
+  const values = Array.from({ length: channelCount }, () => new Int32Array(GRANULE));
+  const xr = Array.from({ length: channelCount }, () => new Float64Array(GRANULE));
+  const limits = [0, 0];
+  const scratch = new Float64Array(GRANULE);
+  const raw = new Float64Array(36);
+  const slots = new Float64Array(GRANULE);
+  const jointStereo = channelCount === 2 && mode === MODE_JOINT_STEREO;
+  const useIntensity = jointStereo && (modeExtension & 1) !== 0;
+  const useMidSide = jointStereo && (modeExtension & 2) !== 0;
+
+  side.granules.forEach((granules, gr) => {
+    granules.forEach((granule, ch) => {
+      const start = reader.position;
+      readScalefactors(reader, granule, {
+        mpeg1,
+        intensityChannel: useIntensity && ch === 1,
+        scfsi: side.scfsi[ch],
+        previous: gr === 1 ? side.granules[0][ch] : null
+      });
+      const end = start + granule.part23Length;
+      const count = readSpectrum(reader, granule, end, values[ch]);
+      reader.position = end;
+      limits[ch] = requantize(values[ch], granule, count, xr[ch]);
+    });
+
+    if (useIntensity) intensityStereo(xr[0], xr[1], granules[1], mpeg1, useMidSide);
+    else if (useMidSide) midSide(xr[0], xr[1], 0, Math.max(limits[0], limits[1]));
+
+    granules.forEach((granule, ch) => {
+      reorder(xr[ch], granule, scratch);
+      reduceAliases(xr[ch], granule);
+      hybridSynthesis(xr[ch], granule, states[ch].overlap, raw, slots);
+      synthesize(states[ch], slots, outputs[ch], outputOffset + gr * GRANULE);
+    });
+  });
+}
+
+/**
+ * Decode the Layer III frames of an MP3 stream
+ * @param {Uint8Array} bytes - File contents
+ * @param {Object} stream - From parseMp3 (a Layer III stream)
+ * @returns {{channels: Array<Float32Array>, damagedFrames: number}} One Float32Array per channel,
+ *   frames.length * samplesPerFrame long and not yet trimmed for encoder delay; damagedFrames
+ *   counts frames replaced by silence
+ */
+export function decodeLayer3(bytes, stream) {
+  const mpeg1 = stream.version === '1';
+  const layouts = bandLayouts(stream.sampleRate, mpeg1);
+  const channels = Array.from({ length: stream.channelCount }, () =>
+    new Float32Array(stream.frames.length * stream.samplesPerFrame));
+  const states = channels.map(createChannelState);
+  const output = channels.map(() => new Float64Array(stream.samplesPerFrame));
+  const reservoir = new Uint8Array(RESERVOIR_SIZE);
+  let reservoirLength = 0;
+  let damagedFrames = 0;
+
+  stream.frames.forEach(({ offset, length }, index) => {
+    const mode = bytes[offset + 3] >> 6;
+    const frame = {
+      mpeg1,
+      mode,
+      modeExtension: (bytes[offset + 3] >> 4) & 0x03,
+      channelCount: mode === MODE_MONO ? 1 : 2
+    };
+    const sideInfoStart = offset + 4 + ((bytes[offset + 1] & 0x01) === 0 ? 2 : 0);
+    const sideInfoLength = mpeg1 ? (frame.channelCount === 1 ? 17 : 32) : (frame.channelCount === 1 ? 9 : 17);
+    const frameData = bytes.subarray(sideInfoStart + sideInfoLength, offset + length);
+
+    let decoded = false;
+    const side = readSideInfo(bytes, sideInfoStart, { ...frame, layouts });
+    if (side.mainDataBegin <= reservoirLength) {
+      const mainData = new Uint8Array(side.mainDataBegin + frameData.length);
+      mainData.set(reservoir.subarray(reservoirLength - side.mainDataBegin, reservoirLength));
+      mainData.set(frameData, side.mainDataBegin);
+      try {
+        decodeFrame(mainData, side, frame, states, output, 0);
+        decoded = true;
+      } catch (error) {
+        // Unreadable: silence, and the filterbanks start over
+      }
+    }
+    if (decoded) {
+      // A mono frame in a stereo stream plays on both channels
+      channels.forEach((channel, c) => channel.set(output[Math.min(c, frame.channelCount - 1)], index * stream.samplesPerFrame));
+    } else {
+      damagedFrames++;
+      for (let c = 0; c < states.length; c++) states[c] = createChannelState();
+    }
+
+    // Keep the most recent main data for the frames that reach back into it
+    if (frameData.length >= RESERVOIR_SIZE) {
+      reservoir.set(frameData.subarray(frameData.length - RESERVOIR_SIZE));
+      reservoirLength = RESERVOIR_SIZE;
+    } else {
+      const keep = Math.min(reservoirLength, RESERVOIR_SIZE - frameData.length);
+      reservoir.copyWithin(0, reservoirLength - keep, reservoirLength);
+      reservoir.set(frameData, keep);
+      reservoirLength = keep + frameData.length;
+    }
+  });
+
+  return { channels, damagedFrames };
+}
@@ -0,0 +1,307 @@
+// Utility: Onset detection
+// One onset stage shared by rhythm analysis, beat tracking, polyrhythm and note
+// segmentation: a detection function computed frame by frame (optionally per
+// frequency band), followed by deterministic adaptive peak picking.
+//
+// Detection functions:
+//   energy  - rise in frame energy; cheap, fine for isolated percussive hits
+//   flux    - rise in log-compressed magnitude per bin; good general default
+//   hfc     - rise in high-frequency content (bin-weighted energy); dense percussion
+//   complex - rectified complex-domain deviation; also reacts to pitch changes under a
+//             sustained level, so soft attacks (erhu, bansuri, shakuhachi) are found
+
+import { createWindow, magnitudeSpectrum, realFFT } from './spectral.js';
+
+export const ONSET_METHODS = ['energy', 'flux', 'hfc', 'complex'];
+
+export const DEFAULT_ONSET_BANDS = [
+  { name: 'low', label: 'Low drums', minFrequency: 30, maxFrequency: 250 },
+  { name: 'mid', label: 'Mid drums / voices', minFrequency: 250, maxFrequency: 2000 },
+  { name: 'high', label: 'Bells / shakers', minFrequency: 2000, maxFrequency: 11000 }
+];
+
+export const DEFAULT_ONSET_OPTIONS = {
+  method: 'flux',
+  frameSize: 2048,
+  hopSize: 512,
+  window: 'hann',
+  compression: 1000,   // log(1 + c|X|) for flux
+  bands: DEFAULT_ONSET_BANDS,
+  // Peak picking (seconds), after Böck et al. 2012
+  preMax: 0.03,        // A peak is the maximum of this much before...
+  postMax: 0.03,       // ...and after it
+  preAvg: 0.1,         // Moving-average threshold window
+  postAvg: 0.07,
+  delta: 0.07,         // Height above the moving average, relative to the envelope's 99th percentile
+  minRise: 0.1,        // ...and at least this fraction of the signal's mean frame level, so steady tones
+                       // and noise, whose envelopes only ripple, give no onsets
+  silence: 1e-4,       // A signal with a lower RMS (-80 dBFS) has no onsets at all
+  minBandShare: 1e-4,  // A band with less of the signal's power (-40 dB) has none: it only sees window
+                       // leakage from other bands, whose ripple log compression magnifies
+  wait: 0.03           // Minimum spacing between onsets
+};
+
+// Frames sampled to estimate a signal's mean level
+const LEVEL_FRAMES = 256;
+
+/**
+ * Number of detection-function frames for a signal of `length` samples
+ * @param {number} length - Signal length in samples
+ * @param {Object} [options] - frameSize and hopSize
+ * @returns {number} Frame count
+ */
+export function onsetFrameCount(length, options = {}) {
+  const { frameSize, hopSize } = { ...DEFAULT_ONSET_OPTIONS, ...options };
+  return Math.max(1, Math.floor((length - frameSize) / hopSize) + 1);
+}
+
+// Magnitudes (and phases for the complex-domain method) of one frame
+function frameSpectrum(signal, frame, opts) {
+  const start = frame * opts.hopSize;
+  const samples = signal.subarray(start, start + opts.frameSize);
+  if (opts.method !== 'complex') {
+    return { mags: magnitudeSpectrum(samples, { window: opts.window, fftSize: opts.frameSize }), phases: null };
+  }
+  const win = createWindow(opts.window, opts.frameSize);
+  const padded = new Float64Array(opts.frameSize);
+  for (let i = 0; i < samples.length; i++) padded[i] = samples[i] * win[i];
+  const { re, im } = realFFT(padded);
+  const mags = new Float32Array(re.length);
+  const phases = new Float32Array(re.length);
+  for (let k = 0; k < re.length; k++) {
+    mags[k] = Math.hypot(re[k], im[k]);
+    phases[k] = Math.atan2(im[k], re[k]);
+  }
+  return { mags, phases };
+}
+
+// Per-frame quantity whose rise is the detection function (energy, flux and hfc), per bin range
+function frameLevel(spectrum, lo, hi, opts) {
+  let level = 0;
+  for (let k = lo; k <= hi; k++) {
+    const m = spectrum.mags[k];
+    level += opts.method === 'hfc' ? k * m * m : m * m;
+  }
+  return opts.method === 'energy' ? Math.sqrt(level / (hi - lo + 1)) : level / (hi - lo + 1);
+}
+
+// Level of one frame in the units of its detection function, over bins lo..hi: a rise of the
+// detection function is compared with this
+function referenceLevel(spectrum, lo, hi, opts) {
+  if (opts.method !== 'flux' && opts.method !== 'complex') return frameLevel(spectrum, lo, hi, opts);
+  let level = 0;
+  for (let k = lo; k <= hi; k++) level += opts.method === 'flux' ? spectrum.compressed[k] : spectrum.mags[k];
+  return level;
+}
+
+// Power of one frame over bins lo..hi
+function binPower(spectrum, lo, hi) {
+  let power = 0;
+  for (let k = lo; k <= hi; k++) power += spectrum.mags[k] * spectrum.mags[k];
+  return power;
+}
+
+// Detection function value of `current` given the one or two frames before it, over bins lo..hi
+function detection(current, previous, beforePrevious, lo, hi, opts) {
+  if (!previous) return 0;
+  // Without two frames of history there is no phase prediction, only a spurious jump
+  if (opts.method === 'complex' && !beforePrevious) return 0;
+  let value = 0;
+  switch (opts.method) {
+    case 'flux':
+      for (let k = lo; k <= hi; k++) {
+        const rise = current.compressed[k] - previous.compressed[k];
+        if (rise > 0) value += rise;
+      }
+      return value;
+    case 'complex':
+      for (let k = lo; k <= hi; k++) {
+        // Only rising bins count, so offsets do not register as onsets
+        if (current.mags[k] < previous.mags[k]) continue;
+        const predictedPhase = beforePrevious ? 2 * previous.phases[k] - beforePrevious.phases[k] : previous.phases[k];
+        const dr = current.mags[k] * Math.cos(current.phases[k]) - previous.mags[k] * Math.cos(predictedPhase);
+        const di = current.mags[k] * Math.sin(current.phases[k]) - previous.mags[k] * Math.sin(predictedPhase);
+        value += Math.hypot(dr, di);
+      }
+      return value;
+    default:
+      return Math.max(0, frameLevel(current, lo, hi, opts) - frameLevel(previous, lo, hi, opts));
+  }
+}
+
+// Bin range of each band
+function bandRanges(sampleRate, opts) {
+  const binHz = sampleRate / opts.frameSize;
+  const top = opts.frameSize / 2;
+  return (opts.bands || []).map(band => [
+    Math.max(0, Math.floor(band.minFrequency / binHz)),
+    Math.min(top, Math.ceil(band.maxFrequency / binHz))
+  ]);
+}
+
+function analyzeFrame(signal, frame, opts) {
+  const spectrum = frameSpectrum(signal, frame, opts);
+  if (opts.method === 'flux') {
+    spectrum.compressed = spectrum.mags.map(m => Math.log1p(opts.compression * m));
+  }
+  return spectrum;
+}
+
+/**
+ * Least height above the moving average for a peak of the detection function to be an onset
+ * (the `floor` of pickOnsets): minRise times the signal's mean frame level, estimated from up to
+ * LEVEL_FRAMES evenly spaced frames. A band holding little of the signal is held to its share of
+ * the broadband level. A signal below the silence level, or a band below minBandShare of its
+ * power, gets an infinite floor.
+ * @param {Float32Array} signal - Mono samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} [options] - See DEFAULT_ONSET_OPTIONS
+ * @returns {{envelope: number, bands: Array<number>}} Floors in detection-function units
+ */
+export function onsetFloors(signal, sampleRate, options = {}) {
+  const opts = { ...DEFAULT_ONSET_OPTIONS, ...options };
+  const ranges = bandRanges(sampleRate, opts);
+  let power = 0;
+  for (let i = 0; i < signal.length; i++) power += signal[i] * signal[i];
+  if (!(Math.sqrt(power / Math.max(1, signal.length)) >= opts.silence)) {
+    return { envelope: Infinity, bands: ranges.map(() => Infinity) };
+  }
+
+  const count = onsetFrameCount(signal.length, opts);
+  const sampled = Math.min(count, LEVEL_FRAMES);
+  let broadband = 0;
+  let totalPower = 0;
+  const bands = ranges.map(() => 0);
+  const bandPowers = ranges.map(() => 0);
+  for (let i = 0; i < sampled; i++) {
+    const spectrum = analyzeFrame(signal, Math.floor((i * count) / sampled), opts);
+    broadband += referenceLevel(spectrum, 0, opts.frameSize / 2, opts) / sampled;
+    totalPower += binPower(spectrum, 0, opts.frameSize / 2);
+    ranges.forEach(([lo, hi], b) => {
+      bands[b] += referenceLevel(spectrum, lo, hi, opts) / sampled;
+      bandPowers[b] += binPower(spectrum, lo, hi);
+    });
+  }
+  return {
+    envelope: opts.minRise * broadband,
+    bands: bands.map((level, b) => {
+      if (!(bandPowers[b] >= opts.minBandShare * totalPower)) return Infinity;
+      const [lo, hi] = ranges[b];
+      return opts.minRise * Math.max(level, (broadband * (hi - lo + 1)) / (opts.frameSize / 2 + 1));
+    })
+  };
+}
+
+/**
+ * Onset detection function, broadband and per band, in one pass over the spectrum.
+ * A frame range can be given so long signals are processed in chunks; the
+ * concatenated chunks equal a single full call.
+ * @param {Float32Array} signal - Mono samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} [options] - See DEFAULT_ONSET_OPTIONS; bands may be [] for broadband only
+ * @param {number} [fromFrame=0] - First frame to compute
+ * @param {number} [toFrame=Infinity] - One past the last frame
+ * @returns {{envelope: Float32Array, bands: Array<Float32Array>}} Values for frames fromFrame..toFrame-1
+ */
+export function onsetStrength(signal, sampleRate, options = {}, fromFrame = 0, toFrame = Infinity) {
+  const opts = { ...DEFAULT_ONSET_OPTIONS, ...options };
+  if (!ONSET_METHODS.includes(opts.method)) throw new Error(`Unknown onset method: ${opts.method}`);
+  const end = Math.min(toFrame, onsetFrameCount(signal.length, opts));
+  const length = Math.max(0, end - fromFrame);
+  const top = opts.frameSize / 2;
+  const ranges = bandRanges(sampleRate, opts);
+  const envelope = new Float32Array(length);
+  const bands = ranges.map(() => new Float32Array(length));
+
+  const analyze = frame => analyzeFrame(signal, frame, opts);
+  // The frames before the range are recomputed so chunks join seamlessly
+  let beforePrevious = opts.method === 'complex' && fromFrame > 1 ? analyze(fromFrame - 2) : null;
+  let previous = fromFrame > 0 ? analyze(fromFrame - 1) : null;
+  for (let f = fromFrame; f < end; f++) {
+    const current = analyze(f);
+    envelope[f - fromFrame] = detection(current, previous, beforePrevious, 0, top, opts);
+    ranges.forEach(([lo, hi], b) => {
+      bands[b][f - fromFrame] = detection(current, previous, beforePrevious, lo, hi, opts);
+    });
+    beforePrevious = previous;
+    previous = current;
+  }
+  return { envelope, bands };
+}
+
+function percentile(values, p) {
+  const sorted = Array.from(values).sort((a, b) => a - b);
+  return sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))] : 0;
+}
+
+/**
+ * Adaptive peak picking: local maxima that rise above a moving average, with a minimum gap.
+ * Fully deterministic.
+ * @param {Float32Array} envelope - Onset detection function
+ * @param {number} frameRate - Frames per second
+ * @param {Object} [options] - preMax, postMax, preAvg, postAvg, delta, wait (see DEFAULT_ONSET_OPTIONS)
+ * @param {number} [options.floor=0] - Least height above the moving average, in envelope units
+ * @returns {Array<number>} Frame indices of onsets
+ */
+export function pickOnsets(envelope, frameRate, options = {}) {
+  const opts = { ...DEFAULT_ONSET_OPTIONS, ...options };
+  const scale = percentile(envelope, 0.99) || Math.max(0, ...envelope);
+  if (!(scale > 0)) return [];
+  const frames = seconds => Math.max(0, Math.round(seconds * frameRate));
+  const [preMax, postMax, preAvg, postAvg, wait] = [opts.preMax, opts.postMax, opts.preAvg, opts.postAvg, opts.wait].map(frames);
+
+  const prefix = new Float64Array(envelope.length + 1);
+  for (let i = 0; i < envelope.length; i++) prefix[i + 1] = prefix[i] + envelope[i];
+
+  const onsets = [];
+  for (let i = 0; i < envelope.length; i++) {
+    const value = envelope[i];
+    if (value <= 0) continue;
+    let isPeak = true;
+    for (let j = Math.max(0, i - preMax); j <= Math.min(envelope.length - 1, i + postMax) && isPeak; j++) {
+      // Earlier equal values win, so a plateau gives one onset
+      if (j < i ? envelope[j] >= value : envelope[j] > value) isPeak = false;
+    }
+    if (!isPeak) continue;
+    const lo = Math.max(0, i - preAvg);
+    const hi = Math.min(envelope.length, i + postAvg + 1);
+    const average = (prefix[hi] - prefix[lo]) / (hi - lo);
+    if (value < average + Math.max(opts.delta * scale, opts.floor || 0)) continue;
+    if (onsets.length && i - onsets[onsets.length - 1] <= wait) continue;
+    onsets.push(i);
+  }
+  return onsets;
+}
+
+/**
+ * Detect onsets, broadband and per band
+ * @param {Float32Array} signal - Mono samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} [options] - See DEFAULT_ONSET_OPTIONS
+ * @param {Object} [precomputed] - Output of onsetStrength for the whole signal, to avoid recomputing it
+ * @returns {{method: string, frameRate: number, times: Array<number>, strengths: Array<number>,
+ *   envelope: Float32Array, bands: Array<{name: string, label: string, times: Array<number>, strengths: Array<number>}>}}
+ *   Times in seconds, at the centre of the detecting frame
+ */
+export function detectOnsets(signal, sampleRate, options = {}, precomputed = null) {
+  const opts = { ...DEFAULT_ONSET_OPTIONS, ...options };
+  const frameRate = sampleRate / opts.hopSize;
+  const strength = precomputed || onsetStrength(signal, sampleRate, opts);
+  const floors = onsetFloors(signal, sampleRate, opts);
+  const toTime = frame => Math.round(((frame * opts.hopSize + opts.frameSize / 2) / sampleRate) * 1000) / 1000;
+  const picked = (envelope, floor) => {
+    const frames = pickOnsets(envelope, frameRate, { ...opts, floor });
+    return { times: frames.map(toTime), strengths: frames.map(f => envelope[f]) };
+  };
+  return {
+    method: opts.method,
+    frameRate,
+    ...picked(strength.envelope, floors.envelope),
+    envelope: strength.envelope,
+    bands: (opts.bands || []).map((band, b) => ({
+      name: band.name,
+      label: band.label,
+      ...picked(strength.bands[b] || new Float32Array(0), floors.bands[b])
+    }))
+  };
+}
@@ -0,0 +1,242 @@
+// Utility: YIN / probabilistic-YIN pitch tracking
+// Per-frame f0 candidates from the cumulative mean normalized difference function,
+// weighted by a distribution of YIN thresholds (pYIN), then a Viterbi pass that
+// picks a smooth path through the candidates and decides voicing.
+
+import { fft, nextPowerOfTwo } from './spectral.js';
+
+export const DEFAULT_PITCH_OPTIONS = {
+  minFrequency: 40,       // Low enough for bass drones and khöömei undertones
+  maxFrequency: 2000,
+  frameSize: 4096,
+  hopSize: 2048,
+  voicingThreshold: 0.5,  // Minimum voiced probability for a single frame to count as pitched
+  maxCandidates: 4,
+  switchProbability: 0.01,
+  maxJumpCents: 1300,     // Frame-to-frame jumps approaching this size are strongly penalized
+  silenceRms: 0.001
+};
+
+// pYIN threshold prior: Beta(2, 18) over thresholds 0.01..1.00 (mean 0.1)
+const THRESHOLD_COUNT = 100;
+const THRESHOLD_CDF = (() => {
+  const weights = [];
+  for (let i = 1; i <= THRESHOLD_COUNT; i++) {
+    const t = i / THRESHOLD_COUNT;
+    weights.push(t * Math.pow(1 - t, 17));
+  }
+  const total = weights.reduce((a, b) => a + b, 0);
+  const cdf = new Float64Array(THRESHOLD_COUNT + 1);
+  for (let i = 0; i < THRESHOLD_COUNT; i++) cdf[i + 1] = cdf[i] + weights[i] / total;
+  return cdf;
+})();
+
+// Probability mass of thresholds t with t <= x
+function thresholdMassBelow(x) {
+  const index = Math.max(0, Math.min(THRESHOLD_COUNT, Math.floor(x * THRESHOLD_COUNT + 1e-9)));
+  return THRESHOLD_CDF[index];
+}
+
+/**
+ * Cumulative mean normalized difference d'(tau) for tau = 0..tauMax, with the
+ * difference function computed by FFT cross-correlation.
+ * @param {Float32Array|Array<number>} frame - Samples; the integration window is frame.length - tauMax
+ * @param {number} tauMax - Largest lag in samples
+ * @returns {Float64Array} d'(tau)
+ */
+export function cumulativeMeanNormalizedDifference(frame, tauMax) {
+  const windowSize = frame.length - tauMax;
+  const size = nextPowerOfTwo(frame.length);
+  const aRe = new Float64Array(size);
+  const aIm = new Float64Array(size);
+  const bRe = new Float64Array(size);
+  const bIm = new Float64Array(size);
+  for (let j = 0; j < frame.length; j++) {
+    bRe[j] = frame[j];
+    if (j < windowSize) aRe[j] = frame[j];
+  }
+  fft(aRe, aIm);
+  fft(bRe, bIm);
+  // conj(A) * B, then inverse FFT via conjugation
+  for (let k = 0; k < size; k++) {
+    const re = aRe[k] * bRe[k] + aIm[k] * bIm[k];
+    const im = aRe[k] * bIm[k] - aIm[k] * bRe[k];
+    bRe[k] = re;
+    bIm[k] = -im;
+  }
+  fft(bRe, bIm);
+
+  const prefix = new Float64Array(frame.length + 1);
+  for (let j = 0; j < frame.length; j++) prefix[j + 1] = prefix[j] + frame[j] * frame[j];
+
+  const cmnd = new Float64Array(tauMax + 1);
+  cmnd[0] = 1;
+  let runningSum = 0;
+  for (let tau = 1; tau <= tauMax; tau++) {
+    const correlation = bRe[tau] / size;
+    const diff = Math.max(0, prefix[windowSize] + prefix[tau + windowSize] - prefix[tau] - 2 * correlation);
+    runningSum += diff;
+    cmnd[tau] = runningSum > 0 ? (diff * tau) / runningSum : 1;
+  }
+  return cmnd;
+}
+
+function refineLag(cmnd, tau) {
+  if (tau <= 0 || tau >= cmnd.length - 1) return tau;
+  const a = cmnd[tau - 1];
+  const b = cmnd[tau];
+  const c = cmnd[tau + 1];
+  const denom = a - 2 * b + c;
+  return denom !== 0 ? tau + (0.5 * (a - c)) / denom : tau;
+}
+
+/**
+ * Estimate pitch candidates for one frame.
+ * @param {Float32Array|Array<number>} frame - Time-domain samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} [options] - See DEFAULT_PITCH_OPTIONS
+ * @returns {{frequency: number, voicedProbability: number, confidence: number, candidates: Array}}
+ *   frequency is the most probable candidate (0 if none); confidence is 1 - aperiodicity
+ */
+export function analyzePitchFrame(frame, sampleRate, options = {}) {
+  const opts = { ...DEFAULT_PITCH_OPTIONS, ...options };
+  const unvoiced = { frequency: 0, voicedProbability: 0, confidence: 0, candidates: [] };
+  const tauMin = Math.max(2, Math.floor(sampleRate / opts.maxFrequency));
+  const tauMax = Math.min(Math.ceil(sampleRate / opts.minFrequency), Math.floor(frame.length / 2));
+  if (tauMax <= tauMin + 1) return unvoiced;
+
+  let energy = 0;
+  for (let i = 0; i < frame.length; i++) energy += frame[i] * frame[i];
+  if (Math.sqrt(energy / frame.length) < opts.silenceRms) return unvoiced;
+
+  const cmnd = cumulativeMeanNormalizedDifference(frame, tauMax);
+
+  // Each threshold votes for the first trough that dips below it
+  const candidates = [];
+  let lowestSoFar = Infinity;
+  for (let tau = tauMin; tau < tauMax; tau++) {
+    const value = cmnd[tau];
+    if (!(value < cmnd[tau - 1] && value <= cmnd[tau + 1])) continue;
+    if (value >= lowestSoFar) continue;
+    const probability = thresholdMassBelow(Math.min(1, lowestSoFar)) - thresholdMassBelow(value);
+    lowestSoFar = value;
+    if (probability <= 0) continue;
+    const refined = refineLag(cmnd, tau);
+    candidates.push({
+      frequency: sampleRate / refined,
+      probability,
+      aperiodicity: Math.max(0, Math.min(1, value))
+    });
+  }
+  if (candidates.length === 0) return unvoiced;
+
+  candidates.sort((a, b) => b.probability - a.probability);
+  const kept = candidates.slice(0, opts.maxCandidates);
+  const best = kept[0];
+  return {
+    frequency: best.frequency,
+    voicedProbability: Math.min(1, candidates.reduce((sum, c) => sum + c.probability, 0)),
+    confidence: 1 - best.aperiodicity,
+    candidates: kept
+  };
+}
+
+function centsBetween(f1, f2) {
+  return 1200 * Math.log2(f2 / f1);
+}
+
+/**
+ * Viterbi decoding of per-frame candidates into a smooth pitch track.
+ * @param {Array<Object>} frames - analyzePitchFrame results, each with a `time` field
+ * @param {Object} [options] - switchProbability and maxJumpCents (see DEFAULT_PITCH_OPTIONS)
+ * @returns {Array<{time: number, frequency: number, voiced: boolean, voicedProbability: number, confidence: number}>}
+ */
+export function decodePitchTrack(frames, options = {}) {
+  const opts = { ...DEFAULT_PITCH_OPTIONS, ...options };
+  if (frames.length === 0) return [];
+
+  const EPS = 1e-6;
+  const stay = Math.log(1 - opts.switchProbability);
+  const change = Math.log(opts.switchProbability);
+  // State 0 is "unvoiced"; states 1..K are the frame's candidates
+  const statesOf = frame => [
+    { frequency: 0, emission: Math.log(Math.max(EPS, 1 - frame.voicedProbability)) },
+    ...frame.candidates.map(c => ({
+      frequency: c.frequency,
+      aperiodicity: c.aperiodicity,
+      emission: Math.log(Math.max(EPS, c.probability))
+    }))
+  ];
+  const transition = (from, to) => {
+    if (from.frequency === 0 && to.frequency === 0) return stay;
+    if (from.frequency === 0 || to.frequency === 0) return change;
+    const jump = Math.abs(centsBetween(from.frequency, to.frequency));
+    return stay + Math.log(Math.max(EPS, 1 - jump / opts.maxJumpCents));
+  };
+
+  let states = statesOf(frames[0]);
+  let scores = states.map(s => s.emission);
+  const backPointers = [];
+  const allStates = [states];
+  for (let t = 1; t < frames.length; t++) {
+    const next = statesOf(frames[t]);
+    const nextScores = [];
+    const pointers = [];
+    next.forEach(to => {
+      let best = -Infinity;
+      let bestIndex = 0;
+      states.forEach((from, i) => {
+        const score = scores[i] + transition(from, to);
+        if (score > best) {
+          best = score;
+          bestIndex = i;
+        }
+      });
+      nextScores.push(best + to.emission);
+      pointers.push(bestIndex);
+    });
+    backPointers.push(pointers);
+    allStates.push(next);
+    states = next;
+    scores = nextScores;
+  }
+
+  let index = scores.indexOf(Math.max(...scores));
+  const path = new Array(frames.length);
+  for (let t = frames.length - 1; t >= 0; t--) {
+    path[t] = index;
+    if (t > 0) index = backPointers[t - 1][index];
+  }
+
+  return frames.map((frame, t) => {
+    const state = allStates[t][path[t]];
+    const voiced = state.frequency > 0;
+    return {
+      time: frame.time,
+      frequency: voiced ? state.frequency : 0,
+      voiced,
+      voicedProbability: frame.voicedProbability,
+      confidence: voiced ? 1 - state.aperiodicity : 0
+    };
+  });
+}
+
+/**
+ * Track pitch over a whole signal.
+ * @param {Float32Array} signal - Mono samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} [options] - See DEFAULT_PITCH_OPTIONS
+ * @returns {Array<Object>} Decoded frames (see decodePitchTrack)
+ */
+export function trackPitch(signal, sampleRate, options = {}) {
+  const opts = { ...DEFAULT_PITCH_OPTIONS, ...options };
+  const frames = [];
+  const lastStart = Math.max(0, signal.length - opts.frameSize);
+  for (let start = 0; start <= lastStart; start += opts.hopSize) {
+    const frame = signal.subarray
+      ? signal.subarray(start, start + opts.frameSize)
+      : signal.slice(start, start + opts.frameSize);
+    frames.push({ time: start / sampleRate, ...analyzePitchFrame(frame, sampleRate, opts) });
+  }
+  return decodePitchTrack(frames, opts);
+}
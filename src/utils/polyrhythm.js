@@ -0,0 +1,244 @@
+// Utility: Polyrhythm detection
+// Onset strength is split into frequency bands (low drums, mid drums and voices,
+// bells and shakers). Each band's autocorrelation yields the periodicities it
+// carries; pairs of periodicities in a small non-integer ratio (3:2, 4:3, ...)
+// are reported together with how their pulses line up within the shared cycle.
+// Envelope framing (frameSize, hopSize, compression) follows DEFAULT_BEAT_OPTIONS.
+
+import { DEFAULT_BEAT_OPTIONS, bandOnsetEnvelopes, normalizeEnvelope } from './beatTracker.js';
+import { DEFAULT_ONSET_BANDS, DEFAULT_ONSET_OPTIONS, onsetFloors, pickOnsets } from './onsets.js';
+
+export const DEFAULT_POLYRHYTHM_OPTIONS = {
+  bands: DEFAULT_ONSET_BANDS,
+  minPeriod: 0.15,          // Seconds; faster pulses are treated as texture
+  maxPeriod: 2,
+  minStreamStrength: 0.2,   // Autocorrelation of the mean-removed envelope at the period, relative to lag 0
+  relativeStreamStrength: 0.6, // ... and relative to the band's strongest periodicity
+  maxStreamsPerBand: 2,
+  minOnsets: 4,             // A band with fewer onsets carries no stream (a steady tone's envelope ripples periodically)
+  maxRatioTerm: 5,          // Largest count on either side of a ratio
+  ratioTolerance: 0.03,
+  alignTolerance: 0.1,      // Fraction of the faster period within which pulses coincide
+  minStrength: 0.25,        // Weaker relations are listed but do not make the rhythm polyrhythmic
+  maxRelations: 3
+};
+
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+// Is a / b (or b / a) close to a whole number?
+function integerRelated(a, b, tolerance) {
+  const r = Math.max(a, b) / Math.min(a, b);
+  return Math.abs(r - Math.round(r)) / r <= tolerance;
+}
+
+/**
+ * Periodicities of one onset envelope, shortest first. Integer multiples of an accepted
+ * period are dropped, since they belong to the same pulse.
+ * @param {Float32Array} envelope - Onset strength envelope
+ * @param {number} frameRate - Envelope frames per second
+ * @param {Object} [options] - See DEFAULT_POLYRHYTHM_OPTIONS
+ * @returns {Array<{period: number, strength: number}>} period in seconds
+ */
+export function bandPeriodicities(envelope, frameRate, options = {}) {
+  const opts = { ...DEFAULT_POLYRHYTHM_OPTIONS, ...options };
+  const normalized = normalizeEnvelope(envelope, frameRate);
+  const n = normalized.length;
+  const lagMin = Math.max(2, Math.floor(opts.minPeriod * frameRate));
+  const lagMax = Math.min(n - 2, Math.ceil(opts.maxPeriod * frameRate) + 1);
+  if (lagMax <= lagMin) return [];
+
+  // The envelope is never negative, so without removing its mean every lag would correlate
+  // and noise or a steady tone would show periodicities
+  const mean = normalized.reduce((sum, value) => sum + value, 0) / n;
+  const centred = normalized.map(value => value - mean);
+  const acf = new Float64Array(lagMax + 2);
+  for (let lag = 0; lag < acf.length; lag++) {
+    let sum = 0;
+    for (let i = 0; i + lag < n; i++) sum += centred[i] * centred[i + lag];
+    acf[lag] = sum / (n - lag);
+  }
+  if (acf[0] <= 0) return [];
+
+  const peaks = [];
+  for (let lag = lagMin; lag <= lagMax; lag++) {
+    if (acf[lag] <= acf[lag - 1] || acf[lag] < acf[lag + 1]) continue;
+    const strength = acf[lag] / acf[0];
+    if (strength < opts.minStreamStrength) continue;
+    // Parabolic interpolation for a sub-frame period
+    const denom = acf[lag - 1] - 2 * acf[lag] + acf[lag + 1];
+    const shift = denom !== 0 ? (0.5 * (acf[lag - 1] - acf[lag + 1])) / denom : 0;
+    peaks.push({ period: (lag + shift) / frameRate, strength });
+  }
+
+  // Shortest periods first, so a pulse is found before its multiples; peaks well below the
+  // band's strongest are cross terms between streams rather than streams of their own
+  const strongest = Math.max(0, ...peaks.map(peak => peak.strength));
+  const accepted = [];
+  for (const peak of peaks) {
+    if (accepted.length >= opts.maxStreamsPerBand) break;
+    if (peak.strength < opts.relativeStreamStrength * strongest) continue;
+    if (accepted.every(other => !integerRelated(peak.period, other.period, opts.ratioTolerance))) accepted.push(peak);
+  }
+  return accepted.map(peak => ({
+    period: Math.round(peak.period * 1000) / 1000,
+    strength: Math.round(peak.strength * 1000) / 1000
+  }));
+}
+
+// Period and first-pulse time of a periodic stream: the comb offset collecting the most onset
+// strength gives a start, pulses are then followed one by one and a line is fitted through
+// them, so a slightly wrong autocorrelation period does not drift over a long recording
+function fitPulse(envelope, frameRate, period, frameOffset) {
+  const step = period * frameRate;
+  let start = 0;
+  let bestSum = -Infinity;
+  for (let offset = 0; offset < step; offset++) {
+    let sum = 0;
+    let count = 0;
+    for (let position = offset; position < envelope.length; position += step) {
+      sum += envelope[Math.round(position)] || 0;
+      count++;
+    }
+    if (count > 0 && sum / count > bestSum) {
+      bestSum = sum / count;
+      start = offset;
+    }
+  }
+
+  const radius = Math.max(1, Math.round(0.15 * step));
+  let sw = 0, sk = 0, sf = 0, skk = 0, skf = 0;
+  for (let k = 0, predicted = start; predicted < envelope.length; k++) {
+    let peak = -1;
+    for (let f = Math.max(0, Math.round(predicted) - radius); f <= Math.min(envelope.length - 1, Math.round(predicted) + radius); f++) {
+      if (peak < 0 || envelope[f] > envelope[peak]) peak = f;
+    }
+    const w = peak >= 0 ? envelope[peak] : 0;
+    if (w > 0) {
+      sw += w; sk += w * k; sf += w * peak; skk += w * k * k; skf += w * k * peak;
+      predicted = peak + step;
+    } else {
+      predicted += step;
+    }
+  }
+  const denom = sw * skk - sk * sk;
+  const slope = denom > 0 ? (sw * skf - sk * sf) / denom : step;
+  const intercept = denom > 0 ? (sf - slope * sk) / sw : start;
+  const fitted = slope / frameRate;
+  return {
+    period: fitted,
+    phase: ((((intercept + frameOffset) / frameRate) % fitted) + fitted) % fitted
+  };
+}
+
+// Simplest p:q (p > q >= 2, p and q coprime) within tolerance of `ratio`
+function smallRatio(ratio, opts) {
+  let best = null;
+  for (let q = 2; q <= opts.maxRatioTerm; q++) {
+    for (let p = q + 1; p <= opts.maxRatioTerm; p++) {
+      if (gcd(p, q) !== 1) continue;
+      const error = Math.abs(ratio - p / q) / ratio;
+      if (error <= opts.ratioTolerance && (!best || p + q < best.p + best.q)) best = { p, q, error };
+    }
+  }
+  return best;
+}
+
+// How the slower stream's pulses sit against the faster one within a shared cycle
+function phaseRelation(fast, slow, p, q, opts) {
+  const cycle = (p * fast.period + q * slow.period) / 2;
+  let best = { offset: Infinity, start: slow.phase };
+  for (let j = 0; j < q; j++) {
+    const time = slow.phase + j * slow.period;
+    const x = (((time - fast.phase) % fast.period) + fast.period) % fast.period;
+    const offset = x > fast.period / 2 ? x - fast.period : x;
+    if (Math.abs(offset) < Math.abs(best.offset)) best = { offset, start: time - offset };
+  }
+  const aligned = Math.abs(best.offset) <= opts.alignTolerance * fast.period;
+  const shift = best.offset / cycle;
+  return {
+    cycleSeconds: Math.round(cycle * 1000) / 1000,
+    cycleStart: Math.round((best.start % cycle) * 1000) / 1000,
+    phaseOffset: Math.round(best.offset * 1000) / 1000,
+    aligned,
+    // Pulse positions within one cycle (0..1), for drawing on a rhythm circle
+    pattern: [
+      Array.from({ length: p }, (_, i) => i / p),
+      Array.from({ length: q }, (_, j) => (((j / q + (aligned ? 0 : shift)) % 1) + 1) % 1)
+    ]
+  };
+}
+
+/**
+ * Find concurrent periodicities across bands and the ratios between them
+ * @param {Array<Float32Array>} envelopes - One onset envelope per band (see bandOnsetEnvelopes)
+ * @param {number} frameRate - Envelope frames per second
+ * @param {Object} [options] - See DEFAULT_POLYRHYTHM_OPTIONS; frameOffset shifts envelope frames to their centre time
+ * @param {Array<number>} [options.floors] - Onset floor per band (see onsetFloors); without it every band is searched
+ * @returns {{isPolyrhythmic: boolean, ratio: string|null, complexity: number, streams: Array, relations: Array}}
+ *   ratio is the strongest relation, e.g. '3:2' (three pulses of the faster stream against two of the slower)
+ */
+export function analyzePolyrhythm(envelopes, frameRate, options = {}) {
+  const opts = { ...DEFAULT_BEAT_OPTIONS, ...DEFAULT_POLYRHYTHM_OPTIONS, ...options };
+  const frameOffset = opts.frameOffset ?? opts.frameSize / 2 / opts.hopSize;
+  const streams = [];
+  envelopes.forEach((envelope, b) => {
+    const band = opts.bands[b] || { name: `band${b}`, label: `Band ${b + 1}` };
+    if (opts.floors && pickOnsets(envelope, frameRate, { ...DEFAULT_ONSET_OPTIONS, floor: opts.floors[b] }).length < opts.minOnsets) return;
+    bandPeriodicities(envelope, frameRate, opts).forEach(({ period: estimate, strength }) => {
+      const { period, phase } = fitPulse(envelope, frameRate, estimate, frameOffset);
+      streams.push({
+        band: band.name,
+        bandLabel: band.label,
+        period: Math.round(period * 1000) / 1000,
+        bpm: Math.round((60 / period) * 10) / 10,
+        strength,
+        phase: Math.round(phase * 1000) / 1000
+      });
+    });
+  });
+
+  const relations = [];
+  for (let i = 0; i < streams.length; i++) {
+    for (let j = 0; j < streams.length; j++) {
+      const fast = streams[i];
+      const slow = streams[j];
+      if (fast.period >= slow.period) continue;
+      const match = smallRatio(slow.period / fast.period, opts);
+      if (!match) continue;
+      relations.push({
+        ratio: `${match.p}:${match.q}`,
+        streams: [i, j],
+        bands: [fast.bandLabel, slow.bandLabel],
+        strength: Math.round(Math.sqrt(fast.strength * slow.strength) * 1000) / 1000,
+        ...phaseRelation(fast, slow, match.p, match.q, opts)
+      });
+    }
+  }
+  relations.sort((a, b) => b.strength - a.strength);
+  // The same ratio found in several bands is one relation
+  const distinct = relations.filter((relation, k) => relations.findIndex(other => other.ratio === relation.ratio) === k);
+
+  const best = distinct[0];
+  const isPolyrhythmic = Boolean(best && best.strength >= opts.minStrength);
+  return {
+    isPolyrhythmic,
+    ratio: isPolyrhythmic ? best.ratio : null,
+    complexity: streams.length,
+    streams,
+    relations: distinct.slice(0, opts.maxRelations)
+  };
+}
+
+/**
+ * Multi-band polyrhythm analysis of a signal
+ * @param {Float32Array} signal - Mono samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} [options] - See DEFAULT_POLYRHYTHM_OPTIONS
+ * @returns {Object} See analyzePolyrhythm
+ */
+export function detectPolyrhythm(signal, sampleRate, options = {}) {
+  const opts = { ...DEFAULT_BEAT_OPTIONS, ...DEFAULT_POLYRHYTHM_OPTIONS, ...options };
+  const envelopes = bandOnsetEnvelopes(signal, sampleRate, opts.bands, opts);
+  const { bands: floors } = onsetFloors(signal, sampleRate, { ...opts, method: 'flux' });
+  return analyzePolyrhythm(envelopes, sampleRate / opts.hopSize, { ...opts, floors });
+}
@@ -0,0 +1,13 @@
+// Utility: Seeded pseudo-random numbers
+// Mulberry32 — small, fast and good enough for reproducible analysis jitter.
+
+export function createSeededRandom(seed = 1) {
+  let state = (Number(seed) >>> 0) || 1;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
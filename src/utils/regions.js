@@ -0,0 +1,105 @@
+// Utility: Time regions of a recording
+// Regions are { start, end } in seconds, picked on the waveform overview or typed
+// as timestamps, so that one passage (a solo, a verse) can be analyzed on its own
+// and several passages compared.
+
+export const DEFAULT_REGION_OPTIONS = {
+  minDuration: 0.5         // Shorter regions are too short to analyze (seconds)
+};
+
+/**
+ * Seconds from a timestamp: "80", "1:20", "1:20.5" or "0:01:20"
+ * @param {string|number} text
+ * @returns {number}
+ * @throws {Error} When the text is not a timestamp
+ */
+export function parseTime(text) {
+  if (typeof text === 'number') return text;
+  const parts = String(text).trim().split(':');
+  if (parts.length > 3 || parts.some(part => !/^\d+(\.\d+)?$/.test(part))) {
+    throw new Error(`Not a time: "${text}" (use seconds or m:ss)`);
+  }
+  return parts.reduce((seconds, part) => seconds * 60 + parseFloat(part), 0);
+}
+
+/**
+ * Timestamp for display: "1:20.0", or "1:02:03.5" past an hour
+ * @param {number} seconds
+ * @param {number} [digits=1] - Decimals of the seconds
+ * @returns {string}
+ */
+export function formatTime(seconds, digits = 1) {
+  const scale = 10 ** digits;
+  const total = Math.round(Math.max(0, seconds) * scale) / scale;
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = (total % 60).toFixed(digits).padStart(digits > 0 ? digits + 3 : 2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+/**
+ * A region ordered and clamped to the recording
+ * @param {{start: number, end: number}} region - Seconds, in either order
+ * @param {number} duration - Length of the recording in seconds
+ * @param {Object} [options] - See DEFAULT_REGION_OPTIONS
+ * @returns {{start: number, end: number}}
+ * @throws {Error} When what is left is shorter than options.minDuration
+ */
+export function normalizeRegion(region, duration, options = {}) {
+  const opts = { ...DEFAULT_REGION_OPTIONS, ...options };
+  const start = Math.max(0, Math.min(region.start, region.end, duration));
+  const end = Math.min(duration, Math.max(region.start, region.end, 0));
+  if (end - start < opts.minDuration) {
+    throw new Error(`A region must be at least ${opts.minDuration} s long (got ${(end - start).toFixed(2)} s)`);
+  }
+  return { start, end };
+}
+
+/**
+ * Label for a region: "1:20.0–1:50.0"
+ * @param {{start: number, end: number}} region
+ * @returns {string}
+ */
+export function regionLabel(region) {
+  return `${formatTime(region.start)}–${formatTime(region.end)}`;
+}
+
+/**
+ * The samples of a region, as views into the original channels
+ * @param {Array<Float32Array>} channels
+ * @param {number} sampleRate
+ * @param {{start: number, end: number}} region
+ * @returns {Array<Float32Array>}
+ */
+export function sliceRegion(channels, sampleRate, region) {
+  const from = Math.max(0, Math.round(region.start * sampleRate));
+  return channels.map(channel => channel.subarray(from, Math.max(from, Math.min(channel.length, Math.round(region.end * sampleRate)))));
+}
+
+/**
+ * Minimum and maximum sample in each pixel column of a waveform view
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} sampleRate
+ * @param {{start: number, end: number, columns: number}} view - Visible time range and its width in columns
+ * @returns {{min: Float32Array, max: Float32Array}} Columns past the end of the samples are 0
+ */
+export function waveformPeaks(samples, sampleRate, { start, end, columns }) {
+  const min = new Float32Array(columns);
+  const max = new Float32Array(columns);
+  const perColumn = (end - start) * sampleRate / columns;
+  for (let c = 0; c < columns; c++) {
+    const from = Math.max(0, Math.floor(start * sampleRate + c * perColumn));
+    // At high zoom a column is narrower than a sample; it still shows that sample
+    const to = Math.min(samples.length, Math.max(from + 1, Math.floor(start * sampleRate + (c + 1) * perColumn)));
+    if (from >= to) continue;
+    let low = samples[from];
+    let high = samples[from];
+    for (let i = from + 1; i < to; i++) {
+      if (samples[i] < low) low = samples[i];
+      else if (samples[i] > high) high = samples[i];
+    }
+    min[c] = low;
+    max[c] = high;
+  }
+  return { min, max };
+}
@@ -0,0 +1,273 @@
+// Utility: Structural segmentation
+// Sections of a recording from a self-similarity matrix (Foote 2000): per-frame
+// timbre (MFCC), harmony (chroma) and rhythm (onset density) vectors are compared
+// with every other frame, a checkerboard kernel slid along the diagonal gives a
+// novelty curve whose peaks are section boundaries, and sections whose average
+// features match are labeled as repeats (A, B, A′ ...).
+
+export const DEFAULT_SEGMENTATION_OPTIONS = {
+  frameSeconds: 0.5,         // Spectral frames are averaged into frames of about this length
+  kernelSeconds: null,       // Half-width of the novelty kernel; null scales it with the duration
+  minKernelSeconds: 4,
+  maxKernelSeconds: 30,
+  minSectionSeconds: null,   // Shortest section; null uses the kernel half-width
+  maxFrames: 1500,           // Longer inputs are averaged down to this many frames
+  peakThreshold: 0.5,        // Boundary novelty must exceed mean + this many standard deviations...
+  minNovelty: 0.25,          // ... and this absolute level (see noveltyCurve), so unchanging audio stays one section
+  repeatSimilarity: 0.6,     // Similarity of section means (see sectionSimilarity) for the same letter...
+  exactSimilarity: 0.85,     // ... below this the repeat is a variant (A′)
+  weights: { timbre: 1, harmony: 1, rhythm: 1 }
+};
+
+const PRIME = '′';
+
+// Average consecutive rows so at most `max` remain
+function reduceRows(rows, max) {
+  const factor = Math.ceil(rows.length / max);
+  if (factor <= 1) return { rows, factor: 1 };
+  const reduced = [];
+  for (let start = 0; start < rows.length; start += factor) {
+    const group = rows.slice(start, start + factor);
+    reduced.push(group[0].map((_, d) => group.reduce((sum, row) => sum + row[d], 0) / group.length));
+  }
+  return { rows: reduced, factor };
+}
+
+// z-score every column, then scale each group so it counts with its weight whatever its size
+function standardize(groups) {
+  const n = groups[0].rows.length;
+  const vectors = Array.from({ length: n }, () => []);
+  groups.forEach(({ rows, weight }) => {
+    const dims = rows[0]?.length || 0;
+    const scale = weight / Math.sqrt(Math.max(1, dims));
+    for (let d = 0; d < dims; d++) {
+      let mean = 0;
+      for (let i = 0; i < n; i++) mean += rows[i][d];
+      mean /= n;
+      let variance = 0;
+      for (let i = 0; i < n; i++) variance += (rows[i][d] - mean) ** 2;
+      const std = Math.sqrt(variance / n);
+      for (let i = 0; i < n; i++) vectors[i].push(std > 1e-9 ? ((rows[i][d] - mean) / std) * scale : 0);
+    }
+  });
+  return vectors;
+}
+
+function cosine(a, b) {
+  let dot = 0, na = 0, nb = 0;
+  for (let d = 0; d < a.length; d++) {
+    dot += a[d] * b[d];
+    na += a[d] * a[d];
+    nb += b[d] * b[d];
+  }
+  return na > 0 && nb > 0 ? dot / Math.sqrt(na * nb) : 0;
+}
+
+/**
+ * Cosine self-similarity matrix of feature vectors
+ * @param {Array<Array<number>>} vectors - One vector per frame
+ * @returns {Array<Float32Array>} n x n similarities in [-1, 1]
+ */
+export function selfSimilarity(vectors) {
+  const n = vectors.length;
+  const matrix = Array.from({ length: n }, () => new Float32Array(n));
+  for (let i = 0; i < n; i++) {
+    matrix[i][i] = vectors[i].some(v => v !== 0) ? 1 : 0;
+    for (let j = i + 1; j < n; j++) {
+      matrix[i][j] = matrix[j][i] = cosine(vectors[i], vectors[j]);
+    }
+  }
+  return matrix;
+}
+
+/**
+ * Novelty along the diagonal of a self-similarity matrix: correlation with a
+ * Gaussian-tapered checkerboard kernel. The matrix is zero-padded beyond its
+ * edges, so values are comparable everywhere: 0 inside a homogeneous stretch,
+ * 1 between two internally identical, opposite sections.
+ * @param {Array<Float32Array>} matrix - From selfSimilarity
+ * @param {number} halfWidth - Kernel half-width in frames
+ * @returns {Float32Array} Novelty per frame, 0-1
+ */
+export function noveltyCurve(matrix, halfWidth) {
+  const n = matrix.length;
+  const L = Math.max(1, Math.round(halfWidth));
+  const sigma = L / 2;
+  const taper = Array.from({ length: 2 * L }, (_, k) => {
+    const offset = k - L + 0.5;
+    return Math.exp(-(offset * offset) / (2 * sigma * sigma));
+  });
+  const total = taper.reduce((a, b) => a + b, 0) ** 2;
+  const novelty = new Float32Array(n);
+  for (let i = 0; i < n; i++) {
+    let sum = 0;
+    for (let a = -L; a < L; a++) {
+      const row = i + a;
+      if (row < 0 || row >= n) continue;
+      for (let b = -L; b < L; b++) {
+        const column = i + b;
+        if (column < 0 || column >= n) continue;
+        const w = taper[a + L] * taper[b + L];
+        // Similar frames on the same side of i and dissimilar ones across it make i a boundary
+        sum += ((a < 0) === (b < 0) ? 1 : -1) * w * matrix[row][column];
+      }
+    }
+    novelty[i] = Math.max(0, sum / total);
+  }
+  return novelty;
+}
+
+// exp(-d²/2) of the RMS difference d between two section means, in standard
+// deviations of the whole recording: 1 for identical sections, ~0.6 at one deviation
+function sectionSimilarity(a, b, norm) {
+  let sum = 0;
+  for (let d = 0; d < a.length; d++) sum += (a[d] - b[d]) ** 2;
+  return Math.exp(-sum / norm / 2);
+}
+
+// Local novelty maxima above both thresholds, at least minGap frames apart and from the ends
+function pickBoundaries(novelty, minGap, threshold, minNovelty) {
+  const n = novelty.length;
+  const mean = novelty.reduce((a, b) => a + b, 0) / Math.max(1, n);
+  const std = Math.sqrt(novelty.reduce((sum, v) => sum + (v - mean) ** 2, 0) / Math.max(1, n));
+  const candidates = [];
+  for (let i = minGap; i <= n - minGap; i++) {
+    if (novelty[i] < minNovelty || novelty[i] < mean + threshold * std) continue;
+    let isPeak = true;
+    for (let j = Math.max(0, i - minGap); j <= Math.min(n - 1, i + minGap) && isPeak; j++) {
+      if (j < i ? novelty[j] >= novelty[i] : novelty[j] > novelty[i]) isPeak = false;
+    }
+    if (isPeak) candidates.push(i);
+  }
+  return candidates;
+}
+
+function letter(index) {
+  let label = '';
+  let i = index;
+  do {
+    label = String.fromCharCode(65 + (i % 26)) + label;
+    i = Math.floor(i / 26) - 1;
+  } while (i >= 0);
+  return label;
+}
+
+/**
+ * Segment a recording into labeled sections
+ * @param {Object} input
+ * @param {Array<Array<number>>} input.timbre - MFCC vector per frame
+ * @param {Array<Array<number>>} [input.harmony] - Chroma vector per frame
+ * @param {Array<number>} [input.onsetTimes] - Onset times in seconds, for onset density per frame
+ * @param {number} input.frameRate - Frames per second
+ * @param {Object} [options] - See DEFAULT_SEGMENTATION_OPTIONS
+ * @returns {{sections: Array<{label: string, letter: string, start: number, end: number, repeatOf: number|null, similarity: number|null}>,
+ *   boundaries: Array<number>, repeats: Array<{sections: Array<number>, similarity: number}>,
+ *   novelty: {frameRate: number, values: Array<number>}, kernelSeconds: number}}
+ *   Times in seconds; repeatOf is the index of the first section with the same letter
+ */
+export function segmentStructure({ timbre, harmony = null, onsetTimes = null, frameRate }, options = {}) {
+  const opts = { ...DEFAULT_SEGMENTATION_OPTIONS, ...options, weights: { ...DEFAULT_SEGMENTATION_OPTIONS.weights, ...options.weights } };
+  const frameCount = timbre.length;
+  const duration = frameCount / frameRate;
+  const kernelSeconds = opts.kernelSeconds
+    ?? Math.min(opts.maxKernelSeconds, Math.max(opts.minKernelSeconds, duration / 16));
+  const whole = {
+    sections: frameCount ? [{ label: 'A', letter: 'A', start: 0, end: round(duration), repeatOf: null, similarity: null }] : [],
+    boundaries: [],
+    repeats: [],
+    novelty: { frameRate, values: [] },
+    kernelSeconds
+  };
+  if (frameCount < 4) return whole;
+
+  const groups = [{ rows: timbre, weight: opts.weights.timbre }];
+  if (harmony) groups.push({ rows: harmony, weight: opts.weights.harmony });
+  // Onset density: onsets per second within each frame
+  if (onsetTimes) {
+    const counts = new Array(frameCount).fill(0);
+    onsetTimes.forEach(time => {
+      const frame = Math.floor(time * frameRate);
+      if (frame >= 0 && frame < frameCount) counts[frame] += frameRate;
+    });
+    // Smooth over about a second so single hits do not dominate
+    const radius = Math.max(0, Math.round(frameRate / 2));
+    const density = counts.map((_, i) => {
+      let sum = 0, n = 0;
+      for (let j = Math.max(0, i - radius); j <= Math.min(frameCount - 1, i + radius); j++) { sum += counts[j]; n++; }
+      return [sum / n];
+    });
+    groups.push({ rows: density, weight: opts.weights.rhythm });
+  }
+
+  const reducedGroups = groups.map(group => ({ ...group, ...reduceRows(group.rows, opts.maxFrames) }));
+  const factor = reducedGroups[0].factor;
+  const rate = frameRate / factor;
+  const vectors = standardize(reducedGroups);
+  // Squared norm of a standardized frame, on average
+  const norm = reducedGroups.reduce((sum, group) => sum + (group.rows[0]?.length ? group.weight ** 2 : 0), 0) || 1;
+  const matrix = selfSimilarity(vectors);
+  const halfWidth = Math.max(1, Math.round(kernelSeconds * rate));
+  const novelty = noveltyCurve(matrix, halfWidth);
+  const minGap = Math.max(1, Math.round((opts.minSectionSeconds ?? kernelSeconds) * rate));
+  const boundaryFrames = pickBoundaries(novelty, minGap, opts.peakThreshold, opts.minNovelty);
+
+  // Sections and their mean feature vectors
+  const edges = [0, ...boundaryFrames, vectors.length];
+  const spans = edges.slice(0, -1).map((start, s) => [start, edges[s + 1]]);
+  const means = spans.map(([start, end]) => vectors[0].map((_, d) => {
+    let sum = 0;
+    for (let i = start; i < end; i++) sum += vectors[i][d];
+    return sum / (end - start);
+  }));
+
+  // Each section takes the letter of the most similar earlier section that is similar enough
+  const letters = [];
+  const repeatOf = [];
+  const similarities = [];
+  let nextLetter = 0;
+  spans.forEach((_, s) => {
+    let best = -1;
+    let bestSimilarity = -Infinity;
+    for (let t = 0; t < s; t++) {
+      if (repeatOf[t] !== null) continue; // Compare with each letter's first occurrence
+      const similarity = sectionSimilarity(means[s], means[t], norm);
+      if (similarity > bestSimilarity) {
+        best = t;
+        bestSimilarity = similarity;
+      }
+    }
+    if (best >= 0 && bestSimilarity >= opts.repeatSimilarity) {
+      letters.push(letters[best]);
+      repeatOf.push(best);
+      similarities.push(round(bestSimilarity));
+    } else {
+      letters.push(letter(nextLetter++));
+      repeatOf.push(null);
+      similarities.push(null);
+    }
+  });
+
+  const toSeconds = frame => round(Math.min(duration, frame / rate));
+  const sections = spans.map(([start, end], s) => ({
+    label: letters[s] + (repeatOf[s] !== null && similarities[s] < opts.exactSimilarity ? PRIME : ''),
+    letter: letters[s],
+    start: toSeconds(start),
+    end: toSeconds(end),
+    repeatOf: repeatOf[s],
+    similarity: similarities[s]
+  }));
+
+  return {
+    sections,
+    boundaries: boundaryFrames.map(toSeconds),
+    repeats: sections
+      .map((section, s) => (section.repeatOf !== null ? { sections: [section.repeatOf, s], similarity: section.similarity } : null))
+      .filter(Boolean),
+    novelty: { frameRate: rate, values: Array.from(novelty, v => round(v)) },
+    kernelSeconds
+  };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
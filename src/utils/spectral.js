@@ -0,0 +1,326 @@
+// Utility: Spectral analysis
+// Windowing, a real-input radix-2 FFT and the frame-based spectra/descriptors
+// shared by the file analyzer, the recorder and the timbre features.
+
+export const DEFAULT_FRAME_SIZE = 2048;
+export const DEFAULT_HOP_SIZE = 1024;
+export const DEFAULT_WINDOW = 'hann';
+
+const windowCache = new Map();
+const twiddleCache = new Map();
+const bitReverseCache = new Map();
+
+export function isPowerOfTwo(n) {
+  return Number.isInteger(n) && n > 0 && (n & (n - 1)) === 0;
+}
+
+export function nextPowerOfTwo(n) {
+  let size = 1;
+  while (size < n) size <<= 1;
+  return size;
+}
+
+/**
+ * Build (or reuse) a window function of the given length.
+ * @param {string} type - 'hann', 'blackman' or 'rectangular'
+ * @param {number} size - Window length in samples
+ * @returns {Float32Array} Window coefficients
+ */
+export function createWindow(type = DEFAULT_WINDOW, size = DEFAULT_FRAME_SIZE) {
+  const key = `${type}:${size}`;
+  if (windowCache.has(key)) return windowCache.get(key);
+
+  const win = new Float32Array(size);
+  const denom = size - 1 || 1;
+  for (let n = 0; n < size; n++) {
+    const phase = (2 * Math.PI * n) / denom;
+    switch (type) {
+      case 'hann':
+        win[n] = 0.5 - 0.5 * Math.cos(phase);
+        break;
+      case 'blackman':
+        win[n] = 0.42 - 0.5 * Math.cos(phase) + 0.08 * Math.cos(2 * phase);
+        break;
+      case 'rectangular':
+        win[n] = 1;
+        break;
+      default:
+        throw new Error(`Unknown window type: ${type}`);
+    }
+  }
+  windowCache.set(key, win);
+  return win;
+}
+
+function getBitReverse(size) {
+  if (bitReverseCache.has(size)) return bitReverseCache.get(size);
+  const bits = Math.log2(size);
+  const table = new Uint32Array(size);
+  for (let i = 0; i < size; i++) {
+    let rev = 0;
+    for (let b = 0; b < bits; b++) rev = (rev << 1) | ((i >> b) & 1);
+    table[i] = rev;
+  }
+  bitReverseCache.set(size, table);
+  return table;
+}
+
+function getTwiddles(size) {
+  if (twiddleCache.has(size)) return twiddleCache.get(size);
+  const half = size / 2;
+  const cos = new Float64Array(half);
+  const sin = new Float64Array(half);
+  for (let k = 0; k < half; k++) {
+    cos[k] = Math.cos((2 * Math.PI * k) / size);
+    sin[k] = -Math.sin((2 * Math.PI * k) / size);
+  }
+  const twiddles = { cos, sin };
+  twiddleCache.set(size, twiddles);
+  return twiddles;
+}
+
+/**
+ * In-place iterative radix-2 complex FFT.
+ * @param {Float64Array|Float32Array} re - Real parts (length must be a power of two)
+ * @param {Float64Array|Float32Array} im - Imaginary parts
+ */
+export function fft(re, im) {
+  const size = re.length;
+  if (!isPowerOfTwo(size)) throw new Error(`FFT size must be a power of two (got ${size})`);
+  if (size === 1) return;
+
+  const rev = getBitReverse(size);
+  for (let i = 0; i < size; i++) {
+    const j = rev[i];
+    if (j > i) {
+      let t = re[i]; re[i] = re[j]; re[j] = t;
+      t = im[i]; im[i] = im[j]; im[j] = t;
+    }
+  }
+
+  const { cos, sin } = getTwiddles(size);
+  for (let len = 2; len <= size; len <<= 1) {
+    const halfLen = len >> 1;
+    const step = size / len;
+    for (let start = 0; start < size; start += len) {
+      for (let k = 0; k < halfLen; k++) {
+        const wr = cos[k * step];
+        const wi = sin[k * step];
+        const a = start + k;
+        const b = a + halfLen;
+        const tr = wr * re[b] - wi * im[b];
+        const ti = wr * im[b] + wi * re[b];
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+}
+
+/**
+ * FFT of a real signal, computed with a half-length complex FFT.
+ * @param {Float32Array|Array<number>} input - Real samples (power-of-two length)
+ * @returns {{re: Float64Array, im: Float64Array}} Bins 0..N/2 inclusive
+ */
+export function realFFT(input) {
+  const size = input.length;
+  if (!isPowerOfTwo(size) || size < 2) throw new Error(`FFT size must be a power of two (got ${size})`);
+
+  const half = size / 2;
+  const zr = new Float64Array(half);
+  const zi = new Float64Array(half);
+  for (let n = 0; n < half; n++) {
+    zr[n] = input[2 * n];
+    zi[n] = input[2 * n + 1];
+  }
+  fft(zr, zi);
+
+  const re = new Float64Array(half + 1);
+  const im = new Float64Array(half + 1);
+  const { cos, sin } = getTwiddles(size);
+  for (let k = 0; k <= half; k++) {
+    const a = zr[k % half];
+    const b = zi[k % half];
+    const c = zr[(half - k) % half];
+    const d = zi[(half - k) % half];
+    // Split the packed transform into the even- and odd-sample spectra
+    const evenRe = (a + c) / 2;
+    const evenIm = (b - d) / 2;
+    const oddRe = (b + d) / 2;
+    const oddIm = -(a - c) / 2;
+    const wr = k < half ? cos[k] : -1;
+    const wi = k < half ? sin[k] : 0;
+    re[k] = evenRe + wr * oddRe - wi * oddIm;
+    im[k] = evenIm + wr * oddIm + wi * oddRe;
+  }
+  return { re, im };
+}
+
+/**
+ * Windowed magnitude spectrum of one frame. Short frames are zero-padded
+ * to the next power of two.
+ * @param {Float32Array|Array<number>} frame - Time-domain samples
+ * @param {Object} [options]
+ * @param {string} [options.window='hann'] - Window type
+ * @param {number} [options.fftSize] - FFT length (defaults to the padded frame length)
+ * @returns {Float32Array} Magnitudes for bins 0..fftSize/2
+ */
+export function magnitudeSpectrum(frame, { window = DEFAULT_WINDOW, fftSize } = {}) {
+  const size = fftSize || nextPowerOfTwo(frame.length);
+  const win = createWindow(window, frame.length);
+  const padded = new Float64Array(size);
+  const count = Math.min(frame.length, size);
+  for (let i = 0; i < count; i++) padded[i] = frame[i] * win[i];
+
+  const { re, im } = realFFT(padded);
+  const mags = new Float32Array(re.length);
+  for (let k = 0; k < re.length; k++) mags[k] = Math.hypot(re[k], im[k]);
+  return mags;
+}
+
+export function powerSpectrum(frame, options = {}) {
+  const mags = magnitudeSpectrum(frame, options);
+  for (let k = 0; k < mags.length; k++) mags[k] *= mags[k];
+  return mags;
+}
+
+/**
+ * Convert magnitudes to decibels relative to `reference`.
+ * @param {Float32Array|Array<number>} magnitudes - Linear magnitudes
+ * @param {number} [reference=1] - 0 dB reference level
+ * @param {number} [floorDb=-120] - Lower clamp for silent bins
+ * @returns {Float32Array} Levels in dB
+ */
+export function toDecibels(magnitudes, reference = 1, floorDb = -120) {
+  const out = new Float32Array(magnitudes.length);
+  for (let k = 0; k < magnitudes.length; k++) {
+    const ratio = magnitudes[k] / reference;
+    out[k] = ratio > 0 ? Math.max(floorDb, 20 * Math.log10(ratio)) : floorDb;
+  }
+  return out;
+}
+
+/**
+ * Visit every analysis frame of a signal.
+ * @param {Float32Array} signal - Mono samples
+ * @param {Object} [options]
+ * @param {number} [options.frameSize=2048] - Frame length (power of two)
+ * @param {number} [options.hopSize=1024] - Hop between frame starts
+ * @param {string} [options.window='hann'] - Window type
+ * @param {number} [options.maxFrames=Infinity] - Stop after this many frames
+ * @param {Function} callback - Called with (magnitudes, frameIndex, startSample)
+ * @returns {number} Number of frames visited
+ */
+export function forEachSpectrumFrame(signal, options, callback) {
+  const {
+    frameSize = DEFAULT_FRAME_SIZE,
+    hopSize = DEFAULT_HOP_SIZE,
+    window = DEFAULT_WINDOW,
+    maxFrames = Infinity
+  } = options || {};
+  if (!isPowerOfTwo(frameSize)) throw new Error(`frameSize must be a power of two (got ${frameSize})`);
+  if (!(hopSize > 0)) throw new Error(`hopSize must be positive (got ${hopSize})`);
+
+  let frames = 0;
+  // Signals shorter than one frame still get a single zero-padded frame
+  const lastStart = Math.max(0, signal.length - frameSize);
+  for (let start = 0; start <= lastStart && frames < maxFrames; start += hopSize) {
+    const frame = signal.subarray
+      ? signal.subarray(start, start + frameSize)
+      : signal.slice(start, start + frameSize);
+    callback(magnitudeSpectrum(frame, { window, fftSize: frameSize }), frames, start);
+    frames++;
+  }
+  return frames;
+}
+
+/**
+ * Short-time Fourier transform magnitudes.
+ * @returns {Array<Float32Array>} One magnitude spectrum per frame
+ */
+export function stft(signal, options = {}) {
+  const frames = [];
+  forEachSpectrumFrame(signal, options, mags => frames.push(mags));
+  return frames;
+}
+
+/**
+ * Mean magnitude spectrum over all frames of a signal.
+ * @returns {{spectrum: Float32Array, frameCount: number, fftSize: number}}
+ */
+export function averageSpectrum(signal, options = {}) {
+  const frameSize = options.frameSize || DEFAULT_FRAME_SIZE;
+  const sum = new Float64Array(frameSize / 2 + 1);
+  const frameCount = forEachSpectrumFrame(signal, options, mags => {
+    for (let k = 0; k < mags.length; k++) sum[k] += mags[k];
+  });
+  const spectrum = new Float32Array(sum.length);
+  if (frameCount > 0) {
+    for (let k = 0; k < sum.length; k++) spectrum[k] = sum[k] / frameCount;
+  }
+  return { spectrum, frameCount, fftSize: frameSize };
+}
+
+/**
+ * Centre frequency of bin `k` for a half spectrum of `binCount` bins.
+ */
+export function binFrequency(k, sampleRate, binCount) {
+  return (k * sampleRate) / (2 * Math.max(1, binCount - 1));
+}
+
+export function spectralCentroid(magnitudes, sampleRate) {
+  let weighted = 0;
+  let total = 0;
+  for (let k = 0; k < magnitudes.length; k++) {
+    weighted += binFrequency(k, sampleRate, magnitudes.length) * magnitudes[k];
+    total += magnitudes[k];
+  }
+  return total > 0 ? weighted / total : 0;
+}
+
+/**
+ * Frequency below which `threshold` of the spectral energy lies.
+ */
+export function spectralRolloff(magnitudes, sampleRate, threshold = 0.85) {
+  let total = 0;
+  for (let k = 0; k < magnitudes.length; k++) total += magnitudes[k] * magnitudes[k];
+  if (total === 0) return 0;
+
+  let cumulative = 0;
+  for (let k = 0; k < magnitudes.length; k++) {
+    cumulative += magnitudes[k] * magnitudes[k];
+    if (cumulative >= threshold * total) return binFrequency(k, sampleRate, magnitudes.length);
+  }
+  return binFrequency(magnitudes.length - 1, sampleRate, magnitudes.length);
+}
+
+/**
+ * Share of spectral energy above `cutoffHz` (0-1), the usual "brightness"
+ * descriptor. 1500 Hz follows the MIR Toolbox default.
+ */
+export function spectralBrightness(magnitudes, sampleRate, cutoffHz = 1500) {
+  let total = 0;
+  let high = 0;
+  for (let k = 0; k < magnitudes.length; k++) {
+    const energy = magnitudes[k] * magnitudes[k];
+    total += energy;
+    if (binFrequency(k, sampleRate, magnitudes.length) >= cutoffHz) high += energy;
+  }
+  return total > 0 ? high / total : 0;
+}
+
+/**
+ * Euclidean distance between consecutive magnitude spectra.
+ */
+export function spectralFlux(current, previous) {
+  if (!previous) return 0;
+  let flux = 0;
+  const count = Math.min(current.length, previous.length);
+  for (let k = 0; k < count; k++) {
+    const diff = current[k] - previous[k];
+    flux += diff * diff;
+  }
+  return Math.sqrt(flux);
+}
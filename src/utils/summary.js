@@ -0,0 +1,77 @@
+// Utility: One-row summaries of analysis results
+// Flattens a runAnalysisPipeline result into the headline numbers (tempo, scale,
+// tonic, loudness, ...) so many recordings can be compared in one table or CSV.
+
+// Column name and how to read it from { file, result }
+export const SUMMARY_COLUMNS = [
+  ['file', row => row.file],
+  ['duration_s', row => round(row.result.duration, 2)],
+  ['sample_rate', row => row.result.sampleRate],
+  ['channels', row => row.result.channelCount],
+  ['tempo_bpm', row => row.result.rhythm?.tempo],
+  ['regularity', row => round(row.result.rhythm?.regularity, 3)],
+  ['tempo_stability', row => row.result.rhythm?.stability],
+  ['meter', row => row.result.rhythm?.meter?.label],
+  ['onsets', row => row.result.rhythm?.onsets?.times?.length],
+  ['polyrhythm', row => row.result.rhythm?.polyrhythmRatio],
+  ['tonic', row => row.result.scale?.tonic?.label ?? row.result.scale?.tonic?.note],
+  ['tonic_hz', row => round(row.result.scale?.tonic?.frequency, 2)],
+  ['scale', row => row.result.scale?.scale],
+  ['scale_confidence', row => row.result.scale?.confidence],
+  ['tuning', row => row.result.tuning?.tuning?.best?.name ?? (row.result.tuning?.tuning?.insufficientData ? 'insufficient data' : null)],
+  ['pitch_frames', row => row.result.pitches?.length],
+  ['notes', row => row.result.transcription?.notes?.length],
+  ['centroid_hz', row => round(row.result.spectral?.centroid, 1)],
+  ['rolloff_hz', row => round(row.result.spectral?.rolloff, 1)],
+  ['brightness', row => round(row.result.spectral?.brightness, 3)],
+  ['loudness_lufs', row => row.result.loudness?.integrated],
+  ['loudness_range_lu', row => row.result.loudness?.loudnessRange],
+  ['true_peak_dbtp', row => row.result.loudness?.truePeak],
+  ['sections', row => row.result.structure?.sections?.length],
+  ['instrument', row => row.result.instrument?.candidates?.[0]?.instrument],
+  ['analyzer_version', row => row.result.analyzer?.version]
+];
+
+function round(value, digits) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return value;
+  const scale = 10 ** digits;
+  return Math.round(value * scale) / scale;
+}
+
+/**
+ * Headline values of one analysis
+ * @param {Object} result - From runAnalysisPipeline
+ * @param {string} [file=''] - Recording name for the first column
+ * @returns {Object} Column name -> value (null when the analysis has none)
+ */
+export function summarizeAnalysis(result, file = '') {
+  const row = { file, result };
+  return Object.fromEntries(SUMMARY_COLUMNS.map(([name, read]) => [name, read(row) ?? null]));
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV with a header and one line per summary
+ * @param {Array<Object>} rows - From summarizeAnalysis; extra keys (e.g. error) become extra columns
+ * @returns {string}
+ */
+export function summariesToCsv(rows) {
+  const columns = SUMMARY_COLUMNS.map(([name]) => name);
+  rows.forEach(row => Object.keys(row).forEach(key => { if (!columns.includes(key)) columns.push(key); }));
+  return [columns.join(','), ...rows.map(row => columns.map(column => csvField(row[column])).join(','))].join('\n');
+}
+
+/**
+ * JSON for an analysis result; typed arrays are written as plain arrays
+ * @param {Object} result
+ * @param {number} [indent=2]
+ * @returns {string}
+ */
+export function analysisToJson(result, indent = 2) {
+  return JSON.stringify(result, (key, value) => (ArrayBuffer.isView(value) ? Array.from(value) : value), indent);
+}
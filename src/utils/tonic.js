@@ -0,0 +1,211 @@
+// Utility: Tonic and drone detection
+// A drone (tanpura, didgeridoo, bagpipe drones, Byzantine ison) is a low tone that
+// sounds for most of the recording, so it survives a low percentile taken across
+// frames while melody notes do not. The tonic is then chosen from the scale
+// degrees of the pitch histogram, favouring the drone and degrees with a fifth.
+
+import { magnitudeSpectrum } from './spectral.js';
+import {
+  circularDifference,
+  frequencyToPitchClassCents,
+  pitchClassToFrequency,
+  pitchClassLabel
+} from './tuning.js';
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+export const DEFAULT_DRONE_OPTIONS = {
+  minFrequency: 40,
+  maxFrequency: 400,
+  frameSize: 16384,     // ~2.7 Hz bins at 44.1 kHz: enough to place a low drone within a few cents
+  hopSeconds: 0.25,
+  maxFrames: 400,       // Long files are sampled evenly rather than read in full
+  percentile: 0.2,      // A drone must be present in at least ~80% of frames
+  harmonics: 5,
+  minPersistence: 0.35, // Sustained level / mean level at the drone frequency
+  minProminence: 4      // Sustained level / median sustained level across the drone band
+};
+
+export const DEFAULT_TONIC_OPTIONS = {
+  fifthWeight: 0.5,     // Support from a degree a fifth above the candidate
+  droneWeight: 1,       // Support from a matching drone, scaled by its persistence
+  matchCents: 50        // How close a drone must be to a degree to count as the same pitch class
+};
+
+function percentileOf(values, p) {
+  const sorted = Array.from(values).sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+function interpolate(spectrum, position) {
+  const k = Math.floor(position);
+  if (k < 0 || k + 1 >= spectrum.length) return 0;
+  const t = position - k;
+  return spectrum[k] * (1 - t) + spectrum[k + 1] * t;
+}
+
+/**
+ * Find a sustained low-frequency drone
+ * @param {Float32Array} signal - Mono samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} [options] - See DEFAULT_DRONE_OPTIONS
+ * @returns {{present: boolean, frequency: number, pitchClassCents: number, label: string,
+ *   persistence: number, prominence: number}} frequency is 0 when nothing qualifies
+ */
+export function detectDrone(signal, sampleRate, options = {}) {
+  const opts = { ...DEFAULT_DRONE_OPTIONS, ...options };
+  const none = { present: false, frequency: 0, pitchClassCents: 0, label: '', persistence: 0, prominence: 0 };
+  const frameSize = opts.frameSize;
+  if (!signal || signal.length < frameSize / 4) return none;
+
+  const binHz = sampleRate / frameSize;
+  const minBin = Math.max(1, Math.floor(opts.minFrequency / binHz));
+  const maxBin = Math.min(frameSize / 2, Math.ceil((opts.maxFrequency * opts.harmonics) / binHz) + 1);
+  const bandSize = maxBin - minBin + 1;
+
+  // Evenly spaced frames, each normalized so loud passages do not dominate
+  const hop = Math.max(1, Math.round(opts.hopSeconds * sampleRate));
+  const available = Math.max(1, Math.floor((signal.length - frameSize) / hop) + 1);
+  const frameCount = Math.min(available, opts.maxFrames);
+  const frames = [];
+  for (let f = 0; f < frameCount; f++) {
+    const start = Math.floor((f * available) / frameCount) * hop;
+    const mags = magnitudeSpectrum(signal.subarray(start, start + frameSize), { fftSize: frameSize });
+    const band = new Float32Array(bandSize);
+    let total = 0;
+    for (let k = 0; k < bandSize; k++) {
+      band[k] = mags[minBin + k];
+      total += band[k];
+    }
+    if (total <= 0) continue;
+    for (let k = 0; k < bandSize; k++) band[k] /= total;
+    frames.push(band);
+  }
+  if (frames.length === 0) return none;
+
+  const sustained = new Float32Array(bandSize);
+  const mean = new Float32Array(bandSize);
+  const column = new Float32Array(frames.length);
+  for (let k = 0; k < bandSize; k++) {
+    let sum = 0;
+    for (let f = 0; f < frames.length; f++) {
+      column[f] = frames[f][k];
+      sum += column[f];
+    }
+    sustained[k] = percentileOf(column, opts.percentile);
+    mean[k] = sum / frames.length;
+  }
+
+  // Harmonic sum over a 10-cent grid of candidate fundamentals
+  let best = { salience: 0, frequency: 0 };
+  for (let cents = 0; ; cents += 10) {
+    const f0 = opts.minFrequency * Math.pow(2, cents / 1200);
+    if (f0 > opts.maxFrequency) break;
+    let salience = 0;
+    for (let h = 1; h <= opts.harmonics; h++) {
+      salience += Math.pow(0.8, h - 1) * interpolate(sustained, (h * f0) / binHz - minBin);
+    }
+    if (salience > best.salience) best = { salience, frequency: f0 };
+  }
+  if (best.salience <= 0) return none;
+
+  // Refine on the sustained spectrum's peak nearest the winning fundamental
+  let peak = Math.round(best.frequency / binHz) - minBin;
+  for (let k = Math.max(1, peak - 2); k <= Math.min(bandSize - 2, peak + 2); k++) {
+    if (sustained[k] > sustained[peak]) peak = k;
+  }
+  let frequency = (peak + minBin) * binHz;
+  if (peak > 0 && peak < bandSize - 1) {
+    const a = sustained[peak - 1];
+    const b = sustained[peak];
+    const c = sustained[peak + 1];
+    const denom = a - 2 * b + c;
+    if (denom !== 0) frequency = (peak + minBin + (0.5 * (a - c)) / denom) * binHz;
+  }
+
+  const lowBand = sustained.subarray(0, Math.max(1, Math.ceil(opts.maxFrequency / binHz) - minBin + 1));
+  const floor = percentileOf(lowBand, 0.5);
+  const persistence = mean[peak] > 0 ? sustained[peak] / mean[peak] : 0;
+  const prominence = floor > 0 ? sustained[peak] / floor : (sustained[peak] > 0 ? Infinity : 0);
+  const pitchClassCents = frequencyToPitchClassCents(frequency);
+
+  return {
+    present: persistence >= opts.minPersistence && prominence >= opts.minProminence,
+    frequency: Math.round(frequency * 10) / 10,
+    pitchClassCents: Math.round(pitchClassCents * 10) / 10,
+    label: pitchClassLabel(pitchClassCents),
+    persistence: Math.round(persistence * 1000) / 1000,
+    prominence: Number.isFinite(prominence) ? Math.round(prominence * 10) / 10 : prominence
+  };
+}
+
+// Tonic octave: the drone's if it matched, else the highest one at or below the median sung pitch
+function tonicFrequency(cents, pitches, drone) {
+  if (drone) return drone.frequency;
+  const voiced = (pitches || []).filter(p => p > 0).sort((a, b) => a - b);
+  if (voiced.length === 0) return Math.round(pitchClassToFrequency(cents, 3) * 10) / 10;
+  const median = voiced[Math.floor(voiced.length / 2)];
+  let octave = Math.floor(Math.log2(median / pitchClassToFrequency(cents, 0)));
+  if (pitchClassToFrequency(cents, octave) > median) octave--;
+  return Math.round(pitchClassToFrequency(cents, octave) * 10) / 10;
+}
+
+/**
+ * Estimate the tonic (Sa, final, karar) of a performance
+ * @param {Object} evidence
+ * @param {Array<{cents: number, weight: number}>} evidence.degrees - Scale degrees (see findScaleDegrees)
+ * @param {Object} [evidence.drone] - Result of detectDrone
+ * @param {Array<number>} [evidence.pitches] - Pitches in Hz, used to pick the tonic's octave
+ * @param {Object} [options] - See DEFAULT_TONIC_OPTIONS
+ * @returns {Object|null} { note, label, cents, frequency, confidence, source, candidates }
+ */
+export function estimateTonic({ degrees = [], drone = null, pitches = [] } = {}, options = {}) {
+  const opts = { ...DEFAULT_TONIC_OPTIONS, ...options };
+  const liveDrone = drone && drone.present ? drone : null;
+  const total = degrees.reduce((sum, d) => sum + d.weight, 0) || 1;
+  const weightNear = cents => degrees
+    .filter(d => Math.abs(circularDifference(d.cents, cents)) <= opts.matchCents)
+    .reduce((sum, d) => sum + d.weight, 0) / total;
+
+  const candidates = degrees.map(degree => {
+    const droneMatch = liveDrone && Math.abs(circularDifference(degree.cents, liveDrone.pitchClassCents)) <= opts.matchCents;
+    return {
+      cents: degree.cents,
+      score: degree.weight / total
+        + opts.fifthWeight * weightNear(degree.cents + 702)
+        + (droneMatch ? opts.droneWeight * liveDrone.persistence : 0),
+      drone: droneMatch ? liveDrone : null,
+      fromHistogram: true
+    };
+  });
+  // A drone the melody never lands on is still a tonic candidate
+  if (liveDrone && !candidates.some(c => c.drone)) {
+    candidates.push({
+      cents: liveDrone.pitchClassCents,
+      score: opts.droneWeight * liveDrone.persistence,
+      drone: liveDrone,
+      fromHistogram: false
+    });
+  }
+  if (candidates.length === 0) return null;
+
+  const scoreSum = candidates.reduce((sum, c) => sum + c.score, 0) || 1;
+  candidates.sort((a, b) => b.score - a.score);
+  const best = candidates[0];
+  const source = best.drone ? (best.fromHistogram ? 'drone+histogram' : 'drone') : 'histogram';
+
+  return {
+    note: NOTE_NAMES[Math.round(best.cents / 100) % 12],
+    label: pitchClassLabel(best.cents),
+    cents: best.cents,
+    frequency: tonicFrequency(best.cents, pitches, best.drone),
+    confidence: Math.round((best.score / scoreSum) * 1000) / 1000,
+    source,
+    drone: liveDrone,
+    candidates: candidates.slice(0, 5).map(c => ({
+      label: pitchClassLabel(c.cents),
+      cents: c.cents,
+      probability: Math.round((c.score / scoreSum) * 1000) / 1000
+    }))
+  };
+}
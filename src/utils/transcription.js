@@ -0,0 +1,222 @@
+// Utility: Melody transcription
+// Turns a frame-level pitch track into discrete note events. A note runs while
+// the track stays voiced and near one pitch; it ends at an unvoiced gap, a
+// sustained pitch change or an onset (so repeated notes on one pitch separate).
+// Each note gets its pitch in cents, the nearest scale degree and a confidence,
+// and the notes can be written out as CSV or a standard MIDI file.
+
+import { CENTS_PER_OCTAVE, circularDifference, frequencyToPitchClassCents } from './tuning.js';
+
+export const DEFAULT_TRANSCRIPTION_OPTIONS = {
+  minNoteSeconds: 0.06,       // Shorter notes are dropped as glitches or ornaments' debris
+  minNoteFrames: 2,           // So are single frames: a long analysis frame straddling two notes reads between them
+  splitCents: 70,             // A pitch change larger than this that lasts...
+  splitSeconds: 0.04,         // ... at least this long starts a new note (legato steps, slides)
+  bridgeSeconds: 0.03,        // Unvoiced gaps up to this long inside a note are bridged
+  onsetToleranceSeconds: 0.03, // An onset this close to a frame splits the note there
+  degreeToleranceCents: 60    // Farther than this from every scale degree: no degree
+};
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+// Cents are counted from C0, so pitch class and octave read straight off them
+const C0 = 440 * Math.pow(2, -57 / 12);
+
+const frequencyToCents = frequency => CENTS_PER_OCTAVE * Math.log2(frequency / C0);
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Note name with its deviation from 12-TET, e.g. "A4" or "A4 +23¢"
+ * @param {number} cents - Cents above C0
+ * @returns {string}
+ */
+export function centsToNoteName(cents) {
+  const semitone = Math.round(cents / 100);
+  const deviation = Math.round(cents - semitone * 100);
+  const name = `${NOTE_NAMES[((semitone % 12) + 12) % 12]}${Math.floor(semitone / 12)}`;
+  return deviation === 0 ? name : `${name} ${deviation > 0 ? '+' : ''}${deviation}¢`;
+}
+
+// Nearest scale degree, numbered from the tonic (1 = tonic)
+function nearestDegree(frequency, degrees, tonicCents, toleranceCents) {
+  if (!degrees || degrees.length === 0) return null;
+  const pitchClass = frequencyToPitchClassCents(frequency);
+  // Degrees in order up from the tonic
+  const ordered = [...degrees].sort((a, b) => {
+    const up = d => ((circularDifference(d.cents, tonicCents ?? degrees[0].cents) % CENTS_PER_OCTAVE) + CENTS_PER_OCTAVE) % CENTS_PER_OCTAVE;
+    return up(a) - up(b);
+  });
+  let best = null;
+  ordered.forEach((degree, index) => {
+    const deviation = circularDifference(pitchClass, degree.cents);
+    if (!best || Math.abs(deviation) < Math.abs(best.deviationCents)) {
+      best = { number: index + 1, label: degree.label, cents: degree.cents, deviationCents: Math.round(deviation) };
+    }
+  });
+  return Math.abs(best.deviationCents) <= toleranceCents ? best : null;
+}
+
+/**
+ * Segment a pitch track into notes
+ * @param {Array<{time: number, frequency: number, voiced: boolean, confidence: number}>} pitchTrack - See trackPitch
+ * @param {Object} [context]
+ * @param {Array<number>} [context.onsetTimes] - Onset times in seconds
+ * @param {Array<{cents: number, label: string}>} [context.degrees] - Scale degrees (see findScaleDegrees)
+ * @param {Object} [context.tonic] - Tonic from estimateTonic, for degree numbers and centsFromTonic
+ * @param {Object} [options] - See DEFAULT_TRANSCRIPTION_OPTIONS
+ * @returns {Array<{onset: number, duration: number, frequency: number, cents: number, centsFromTonic: number|null,
+ *   midi: number, name: string, degree: Object|null, confidence: number}>}
+ *   Times in seconds; cents above C0; degree is { number, label, cents, deviationCents }
+ */
+export function transcribeNotes(pitchTrack, { onsetTimes = [], degrees = null, tonic = null } = {}, options = {}) {
+  const opts = { ...DEFAULT_TRANSCRIPTION_OPTIONS, ...options };
+  if (!pitchTrack || pitchTrack.length < 2) return [];
+  const hop = (pitchTrack[pitchTrack.length - 1].time - pitchTrack[0].time) / (pitchTrack.length - 1);
+  const splitFrames = Math.max(1, Math.round(opts.splitSeconds / hop));
+  const bridgeFrames = Math.round(opts.bridgeSeconds / hop);
+  const onsets = [...onsetTimes].sort((a, b) => a - b);
+
+  // Frames whose time is the first at or after an onset (within tolerance) start notes
+  const onsetFrames = new Set();
+  let o = 0;
+  pitchTrack.forEach((frame, i) => {
+    while (o < onsets.length && onsets[o] < frame.time - opts.onsetToleranceSeconds) o++;
+    if (o < onsets.length && onsets[o] <= frame.time + hop / 2) {
+      onsetFrames.add(i);
+      while (o < onsets.length && onsets[o] <= frame.time + hop / 2) o++;
+    }
+  });
+
+  const runs = [];
+  let current = null;
+  let gap = 0;
+  const close = () => {
+    if (current) runs.push(current);
+    current = null;
+  };
+  for (let i = 0; i < pitchTrack.length; i++) {
+    const frame = pitchTrack[i];
+    if (!frame.voiced || !(frame.frequency > 0)) {
+      if (current && ++gap > bridgeFrames) close();
+      continue;
+    }
+    const cents = frequencyToCents(frame.frequency);
+    if (current) {
+      const reference = median(current.frames.map(f => f.cents));
+      // A sustained move away from the note's pitch starts a new note where it began
+      let moved = Math.abs(cents - reference) > opts.splitCents;
+      for (let k = 1; moved && k < splitFrames; k++) {
+        const ahead = pitchTrack[i + k];
+        moved = ahead && ahead.voiced && Math.abs(frequencyToCents(ahead.frequency) - reference) > opts.splitCents;
+      }
+      if (moved || onsetFrames.has(i)) close();
+    }
+    if (!current) current = { frames: [] };
+    current.frames.push({ time: frame.time, cents, confidence: frame.confidence ?? 1 });
+    gap = 0;
+  }
+  close();
+
+  const tonicCents = tonic ? frequencyToCents(tonic.frequency) : null;
+  return runs
+    .filter(run => run.frames.length >= opts.minNoteFrames)
+    .map(run => {
+      const first = run.frames[0];
+      const last = run.frames[run.frames.length - 1];
+      const cents = median(run.frames.map(f => f.cents));
+      const frequency = C0 * Math.pow(2, cents / CENTS_PER_OCTAVE);
+      return {
+        onset: round(first.time, 3),
+        duration: round(last.time - first.time + hop, 3),
+        frequency: round(frequency, 2),
+        cents: round(cents, 1),
+        centsFromTonic: tonicCents === null ? null : round(cents - tonicCents, 1),
+        midi: round(cents / 100 + 12, 2),
+        name: centsToNoteName(cents),
+        degree: nearestDegree(frequency, degrees, tonic ? tonic.cents : null, opts.degreeToleranceCents),
+        confidence: round(run.frames.reduce((sum, f) => sum + f.confidence, 0) / run.frames.length, 3)
+      };
+    })
+    .filter(note => note.duration >= opts.minNoteSeconds);
+}
+
+/**
+ * Notes as CSV, one row per note
+ * @param {Array<Object>} notes - From transcribeNotes
+ * @returns {string}
+ */
+export function notesToCsv(notes) {
+  const header = 'onset_s,duration_s,frequency_hz,cents_from_c0,cents_from_tonic,midi,note,degree,degree_label,degree_deviation_cents,confidence';
+  const rows = notes.map(note => [
+    note.onset,
+    note.duration,
+    note.frequency,
+    note.cents,
+    note.centsFromTonic ?? '',
+    note.midi,
+    note.name,
+    note.degree?.number ?? '',
+    note.degree?.label ?? '',
+    note.degree?.deviationCents ?? '',
+    note.confidence
+  ].join(','));
+  return [header, ...rows].join('\n');
+}
+
+// MIDI variable-length quantity
+function variableLength(value) {
+  const bytes = [value & 0x7f];
+  for (let v = value >> 7; v > 0; v >>= 7) bytes.unshift((v & 0x7f) | 0x80);
+  return bytes;
+}
+
+/**
+ * Notes as a single-track standard MIDI file. Each note is preceded by a pitch
+ * bend (default ±2 semitone range) so microtonal pitches replay as transcribed.
+ * @param {Array<Object>} notes - From transcribeNotes
+ * @param {Object} [options]
+ * @param {number} [options.ticksPerBeat=480]
+ * @param {number} [options.bpm=120] - Tempo written to the file; times are kept in seconds
+ * @param {number} [options.velocity=90]
+ * @returns {Uint8Array} File contents
+ */
+export function notesToMidi(notes, { ticksPerBeat = 480, bpm = 120, velocity = 90 } = {}) {
+  const ticksPerSecond = (ticksPerBeat * bpm) / 60;
+  const microsPerBeat = Math.round(60000000 / bpm);
+  const events = [];
+  notes.forEach(note => {
+    const key = Math.max(0, Math.min(127, Math.round(note.midi)));
+    const bend = Math.max(0, Math.min(16383, Math.round(8192 + ((note.midi - key) / 2) * 8192)));
+    const start = Math.round(note.onset * ticksPerSecond);
+    const end = Math.max(start + 1, Math.round((note.onset + note.duration) * ticksPerSecond));
+    // Note-offs sort before note-ons and bends at the same tick
+    events.push({ tick: start, order: 1, bytes: [0xe0, bend & 0x7f, bend >> 7] });
+    events.push({ tick: start, order: 2, bytes: [0x90, key, velocity] });
+    events.push({ tick: end, order: 0, bytes: [0x80, key, 0] });
+  });
+  events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+
+  const track = [0x00, 0xff, 0x51, 0x03, (microsPerBeat >> 16) & 0xff, (microsPerBeat >> 8) & 0xff, microsPerBeat & 0xff];
+  let tick = 0;
+  events.forEach(event => {
+    track.push(...variableLength(event.tick - tick), ...event.bytes);
+    tick = event.tick;
+  });
+  track.push(0x00, 0xff, 0x2f, 0x00);
+
+  const length = track.length;
+  return Uint8Array.from([
+    0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, (ticksPerBeat >> 8) & 0xff, ticksPerBeat & 0xff,
+    0x4d, 0x54, 0x72, 0x6b, (length >> 24) & 0xff, (length >> 16) & 0xff, (length >> 8) & 0xff, length & 0xff,
+    ...track
+  ]);
+}
+
+function round(value, decimals) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
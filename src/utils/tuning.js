@@ -0,0 +1,254 @@
+// Utility: Cent-resolution pitch-class histograms and tuning-system estimation
+// Pitch classes are measured in cents above C (12-TET, A4 = 440 Hz), 0-1199.
+
+export const CENTS_PER_OCTAVE = 1200;
+
+const C0 = 440 * Math.pow(2, -57 / 12);
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+const ratioToCents = ratio => CENTS_PER_OCTAVE * Math.log2(ratio);
+const equalSteps = count => Array.from({ length: count }, (_, i) => (i * CENTS_PER_OCTAVE) / count);
+const equalTemperament = (id, name, count) => ({ id, name, degrees: equalSteps(count), step: CENTS_PER_OCTAVE / count });
+
+// Candidate tuning systems, as degree positions in cents above their reference pitch
+export const TUNING_SYSTEMS = [
+  equalTemperament('12-tet', '12-TET (Western equal temperament)', 12),
+  equalTemperament('24-tet', '24-TET (quarter tones)', 24),
+  {
+    id: 'just',
+    name: 'Just intonation (5-limit)',
+    degrees: [1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8].map(ratioToCents)
+  },
+  equalTemperament('5-tet', '5-tone equal (slendro-like)', 5),
+  equalTemperament('7-tet', '7-tone equal (Thai / pelog-like)', 7)
+];
+
+export const DEFAULT_TUNING_OPTIONS = {
+  bins: CENTS_PER_OCTAVE,
+  smoothingCents: 12,    // Gaussian kernel width for the histogram
+  minPeakDistance: 60,   // Closer peaks are merged into the stronger one
+  minPeakHeight: 0.1,    // Relative to the tallest peak
+  maxPeaks: 24,
+  toleranceCents: 10,    // Spread of a well-tuned degree around its grid position
+  minDegrees: 3          // Fewer degrees fit every grid equally well, so none is ranked
+};
+
+const wrap = cents => ((cents % CENTS_PER_OCTAVE) + CENTS_PER_OCTAVE) % CENTS_PER_OCTAVE;
+
+/**
+ * Signed distance a - b on the pitch-class circle
+ * @param {number} a - Cents
+ * @param {number} b - Cents
+ * @returns {number} Difference in (-600, 600]
+ */
+export function circularDifference(a, b) {
+  const d = wrap(a - b);
+  return d > CENTS_PER_OCTAVE / 2 ? d - CENTS_PER_OCTAVE : d;
+}
+
+/**
+ * Pitch class of a frequency, in cents above C
+ * @param {number} frequency - Frequency in Hz
+ * @returns {number} 0 <= cents < 1200
+ */
+export function frequencyToPitchClassCents(frequency) {
+  return wrap(CENTS_PER_OCTAVE * Math.log2(frequency / C0));
+}
+
+/**
+ * Frequency of a pitch class in a given octave (octave 4 holds middle C)
+ * @param {number} cents - Pitch class in cents above C
+ * @param {number} octave - Scientific pitch octave
+ * @returns {number} Frequency in Hz
+ */
+export function pitchClassToFrequency(cents, octave) {
+  return C0 * Math.pow(2, octave + cents / CENTS_PER_OCTAVE);
+}
+
+/**
+ * Name of the nearest 12-TET note plus its deviation, e.g. "E −14¢"
+ * @param {number} cents - Pitch class in cents above C
+ * @returns {string} Label
+ */
+export function pitchClassLabel(cents) {
+  const semitone = Math.round(cents / 100) % 12;
+  const deviation = Math.round(circularDifference(cents, semitone * 100));
+  if (deviation === 0) return NOTE_NAMES[semitone];
+  return `${NOTE_NAMES[semitone]} ${deviation > 0 ? '+' : '−'}${Math.abs(deviation)}¢`;
+}
+
+/**
+ * Smoothed, circular pitch-class histogram
+ * @param {Array<number>} pitches - Frequencies in Hz (non-positive values are ignored)
+ * @param {Object} [options]
+ * @param {Array<number>} [options.weights] - Per-pitch weights, e.g. tracker confidence
+ * @returns {Float64Array} Histogram normalized to sum to 1 (all zeros if no pitches)
+ */
+export function pitchClassHistogram(pitches, options = {}) {
+  const { bins, smoothingCents, weights } = { ...DEFAULT_TUNING_OPTIONS, ...options };
+  const raw = new Float64Array(bins);
+  const binWidth = CENTS_PER_OCTAVE / bins;
+  (pitches || []).forEach((frequency, i) => {
+    if (!(frequency > 0)) return;
+    const bin = Math.floor(frequencyToPitchClassCents(frequency) / binWidth) % bins;
+    raw[bin] += weights ? weights[i] : 1;
+  });
+
+  // Circular Gaussian smoothing
+  const sigma = smoothingCents / binWidth;
+  const radius = Math.ceil(3 * sigma);
+  const kernel = [];
+  for (let k = -radius; k <= radius; k++) kernel.push(sigma > 0 ? Math.exp(-(k * k) / (2 * sigma * sigma)) : (k === 0 ? 1 : 0));
+
+  const smoothed = new Float64Array(bins);
+  for (let b = 0; b < bins; b++) {
+    if (raw[b] === 0) continue;
+    for (let k = -radius; k <= radius; k++) {
+      smoothed[(((b + k) % bins) + bins) % bins] += raw[b] * kernel[k + radius];
+    }
+  }
+  const total = smoothed.reduce((a, v) => a + v, 0);
+  if (total > 0) for (let b = 0; b < bins; b++) smoothed[b] /= total;
+  return smoothed;
+}
+
+/**
+ * Scale degrees actually used: peaks of a pitch-class histogram
+ * @param {Float64Array|Array<number>} histogram - From pitchClassHistogram
+ * @param {Object} [options] - minPeakDistance, minPeakHeight, maxPeaks
+ * @returns {Array<{cents: number, weight: number, label: string}>} Peaks sorted by pitch class
+ */
+export function findScaleDegrees(histogram, options = {}) {
+  const { minPeakDistance, minPeakHeight, maxPeaks } = { ...DEFAULT_TUNING_OPTIONS, ...options };
+  const bins = histogram.length;
+  const binWidth = CENTS_PER_OCTAVE / bins;
+  const max = Math.max(...histogram);
+  if (!(max > 0)) return [];
+
+  const candidates = [];
+  for (let b = 0; b < bins; b++) {
+    const prev = histogram[(b - 1 + bins) % bins];
+    const next = histogram[(b + 1) % bins];
+    const value = histogram[b];
+    if (value > prev && value >= next && value >= minPeakHeight * max) {
+      // Parabolic refinement of the peak position
+      const denom = prev - 2 * value + next;
+      const offset = denom !== 0 ? (0.5 * (prev - next)) / denom : 0;
+      candidates.push({ cents: wrap((b + offset) * binWidth), height: value });
+    }
+  }
+
+  // Keep the strongest peaks, dropping any too close to a stronger one
+  candidates.sort((a, b) => b.height - a.height);
+  const kept = [];
+  for (const c of candidates) {
+    if (kept.length >= maxPeaks) break;
+    if (kept.every(k => Math.abs(circularDifference(c.cents, k.cents)) >= minPeakDistance)) kept.push(c);
+  }
+
+  // Weight = histogram mass within half the peak spacing
+  const halfWindow = Math.max(1, Math.round(minPeakDistance / 2 / binWidth));
+  return kept
+    .map(peak => {
+      const centre = Math.round(peak.cents / binWidth);
+      let mass = 0;
+      for (let k = -halfWindow; k <= halfWindow; k++) mass += histogram[(((centre + k) % bins) + bins) % bins];
+      return { cents: wrap(Math.round(peak.cents * 10) / 10), weight: mass, label: pitchClassLabel(peak.cents) };
+    })
+    .sort((a, b) => a.cents - b.cents);
+}
+
+function fitTuningSystem(system, degrees, toleranceCents) {
+  const totalWeight = degrees.reduce((sum, d) => sum + d.weight, 0) || 1;
+  // Share of a random pitch class that would land near some grid degree by chance
+  const chance = Math.min(0.99, (system.degrees.length * Math.sqrt(2 * Math.PI) * toleranceCents) / CENTS_PER_OCTAVE);
+
+  let best = { explained: -Infinity, reference: 0 };
+  for (let reference = 0; reference < CENTS_PER_OCTAVE; reference++) {
+    let explained = 0;
+    for (const degree of degrees) {
+      let nearest = Infinity;
+      for (const grid of system.degrees) {
+        const d = Math.abs(circularDifference(degree.cents, reference + grid));
+        if (d < nearest) nearest = d;
+      }
+      explained += degree.weight * Math.exp(-(nearest * nearest) / (2 * toleranceCents * toleranceCents));
+    }
+    explained /= totalWeight;
+    if (explained > best.explained) best = { explained, reference };
+  }
+
+  // An equal grid has no fixed starting point: number its degrees from the strongest pitch class
+  if (system.step) {
+    const strongest = degrees.reduce((a, b) => (b.weight > a.weight ? b : a));
+    const steps = Math.round(circularDifference(strongest.cents, best.reference) / system.step);
+    best.reference = wrap(best.reference + steps * system.step);
+  }
+
+  const assignments = degrees.map(degree => {
+    let nearest = null;
+    system.degrees.forEach((grid, index) => {
+      const deviation = circularDifference(degree.cents, best.reference + grid);
+      if (!nearest || Math.abs(deviation) < Math.abs(nearest.deviation)) {
+        nearest = { index, gridCents: wrap(best.reference + grid), deviation };
+      }
+    });
+    return {
+      cents: degree.cents,
+      label: degree.label,
+      weight: degree.weight,
+      degree: nearest.index,
+      gridCents: wrap(Math.round(nearest.gridCents * 10) / 10),
+      deviationCents: Math.round(nearest.deviation * 10) / 10
+    };
+  });
+
+  return {
+    id: system.id,
+    name: system.name,
+    score: Math.max(0, (best.explained - chance) / (1 - chance)),
+    referenceCents: best.reference,
+    degrees: assignments
+  };
+}
+
+/**
+ * Rank tuning systems by how well they explain the observed scale degrees
+ * @param {Array<{cents: number, weight: number}>} degrees - From findScaleDegrees
+ * @param {Object} [options] - toleranceCents, minDegrees and an optional `systems` list
+ * @returns {{best: Object|null, ranking: Array, insufficientData: boolean, degreeCount: number}}
+ *   best has name, score, referenceCents and the per-degree deviation from its grid; with
+ *   fewer than minDegrees degrees it is null, the ranking empty and insufficientData set
+ */
+export function estimateTuningSystem(degrees, options = {}) {
+  const { toleranceCents, minDegrees, systems = TUNING_SYSTEMS } = { ...DEFAULT_TUNING_OPTIONS, ...options };
+  const degreeCount = degrees ? degrees.length : 0;
+  if (degreeCount < Math.max(1, minDegrees)) return { best: null, ranking: [], insufficientData: true, degreeCount };
+
+  const ranking = systems.map(system => ({
+    gridSize: system.degrees.length,
+    ...fitTuningSystem(system, degrees, toleranceCents)
+  }));
+  // Near-ties go to the system with fewer degrees (the simpler explanation)
+  ranking.sort((a, b) => (Math.abs(b.score - a.score) > 0.02 ? b.score - a.score : a.gridSize - b.gridSize));
+  ranking.forEach(fit => { fit.score = Math.round(fit.score * 1000) / 1000; });
+
+  const { gridSize, ...best } = ranking[0];
+  return { best, ranking: ranking.map(({ id, name, score }) => ({ id, name, score })), insufficientData: false, degreeCount };
+}
+
+/**
+ * Histogram, scale degrees and tuning estimate for a set of pitches
+ * @param {Array<number>} pitches - Frequencies in Hz
+ * @param {Object} [options] - See DEFAULT_TUNING_OPTIONS; `weights` for per-pitch weights
+ * @returns {{histogram: Array<number>, degrees: Array, tuning: Object}}
+ */
+export function analyzeTuning(pitches, options = {}) {
+  const histogram = pitchClassHistogram(pitches, options);
+  const degrees = findScaleDegrees(histogram, options);
+  return {
+    histogram: Array.from(histogram),
+    degrees,
+    tuning: estimateTuningSystem(degrees, options)
+  };
+}
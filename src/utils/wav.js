@@ -0,0 +1,181 @@
+// Utility: WAV (RIFF/WAVE) decoding and encoding
+// Reads the common PCM and IEEE-float layouts, WAVE_FORMAT_EXTENSIBLE and G.711
+// µ-law / A-law without Web Audio, so recordings can be analyzed outside a browser
+// and files the browser refuses can still be decoded.
+
+const FORMAT_PCM = 1;
+const FORMAT_IEEE_FLOAT = 3;
+const FORMAT_ALAW = 6;
+const FORMAT_MULAW = 7;
+const FORMAT_EXTENSIBLE = 0xfffe;
+
+const FORMAT_NAMES = { [FORMAT_PCM]: 'pcm', [FORMAT_IEEE_FLOAT]: 'float', [FORMAT_ALAW]: 'a-law', [FORMAT_MULAW]: 'mu-law' };
+
+// G.711 expansion tables, 8-bit codes to -1..1
+const MULAW_TABLE = Float32Array.from({ length: 256 }, (_, code) => {
+  const u = ~code & 0xff;
+  const magnitude = ((((u & 0x0f) << 3) + 0x84) << ((u >> 4) & 0x07)) - 0x84;
+  return (u & 0x80 ? -magnitude : magnitude) / 32768;
+});
+const ALAW_TABLE = Float32Array.from({ length: 256 }, (_, code) => {
+  const a = code ^ 0x55;
+  const exponent = (a >> 4) & 0x07;
+  const mantissa = a & 0x0f;
+  const magnitude = exponent === 0 ? (mantissa << 4) + 8 : ((mantissa << 4) + 0x108) << (exponent - 1);
+  return (a & 0x80 ? magnitude : -magnitude) / 32768;
+});
+
+function fourCC(view, offset) {
+  return String.fromCharCode(view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3));
+}
+
+function toDataView(data) {
+  if (data instanceof ArrayBuffer) return new DataView(data);
+  if (ArrayBuffer.isView(data)) return new DataView(data.buffer, data.byteOffset, data.byteLength);
+  throw new Error('Expected an ArrayBuffer or a byte array');
+}
+
+// Sample readers returning -1..1
+const READERS = {
+  [`${FORMAT_PCM}:8`]: (view, offset) => (view.getUint8(offset) - 128) / 128,
+  [`${FORMAT_PCM}:16`]: (view, offset) => view.getInt16(offset, true) / 32768,
+  [`${FORMAT_PCM}:24`]: (view, offset) => {
+    const value = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getInt8(offset + 2) << 16);
+    return value / 8388608;
+  },
+  [`${FORMAT_PCM}:32`]: (view, offset) => view.getInt32(offset, true) / 2147483648,
+  [`${FORMAT_IEEE_FLOAT}:32`]: (view, offset) => view.getFloat32(offset, true),
+  [`${FORMAT_IEEE_FLOAT}:64`]: (view, offset) => view.getFloat64(offset, true),
+  [`${FORMAT_ALAW}:8`]: (view, offset) => ALAW_TABLE[view.getUint8(offset)],
+  [`${FORMAT_MULAW}:8`]: (view, offset) => MULAW_TABLE[view.getUint8(offset)]
+};
+
+/**
+ * Check for a RIFF/WAVE header
+ * @param {ArrayBuffer|Uint8Array} data - File contents
+ * @returns {boolean}
+ */
+export function isWav(data) {
+  const view = toDataView(data);
+  return view.byteLength >= 12 && fourCC(view, 0) === 'RIFF' && fourCC(view, 8) === 'WAVE';
+}
+
+/**
+ * Decode a WAV file
+ * @param {ArrayBuffer|Uint8Array} data - File contents
+ * @returns {{sampleRate: number, channels: Array<Float32Array>, bitsPerSample: number, format: string, duration: number}}
+ *   One Float32Array per channel, samples in -1..1; format is 'pcm', 'float', 'a-law' or 'mu-law'
+ * @throws {Error} When the file is not WAV or uses an encoding that is not supported
+ */
+export function decodeWav(data) {
+  const view = toDataView(data);
+  if (!isWav(view)) throw new Error('Not a WAV file (missing RIFF/WAVE header)');
+
+  let fmt = null;
+  let dataOffset = -1;
+  let dataLength = 0;
+  for (let offset = 12; offset + 8 <= view.byteLength;) {
+    const id = fourCC(view, offset);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+    if (id === 'fmt ') {
+      let formatTag = view.getUint16(body, true);
+      const bitsPerSample = view.getUint16(body + 14, true);
+      // Extensible files carry the real format in the first two bytes of the sub-format GUID
+      if (formatTag === FORMAT_EXTENSIBLE && size >= 40) formatTag = view.getUint16(body + 24, true);
+      fmt = {
+        formatTag,
+        channelCount: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        blockAlign: view.getUint16(body + 12, true),
+        bitsPerSample
+      };
+    } else if (id === 'data') {
+      dataOffset = body;
+      // Streamed files may leave the size unset; read to the end
+      dataLength = Math.min(size, view.byteLength - body);
+    }
+    // Chunks are padded to an even length
+    offset = body + size + (size % 2);
+  }
+  if (!fmt) throw new Error('WAV file has no fmt chunk');
+  if (dataOffset < 0) throw new Error('WAV file has no data chunk');
+
+  const { formatTag, channelCount, sampleRate, bitsPerSample } = fmt;
+  const read = READERS[`${formatTag}:${bitsPerSample}`];
+  if (!read) throw new Error(`Unsupported WAV encoding: format ${formatTag}, ${bitsPerSample}-bit`);
+  if (!channelCount || !sampleRate) throw new Error('WAV file has no channels or no sample rate');
+
+  const bytesPerSample = bitsPerSample / 8;
+  const blockAlign = fmt.blockAlign || bytesPerSample * channelCount;
+  const frameCount = Math.floor(dataLength / blockAlign);
+  const channels = Array.from({ length: channelCount }, () => new Float32Array(frameCount));
+  for (let i = 0; i < frameCount; i++) {
+    const frameOffset = dataOffset + i * blockAlign;
+    for (let c = 0; c < channelCount; c++) {
+      channels[c][i] = read(view, frameOffset + c * bytesPerSample);
+    }
+  }
+
+  return {
+    sampleRate,
+    channels,
+    bitsPerSample,
+    format: FORMAT_NAMES[formatTag],
+    duration: frameCount / sampleRate
+  };
+}
+
+/**
+ * Encode channels as a WAV file
+ * @param {Array<Float32Array>|Float32Array} channels - One array per channel, or mono samples, in -1..1
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} [options]
+ * @param {number} [options.bitsPerSample=16] - 8, 16, 24 or 32 (integer PCM)
+ * @param {boolean} [options.float=false] - Write 32-bit IEEE float instead of integer PCM
+ * @returns {Uint8Array} File contents
+ */
+export function encodeWav(channels, sampleRate, { bitsPerSample = 16, float = false } = {}) {
+  const list = Array.isArray(channels) ? channels : [channels];
+  const bits = float ? 32 : bitsPerSample;
+  if (!float && ![8, 16, 24, 32].includes(bits)) throw new Error(`Unsupported bit depth: ${bits}`);
+  const bytesPerSample = bits / 8;
+  const frameCount = Math.min(...list.map(channel => channel.length));
+  const blockAlign = bytesPerSample * list.length;
+  const dataLength = frameCount * blockAlign;
+  const bytes = new Uint8Array(44 + dataLength + (dataLength % 2));
+  const view = new DataView(bytes.buffer);
+  const writeText = (offset, text) => [...text].forEach((char, i) => view.setUint8(offset + i, char.charCodeAt(0)));
+
+  writeText(0, 'RIFF');
+  view.setUint32(4, bytes.length - 8, true);
+  writeText(8, 'WAVE');
+  writeText(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, float ? FORMAT_IEEE_FLOAT : FORMAT_PCM, true);
+  view.setUint16(22, list.length, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bits, true);
+  writeText(36, 'data');
+  view.setUint32(40, dataLength, true);
+
+  for (let i = 0; i < frameCount; i++) {
+    for (let c = 0; c < list.length; c++) {
+      const offset = 44 + i * blockAlign + c * bytesPerSample;
+      const sample = Math.max(-1, Math.min(1, list[c][i]));
+      if (float) view.setFloat32(offset, sample, true);
+      else if (bits === 8) view.setUint8(offset, Math.round(sample * 127) + 128);
+      else if (bits === 16) view.setInt16(offset, Math.round(sample * 32767), true);
+      else if (bits === 32) view.setInt32(offset, Math.round(sample * 2147483647), true);
+      else {
+        const value = Math.round(sample * 8388607);
+        view.setUint8(offset, value & 0xff);
+        view.setUint8(offset + 1, (value >> 8) & 0xff);
+        view.setUint8(offset + 2, (value >> 16) & 0xff);
+      }
+    }
+  }
+  return bytes;
+}
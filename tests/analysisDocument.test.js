@@ -0,0 +1,121 @@
+import {
+  ANALYSIS_DOCUMENT_TYPE,
+  ANALYSIS_SCHEMA_VERSION,
+  createAnalysisDocument,
+  documentToResult,
+  migrateAnalysisDocument,
+  parseAnalysisDocument,
+  serializeAnalysisDocument
+} from '../src/analysisDocument.js';
+
+// What the Analyze tab holds after an analysis (trimmed)
+function analysisData() {
+  return {
+    filename: 'sarangi.wav',
+    duration: 42.5,
+    sampleRate: 44100,
+    channelCount: 2,
+    rhythm: { tempo: 96, regularity: 0.7, meter: { label: '4/4' } },
+    pitches: [220, 221.5, 246.9],
+    timestamps: [0.1, 0.2, 0.3],
+    pitchTrack: [{ time: 0.1, frequency: 220, confidence: 0.9, voiced: true }],
+    spectral: { centroid: 1200, rolloff: 4000, brightness: 0.4 },
+    features: { flatness: { mean: 0.2 }, mfcc: { mean: new Float32Array([1, 2]) } },
+    structure: { sections: [] },
+    instrument: { candidates: [{ instrument: 'Sarangi', score: 0.8 }] },
+    scale: { scale: 'Bhairav', tonic: { note: 'A', label: 'A3', frequency: 220 } },
+    tuning: null,
+    transcription: { notes: [{ onset: 0.1, duration: 0.5, midi: 57, name: 'A3' }] },
+    loudness: { integrated: -18 },
+    channel: 'mix',
+    channels: null,
+    stereo: null,
+    analyzer: { version: '1.17.0', mode: 'deterministic', seed: null, params: { channelMode: 'mix' } },
+    decoder: { id: 'native', label: 'Browser decoder (decodeAudioData)', format: 'wav', fallbackReason: null },
+    region: { start: 10, end: 52.5 },
+    regions: null,
+    analyzedAt: '2026-03-01T10:00:00.000Z'
+  };
+}
+
+describe('analysis documents', () => {
+  test('sections of a new document', () => {
+    const doc = createAnalysisDocument({
+      ...analysisData(),
+      annotations: [{ time: 12.5, end: 14, text: ' Drone enters ', createdAt: '2026-03-01T10:05:00.000Z' }, { text: '   ' }]
+    });
+    expect(doc).toMatchObject({
+      type: ANALYSIS_DOCUMENT_TYPE,
+      schemaVersion: ANALYSIS_SCHEMA_VERSION,
+      file: { name: 'sarangi.wav', duration: 42.5, sampleRate: 44100, channelCount: 2, region: { start: 10, end: 52.5 } },
+      parameters: { version: '1.17.0', params: { channelMode: 'mix' } },
+      transcription: { notes: [{ name: 'A3' }] },
+      annotations: [{ time: 12.5, end: 14, text: 'Drone enters', createdAt: '2026-03-01T10:05:00.000Z' }],
+      analyzedAt: '2026-03-01T10:00:00.000Z'
+    });
+    expect(Object.keys(doc.features)).toEqual(expect.arrayContaining(['rhythm', 'pitches', 'spectral', 'scale', 'loudness', 'stereo']));
+    expect(typeof doc.savedAt).toBe('string');
+  });
+
+  test('round trip through JSON gives back the result', () => {
+    const json = serializeAnalysisDocument(createAnalysisDocument({ ...analysisData(), annotations: [{ time: null, text: 'Field recording, 1974' }] }));
+    const { document, migratedFrom } = parseAnalysisDocument(json);
+    expect(migratedFrom).toBeNull();
+    expect(document.annotations).toEqual([{ time: null, end: null, text: 'Field recording, 1974', createdAt: null }]);
+    const result = documentToResult(document);
+    expect(result).toMatchObject({ duration: 42.5, sampleRate: 44100, rhythm: { tempo: 96 }, scale: { scale: 'Bhairav' } });
+    expect(result.features.mfcc.mean).toEqual([1, 2]);
+    expect(result.transcription.notes).toHaveLength(1);
+    expect(result.analyzer.version).toBe('1.17.0');
+  });
+
+  test('version 1 (the plain analysis data) is migrated', () => {
+    // "Download JSON Data" as the first version of the app wrote it
+    const legacy = {
+      filename: 'field-recording.wav',
+      duration: 42.5,
+      sampleRate: 44100,
+      rhythm: {
+        tempo: 96,
+        peakCount: 40,
+        regularity: 0.7,
+        intervals: [22050, 22100, 21990],
+        temporalComplexity: 0.3,
+        entropy: 1.2,
+        polyrhythmic: false,
+        polyrhythmRatio: null,
+        percussiveness: 0.05
+      },
+      pitches: [220, 221.5, 246.9],
+      timestamps: [0.1, 0.2, 0.3],
+      spectral: { spectrum: [0.1, 0.2, 0.05], centroid: 1200, rolloff: 4000, brightness: 0.054 },
+      analyzedAt: '2026-03-01T10:00:00.000Z'
+    };
+    const { document, migratedFrom } = parseAnalysisDocument(JSON.stringify(legacy));
+    expect(migratedFrom).toBe(1);
+    expect(document.schemaVersion).toBe(ANALYSIS_SCHEMA_VERSION);
+    expect(document.savedAt).toBe('2026-03-01T10:00:00.000Z');
+    expect(document.file).toMatchObject({ name: 'field-recording.wav', channelCount: null, decoder: null, region: null });
+    expect(document.parameters).toBeNull();
+    expect(document.annotations).toEqual([]);
+
+    const result = documentToResult(document);
+    expect(result.scale).toEqual({ scale: 'Unknown', score: 0, confidence: 0 });
+    expect(result.spectral).toMatchObject({ fftSize: 2048, sampleRate: 44100, centroid: 1200 });
+    expect(result.spectral.sampleRate / result.spectral.fftSize).toBeCloseTo(21.53, 2);
+    expect(result).toMatchObject({ loudness: null, structure: null, instrument: null, transcription: null, pitchTrack: [] });
+    expect(result.rhythm.intervals).toHaveLength(3);
+  });
+
+  test('rejects other JSON and newer versions', () => {
+    expect(() => parseAnalysisDocument('{')).toThrow('Invalid JSON');
+    expect(() => parseAnalysisDocument('[]')).toThrow('must be a JSON object');
+    expect(() => parseAnalysisDocument({ scales: [] })).toThrow('Not an analysis document');
+    expect(() => parseAnalysisDocument({ type: 'something-else', schemaVersion: 2 })).toThrow('Not an analysis document (type "something-else")');
+    expect(() => migrateAnalysisDocument({ type: ANALYSIS_DOCUMENT_TYPE, schemaVersion: ANALYSIS_SCHEMA_VERSION + 1 })).toThrow('Please update the app');
+    expect(() => migrateAnalysisDocument({ type: ANALYSIS_DOCUMENT_TYPE, schemaVersion: '2' })).toThrow('Invalid schemaVersion');
+    const incomplete = createAnalysisDocument(analysisData());
+    delete incomplete.features.spectral;
+    expect(() => parseAnalysisDocument(incomplete)).toThrow('missing rhythm or spectral');
+  });
+});
@@ -0,0 +1,106 @@
+import { runAnalysisPipeline, analyzeSpectrum } from '../src/analysisPipeline.js';
+import { analyzeLoudness } from '../src/utils/loudness.js';
+
+const SR = 8000;
+
+// 220 Hz tone with a click every half second
+function testSignal(seconds) {
+  const out = new Float32Array(SR * seconds);
+  for (let i = 0; i < out.length; i++) {
+    out[i] = 0.3 * Math.sin(2 * Math.PI * 220 * i / SR);
+    const sinceClick = i % (SR / 2);
+    if (sinceClick < 200) out[i] += 0.8 * Math.exp(-sinceClick / 40) * (sinceClick % 2 ? 1 : -1);
+  }
+  return out;
+}
+
+describe('runAnalysisPipeline', () => {
+  test('analyzes the whole signal, not just the first 15 seconds', async () => {
+    const signal = testSignal(20);
+    const result = await runAnalysisPipeline(signal, SR);
+    expect(result.duration).toBeCloseTo(20);
+    expect(Math.max(...result.timestamps)).toBeGreaterThan(19);
+    expect(result.spectral.frameCount).toBe(Math.floor((signal.length - 2048) / 1024) + 1);
+    // One pitch class names no mode
+    expect(result.scale).toMatchObject({ scale: 'Unknown', hypotheses: [] });
+    expect(result.scale.tonic.note).toBe('A');
+    expect(result.analyzer.version).toBeDefined();
+    // Feature summaries come from the same frames as the spectrum; per-frame values are not kept
+    expect(result.features.frameCount).toBe(result.spectral.frameCount);
+    expect(result.features.mfcc.mean).toHaveLength(13);
+    expect(result.features.mfcc.frames).toBeUndefined();
+    expect(result.structure.sections[0].start).toBe(0);
+    expect(result.structure.sections[result.structure.sections.length - 1].end).toBeCloseTo(20, 0);
+    expect(result.instrument.candidates).toHaveLength(5);
+    expect(result.instrument.features.spectralCentroid).toBe(Math.round(result.spectral.centroid));
+    expect(result.transcription.notes.length).toBeGreaterThan(5);
+    result.transcription.notes.forEach(note => expect(note.name).toMatch(/^A3\b/));
+  });
+
+  test('reports increasing progress up to 100% and streams partial results', async () => {
+    const percents = [];
+    const stages = new Set();
+    await runAnalysisPipeline(testSignal(6), SR, { pipeline: { chunkSeconds: 1 } }, {
+      onProgress: p => percents.push(p.percent),
+      onPartial: p => stages.add(p.stage),
+    });
+    expect(percents[percents.length - 1]).toBe(100);
+    for (let i = 1; i < percents.length; i++) expect(percents[i]).toBeGreaterThanOrEqual(percents[i - 1]);
+    expect([...stages]).toEqual(['rhythm', 'pitch', 'spectrum']);
+  });
+
+  test('chunk size does not change the result', async () => {
+    const signal = testSignal(6);
+    const a = await runAnalysisPipeline(signal, SR, { pipeline: { chunkSeconds: 1 } });
+    const b = await runAnalysisPipeline(signal, SR, { pipeline: { chunkSeconds: 4 } });
+    expect(b.pitches).toEqual(a.pitches);
+    expect(b.spectral.spectrum).toEqual(a.spectral.spectrum);
+  });
+
+  test('rejects with an AbortError when the signal is aborted', async () => {
+    const controller = new AbortController();
+    const run = runAnalysisPipeline(testSignal(6), SR, { pipeline: { chunkSeconds: 1 } }, {
+      signal: controller.signal,
+      onProgress: p => { if (p.stage === 'pitch') controller.abort(); },
+    });
+    await expect(run).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  test('stereo input: downmix by default, stereo image in the results', async () => {
+    const left = testSignal(4);
+    const right = left.map(x => 0.5 * x);
+    const result = await runAnalysisPipeline([left, right], SR);
+    expect(result.channel.id).toBe('mix');
+    expect(result.channelCount).toBe(2);
+    expect(result.channels).toBeUndefined();
+    expect(result.stereo.correlation).toBeCloseTo(1, 3);
+    expect(result.stereo.balance).toBeCloseTo(-6, 0);
+    expect(result.analyzer.params.channelMode).toBe('mix');
+    // Loudness is measured on both channels as recorded, not on the downmix
+    expect(result.loudness.integrated).toBe(analyzeLoudness([left, right], SR).integrated);
+    expect(result.loudness.integrated).toBeGreaterThan(analyzeLoudness(left.map((x, i) => (x + right[i]) / 2), SR).integrated);
+  });
+
+  test('per-channel analysis runs every channel and reports progress across all of them', async () => {
+    const percents = [];
+    const left = testSignal(4);
+    const result = await runAnalysisPipeline([left, new Float32Array(left.length)], SR, { pipeline: { channelMode: 'each' } }, {
+      onProgress: p => percents.push(p.percent),
+    });
+    expect(result.channels.map(channel => channel.label)).toEqual(['Left', 'Right']);
+    expect(result.channel.label).toBe('Left');
+    expect(result.pitches).toEqual(result.channels[0].pitches);
+    expect(result.channels[1].pitches).toHaveLength(0);
+    expect(percents[percents.length - 1]).toBe(100);
+    // Loudness takes the first 10%; the first channel ends halfway through the rest
+    expect(percents).toContain(10);
+    expect(percents).toContain(55);
+    for (let i = 1; i < percents.length; i++) expect(percents[i]).toBeGreaterThanOrEqual(percents[i - 1]);
+  });
+
+  test('analyzeSpectrum matches the chunked pipeline spectrum', async () => {
+    const signal = testSignal(3);
+    const result = await runAnalysisPipeline(signal, SR, { pipeline: { chunkSeconds: 0.5 } });
+    expect(analyzeSpectrum(signal, SR).centroid).toBeCloseTo(result.spectral.centroid, 6);
+  });
+});
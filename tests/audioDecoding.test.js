@@ -0,0 +1,102 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+import { DECODERS, decodeAudioFile } from '../src/audioDecoding.js';
+import { encodeWav } from '../src/utils/wav.js';
+
+// A stand-in for AudioContext.decodeAudioData; `decode` decides what the "browser" does with the bytes
+function fakeContext(decode) {
+  return {
+    decodeAudioData: async buffer => decode(new Uint8Array(buffer))
+  };
+}
+
+function audioBuffer(channels, sampleRate) {
+  return {
+    sampleRate,
+    numberOfChannels: channels.length,
+    length: channels[0].length,
+    getChannelData: c => channels[c]
+  };
+}
+
+const ramp = Float32Array.from({ length: 800 }, (_, i) => (i % 100) / 200);
+
+// MPEG-1 layer II, 128 kbps, 44.1 kHz: the JavaScript decoder only reads layer III
+function mp2Frame() {
+  const frame = new Uint8Array(417);
+  frame.set([0xff, 0xfd, 0x80, 0x00]);
+  return frame;
+}
+
+describe('decodeAudioFile', () => {
+  test('uses the browser decoder when it works', async () => {
+    const wav = encodeWav([ramp], 8000).buffer;
+    const context = fakeContext(() => audioBuffer([ramp], 8000));
+    const decoded = await decodeAudioFile(wav, { audioContext: context });
+    expect(decoded.decoder).toEqual({ id: 'native', label: DECODERS.native, format: 'wav', fallbackReason: null });
+    expect(decoded.getChannelData(0)).toBe(ramp);
+    expect(decoded.duration).toBe(0.1);
+  });
+
+  test('falls back to the JavaScript WAV decoder when the browser refuses', async () => {
+    const wav = encodeWav([ramp, ramp], 8000, { bitsPerSample: 24 }).buffer;
+    const onFallback = jest.fn();
+    const context = fakeContext(() => {
+      throw new Error('EncodingError: Unable to decode audio data');
+    });
+    const decoded = await decodeAudioFile(wav, { audioContext: context, onFallback });
+    expect(onFallback).toHaveBeenCalledWith('wav', 'EncodingError: Unable to decode audio data');
+    expect(decoded.decoder.id).toBe('wav');
+    expect(decoded.decoder.fallbackReason).toBe('EncodingError: Unable to decode audio data');
+    expect(decoded.numberOfChannels).toBe(2);
+    expect(decoded.getChannelData(1)[150]).toBeCloseTo(ramp[150], 5);
+  });
+
+  test('a browser decoder that never answers is abandoned', async () => {
+    const wav = encodeWav([ramp], 8000, { float: true }).buffer;
+    const context = { decodeAudioData: () => new Promise(() => {}) };
+    const decoded = await decodeAudioFile(wav, { audioContext: context, nativeTimeoutMs: 20 });
+    expect(decoded.decoder.id).toBe('wav');
+    expect(decoded.decoder.fallbackReason).toMatch(/Timed out/);
+    expect(Array.from(decoded.getChannelData(0))).toEqual(Array.from(ramp));
+  });
+
+  test('MP3 the browser refuses is decoded in JavaScript without WebCodecs', async () => {
+    const file = readFileSync(path.join(__dirname, 'fixtures', 'sine-stereo-44100.mp3'));
+    const context = fakeContext(() => {
+      throw new Error('EncodingError');
+    });
+    const decoded = await decodeAudioFile(new Uint8Array(file).buffer, { audioContext: context });
+    expect(decoded.decoder).toMatchObject({ id: 'mp3', label: DECODERS.mp3, format: 'mp3', fallbackReason: 'EncodingError' });
+    expect(decoded.sampleRate).toBe(44100);
+    expect(decoded.numberOfChannels).toBe(2);
+    expect(decoded.length).toBe(21 * 1152);
+  });
+
+  test('MPEG audio the JavaScript decoder cannot read is retried natively as a clean frame stream', async () => {
+    const id3 = [...'ID3'].map(c => c.charCodeAt(0)).concat([3, 0, 0, 0, 0, 0, 4, 9, 9, 9, 9]);
+    const file = Uint8Array.from([...id3, ...mp2Frame(), ...mp2Frame(), ...mp2Frame()]);
+    const seen = [];
+    // This "browser" only accepts streams that start with a frame
+    const context = fakeContext(bytes => {
+      seen.push(bytes.length);
+      if (bytes[0] !== 0xff) throw new Error('EncodingError');
+      return audioBuffer([new Float32Array(3456)], 44100);
+    });
+    const decoded = await decodeAudioFile(file.buffer, { audioContext: context });
+    expect(seen).toEqual([file.length, 3 * 417]);
+    expect(decoded.decoder).toMatchObject({ id: 'mp3-repaired', format: 'mp3', fallbackReason: 'EncodingError' });
+    expect(decoded.length).toBe(3456);
+  });
+
+  test('lists every attempt when nothing can decode the file', async () => {
+    const context = fakeContext(() => {
+      throw new Error('EncodingError');
+    });
+    await expect(decodeAudioFile(new Uint8Array(64).buffer, { audioContext: context })).rejects.toMatchObject({
+      message: `Unrecognized audio format. ${DECODERS.native}: EncodingError`,
+      format: null,
+      attempts: [{ decoder: 'native', message: 'EncodingError' }]
+    });
+  });
+});
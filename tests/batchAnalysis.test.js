@@ -0,0 +1,61 @@
+import { analyzeWav, analyzeWavBatch } from '../src/batchAnalysis.js';
+import { encodeWav } from '../src/utils/wav.js';
+import { SUMMARY_COLUMNS, analysisToJson, summariesToCsv, summarizeAnalysis } from '../src/utils/summary.js';
+
+// No navigator or window here: the analysis must not need a browser
+
+const SR = 8000;
+
+// 220 Hz tone with a click every half second
+function testSignal(seconds) {
+  const out = new Float32Array(SR * seconds);
+  for (let i = 0; i < out.length; i++) {
+    out[i] = 0.3 * Math.sin(2 * Math.PI * 220 * i / SR);
+    const sinceClick = i % (SR / 2);
+    if (sinceClick < 200) out[i] += 0.8 * Math.exp(-sinceClick / 40) * (sinceClick % 2 ? 1 : -1);
+  }
+  return out;
+}
+
+describe('analyzeWav', () => {
+  test('runs the pipeline on a decoded WAV file', async () => {
+    expect(typeof navigator).toBe('undefined');
+    const signal = testSignal(6);
+    const result = await analyzeWav(encodeWav([signal, signal], SR, { bitsPerSample: 24 }));
+    expect(result.source).toEqual({ format: 'pcm', bitsPerSample: 24 });
+    expect(result.channelCount).toBe(2);
+    expect(result.duration).toBeCloseTo(6);
+    expect(result.rhythm.tempo).toBeGreaterThan(100);
+    expect(result.rhythm.tempo).toBeLessThan(140);
+    expect(result.scale.tonic.note).toBe('A');
+
+    const row = summarizeAnalysis(result, 'clicks.wav');
+    expect(Object.keys(row)).toEqual(SUMMARY_COLUMNS.map(([name]) => name));
+    expect(row).toMatchObject({ file: 'clicks.wav', duration_s: 6, channels: 2, tempo_bpm: result.rhythm.tempo, tonic: result.scale.tonic.label });
+    expect(JSON.parse(analysisToJson(result)).scale.scale).toBe(result.scale.scale);
+  });
+});
+
+describe('analyzeWavBatch', () => {
+  test('one row per file; a broken file is reported and the rest still run', async () => {
+    const seen = [];
+    async function* files() {
+      yield { name: 'good.wav', data: encodeWav(testSignal(3), SR) };
+      yield { name: 'broken.wav', data: new Uint8Array(12) };
+    }
+    const rows = await analyzeWavBatch(files(), {}, { onFile: ({ name, error }) => seen.push([name, !!error]) });
+    expect(seen).toEqual([['good.wav', false], ['broken.wav', true]]);
+    expect(rows[0].tempo_bpm).toBeGreaterThan(0);
+    expect(rows[1]).toMatchObject({ file: 'broken.wav', tempo_bpm: null, error: 'Not a WAV file (missing RIFF/WAVE header)' });
+
+    const lines = summariesToCsv(rows).split('\n');
+    expect(lines).toHaveLength(3);
+    expect(lines[0].split(',')).toEqual([...SUMMARY_COLUMNS.map(([name]) => name), 'error']);
+    expect(lines[2]).toMatch(/^broken\.wav,,/);
+  });
+
+  test('CSV fields with commas or quotes are quoted', () => {
+    const csv = summariesToCsv([{ ...summarizeAnalysis({}, 'Song, "live".wav') }]);
+    expect(csv.split('\n')[1]).toMatch(/^"Song, ""live""\.wav",/);
+  });
+});
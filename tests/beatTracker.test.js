@@ -0,0 +1,85 @@
+import {
+  onsetFrameCount,
+  onsetStrengthEnvelope,
+  trackBeats,
+  trackBeatsFromEnvelope,
+} from '../src/utils/beatTracker.js';
+import { createSeededRandom } from '../src/utils/random.js';
+
+const SR = 22050;
+
+// Decaying noise bursts at the given times
+function clicks(times, seconds) {
+  const out = new Float32Array(SR * seconds);
+  const random = createSeededRandom(5);
+  times.forEach(t => {
+    const start = Math.floor(t * SR);
+    for (let i = 0; i < 800 && start + i < out.length; i++) {
+      out[start + i] += (random() * 2 - 1) * Math.exp(-i / 150);
+    }
+  });
+  return out;
+}
+
+function steadyBeats(period, seconds, jitter = 0) {
+  const random = createSeededRandom(9);
+  const times = [];
+  for (let t = 0.1; t < seconds; t += period) times.push(t + (random() - 0.5) * jitter);
+  return times;
+}
+
+describe('onset envelope', () => {
+  test('chunked computation matches a single pass', () => {
+    const signal = clicks(steadyBeats(0.5, 4), 4);
+    const whole = onsetStrengthEnvelope(signal);
+    const count = onsetFrameCount(signal.length);
+    const chunked = new Float32Array(count);
+    for (let f = 0; f < count; f += 37) chunked.set(onsetStrengthEnvelope(signal, {}, f, f + 37), f);
+    expect(Array.from(chunked)).toEqual(Array.from(whole));
+  });
+});
+
+describe('trackBeats', () => {
+  test('steady 120 BPM clicks', () => {
+    const result = trackBeats(clicks(steadyBeats(0.5, 20), 20), SR);
+    expect(result.tempo).toBeGreaterThan(117);
+    expect(result.tempo).toBeLessThan(123);
+    expect(result.beats.length).toBeGreaterThanOrEqual(38);
+    expect(result.stability).toBeGreaterThan(0.9);
+    expect(result.tempoCandidates[0].relation).toBe('×1');
+    expect(result.tempoCandidates.map(c => c.relation)).toContain('×½');
+  });
+
+  test('beats land on the clicks', () => {
+    const times = steadyBeats(0.6, 12);
+    const { beats } = trackBeats(clicks(times, 12), SR);
+    beats.forEach(beat => {
+      const nearest = Math.min(...times.map(t => Math.abs(t - beat)));
+      expect(nearest).toBeLessThan(0.05);
+    });
+  });
+
+  test('follows an accelerando in the tempo curve', () => {
+    const times = [];
+    for (let t = 0.1, period = 1; t < 30; t += period, period = Math.max(0.4, period * 0.97)) times.push(t);
+    const { tempoCurve, beats, tempoRange } = trackBeats(clicks(times, 30), SR);
+    expect(beats.length).toBeGreaterThanOrEqual(times.length - 2);
+    expect(tempoCurve[0].bpm).toBeLessThan(75);
+    expect(tempoCurve[tempoCurve.length - 1].bpm).toBeGreaterThan(135);
+    expect(tempoRange.max - tempoRange.min).toBeGreaterThan(60);
+  });
+
+  test('stability separates loose timing from free rhythm', () => {
+    const loose = trackBeats(clicks(steadyBeats(0.5, 20, 0.04), 20), SR);
+    const random = createSeededRandom(3);
+    const free = [];
+    for (let t = 0.1; t < 20; t += 0.2 + random()) free.push(t);
+    const freeResult = trackBeats(clicks(free, 20), SR);
+    expect(loose.stability).toBeGreaterThan(freeResult.stability);
+  });
+
+  test('too short or silent input gives an empty result', () => {
+    expect(trackBeats(new Float32Array(SR), SR).beats).toEqual([]);
+    expect(trackBeatsFromEnvelope(new Float32Array(500), SR / 512).tempo).toBe(0);
+  });
+});
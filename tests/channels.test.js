@@ -0,0 +1,85 @@
+import { downmix, midSide, selectChannels, stereoImage } from '../src/utils/channels.js';
+import { createSeededRandom } from '../src/utils/random.js';
+
+const SR = 22050;
+
+function tone(frequency, amplitude, seconds = 1) {
+  const out = new Float32Array(SR * seconds);
+  for (let i = 0; i < out.length; i++) out[i] = amplitude * Math.sin((2 * Math.PI * frequency * i) / SR);
+  return out;
+}
+
+function noise(seed, seconds = 1) {
+  const random = createSeededRandom(seed);
+  return Float32Array.from({ length: SR * seconds }, () => random() * 2 - 1);
+}
+
+const add = (a, b) => a.map((x, i) => x + b[i]);
+
+describe('channel selection', () => {
+  test('downmix, mid and side', () => {
+    const left = Float32Array.from([1, 0.5, 0]);
+    const right = Float32Array.from([0, 0.5, 1]);
+    expect(Array.from(downmix([left, right]))).toEqual([0.5, 0.5, 0.5]);
+    const { mid, side } = midSide(left, right);
+    expect(Array.from(mid)).toEqual([0.5, 0.5, 0.5]);
+    expect(Array.from(side)).toEqual([0.5, 0, -0.5]);
+  });
+
+  test('modes give the expected signals', () => {
+    const channels = [tone(220, 0.5), tone(330, 0.5)];
+    expect(selectChannels(channels, 'left')[0].data).toBe(channels[0]);
+    expect(selectChannels(channels, 'right')[0].label).toBe('Right');
+    expect(selectChannels(channels, 'mid-side').map(signal => signal.id)).toEqual(['mid', 'side']);
+    expect(selectChannels(channels, 'each').map(signal => signal.label)).toEqual(['Left', 'Right']);
+    expect(selectChannels([...channels, tone(440, 0.5)], 'each')[2].label).toBe('Channel 3');
+    expect(selectChannels(channels).map(signal => signal.id)).toEqual(['mix']);
+  });
+
+  test('mono input always gives its one channel', () => {
+    const mono = tone(220, 0.5);
+    expect(selectChannels([mono], 'side')).toEqual([{ id: 'mono', label: 'Mono', data: mono }]);
+  });
+
+  test('unknown mode', () => {
+    expect(() => selectChannels([tone(220, 0.5)], 'surround')).toThrow(/Unknown channel mode/);
+  });
+});
+
+describe('stereoImage', () => {
+  test('identical channels are mono', () => {
+    const signal = tone(220, 0.5);
+    const image = stereoImage(signal, signal, SR);
+    expect(image.correlation).toBe(1);
+    expect(image.width).toBe(0);
+    expect(image.balance).toBe(0);
+    expect(image.bands.every(band => band.position === 'centre')).toBe(true);
+  });
+
+  test('unrelated channels are wide, inverted ones out of phase', () => {
+    const wide = stereoImage(noise(1), noise(2), SR);
+    expect(Math.abs(wide.correlation)).toBeLessThan(0.05);
+    expect(wide.width).toBeCloseTo(0.5, 1);
+    const signal = tone(220, 0.5);
+    const inverted = stereoImage(signal, signal.map(x => -x), SR);
+    expect(inverted.correlation).toBe(-1);
+    expect(inverted.width).toBe(1);
+  });
+
+  test('a drum panned left against a centred voice', () => {
+    const voice = tone(440, 0.3);
+    const drum = tone(80, 0.5);
+    const image = stereoImage(add(voice, drum.map(x => 0.9 * x)), add(voice, drum.map(x => 0.1 * x)), SR);
+    expect(image.balance).toBeLessThan(0);
+    const low = image.bands.find(band => band.name === 'low');
+    const mid = image.bands.find(band => band.name === 'mid');
+    expect(low.position).toBe('left');
+    expect(low.pan).toBeLessThan(-0.5);
+    expect(mid.position).toBe('centre');
+  });
+
+  test('silence', () => {
+    const silence = new Float32Array(SR);
+    expect(stereoImage(silence, silence, SR)).toMatchObject({ correlation: 1, width: 0, balance: null });
+  });
+});
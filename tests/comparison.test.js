@@ -0,0 +1,84 @@
+import { COMPARISON_FEATURES, compareAnalyses, normalizeFeature, pitchContourPoints, tempoCurvePoints } from '../src/utils/comparison.js';
+import { runAnalysisPipeline } from '../src/analysisPipeline.js';
+
+function fakeResult({ frequency = 220, tempo = 100, duration = 10, scale = 'Major', meter = '4/4' } = {}) {
+  return {
+    duration,
+    rhythm: {
+      tempo,
+      regularity: 0.8,
+      stability: 0.9,
+      onsets: { times: Array.from({ length: duration * 2 }, (_, i) => i / 2) },
+      tempoCurve: [{ time: 0, bpm: tempo - 2 }, { time: duration / 2, bpm: tempo + 2 }],
+      meter: { label: meter }
+    },
+    pitchTrack: Array.from({ length: 100 }, (_, i) => ({ time: i * duration / 100, frequency: i % 4 === 3 ? 0 : frequency * (i % 2 ? 1.5 : 1), voiced: i % 4 !== 3 })),
+    scale: { scale, confidence: 0.6, tonic: { note: 'A', frequency } },
+    spectral: { centroid: 1000, brightness: 0.3 },
+    features: { flatness: { mean: 0.1 } },
+    loudness: { integrated: -20, loudnessRange: 6 },
+    instrument: { candidates: [{ instrument: 'Voice' }] }
+  };
+}
+
+describe('compareAnalyses', () => {
+  test('differences, with pitch in cents', () => {
+    const { features, categories, similarity } = compareAnalyses(fakeResult(), fakeResult({ frequency: 440, tempo: 90, scale: 'Dorian' }));
+    const byKey = Object.fromEntries(features.map(f => [f.key, f]));
+    expect(byKey.tempo).toMatchObject({ a: 100, b: 90, difference: -10, unit: 'BPM' });
+    expect(byKey.medianPitch.differenceUnit).toBe('cents');
+    expect(byKey.medianPitch.difference).toBeCloseTo(1200);
+    expect(byKey.tonic.difference).toBeCloseTo(1200);
+    expect(byKey.pitchRange.a).toBeCloseTo(7.02, 1);
+    expect(byKey.voiced.a).toBe(0.75);
+    expect(byKey.onsetRate.a).toBe(2);
+    expect(categories.find(c => c.key === 'scale')).toEqual({ key: 'scale', label: 'Scale / mode', a: 'Major', b: 'Dorian', same: false });
+    expect(categories.find(c => c.key === 'meter').same).toBe(true);
+    expect(similarity).toBeGreaterThan(0.5);
+    expect(similarity).toBeLessThan(1);
+    expect(compareAnalyses(fakeResult(), fakeResult()).similarity).toBe(1);
+  });
+
+  test('missing features stay empty', () => {
+    const bare = { duration: 5, rhythm: { tempo: 120 } };
+    const { features, categories, similarity } = compareAnalyses(bare, fakeResult());
+    const byKey = Object.fromEntries(features.map(f => [f.key, f]));
+    expect(byKey.medianPitch).toMatchObject({ a: null, difference: null, normalized: { a: null } });
+    expect(byKey.tempo.difference).toBe(-20);
+    expect(categories.find(c => c.key === 'scale').same).toBe(false);
+    expect(similarity).toBeCloseTo(1 - Math.abs(normalizeFeature(COMPARISON_FEATURES[0], 120) - normalizeFeature(COMPARISON_FEATURES[0], 100)));
+  });
+
+  test('normalized values are clamped to 0-1, log-scaled for frequencies', () => {
+    const centroid = COMPARISON_FEATURES.find(f => f.key === 'centroid');
+    expect(normalizeFeature(centroid, 100)).toBe(0);
+    expect(normalizeFeature(centroid, Math.sqrt(100 * 8000))).toBeCloseTo(0.5);
+    expect(normalizeFeature(centroid, 20000)).toBe(1);
+    expect(normalizeFeature(centroid, null)).toBeNull();
+  });
+
+  test('a fifth higher on real analyses', async () => {
+    const sr = 8000;
+    const tone = frequency => Float32Array.from({ length: sr * 3 }, (_, i) => 0.4 * Math.sin(2 * Math.PI * frequency * i / sr));
+    const low = await runAnalysisPipeline([tone(220)], sr);
+    const high = await runAnalysisPipeline([tone(330)], sr);
+    const medianPitch = compareAnalyses(low, high).features.find(f => f.key === 'medianPitch');
+    expect(Math.abs(medianPitch.difference - 702)).toBeLessThan(20);
+  });
+});
+
+describe('overlay points', () => {
+  test('pitch contour in MIDI notes, voiced frames only', () => {
+    const points = pitchContourPoints(fakeResult());
+    expect(points).toHaveLength(75);
+    expect(points[0]).toEqual({ x: 0, y: 57 });
+    expect(points[1].y).toBeCloseTo(57 + 7.02, 1);
+    expect(pitchContourPoints(fakeResult(), { relative: true })[1].x).toBeCloseTo(1);
+  });
+
+  test('tempo curve, or a flat line at the tempo', () => {
+    expect(tempoCurvePoints(fakeResult({ duration: 20 }), { relative: true })).toEqual([{ x: 0, y: 98 }, { x: 50, y: 102 }]);
+    expect(tempoCurvePoints({ duration: 8, rhythm: { tempo: 72 } })).toEqual([{ x: 0, y: 72 }, { x: 8, y: 72 }]);
+    expect(tempoCurvePoints({ duration: 8 })).toEqual([]);
+  });
+});
@@ -0,0 +1,61 @@
+import { columnStatistics, corpusStatistics, corpusToJson, countValues, histogram, sortSummaries } from '../src/utils/corpus.js';
+import { summarizeAnalysis } from '../src/utils/summary.js';
+
+function row(file, tempo, scale, tonic = 'A3', meter = '4/4') {
+  return summarizeAnalysis({
+    duration: 30,
+    rhythm: { tempo, meter: { label: meter } },
+    scale: { scale, tonic: { label: tonic } },
+    spectral: { centroid: 1000 + tempo }
+  }, file);
+}
+
+const corpus = [
+  row('a.wav', 72, 'Major'),
+  row('b.wav', 118, 'Dorian', 'D4', '6/8'),
+  row('c.wav', 121, 'Major', 'A2'),
+  { ...summarizeAnalysis({}, 'broken.mp3'), error: 'Could not decode' },
+  row('d.wav', 96, 'Pentatonic', 'C#3')
+];
+
+describe('corpus statistics', () => {
+  test('sorting numbers, text and missing values', () => {
+    expect(sortSummaries(corpus, 'tempo_bpm').map(r => r.file)).toEqual(['a.wav', 'd.wav', 'b.wav', 'c.wav', 'broken.mp3']);
+    expect(sortSummaries(corpus, 'tempo_bpm', 'desc').map(r => r.file)).toEqual(['c.wav', 'b.wav', 'd.wav', 'a.wav', 'broken.mp3']);
+    expect(sortSummaries(corpus, 'scale').map(r => r.scale)).toEqual(['Dorian', 'Major', 'Major', 'Pentatonic', null]);
+    expect(sortSummaries([{ file: 'take10' }, { file: 'take9' }], 'file').map(r => r.file)).toEqual(['take9', 'take10']);
+  });
+
+  test('tempo histogram includes empty bins', () => {
+    expect(histogram(corpus, 'tempo_bpm', { binWidth: 20 })).toEqual([
+      { start: 60, end: 80, count: 1 },
+      { start: 80, end: 100, count: 1 },
+      { start: 100, end: 120, count: 1 },
+      { start: 120, end: 140, count: 1 }
+    ]);
+    expect(histogram([], 'tempo_bpm')).toEqual([]);
+  });
+
+  test('value counts and column statistics', () => {
+    expect(countValues(corpus, 'scale')).toEqual([{ value: 'Major', count: 2 }, { value: 'Dorian', count: 1 }, { value: 'Pentatonic', count: 1 }]);
+    const tempo = columnStatistics(corpus, 'tempo_bpm');
+    expect(tempo).toMatchObject({ count: 4, mean: 101.75, median: 107, min: 72, max: 121 });
+    expect(tempo.std).toBeCloseTo(19.7, 1);
+    expect(columnStatistics(corpus, 'loudness_lufs')).toBeNull();
+  });
+
+  test('summary of a corpus, with failed files counted apart', () => {
+    const stats = corpusStatistics(corpus);
+    expect(stats).toMatchObject({ files: 5, analyzed: 4, failed: 1 });
+    expect(stats.scales[0]).toEqual({ value: 'Major', count: 2 });
+    expect(stats.tonics).toEqual([{ value: 'A', count: 2 }, { value: 'C#', count: 1 }, { value: 'D', count: 1 }]);
+    expect(stats.meters[0]).toEqual({ value: '4/4', count: 3 });
+    expect(stats.columns.centroid_hz.max).toBe(1121);
+    expect(stats.tempoHistogram.reduce((sum, bin) => sum + bin.count, 0)).toBe(4);
+
+    const json = JSON.parse(corpusToJson(corpus));
+    expect(json.files).toHaveLength(5);
+    expect(json.files[3].error).toBe('Could not decode');
+    expect(json.statistics.analyzed).toBe(4);
+  });
+});
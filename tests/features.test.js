@@ -0,0 +1,92 @@
+import { AudioAnalyzer } from '../src/audioAnalyzer.js';
+import { CHROMA_LABELS, chroma, chromaMap, extractFeatures, melFilterbank, mfcc, spectralFlatness } from '../src/utils/features.js';
+import { magnitudeSpectrum } from '../src/utils/spectral.js';
+import { createSeededRandom } from '../src/utils/random.js';
+
+const SR = 22050;
+
+function tones(frequencies, seconds = 1) {
+  const out = new Float32Array(SR * seconds);
+  frequencies.forEach(frequency => {
+    for (let i = 0; i < out.length; i++) out[i] += (0.3 / frequencies.length) * Math.sin((2 * Math.PI * frequency * i) / SR);
+  });
+  return out;
+}
+
+function noise(seconds = 1, seed = 1) {
+  const random = createSeededRandom(seed);
+  return Float32Array.from({ length: SR * seconds }, () => 0.3 * (random() * 2 - 1));
+}
+
+describe('feature functions', () => {
+  test('mel filterbank covers the range with rising, non-empty filters', () => {
+    const bank = melFilterbank(1025, SR, { melBands: 26 });
+    expect(bank).toHaveLength(26);
+    bank.forEach(filter => expect(filter.weights.length).toBeGreaterThan(0));
+    for (let m = 1; m < bank.length; m++) expect(bank[m].start).toBeGreaterThanOrEqual(bank[m - 1].start);
+  });
+
+  test('flatness separates noise from a tone', () => {
+    expect(spectralFlatness(magnitudeSpectrum(noise().subarray(0, 2048)))).toBeGreaterThan(0.3);
+    expect(spectralFlatness(magnitudeSpectrum(tones([440]).subarray(0, 2048)))).toBeLessThan(0.05);
+  });
+
+  test('chroma of an A major triad', () => {
+    const map = chromaMap(1025, SR);
+    const profile = chroma(magnitudeSpectrum(tones([220, 277.18, 329.63]).subarray(0, 2048)), map);
+    const top = profile
+      .map((value, pc) => ({ value, label: CHROMA_LABELS[pc] }))
+      .sort((a, b) => b.value - a.value)
+      .slice(0, 3)
+      .map(entry => entry.label)
+      .sort();
+    expect(top).toEqual(['A', 'C#', 'E']);
+    expect(Math.max(...profile)).toBe(1);
+    expect(chroma(new Float32Array(1025), map).every(value => value === 0)).toBe(true);
+  });
+
+  test('MFCCs: the first coefficient follows level, the shape does not', () => {
+    const bank = melFilterbank(1025, SR);
+    const quiet = mfcc(magnitudeSpectrum(noise().subarray(0, 2048).map(x => 0.1 * x)), bank);
+    const loud = mfcc(magnitudeSpectrum(noise().subarray(0, 2048)), bank);
+    expect(loud).toHaveLength(13);
+    expect(loud[0]).toBeGreaterThan(quiet[0]);
+    expect(loud[3]).toBeCloseTo(quiet[3], 6);
+  });
+});
+
+describe('extractFeatures', () => {
+  test('frame-level and summary outputs', () => {
+    const result = extractFeatures(tones([440], 2), SR);
+    expect(result.frameCount).toBe(Math.floor((SR * 2 - 2048) / 1024) + 1);
+    expect(result.frameTimes).toHaveLength(result.frameCount);
+    expect(result.mfcc.frames).toHaveLength(result.frameCount);
+    expect(result.mfcc.mean).toHaveLength(13);
+    expect(result.contrast.mean).toHaveLength(7);
+    expect(typeof result.flatness.mean).toBe('number');
+    // A steady A: the A chroma bin is the strongest in every frame
+    expect(result.chroma.mean[9]).toBe(1);
+    expect(result.chroma.variance[9]).toBe(0);
+    expect(result.mfcc.variance.every(value => value >= 0)).toBe(true);
+  });
+
+  test('a tone has more spectral contrast than noise', () => {
+    const tone = extractFeatures(tones([440, 880, 1320], 2), SR, { keepFrames: false });
+    const hiss = extractFeatures(noise(2), SR, { keepFrames: false });
+    expect(tone.mfcc.frames).toBeUndefined();
+    // Octave band 400-800 Hz holds the 440 Hz partial
+    expect(tone.contrast.mean[2]).toBeGreaterThan(hiss.contrast.mean[2] + 20);
+    expect(hiss.flatness.mean).toBeGreaterThan(tone.flatness.mean);
+  });
+});
+
+describe('AudioAnalyzer.extractFeatures', () => {
+  test('uses the spectral framing and records its settings', () => {
+    const analyzer = new AudioAnalyzer({ sampleRate: SR, spectral: { hopSize: 512 }, features: { mfccCount: 20 } });
+    const result = analyzer.extractFeatures(tones([440], 1), { keepFrames: false });
+    expect(result.frameCount).toBe(Math.floor((SR - 2048) / 512) + 1);
+    expect(result.mfcc.mean).toHaveLength(20);
+    expect(result.meta.params.hopSize).toBe(512);
+    expect(analyzer.getOptions().features.mfccCount).toBe(20);
+  });
+});
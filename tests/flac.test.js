@@ -0,0 +1,195 @@
+import { crc16, crc8, decodeFlac, isFlac } from '../src/utils/flac.js';
+import { sniffAudioFormat } from '../src/utils/audioFormats.js';
+
+// A small FLAC writer covering every subframe type, so the decoder can be checked sample for sample
+
+function bitWriter() {
+  const bits = [];
+  return {
+    write(value, count) {
+      for (let i = count - 1; i >= 0; i--) bits.push(Math.floor(value / 2 ** i) % 2);
+    },
+    writeSigned(value, count) {
+      this.write(value < 0 ? value + 2 ** count : value, count);
+    },
+    unary(zeros) {
+      for (let i = 0; i < zeros; i++) bits.push(0);
+      bits.push(1);
+    },
+    bytes() {
+      while (bits.length % 8) bits.push(0);
+      return Array.from({ length: bits.length / 8 }, (_, i) => bits.slice(i * 8, i * 8 + 8).reduce((a, b) => a * 2 + b, 0));
+    }
+  };
+}
+
+// Residual with `partitionOrder` partitions; partitions listed in `escaped` are written raw
+function writeResidual(w, residual, blockSize, order, { partitionOrder = 0, rice2 = false, escaped = [] }) {
+  w.write(rice2 ? 1 : 0, 2);
+  w.write(partitionOrder, 4);
+  const size = blockSize >> partitionOrder;
+  let index = 0;
+  for (let p = 0; p < 1 << partitionOrder; p++) {
+    const values = residual.slice(index, index + size - (p === 0 ? order : 0));
+    index += values.length;
+    if (escaped.includes(p)) {
+      w.write(rice2 ? 31 : 15, rice2 ? 5 : 4);
+      w.write(20, 5);
+      values.forEach(v => w.writeSigned(v, 20));
+      continue;
+    }
+    const folded = values.map(v => (v >= 0 ? 2 * v : -2 * v - 1));
+    const mean = folded.reduce((a, b) => a + b, 0) / Math.max(1, folded.length);
+    const k = Math.max(0, Math.min(rice2 ? 30 : 14, Math.floor(Math.log2(mean + 1))));
+    w.write(k, rice2 ? 5 : 4);
+    folded.forEach(u => {
+      w.unary(Math.floor(u / 2 ** k));
+      w.write(u % 2 ** k, k);
+    });
+  }
+}
+
+const LPC = { coefficients: [1800, -850], precision: 13, shift: 10 };
+
+function writeSubframe(w, samples, bits, { type, wasted = 0, ...residualOptions }) {
+  const shifted = samples.map(s => s / 2 ** wasted);
+  const sampleBits = bits - wasted;
+  const typeCode = { constant: 0, verbatim: 1, fixed2: 10, lpc: 32 + LPC.coefficients.length - 1 }[type];
+  w.write(0, 1);
+  w.write(typeCode, 6);
+  if (wasted > 0) {
+    w.write(1, 1);
+    w.unary(wasted - 1);
+  } else {
+    w.write(0, 1);
+  }
+  if (type === 'constant') return w.writeSigned(shifted[0], sampleBits);
+  if (type === 'verbatim') return shifted.forEach(s => w.writeSigned(s, sampleBits));
+  const order = type === 'fixed2' ? 2 : LPC.coefficients.length;
+  shifted.slice(0, order).forEach(s => w.writeSigned(s, sampleBits));
+  if (type === 'lpc') {
+    w.write(LPC.precision - 1, 4);
+    w.writeSigned(LPC.shift, 5);
+    LPC.coefficients.forEach(c => w.writeSigned(c, LPC.precision));
+  }
+  const residual = [];
+  for (let i = order; i < shifted.length; i++) {
+    const prediction = type === 'fixed2'
+      ? 2 * shifted[i - 1] - shifted[i - 2]
+      : Math.floor(LPC.coefficients.reduce((sum, c, j) => sum + c * shifted[i - 1 - j], 0) / 2 ** LPC.shift);
+    residual.push(shifted[i] - prediction);
+  }
+  writeResidual(w, residual, shifted.length, order, residualOptions);
+}
+
+const ASSIGNMENTS = { independent: null, 'left-side': 8, 'side-right': 9, 'mid-side': 10 };
+
+/**
+ * @param {Array<Array<number>>} channels - Integer samples
+ * @param {Object} options - { bits, blockSize, sampleRate, stereo, subframe: (frameIndex, channel) => options }
+ */
+function encodeFlac(channels, { bits = 16, blockSize = 1024, sampleRate = 8000, stereo = 'independent', subframe }) {
+  const length = channels[0].length;
+  const info = bitWriter();
+  info.write(blockSize, 16);
+  info.write(blockSize, 16);
+  info.write(0, 24);
+  info.write(0, 24);
+  info.write(sampleRate, 20);
+  info.write(channels.length - 1, 3);
+  info.write(bits - 1, 5);
+  info.write(0, 4);
+  info.write(length, 32);
+  for (let i = 0; i < 16; i++) info.write(0, 8);
+  const out = [...'fLaC'].map(c => c.charCodeAt(0));
+  out.push(0x80, 0, 0, 34, ...info.bytes());
+
+  for (let frame = 0, start = 0; start < length; frame++, start += blockSize) {
+    const size = Math.min(blockSize, length - start);
+    let block = channels.map(channel => channel.slice(start, start + size));
+    const assignment = ASSIGNMENTS[stereo];
+    if (assignment !== null) {
+      const [l, r] = block;
+      const side = l.map((v, i) => v - r[i]);
+      block = assignment === 8 ? [l, side] : assignment === 9 ? [side, r] : [l.map((v, i) => Math.floor((v + r[i]) / 2)), side];
+    }
+    const header = bitWriter();
+    header.write(0x3ffe, 14);
+    header.write(0, 2);
+    header.write(7, 4); // 16-bit block size at the end of the header
+    header.write(0, 4); // Sample rate from STREAMINFO
+    header.write(assignment ?? channels.length - 1, 4);
+    header.write(0, 3); // Sample size from STREAMINFO
+    header.write(0, 1);
+    const headerBytes = [...header.bytes(), frame, (size - 1) >> 8, (size - 1) & 0xff];
+    headerBytes.push(crc8(headerBytes, 0, headerBytes.length));
+
+    const body = bitWriter();
+    block.forEach((samples, c) => {
+      const isSide = (assignment === 8 && c === 1) || (assignment === 9 && c === 0) || (assignment === 10 && c === 1);
+      writeSubframe(body, samples, bits + (isSide ? 1 : 0), subframe(frame, c));
+    });
+    const frameBytes = [...headerBytes, ...body.bytes()];
+    const crc = crc16(frameBytes, 0, frameBytes.length);
+    out.push(...frameBytes, crc >> 8, crc & 0xff);
+  }
+  return Uint8Array.from(out);
+}
+
+function tone(length, amplitude, frequency, phase = 0) {
+  // `|| 0` turns -0 into 0
+  return Array.from({ length }, (_, i) => Math.round(amplitude * Math.sin(2 * Math.PI * frequency * i / 8000 + phase)) || 0);
+}
+
+describe('decodeFlac', () => {
+  test('constant, verbatim, fixed and LPC subframes over several frames', () => {
+    const samples = tone(3000, 12000, 440);
+    samples.fill(-77, 1024, 2048); // Second frame is one value
+    const types = ['lpc', 'constant', 'verbatim'];
+    const flac = encodeFlac([samples], { subframe: frame => ({ type: types[frame] || 'fixed2', partitionOrder: 1 }), blockSize: 1024 });
+    // A final frame of 952 samples in a fourth frame: fixed order 2
+    const wav = decodeFlac(flac);
+    expect(wav).toMatchObject({ sampleRate: 8000, bitsPerSample: 16, format: 'flac', damagedFrames: 0 });
+    expect(wav.channels).toHaveLength(1);
+    expect(Array.from(wav.channels[0], v => v * 32768)).toEqual(samples);
+    expect(wav.duration).toBe(3000 / 8000);
+  });
+
+  test.each(Object.keys(ASSIGNMENTS))('%s stereo', (stereo) => {
+    const left = tone(2048, 9000, 300);
+    const right = tone(2048, 7000, 500, 1);
+    const flac = encodeFlac([left, right], { stereo, subframe: () => ({ type: 'lpc', partitionOrder: 2, rice2: true, escaped: [1] }) });
+    const { channels } = decodeFlac(flac);
+    expect(Array.from(channels[0], v => v * 32768)).toEqual(left);
+    expect(Array.from(channels[1], v => v * 32768)).toEqual(right);
+  });
+
+  test('24-bit samples with wasted low bits', () => {
+    const samples = tone(1500, 1500000, 220).map(v => v * 4);
+    const flac = encodeFlac([samples], { bits: 24, subframe: () => ({ type: 'fixed2', wasted: 2 }) });
+    expect(Array.from(decodeFlac(flac).channels[0], v => Math.round(v * 8388608))).toEqual(samples);
+  });
+
+  test('a damaged frame becomes silence and the rest still decodes', () => {
+    const samples = tone(4096, 10000, 440);
+    const flac = encodeFlac([samples], { subframe: () => ({ type: 'verbatim' }) });
+    // Corrupt audio in the second frame (42 bytes of header and STREAMINFO, then 2059-byte frames)
+    flac[42 + 2059 + 500] ^= 0xff;
+    const wav = decodeFlac(flac);
+    expect(wav.damagedFrames).toBe(1);
+    const decoded = Array.from(wav.channels[0], v => v * 32768);
+    expect(decoded).toHaveLength(4096);
+    expect(decoded.slice(1024, 2048).every(v => v === 0)).toBe(true);
+    expect(decoded.slice(2048)).toEqual(samples.slice(2048));
+  });
+
+  test('ID3 tags are skipped; other files are rejected', () => {
+    const flac = encodeFlac([tone(500, 5000, 440)], { subframe: () => ({ type: 'fixed2' }) });
+    const id3 = [...'ID3'].map(c => c.charCodeAt(0)).concat([4, 0, 0, 0, 0, 0, 5, 1, 2, 3, 4, 5]);
+    const tagged = Uint8Array.from([...id3, ...flac]);
+    expect(isFlac(tagged)).toBe(true);
+    expect(sniffAudioFormat(tagged)).toBe('flac');
+    expect(decodeFlac(tagged.buffer).channels[0]).toHaveLength(500);
+    expect(() => decodeFlac(new Uint8Array(16))).toThrow('Not a FLAC file');
+  });
+});
@@ -0,0 +1,126 @@
+import { AudioAnalyzer } from '../src/audioAnalyzer.js';
+import { InstrumentIdentifier } from '../src/games.js';
+import { INSTRUMENT_PROFILES, measureInstrumentFeatures, rankInstruments } from '../src/utils/instruments.js';
+import { detectOnsets } from '../src/utils/onsets.js';
+import { trackPitch } from '../src/utils/pitchTracker.js';
+import { createSeededRandom } from '../src/utils/random.js';
+
+const SR = 22050;
+
+// One note per frequency, each `seconds` long, sample values from make(frequency, t)
+function notes(frequencies, seconds, make) {
+  const length = Math.round(SR * seconds);
+  const out = new Float32Array(length * frequencies.length);
+  frequencies.forEach((frequency, n) => {
+    for (let i = 0; i < length; i++) out[n * length + i] = make(frequency, i / SR);
+  });
+  return out;
+}
+
+// Sum of partials with amplitude(h); stretch is the inharmonicity coefficient B
+function partials(frequency, t, count, amplitude, stretch = 0) {
+  let value = 0;
+  for (let h = 1; h <= count; h++) {
+    const f = h * frequency * Math.sqrt(1 + stretch * h * h);
+    if (f < SR / 2) value += amplitude(h) * Math.sin(2 * Math.PI * f * t);
+  }
+  return value;
+}
+
+function identify(signal) {
+  const features = measureInstrumentFeatures(signal, SR, {
+    onsetTimes: detectOnsets(signal, SR).times,
+    pitchTrack: trackPitch(signal, SR)
+  });
+  return { features, candidates: rankInstruments(features) };
+}
+
+describe('measureInstrumentFeatures / rankInstruments', () => {
+  test('plucked notes: fast attack, fast decay, a plucked string on top', () => {
+    const signal = notes([220, 262, 330, 294, 247, 196], 0.8,
+      (f, t) => 0.3 * Math.min(1, t / 0.003) * partials(f, t, 10, h => Math.exp(-t * (3 + h)) / h));
+    const { features, candidates } = identify(signal);
+    expect(features.attackTime).toBeLessThan(0.02);
+    expect(features.decayRate).toBeGreaterThan(10);
+    expect(features.harmonicity).toBeGreaterThan(0.9);
+    expect(candidates[0].family).toBe('Plucked string');
+  });
+
+  test('bowed-like notes: slow attack and sustain rule out plucked and struck instruments', () => {
+    const signal = notes([440, 494, 523, 587], 1.5,
+      (f, t) => 0.3 * Math.min(1, t / 0.12, (1.5 - t) / 0.1) * partials(f, t, 10, h => 1 / h));
+    const { features, candidates } = identify(signal);
+    expect(features.attackTime).toBeGreaterThan(0.05);
+    expect(features.decayRate).toBeLessThan(4);
+    candidates.slice(0, 3).forEach(candidate => {
+      expect(candidate.family).not.toMatch(/Plucked|Struck|Drum|Idiophone/);
+    });
+  });
+
+  test('a low continuous drone is a didgeridoo', () => {
+    const signal = notes([70], 6, (f, t) => 0.3 * Math.min(1, t / 0.1) * partials(f, t, 20, h => 1 / Math.sqrt(h)));
+    const { features, candidates } = identify(signal);
+    expect(features.continuity).toBeGreaterThan(0.95);
+    expect(features.pitch).toBeCloseTo(70, 0);
+    expect(candidates[0].instrument).toBe('Didgeridoo');
+  });
+
+  test('hand drum strokes: unpitched percussion', () => {
+    const random = createSeededRandom(3);
+    // Membrane modes (circular drumhead ratios) under a short noise slap
+    const modes = [[1, 0.6], [1.59, 0.4], [2.14, 0.3], [2.3, 0.25], [2.65, 0.2], [2.92, 0.15]];
+    const signal = notes(new Array(8).fill(150), 0.4, (f, t) => 0.3 * Math.min(1, t / 0.001) * (
+      modes.reduce((sum, [ratio, amplitude]) => sum + amplitude * Math.exp(-t * 12 * ratio) * Math.sin(2 * Math.PI * f * ratio * t), 0) +
+      0.5 * Math.exp(-t * 60) * (random() * 2 - 1)
+    ));
+    const { features, candidates } = identify(signal);
+    expect(features.attackTime).toBeLessThan(0.01);
+    expect(features.decayRate).toBeGreaterThan(15);
+    expect(candidates[0].family).toMatch(/Drum|Idiophone/);
+  });
+
+  test('stretched partials give the inharmonicity coefficient', () => {
+    const signal = notes([110, 110], 1.5, (f, t) => 0.3 * Math.exp(-t * 2) * partials(f, t, 12, h => 1 / h, 0.001));
+    const { features } = identify(signal);
+    expect(features.inharmonicity).toBeGreaterThan(0.0005);
+    expect(features.inharmonicity).toBeLessThan(0.002);
+    expect(features.partialDeviation).toBeGreaterThan(5);
+  });
+
+  test('silence measures nothing', () => {
+    const features = measureInstrumentFeatures(new Float32Array(SR), SR, { onsetTimes: [], pitchTrack: [] });
+    expect(features).toMatchObject({ attackTime: null, harmonicity: null, pitch: null, continuity: 0 });
+    expect(rankInstruments(features)).toEqual([]);
+  });
+
+  test('profiles cover the instruments named in the culture data', () => {
+    const names = INSTRUMENT_PROFILES.map(profile => profile.name.toLowerCase());
+    ['kora', 'sitar', 'erhu', 'guzheng', 'djembe', 'steel pan', 'didgeridoo', 'bandoneón', 'tabla', 'shakuhachi'].forEach(name => {
+      expect(names.some(profileName => profileName.includes(name))).toBe(true);
+    });
+  });
+});
+
+describe('InstrumentIdentifier', () => {
+  test('ranks its profiles from measured features', () => {
+    const identifier = new InstrumentIdentifier();
+    const features = { attackTime: 0.1, decayRate: 0, continuity: 1, harmonicity: 0.9, pitch: 60, voicedRatio: 1 };
+    const candidates = identifier.identifyFromFeatures(features, { candidates: 3 });
+    expect(candidates).toHaveLength(3);
+    expect(candidates[0].instrument).toBe('Didgeridoo');
+    expect(candidates[0].matched).toEqual(expect.arrayContaining(['attackTime', 'pitch']));
+    expect(identifier.instruments).toContain(identifier.getRandomInstrument());
+  });
+});
+
+describe('AudioAnalyzer.identifyInstrument', () => {
+  test('detects onsets and pitch itself and records its settings', () => {
+    const analyzer = new AudioAnalyzer({ sampleRate: SR, instrument: { candidates: 3 } });
+    const signal = notes([220, 330], 0.8, (f, t) => 0.3 * Math.min(1, t / 0.003) * partials(f, t, 8, h => Math.exp(-t * 4) / h));
+    const result = analyzer.identifyInstrument(signal);
+    expect(result.candidates).toHaveLength(3);
+    expect(result.features.notesMeasured).toBeGreaterThan(0);
+    expect(result.meta.params.candidates).toBe(3);
+    expect(analyzer.getOptions().instrument.maxOnsets).toBe(60);
+  });
+});
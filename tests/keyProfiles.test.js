@@ -0,0 +1,110 @@
+import { AudioAnalyzer } from '../src/audioAnalyzer.js';
+import { CORPUS_PROFILES, KEY_BINS, estimateKey, scaleProfiles, templateProfile } from '../src/utils/keyProfiles.js';
+import { getAllScales } from '../src/scaleLibrary.js';
+
+const PROFILES = [...CORPUS_PROFILES, ...scaleProfiles(getAllScales())];
+
+// Time in each quarter-tone bin for semitones above `tonic` (C = 0), from { semitone: weight }
+function distribution(tonic, weights) {
+  const out = new Array(KEY_BINS).fill(0);
+  Object.entries(weights).forEach(([semitone, weight]) => { out[(2 * (tonic + Number(semitone))) % KEY_BINS] += weight; });
+  return out;
+}
+
+// A tonal melody: tonic and fifth dwell longest, the third next
+const MAJOR_MELODY = { 0: 30, 2: 10, 4: 20, 5: 10, 7: 25, 9: 10, 11: 8 };
+const MINOR_MELODY = { 0: 30, 2: 10, 3: 22, 5: 12, 7: 25, 8: 14, 10: 12 };
+
+describe('estimateKey', () => {
+  test('a major melody is major on its tonic, in every key', () => {
+    for (let tonic = 0; tonic < 12; tonic++) {
+      const [best] = estimateKey(distribution(tonic, MAJOR_MELODY), { profiles: PROFILES });
+      expect(best).toMatchObject({ tonicSemitone: tonic, mode: 'Major (Western)' });
+      expect(best.sources).toEqual(['Krumhansl-Kessler', 'Temperley', 'template']);
+    }
+  });
+
+  test('the stressed tonic separates a minor key from its relative major', () => {
+    const hypotheses = estimateKey(distribution(9, MINOR_MELODY), { profiles: PROFILES });
+    expect(hypotheses[0]).toMatchObject({ tonic: 'A', mode: 'Minor (Western)' });
+    const relative = hypotheses.find(h => h.tonic === 'C' && h.mode === 'Major (Western)');
+    expect(relative === undefined || relative.probability < hypotheses[0].probability).toBe(true);
+  });
+
+  test('hypotheses are ranked with probabilities that sum to one', () => {
+    const all = estimateKey(distribution(2, MAJOR_MELODY), { profiles: PROFILES, maxHypotheses: Infinity });
+    const modes = new Set(PROFILES.map(profile => profile.mode));
+    expect(all).toHaveLength(modes.size * 12);
+    expect(all.reduce((sum, h) => sum + h.probability, 0)).toBeCloseTo(1, 1);
+    for (let i = 1; i < all.length; i++) expect(all[i].correlation).toBeLessThanOrEqual(all[i - 1].correlation);
+    expect(estimateKey(distribution(2, MAJOR_MELODY))).toHaveLength(10);
+  });
+
+  test('a higher temperature spreads the probability', () => {
+    const sharp = estimateKey(distribution(0, MAJOR_MELODY), { temperature: 0.02 })[0].probability;
+    const soft = estimateKey(distribution(0, MAJOR_MELODY), { temperature: 0.2 })[0].probability;
+    expect(sharp).toBeGreaterThan(soft);
+  });
+
+  test('semitone distributions work too', () => {
+    const semitones = distribution(4, MAJOR_MELODY).filter((_, i) => i % 2 === 0);
+    expect(estimateKey(semitones)[0]).toMatchObject({ tonic: 'E', mode: 'Major (Western)' });
+  });
+
+  test('no tonal information gives no hypotheses', () => {
+    expect(estimateKey(new Array(12).fill(0))).toEqual([]);
+    expect(estimateKey(new Array(12).fill(3))).toEqual([]);
+  });
+
+  test('template profiles weight tonic, stressed degrees, scale and outside notes', () => {
+    expect(templateProfile([0, 200, 400, 700, 900, 1200], [700], 12)).toEqual([5, 1.5, 3.5, 1.5, 3.5, 1.5, 1.5, 4.5, 1.5, 3.5, 1.5, 1.5]);
+    // Quarter-tone bins hold a neutral third; off the grid a degree is shared between two bins
+    const rast = templateProfile([0, 200, 350, 500, 700]);
+    expect(rast).toHaveLength(24);
+    expect(rast.slice(6, 9)).toEqual([1.5, 3.5, 1.5]);
+    const sixthTone = templateProfile([0, 333.3333]);
+    expect(sixthTone[6] + sixthTone[7]).toBeCloseTo(1.5 + 3.5, 1);
+  });
+});
+
+describe('AudioAnalyzer.identifyScale', () => {
+  const D3 = 146.832;
+  const pitchesOf = (tonic, weights) => Object.entries(weights)
+    .flatMap(([semitone, count]) => new Array(count).fill(tonic * Math.pow(2, Number(semitone) / 12)));
+
+  test('picks the mode on the tonic and ranks alternatives', () => {
+    const analyzer = new AudioAnalyzer({ sampleRate: 44100 });
+    const pitches = pitchesOf(D3, { 0: 30, 2: 10, 3: 15, 5: 10, 7: 25, 9: 15, 10: 8 });
+    const result = analyzer.identifyScale(pitches, { tonic: { note: 'D', cents: 200, frequency: D3 } });
+    expect(result.scale).toMatch(/Dorian|Raga Kafi/);
+    expect(result.confidence).toBeGreaterThan(0);
+    expect(result.confidence).toBeLessThanOrEqual(1);
+    expect(result.hypotheses.length).toBeGreaterThan(1);
+    expect(result.hypotheses[0].probability).toBeGreaterThanOrEqual(result.hypotheses[1].probability);
+    expect(result.meta.params.temperature).toBe(0.05);
+  });
+
+  test('a detuned performance still lands in its semitone bins', () => {
+    const analyzer = new AudioAnalyzer({ sampleRate: 44100 });
+    // A quarter-tone sharp of A440 throughout
+    const tonic = 220 * Math.pow(2, 0.45 / 12);
+    const pitches = pitchesOf(tonic, MINOR_MELODY);
+    const result = analyzer.identifyScale(pitches, { tonic: { note: 'A', cents: 945, frequency: tonic } });
+    expect(result.scale).toBe('Minor (Western)');
+    expect(result.hypotheses[0]).toMatchObject({ tonic: 'A', mode: 'Minor (Western)' });
+  });
+
+  test('no pitches', () => {
+    expect(new AudioAnalyzer().identifyScale([])).toMatchObject({ scale: 'Unknown', hypotheses: [] });
+  });
+
+  test('a single pitch or a dyad names no mode', () => {
+    const analyzer = new AudioAnalyzer({ sampleRate: 44100 });
+    [{ 0: 40 }, { 0: 30, 7: 20 }].forEach((weights) => {
+      const result = analyzer.identifyScale(pitchesOf(D3, weights));
+      expect(result).toMatchObject({ scale: 'Unknown', confidence: 0, hypotheses: [] });
+      expect(result.tonic.note).toBe('D');
+    });
+    expect(analyzer.identifyScale(pitchesOf(D3, { 0: 30, 4: 20, 7: 20 })).scale).not.toBe('Unknown');
+  });
+});
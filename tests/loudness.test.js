@@ -0,0 +1,89 @@
+import { AudioAnalyzer } from '../src/audioAnalyzer.js';
+import { accumulateLoudness, analyzeLoudness, finishLoudness } from '../src/utils/loudness.js';
+import { createSeededRandom } from '../src/utils/random.js';
+
+const SR = 48000;
+
+function sine(frequency, amplitude, seconds, phase = 0) {
+  const out = new Float32Array(Math.round(SR * seconds));
+  for (let i = 0; i < out.length; i++) out[i] = amplitude * Math.sin((2 * Math.PI * frequency * i) / SR + phase);
+  return out;
+}
+
+// Noise whose level follows gain(t)
+function shapedNoise(seconds, gain, seed = 1) {
+  const random = createSeededRandom(seed);
+  const out = new Float32Array(SR * seconds);
+  for (let i = 0; i < out.length; i++) out[i] = (random() * 2 - 1) * gain(i / SR);
+  return out;
+}
+
+describe('analyzeLoudness', () => {
+  test('full-scale 997 Hz sine reads -3 LUFS (BS.1770 reference)', () => {
+    const result = analyzeLoudness(sine(997, 1, 5), SR);
+    expect(result.integrated).toBeCloseTo(-3, 1);
+    expect(result.samplePeak).toBeCloseTo(0, 1);
+    expect(result.rms).toBeCloseTo(-3, 1);
+    expect(result.crestFactor).toBeCloseTo(3, 1);
+  });
+
+  test('channel powers add up; the LFE of a 5.1 file is ignored', () => {
+    const tone = sine(997, 0.5, 4);
+    const silence = new Float32Array(tone.length);
+    const mono = analyzeLoudness([tone], SR).integrated;
+    expect(analyzeLoudness([tone, tone], SR).integrated).toBeCloseTo(mono + 3, 1);
+    expect(analyzeLoudness([silence, silence, silence, tone, silence, silence], SR).integrated).toBeNull();
+  });
+
+  test('true peak finds peaks between samples', () => {
+    // A quarter-sample-rate sine sampled 45° off its crests
+    const result = analyzeLoudness(sine(SR / 4, 1, 1, Math.PI / 4), SR);
+    expect(result.samplePeak).toBeCloseTo(-3, 1);
+    expect(result.truePeak).toBeGreaterThan(-0.5);
+  });
+
+  test('a quiet-to-loud arc has a wider loudness range than a steady drive', () => {
+    const arc = analyzeLoudness(shapedNoise(30, t => Math.pow(10, (-30 + t) / 20)), SR);
+    const steady = analyzeLoudness(shapedNoise(30, () => 0.3), SR);
+    expect(arc.loudnessRange).toBeGreaterThan(15);
+    expect(steady.loudnessRange).toBeLessThan(1);
+    expect(arc.envelope.shortTerm[arc.envelope.shortTerm.length - 1]).toBeGreaterThan(arc.envelope.shortTerm[29] + 20);
+  });
+
+  test('envelopes: one value per 100 ms block, windows filled in before they report', () => {
+    const { envelope } = analyzeLoudness(sine(440, 0.5, 4), SR);
+    expect(envelope.times).toHaveLength(40);
+    expect(envelope.times[0]).toBeCloseTo(0.1);
+    expect(envelope.momentary.slice(0, 3)).toEqual([null, null, null]);
+    expect(envelope.momentary[3]).not.toBeNull();
+    expect(envelope.shortTerm[28]).toBeNull();
+    expect(envelope.shortTerm[29]).not.toBeNull();
+    expect(envelope.rms[10]).toBeCloseTo(-9, 0);
+  });
+
+  test('chunked accumulation matches a single pass', () => {
+    const signal = shapedNoise(5, t => 0.1 + 0.1 * t);
+    const whole = analyzeLoudness([signal], SR);
+    let state = null;
+    for (let start = 0; start < signal.length; start += 12345) {
+      state = accumulateLoudness([signal], SR, {}, start, start + 12345, state);
+    }
+    expect(finishLoudness(state)).toEqual(whole);
+  });
+
+  test('silence', () => {
+    const result = analyzeLoudness(new Float32Array(SR * 2), SR);
+    expect(result).toMatchObject({ integrated: null, loudnessRange: null, samplePeak: null, crestFactor: null });
+    expect(result.envelope.rms.every(value => value === null)).toBe(true);
+  });
+});
+
+describe('AudioAnalyzer.analyzeLoudness', () => {
+  test('records its settings', () => {
+    const analyzer = new AudioAnalyzer({ sampleRate: SR, loudness: { blockSeconds: 0.2 } });
+    const result = analyzer.analyzeLoudness(sine(997, 1, 3));
+    expect(result.envelope.blockSeconds).toBeCloseTo(0.2);
+    expect(result.meta.params.blockSeconds).toBe(0.2);
+    expect(analyzer.getOptions().loudness.shortTermBlocks).toBe(30);
+  });
+});
@@ -0,0 +1,120 @@
+import { onsetStrengthEnvelope, trackBeatsFromEnvelope } from '../src/utils/beatTracker.js';
+import { detectMeter } from '../src/utils/meter.js';
+import { matchCulture } from '../src/culturesData.js';
+import { averageSpectrum, spectralBrightness } from '../src/utils/spectral.js';
+import { createSeededRandom } from '../src/utils/random.js';
+
+const SR = 22050;
+const HOP = 512;
+
+// Decaying noise bursts: [time, amplitude] pairs
+function hits(events, seconds) {
+  const out = new Float32Array(SR * seconds);
+  const random = createSeededRandom(5);
+  events.forEach(([t, amp]) => {
+    const start = Math.floor(t * SR);
+    for (let i = 0; i < 800 && start + i < out.length; i++) {
+      out[start + i] += amp * (random() * 2 - 1) * Math.exp(-i / 150);
+    }
+  });
+  return out;
+}
+
+// A repeating accent pattern, one entry per pulse, with optional soft subdivisions
+function pattern(accents, period, seconds, subdivisions = 1) {
+  const events = [];
+  for (let t = 0.1, i = 0; t < seconds; t += period, i++) {
+    events.push([t, accents[i % accents.length]]);
+    for (let k = 1; k < subdivisions; k++) events.push([t + (period * k) / subdivisions, 0.25]);
+  }
+  return hits(events, seconds);
+}
+
+function meterOf(signal) {
+  const envelope = onsetStrengthEnvelope(signal, { hopSize: HOP });
+  const frameRate = SR / HOP;
+  const { beats } = trackBeatsFromEnvelope(envelope, frameRate);
+  return detectMeter(envelope, frameRate, beats, { frameOffset: 2048 / 2 / HOP });
+}
+
+describe('detectMeter', () => {
+  test('duple and triple subdivisions separate 4/4 from 12/8', () => {
+    const common = meterOf(pattern([1, 0.4, 0.6, 0.4], 0.5, 30, 2));
+    expect(common.label).toBe('4/4');
+    expect(common.confidence).toBeGreaterThan(0.8);
+    const compound = meterOf(pattern([1, 0.4, 0.6, 0.4], 0.6, 30, 3));
+    expect(compound.label).toBe('12/8');
+    expect(compound.subdivision).toBe('triple');
+  });
+
+  test('3/4 waltz', () => {
+    expect(meterOf(pattern([1, 0.4, 0.4], 0.5, 30, 2)).label).toBe('3/4');
+  });
+
+  test('7/8 aksak with its 2+2+3 grouping', () => {
+    const meter = meterOf(pattern([1, 0.3, 0.7, 0.3, 0.7, 0.3, 0.3], 0.25, 30));
+    expect(meter.label).toBe('7/8 aksak');
+    expect(meter.grouping).toBe('2+2+3');
+  });
+
+  test('16-beat cycle with an empty (khali) section', () => {
+    const teentaal = [1, 0.5, 0.5, 0.5, 0.8, 0.5, 0.5, 0.5, 0.2, 0.3, 0.3, 0.3, 0.8, 0.5, 0.5, 0.5];
+    const meter = meterOf(pattern(teentaal, 0.4, 60));
+    expect(meter.label).toBe('16-beat cycle (Teentaal-like)');
+    expect(meter.downbeats.length).toBeGreaterThanOrEqual(8);
+  });
+
+  test('12-beat compás', () => {
+    const meter = meterOf(pattern([0.4, 0.4, 1, 0.4, 0.4, 1, 0.4, 1, 0.4, 1, 0.4, 1], 0.3, 40));
+    expect(meter.label).toBe('12-beat compás');
+    expect(meter.level).toBe('pulse');
+  });
+
+  test('random accents are free rhythm', () => {
+    const random = createSeededRandom(2);
+    const events = [];
+    for (let t = 0.1; t < 30; t += 0.5) events.push([t, 0.3 + random()]);
+    const meter = meterOf(hits(events, 30));
+    expect(meter.label).toBe('Free rhythm');
+    expect(meter.candidates).toEqual([]);
+  });
+
+  test('too few beats', () => {
+    expect(detectMeter(new Float32Array(100), 43, [0.5, 1]).label).toBe('Free rhythm');
+  });
+});
+
+describe('matchCulture', () => {
+  test('uses the detected meter', () => {
+    const rhythm = { tempo: 200, regularity: 0.7, peakCount: 10 };
+    const aksak = { label: '7/8 aksak', confidence: 0.9 };
+    const withMeter = matchCulture({ rhythm: { ...rhythm, meter: aksak } });
+    const middleEastern = withMeter.find(match => match.culture.id === 'middle-eastern');
+    expect(middleEastern.matchedFeatures).toContain('Aksak Meter (7/8 aksak)');
+    const without = matchCulture({ rhythm }).find(match => match.culture.id === 'middle-eastern');
+    expect(without.score).toBeLessThan(middleEastern.score);
+  });
+
+  test('a detected 12/8 bell cycle ranks West African first, as the results page lists it', () => {
+    const meter = meterOf(pattern([1, 0.4, 0.6, 0.4], 0.6, 30, 3));
+    const rhythm = { tempo: 100, regularity: 0.9, peakCount: 150, meter };
+    const ranked = matchCulture({ rhythm }).filter(match => match.matchedFeatures.length > 0);
+    expect(ranked[0].culture.id).toBe('west-african');
+    expect(ranked[0].matchedFeatures).toContain('Compound 12/8 Bell Cycle (12/8)');
+    const without = matchCulture({ rhythm: { ...rhythm, meter: undefined } }).find(match => match.culture.id === 'west-african');
+    expect(ranked[0].score - without.score).toBeCloseTo(2 * meter.confidence, 6);
+  });
+
+  test('timbre bands follow the share of energy above 1.5 kHz', () => {
+    const saw = frequency => Float32Array.from({ length: SR }, (_, i) => ((i * frequency / SR) % 1) * 2 - 1);
+    const random = createSeededRandom(3);
+    const noise = Float32Array.from({ length: SR }, () => random() * 2 - 1);
+    const features = (signal, id) => {
+      const brightness = spectralBrightness(averageSpectrum(signal).spectrum, SR);
+      return matchCulture({ spectral: { brightness } }).find(match => match.culture.id === id).matchedFeatures;
+    };
+    expect(features(saw(110), 'japanese-traditional')).toEqual(['Warm, Dark Timbre']);
+    expect(features(saw(440), 'indian-classical')).toEqual(['Balanced Tonal Character']);
+    expect(features(noise, 'west-african')).toEqual(['Bright Timbre']);
+  });
+});
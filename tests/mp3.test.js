@@ -0,0 +1,193 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+import { decodeMp3, decodeMp3WithWebCodecs, parseFrameHeader, parseMp3, rebuildMp3 } from '../src/utils/mp3.js';
+import { sniffAudioFormat } from '../src/utils/audioFormats.js';
+
+// MPEG-1 layer III, 128 kbps, 44.1 kHz, joint stereo: 417-byte frames (418 padded)
+function frame({ padding = false, fill = 0 } = {}) {
+  const bytes = new Uint8Array(padding ? 418 : 417).fill(fill);
+  bytes.set([0xff, 0xfb, 0x90 | (padding ? 0x02 : 0), 0x64]);
+  return bytes;
+}
+
+// Info frame with a LAME tag giving the encoder delay and padding
+function infoFrame(delay, padding) {
+  const bytes = frame();
+  const at = 4 + 32;
+  bytes.set([...'Info'].map(c => c.charCodeAt(0)), at);
+  bytes.set([0, 0, 0, 0x01], at + 4); // Frame count only
+  bytes.set([0, 0, 0, 10], at + 8);
+  bytes.set([...'LAME3.100'].map(c => c.charCodeAt(0)), at + 12);
+  bytes.set([delay >> 4, ((delay & 0x0f) << 4) | (padding >> 8), padding & 0xff], at + 12 + 21);
+  return bytes;
+}
+
+const concat = (...parts) => Uint8Array.from(parts.flatMap(part => Array.from(part)));
+const text = value => [...value].map(c => c.charCodeAt(0));
+
+describe('parseMp3', () => {
+  test('frame headers', () => {
+    expect(parseFrameHeader(frame(), 0)).toMatchObject({ version: '1', layer: 3, sampleRate: 44100, channelCount: 2, bitrate: 128000, length: 417, samplesPerFrame: 1152 });
+    expect(parseFrameHeader(frame({ padding: true }), 0).length).toBe(418);
+    // MPEG-2, 64 kbps, 22.05 kHz, mono: 576 samples, 208 bytes
+    expect(parseFrameHeader(Uint8Array.from([0xff, 0xf3, 0x80, 0xc0]), 0)).toMatchObject({ version: '2', sampleRate: 22050, channelCount: 1, length: 208, samplesPerFrame: 576 });
+    expect(parseFrameHeader(Uint8Array.from([0xff, 0xfb, 0xf0, 0x64]), 0)).toBeNull();
+  });
+
+  test('tags, junk and damaged bytes are skipped', () => {
+    const id3 = [...text('ID3'), 3, 0, 0, 0, 0, 0, 20, ...new Array(20).fill(0xff)];
+    const file = concat(id3, frame(), frame({ padding: true }), text('junk!'), frame(), frame(), text('TAG'), new Array(125).fill(0));
+    expect(sniffAudioFormat(file)).toBe('mp3');
+    const stream = parseMp3(file);
+    expect(stream.frames.map(f => f.offset)).toEqual([30, 447, 870, 1287]);
+    expect(stream.skippedBytes).toBe(5);
+    expect(stream.duration).toBeCloseTo(4 * 1152 / 44100, 6);
+    expect(rebuildMp3(file, stream)).toHaveLength(417 * 3 + 418);
+    expect(() => parseMp3(new Uint8Array(2000))).toThrow('No MPEG audio frames found');
+  });
+
+  test('the Info frame is not audio; LAME delay and padding set the duration', () => {
+    const stream = parseMp3(concat(infoFrame(576, 1000), frame(), frame(), frame()));
+    expect(stream.frames).toHaveLength(3);
+    expect(stream).toMatchObject({ encoderDelay: 576, encoderPadding: 1000 });
+    expect(stream.duration).toBeCloseTo((3 * 1152 - 576 - 1000) / 44100, 6);
+  });
+});
+
+describe('decodeMp3WithWebCodecs', () => {
+  // Stand-ins for WebCodecs: each chunk decodes to 1152 samples holding the chunk's index
+  function fakeWebCodecs({ supported = true } = {}) {
+    const chunks = [];
+    class EncodedAudioChunk {
+      constructor(init) {
+        Object.assign(this, init);
+        chunks.push(init);
+      }
+    }
+    class AudioDecoder {
+      static async isConfigSupported(config) {
+        return { supported: supported && config.codec === 'mp3', config };
+      }
+      constructor({ output }) {
+        this.output = output;
+        this.state = 'unconfigured';
+      }
+      configure() {
+        this.state = 'configured';
+      }
+      decode(chunk) {
+        const index = Math.round(chunk.timestamp * 44100 / 1e6 / 1152);
+        this.output({
+          timestamp: chunk.timestamp,
+          numberOfChannels: 2,
+          numberOfFrames: 1152,
+          copyTo: (target, { planeIndex }) => target.fill(index + planeIndex / 10),
+          close: () => {}
+        });
+      }
+      async flush() {}
+      close() {
+        this.state = 'closed';
+      }
+    }
+    return { AudioDecoder, EncodedAudioChunk, chunks };
+  }
+
+  test('frames go to WebCodecs in order and the output is trimmed gaplessly', async () => {
+    const codecs = fakeWebCodecs();
+    const decoded = await decodeMp3WithWebCodecs(concat(infoFrame(576, 1000), frame(), frame(), frame()), codecs);
+    expect(codecs.chunks.map(chunk => chunk.data.length)).toEqual([417, 417, 417]);
+    expect(decoded.channels).toHaveLength(2);
+    expect(decoded.channels[0]).toHaveLength(3 * 1152 - 576 - 1000);
+    // 576 + 529 samples of delay are dropped from the start
+    expect(decoded.channels[0][0]).toBe(0);
+    expect(decoded.channels[0][1152 - 1105]).toBe(1);
+    expect(decoded.channels[1][0]).toBeCloseTo(0.1);
+    expect(decoded.duration).toBeCloseTo((3 * 1152 - 1576) / 44100, 6);
+  });
+
+  test('without WebCodecs MP3 support it says so', async () => {
+    const file = concat(frame(), frame());
+    await expect(decodeMp3WithWebCodecs(file, { AudioDecoder: undefined, EncodedAudioChunk: undefined })).rejects.toThrow('no WebCodecs AudioDecoder');
+    await expect(decodeMp3WithWebCodecs(file, fakeWebCodecs({ supported: false }))).rejects.toThrow('cannot decode MP3');
+  });
+});
+
+describe('decodeMp3', () => {
+  // Half-scale sines encoded with LAME (the lamejs port, CBR, no Info frame): 0.5 s of 440 Hz
+  // left and 660 Hz right at 44.1 kHz, 128 kbps (MPEG-1), and 0.5 s of 440 Hz mono at
+  // 22.05 kHz, 32 kbps (MPEG-2)
+  const fixture = name => new Uint8Array(readFileSync(path.join(__dirname, 'fixtures', name)));
+  const sine = (frequency, sampleRate, length) =>
+    Float32Array.from({ length }, (_, i) => 0.5 * Math.sin(2 * Math.PI * frequency * i / sampleRate));
+  // LAME's 576-sample encoder delay plus the decoder's 529
+  const DELAY = 576 + 529;
+
+  // Signal-to-noise ratio in dB of `decoded` against `expected`
+  function snr(decoded, expected) {
+    let signal = 0;
+    let noise = 0;
+    expected.forEach((value, i) => {
+      signal += value * value;
+      noise += (decoded[i] - value) ** 2;
+    });
+    return 10 * Math.log10(signal / noise);
+  }
+
+  test('decodes MPEG-1 Layer III in JavaScript, without WebCodecs', () => {
+    expect(globalThis.AudioDecoder).toBeUndefined();
+    const file = fixture('sine-stereo-44100.mp3');
+    const decoded = decodeMp3(file);
+    expect(decoded).toMatchObject({ sampleRate: 44100, format: 'mp3', damagedFrames: 0, skippedBytes: 0 });
+    expect(decoded.channels).toHaveLength(2);
+    // Without a LAME header nothing is trimmed
+    expect(decoded.channels[0]).toHaveLength(parseMp3(file).frames.length * 1152);
+    expect(snr(decoded.channels[0].subarray(DELAY), sine(440, 44100, 22050))).toBeGreaterThan(20);
+    expect(snr(decoded.channels[1].subarray(DELAY), sine(660, 44100, 22050))).toBeGreaterThan(20);
+  });
+
+  test('decodes MPEG-2 mono', () => {
+    const decoded = decodeMp3(fixture('sine-mono-22050.mp3'));
+    expect(decoded).toMatchObject({ sampleRate: 22050, damagedFrames: 0 });
+    expect(decoded.channels).toHaveLength(1);
+    expect(snr(decoded.channels[0].subarray(DELAY), sine(440, 22050, 11025))).toBeGreaterThan(15);
+  });
+
+  test('a LAME header trims the output to the encoded samples', () => {
+    const file = fixture('sine-stereo-44100.mp3');
+    const padding = parseMp3(file).frames.length * 1152 - 576 - 22050;
+    const decoded = decodeMp3(concat(infoFrame(576, padding), file));
+    expect(decoded.channels[0]).toHaveLength(22050);
+    expect(decoded.duration).toBeCloseTo(0.5, 6);
+    expect(snr(decoded.channels[0], sine(440, 44100, 22050))).toBeGreaterThan(20);
+  });
+
+  test('a frame whose main data lies before the stream becomes silence', () => {
+    const file = fixture('sine-stereo-44100.mp3');
+    // main_data_begin (the first 9 side-information bits) reaching back 100 bytes
+    file[4] = 100 >> 1;
+    const decoded = decodeMp3(file);
+    expect(decoded.damagedFrames).toBe(1);
+    expect(decoded.channels[0].subarray(0, 1152).every(value => value === 0)).toBe(true);
+    expect(snr(decoded.channels[0].subarray(DELAY + 1152), sine(440, 44100, 22050).subarray(1152))).toBeGreaterThan(20);
+  });
+
+  test('other layers and undecodable streams are refused', () => {
+    // MPEG-1 layer II, 128 kbps, 44.1 kHz: also 417-byte frames
+    const layer2 = concat(...[0, 1, 2].map(() => {
+      const bytes = frame();
+      bytes.set([0xfd, 0x80], 1);
+      return bytes;
+    }));
+    expect(() => decodeMp3(layer2)).toThrow('MPEG layer 2 audio is not supported');
+    // Two frames whose main data would both start 511 bytes back, before the stream
+    const file = fixture('sine-stereo-44100.mp3');
+    const [first, second] = parseMp3(file).frames;
+    const pair = file.slice(0, second.offset + second.length);
+    [first, second].forEach(({ offset }) => {
+      pair[offset + 4] = 0xff;
+      pair[offset + 5] |= 0x80;
+    });
+    expect(() => decodeMp3(pair)).toThrow('No decodable MP3 frames');
+  });
+});
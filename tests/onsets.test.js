@@ -0,0 +1,140 @@
+import { AudioAnalyzer } from '../src/audioAnalyzer.js';
+import { detectOnsets, onsetFrameCount, onsetStrength, pickOnsets } from '../src/utils/onsets.js';
+import { createSeededRandom } from '../src/utils/random.js';
+
+const SR = 22050;
+
+// Legato line on one continuous tone: the pitch changes every 0.5 s with only a gentle swell
+function legato(seconds = 6) {
+  const notes = [440, 494, 554, 587, 659, 587, 554, 494];
+  const out = new Float32Array(SR * seconds);
+  let phase = 0;
+  for (let i = 0; i < out.length; i++) {
+    const t = i / SR;
+    const n = Math.floor(t / 0.5);
+    phase += (2 * Math.PI * notes[n % notes.length]) / SR;
+    out[i] = 0.3 * (0.6 + 0.4 * Math.min(1, (t - n * 0.5) / 0.06)) * Math.sin(phase);
+  }
+  return out;
+}
+
+// Fast strokes of varying strength over a loud 60 Hz hum
+function densePercussion(seconds = 6) {
+  const random = createSeededRandom(3);
+  const out = new Float32Array(SR * seconds);
+  const times = [];
+  for (let t = 0.05; t < seconds; t += 0.125) {
+    times.push(t);
+    const start = Math.floor(t * SR);
+    const amp = 0.3 + 0.7 * random();
+    for (let i = 0; i < 1500 && start + i < out.length; i++) out[start + i] += amp * (random() * 2 - 1) * Math.exp(-i / 200);
+  }
+  for (let i = 0; i < out.length; i++) out[i] += 0.8 * Math.sin((2 * Math.PI * 60 * i) / SR);
+  return { signal: out, times };
+}
+
+const found = (detected, truth) => truth.filter(t => detected.some(d => Math.abs(d - t) < 0.05)).length;
+
+describe('onsetStrength', () => {
+  test.each(['energy', 'flux', 'hfc', 'complex'])('%s: chunked computation matches a single pass', method => {
+    const { signal } = densePercussion(2);
+    const whole = onsetStrength(signal, SR, { method });
+    const count = onsetFrameCount(signal.length);
+    const chunked = new Float32Array(count);
+    const lowBand = new Float32Array(count);
+    for (let f = 0; f < count; f += 23) {
+      const chunk = onsetStrength(signal, SR, { method }, f, f + 23);
+      chunked.set(chunk.envelope, f);
+      lowBand.set(chunk.bands[0], f);
+    }
+    expect(Array.from(chunked)).toEqual(Array.from(whole.envelope));
+    expect(Array.from(lowBand)).toEqual(Array.from(whole.bands[0]));
+  });
+
+  test('unknown method', () => {
+    expect(() => onsetStrength(new Float32Array(4096), SR, { method: 'rms' })).toThrow(/Unknown onset method/);
+  });
+});
+
+describe('detectOnsets', () => {
+  test('soft pitch changes need spectral or complex-domain detection', () => {
+    const signal = legato();
+    const truth = [0.5, 1, 1.5, 2, 2.5, 3, 3.5, 4, 4.5, 5, 5.5];
+    expect(found(detectOnsets(signal, SR, { method: 'complex' }).times, truth)).toBe(truth.length);
+    expect(found(detectOnsets(signal, SR, { method: 'flux' }).times, truth)).toBe(truth.length);
+    expect(found(detectOnsets(signal, SR, { method: 'energy' }).times, truth)).toBeLessThan(truth.length / 2);
+  });
+
+  test('dense percussion under a hum', () => {
+    const { signal, times } = densePercussion();
+    const result = detectOnsets(signal, SR, { method: 'flux' });
+    expect(found(result.times, times)).toBeGreaterThanOrEqual(times.length - 2);
+    expect(result.times.length).toBeLessThanOrEqual(times.length + 2);
+  });
+
+  test('per-band onset streams', () => {
+    const out = new Float32Array(SR * 4);
+    // A 3 ms attack keeps each stroke's energy in its own band
+    const stroke = (t, frequency, decay) => {
+      const start = Math.floor(t * SR);
+      for (let i = 0; i < 3000; i++) {
+        const attack = Math.min(1, i / (0.003 * SR));
+        out[start + i] += attack * Math.sin((2 * Math.PI * frequency * i) / SR) * Math.exp(-i / decay);
+      }
+    };
+    [0.5, 1.5, 2.5].forEach(t => stroke(t, 80, 600));
+    [1, 2, 3].forEach(t => stroke(t, 5000, 150));
+    const { bands } = detectOnsets(out, SR);
+    const low = bands.find(band => band.name === 'low');
+    const high = bands.find(band => band.name === 'high');
+    expect(found(low.times, [0.5, 1.5, 2.5])).toBe(3);
+    expect(found(low.times, [1, 2, 3])).toBe(0);
+    expect(found(high.times, [1, 2, 3])).toBe(3);
+  });
+
+  test('steady tones, noise and near-silence have no onsets', () => {
+    const random = createSeededRandom(5);
+    const tone = (amplitude, frequency = 220) => Float32Array.from({ length: SR * 4 }, (_, i) => amplitude * Math.sin((2 * Math.PI * frequency * i) / SR));
+    const noise = amplitude => Float32Array.from({ length: SR * 4 }, () => amplitude * (random() * 2 - 1));
+    // 440 Hz and 3 kHz leave the low band only window leakage
+    [tone(0.5), tone(0.5, 440), tone(0.5, 3000), noise(0.3), tone(1e-6), noise(1e-6)].forEach((signal) => {
+      const result = detectOnsets(signal, SR);
+      expect(result.times).toEqual([]);
+      result.bands.forEach(band => expect(band.times).toEqual([]));
+    });
+    ['energy', 'hfc', 'complex'].forEach(method => expect(detectOnsets(tone(0.5), SR, { method }).times).toEqual([]));
+  });
+
+  test('peak picking keeps one onset per plateau', () => {
+    const envelope = new Float32Array(200);
+    envelope.fill(1, 50, 53);
+    envelope[100] = 1;
+    envelope[101] = 0.9;
+    expect(pickOnsets(envelope, 43)).toEqual([50, 100]);
+    expect(pickOnsets(new Float32Array(100), 43)).toEqual([]);
+  });
+});
+
+describe('AudioAnalyzer onsets', () => {
+  test('no random jitter: seeded variation leaves onsets unchanged', () => {
+    const { signal } = densePercussion(3);
+    const plain = new AudioAnalyzer({ sampleRate: SR }).detectOnsets(signal);
+    const varied = new AudioAnalyzer({ sampleRate: SR, deterministic: false, seed: 9 }).detectOnsets(signal);
+    expect(varied.times).toEqual(plain.times);
+    expect(plain.positions[0]).toBe(Math.round(plain.times[0] * SR));
+  });
+
+  test('a sustained tone has no pulse', () => {
+    const tone = Float32Array.from({ length: SR * 6 }, (_, i) => 0.5 * Math.sin((2 * Math.PI * 220 * i) / SR));
+    const rhythm = new AudioAnalyzer({ sampleRate: SR }).analyzeRhythm(tone);
+    expect(rhythm).toMatchObject({ tempo: 0, peakCount: 0, beats: [] });
+  });
+
+  test('the selected method is shared by rhythm analysis', () => {
+    const analyzer = new AudioAnalyzer({ sampleRate: SR, onset: { method: 'complex' } });
+    const rhythm = analyzer.analyzeRhythm(legato());
+    expect(rhythm.onsets.method).toBe('complex');
+    expect(rhythm.peakCount).toBe(rhythm.onsets.times.length);
+    expect(rhythm.meta.params.onset.method).toBe('complex');
+  });
+});
@@ -0,0 +1,68 @@
+import { analyzePitchFrame, trackPitch, decodePitchTrack } from '../src/utils/pitchTracker.js';
+
+const SR = 44100;
+
+function harmonicTone(freq, samples, amps = [0.5, 0.3, 0.2]) {
+  const out = new Float32Array(samples);
+  for (let i = 0; i < samples; i++) {
+    amps.forEach((a, h) => { out[i] += a * Math.sin(2 * Math.PI * freq * (h + 1) * i / SR); });
+  }
+  return out;
+}
+
+describe('analyzePitchFrame', () => {
+  test.each([45, 110, 261.63, 880, 1500])('finds %p Hz', (freq) => {
+    const result = analyzePitchFrame(harmonicTone(freq, 4096), SR);
+    expect(Math.abs(1200 * Math.log2(result.frequency / freq))).toBeLessThan(5);
+    expect(result.voicedProbability).toBeGreaterThan(0.9);
+    expect(result.confidence).toBeGreaterThan(0.9);
+  });
+
+  test('does not drop an octave on a tone with a strong second harmonic', () => {
+    const result = analyzePitchFrame(harmonicTone(200, 4096, [0.3, 0.6, 0.1]), SR);
+    expect(result.frequency).toBeCloseTo(200, 0);
+  });
+
+  test('reports silence and noise as unvoiced', () => {
+    expect(analyzePitchFrame(new Float32Array(4096), SR).voicedProbability).toBe(0);
+    let seed = 1;
+    const noise = new Float32Array(4096).map(() => {
+      seed = (seed * 16807) % 2147483647;
+      return seed / 2147483647 - 0.5;
+    });
+    const result = analyzePitchFrame(noise, SR);
+    expect(result.voicedProbability).toBeLessThan(0.5);
+  });
+
+  test('respects the configured range', () => {
+    const low = harmonicTone(60, 4096, [1]);
+    expect(analyzePitchFrame(low, SR, { minFrequency: 100 }).frequency).not.toBeCloseTo(60, 0);
+    expect(analyzePitchFrame(low, SR, { minFrequency: 40 }).frequency).toBeCloseTo(60, 0);
+  });
+});
+
+describe('trackPitch', () => {
+  test('follows a step in pitch and marks silence unvoiced', () => {
+    const signal = new Float32Array(SR * 1.5);
+    signal.set(harmonicTone(200, SR / 2), 0);
+    signal.set(harmonicTone(300, SR / 2), SR / 2);
+    const track = trackPitch(signal, SR);
+    const at = t => track.reduce((best, f) => (Math.abs(f.time - t) < Math.abs(best.time - t) ? f : best));
+    expect(at(0.2).frequency).toBeCloseTo(200, 0);
+    expect(at(0.7).frequency).toBeCloseTo(300, 0);
+    expect(at(1.3).voiced).toBe(false);
+  });
+
+  test('decoding smooths over a single-frame octave error', () => {
+    const frame = (f, alt) => ({
+      voicedProbability: 0.95,
+      candidates: [
+        { frequency: f, probability: 0.55, aperiodicity: 0.1 },
+        { frequency: alt, probability: 0.4, aperiodicity: 0.15 },
+      ],
+    });
+    const frames = [frame(220, 110), frame(220, 110), frame(110, 220), frame(220, 110)]
+      .map((f, i) => ({ time: i * 0.05, ...f }));
+    expect(decodePitchTrack(frames).map(f => f.frequency)).toEqual([220, 220, 220, 220]);
+  });
+});
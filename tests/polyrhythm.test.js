@@ -0,0 +1,107 @@
+import { AudioAnalyzer } from '../src/audioAnalyzer.js';
+import { bandOnsetEnvelopes } from '../src/utils/beatTracker.js';
+import { detectPolyrhythm } from '../src/utils/polyrhythm.js';
+import { createSeededRandom } from '../src/utils/random.js';
+
+const SR = 22050;
+const LOW_DRUM = [80, 600];
+const BELL = [5000, 150];
+
+// Decaying sine strokes: [times, [frequency, decay in samples]] per instrument
+function ensemble(parts, seconds = 20) {
+  const out = new Float32Array(SR * seconds);
+  parts.forEach(([times, [frequency, decay]]) => {
+    times.forEach(t => {
+      const start = Math.floor(t * SR);
+      for (let i = 0; i < 3000 && start + i < out.length; i++) {
+        out[start + i] += Math.sin((2 * Math.PI * frequency * i) / SR) * Math.exp(-i / decay);
+      }
+    });
+  });
+  return out;
+}
+
+function pulses(start, period, seconds = 20) {
+  const times = [];
+  for (let t = start; t < seconds; t += period) times.push(t);
+  return times;
+}
+
+describe('band onset envelopes', () => {
+  test('chunked computation matches a single pass', () => {
+    const signal = ensemble([[pulses(0.1, 0.5, 4), LOW_DRUM], [pulses(0.2, 0.25, 4), BELL]], 4);
+    const bands = [{ minFrequency: 30, maxFrequency: 250 }, { minFrequency: 2000, maxFrequency: 11000 }];
+    const whole = bandOnsetEnvelopes(signal, SR, bands);
+    const chunked = bands.map(() => []);
+    for (let f = 0; f < whole[0].length; f += 29) {
+      bandOnsetEnvelopes(signal, SR, bands, {}, f, f + 29).forEach((envelope, b) => chunked[b].push(...envelope));
+    }
+    expect(chunked).toEqual(whole.map(envelope => Array.from(envelope)));
+  });
+});
+
+describe('detectPolyrhythm', () => {
+  test('bells against low drums in 3:2, pulses aligned', () => {
+    const result = detectPolyrhythm(ensemble([[pulses(0.1, 0.6), LOW_DRUM], [pulses(0.1, 0.4), BELL]]), SR);
+    expect(result.isPolyrhythmic).toBe(true);
+    expect(result.ratio).toBe('3:2');
+    const [relation] = result.relations;
+    expect(relation.bands).toEqual(['Bells / shakers', 'Low drums']);
+    expect(relation.cycleSeconds).toBeCloseTo(1.2, 2);
+    expect(relation.aligned).toBe(true);
+    expect(relation.pattern).toEqual([[0, 1 / 3, 2 / 3], [0, 0.5]]);
+  });
+
+  test('reports the phase offset between the streams', () => {
+    const result = detectPolyrhythm(ensemble([[pulses(0.1, 0.6), LOW_DRUM], [pulses(0.2, 0.4), BELL]]), SR);
+    const [relation] = result.relations;
+    expect(relation.ratio).toBe('3:2');
+    expect(relation.aligned).toBe(false);
+    expect(Math.abs(relation.phaseOffset)).toBeCloseTo(0.1, 1);
+  });
+
+  test('4:3', () => {
+    const result = detectPolyrhythm(ensemble([[pulses(0.1, 0.8), LOW_DRUM], [pulses(0.1, 0.6), BELL]]), SR);
+    expect(result.ratio).toBe('4:3');
+  });
+
+  test('a subdivision of the same pulse is not a polyrhythm', () => {
+    const result = detectPolyrhythm(ensemble([[pulses(0.1, 0.5), LOW_DRUM], [pulses(0.1, 0.25), BELL]]), SR);
+    expect(result.isPolyrhythmic).toBe(false);
+    expect(result.ratio).toBeNull();
+  });
+
+  test('noise and a steady tone', () => {
+    [1, 2, 3].forEach((seed) => {
+      const random = createSeededRandom(seed);
+      const noise = Float32Array.from({ length: SR * 20 }, () => 0.3 * (random() * 2 - 1));
+      expect(detectPolyrhythm(noise, SR)).toMatchObject({ isPolyrhythmic: false, ratio: null, streams: [] });
+    });
+    [220, 440, 3000].forEach((frequency) => {
+      const tone = Float32Array.from({ length: SR * 10 }, (_, i) => 0.5 * Math.sin((2 * Math.PI * frequency * i) / SR));
+      expect(detectPolyrhythm(tone, SR)).toMatchObject({ isPolyrhythmic: false, ratio: null, streams: [] });
+      // As the analysis pipeline calls it, with the onset stage's band envelopes
+      const analyzer = new AudioAnalyzer({ sampleRate: SR });
+      const { bands } = analyzer.computeOnsetStrength(tone);
+      expect(analyzer.detectPolyrhythm(tone, { bandEnvelopes: bands })).toMatchObject({ isPolyrhythmic: false, streams: [] });
+    });
+  });
+
+  test('silence', () => {
+    const result = detectPolyrhythm(new Float32Array(SR * 2), SR);
+    expect(result.isPolyrhythmic).toBe(false);
+    expect(result.streams).toEqual([]);
+  });
+});
+
+describe('AudioAnalyzer.detectPolyrhythm', () => {
+  test('uses precomputed band envelopes and records its settings', () => {
+    const analyzer = new AudioAnalyzer({ sampleRate: SR });
+    const signal = ensemble([[pulses(0.1, 0.6), LOW_DRUM], [pulses(0.1, 0.4), BELL]]);
+    const bandEnvelopes = bandOnsetEnvelopes(signal, SR, analyzer.polyrhythmOptions.bands, analyzer.beatOptions);
+    const result = analyzer.detectPolyrhythm(signal, { bandEnvelopes });
+    expect(result.ratio).toBe('3:2');
+    expect(result.meta.params.maxRatioTerm).toBe(5);
+    expect(analyzer.getOptions().polyrhythm.bands).toHaveLength(3);
+  });
+});
@@ -0,0 +1,144 @@
+import { RecordingLibrary, estimateStorage, filterEntries, libraryFeatures, parseTags, sortEntries } from '../src/recordingLibrary.js';
+
+// Just enough of IndexedDB for the library: requests and transactions complete on later ticks
+function fakeIndexedDB() {
+  const databases = {};
+  const later = fn => setTimeout(fn, 0);
+  const request = (run) => {
+    const req = {};
+    later(() => {
+      try {
+        req.result = run();
+        req.onsuccess?.();
+      } catch (error) {
+        req.error = error;
+        req.onerror?.();
+      }
+    });
+    return req;
+  };
+  const database = stores => ({
+    objectStoreNames: { contains: name => name in stores },
+    createObjectStore: (name, { keyPath }) => { stores[name] = { keyPath, records: new Map() }; },
+    transaction(names) {
+      const tx = {
+        objectStore: (name) => {
+          const store = stores[name];
+          return {
+            put: value => request(() => store.records.set(value[store.keyPath], structuredClone(value))),
+            get: key => request(() => structuredClone(store.records.get(key))),
+            getAll: () => request(() => [...store.records.values()].map(value => structuredClone(value))),
+            delete: key => request(() => store.records.delete(key))
+          };
+        }
+      };
+      later(() => later(() => tx.oncomplete?.()));
+      return tx;
+    },
+    close() {}
+  });
+  return {
+    open: (name) => {
+      const req = {};
+      later(() => {
+        const isNew = !databases[name];
+        databases[name] = databases[name] || {};
+        req.result = database(databases[name]);
+        if (isNew) req.onupgradeneeded?.();
+        req.onsuccess();
+      });
+      return req;
+    }
+  };
+}
+
+function entry(title, features = {}, extra = {}) {
+  return {
+    title,
+    tags: [],
+    cultureId: null,
+    fileName: null,
+    createdAt: '2026-01-01T00:00:00.000Z',
+    features: { duration: 10, tempo: null, scale: null, tonic: null, brightness: null, ...features },
+    ...extra
+  };
+}
+
+const analysisDocument = (tempo = 96) => ({
+  file: { duration: 42.5 },
+  features: { rhythm: { tempo }, scale: { scale: 'Bhairav', tonic: { note: 'A' } }, spectral: { brightness: 0.4 } }
+});
+
+describe('library helpers', () => {
+  test('tags are trimmed and deduplicated', () => {
+    expect(parseTags(' field,  Drone, drone ,,vocal ')).toEqual(['field', 'Drone', 'vocal']);
+    expect(parseTags(['a', ' a '])).toEqual(['a']);
+    expect(parseTags(undefined)).toEqual([]);
+  });
+
+  test('features from a document', () => {
+    expect(libraryFeatures(analysisDocument())).toEqual({ duration: 42.5, tempo: 96, scale: 'Bhairav', tonic: 'A', brightness: 0.4 });
+    expect(libraryFeatures({ file: {}, features: {} })).toEqual({ duration: null, tempo: null, scale: null, tonic: null, brightness: null });
+  });
+
+  test('search, tag and culture filters', () => {
+    const entries = [
+      entry('Morning raga', { scale: 'Bhairav' }, { tags: ['Drone'], cultureId: 'indian' }),
+      entry('Gamelan rehearsal', {}, { tags: ['ensemble'], cultureId: 'indonesian' }),
+      entry('Lullaby', {}, { fileName: 'take3.wav' })
+    ];
+    const titles = list => list.map(e => e.title);
+    expect(titles(filterEntries(entries, { query: 'bhairav raga' }))).toEqual(['Morning raga']);
+    expect(titles(filterEntries(entries, { query: 'TAKE3' }))).toEqual(['Lullaby']);
+    expect(titles(filterEntries(entries, { tag: 'drone' }))).toEqual(['Morning raga']);
+    expect(titles(filterEntries(entries, { cultureId: 'indonesian' }))).toEqual(['Gamelan rehearsal']);
+    expect(titles(filterEntries(entries, { query: 'java', cultureName: id => (id === 'indonesian' ? 'Javanese Gamelan' : '') }))).toEqual(['Gamelan rehearsal']);
+    expect(filterEntries(entries)).toHaveLength(3);
+  });
+
+  test('sorting keeps missing values last', () => {
+    const entries = [entry('b', { tempo: 120 }), entry('a', { tempo: null }), entry('c', { tempo: 80 })];
+    expect(sortEntries(entries, 'tempo', 'asc').map(e => e.title)).toEqual(['c', 'b', 'a']);
+    expect(sortEntries(entries, 'tempo', 'desc').map(e => e.title)).toEqual(['b', 'c', 'a']);
+    expect(sortEntries(entries, 'title', 'asc').map(e => e.title)).toEqual(['a', 'b', 'c']);
+    expect(() => sortEntries(entries, 'colour')).toThrow('Unknown sort key');
+  });
+
+  test('storage estimate', async () => {
+    const storage = { estimate: async () => ({ usage: 5e6, quota: 1e9 }), persisted: async () => true };
+    await expect(estimateStorage(storage)).resolves.toEqual({ usage: 5e6, quota: 1e9, persisted: true });
+    await expect(estimateStorage({})).resolves.toBeNull();
+  });
+});
+
+describe('RecordingLibrary', () => {
+  test('add, list, read audio, update and remove', async () => {
+    const library = await RecordingLibrary.open({ indexedDB: fakeIndexedDB() });
+    const audio = new Blob([new Uint8Array([1, 2, 3, 4])], { type: 'audio/wav' });
+    const saved = await library.add({ title: ' Morning raga ', tags: 'drone, field', cultureId: 'indian', document: analysisDocument(), audio, fileName: 'raga.wav' });
+    expect(saved).toMatchObject({ title: 'Morning raga', tags: ['drone', 'field'], cultureId: 'indian', audioType: 'audio/wav', audioSize: 4, features: { tempo: 96 } });
+    await library.add({ title: 'Notes only', document: analysisDocument(120) });
+
+    expect((await library.list()).map(e => e.title).sort()).toEqual(['Morning raga', 'Notes only']);
+    const blob = await library.getAudio(saved.id);
+    expect(blob.type).toBe('audio/wav');
+    expect([...new Uint8Array(await blob.arrayBuffer())]).toEqual([1, 2, 3, 4]);
+
+    const updated = await library.update(saved.id, { tags: 'solo', cultureId: '' });
+    expect(updated).toMatchObject({ title: 'Morning raga', tags: ['solo'], cultureId: null });
+    expect((await library.get(saved.id)).tags).toEqual(['solo']);
+
+    await library.remove(saved.id);
+    expect(await library.get(saved.id)).toBeNull();
+    expect(await library.getAudio(saved.id)).toBeNull();
+    expect(await library.list()).toHaveLength(1);
+  });
+
+  test('rejects entries without a title or document, and browsers without IndexedDB', async () => {
+    const library = await RecordingLibrary.open({ indexedDB: fakeIndexedDB() });
+    await expect(library.add({ title: '  ', document: analysisDocument() })).rejects.toThrow('needs a title');
+    await expect(library.add({ title: 'x' })).rejects.toThrow('needs an analysis document');
+    await expect(library.update('missing', { title: 'y' })).rejects.toThrow('no longer exists');
+    await expect(RecordingLibrary.open({ indexedDB: null })).rejects.toThrow('no IndexedDB');
+  });
+});
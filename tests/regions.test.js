@@ -0,0 +1,64 @@
+import { formatTime, normalizeRegion, parseTime, regionLabel, sliceRegion, waveformPeaks } from '../src/utils/regions.js';
+
+describe('region timestamps', () => {
+  test('parseTime reads seconds, m:ss and h:mm:ss', () => {
+    expect(parseTime('80')).toBe(80);
+    expect(parseTime('1:20')).toBe(80);
+    expect(parseTime(' 1:20.5 ')).toBe(80.5);
+    expect(parseTime('0:01:20')).toBe(80);
+    expect(parseTime(12.5)).toBe(12.5);
+    expect(() => parseTime('1:2x')).toThrow('Not a time');
+    expect(() => parseTime('')).toThrow('Not a time');
+  });
+
+  test('formatTime and regionLabel', () => {
+    expect(formatTime(80)).toBe('1:20.0');
+    expect(formatTime(5.04)).toBe('0:05.0');
+    expect(formatTime(59.96)).toBe('1:00.0');
+    expect(formatTime(3723.5)).toBe('1:02:03.5');
+    expect(formatTime(65, 0)).toBe('1:05');
+    expect(regionLabel({ start: 80, end: 110 })).toBe('1:20.0–1:50.0');
+  });
+});
+
+describe('normalizeRegion', () => {
+  test('orders and clamps to the recording', () => {
+    expect(normalizeRegion({ start: 110, end: 80 }, 200)).toEqual({ start: 80, end: 110 });
+    expect(normalizeRegion({ start: -3, end: 250 }, 200)).toEqual({ start: 0, end: 200 });
+  });
+
+  test('rejects regions that are too short', () => {
+    expect(() => normalizeRegion({ start: 10, end: 10.2 }, 200)).toThrow('at least 0.5 s');
+    expect(() => normalizeRegion({ start: 199.8, end: 230 }, 200)).toThrow('at least 0.5 s');
+    expect(normalizeRegion({ start: 10, end: 10.2 }, 200, { minDuration: 0.1 })).toEqual({ start: 10, end: 10.2 });
+  });
+});
+
+describe('sliceRegion', () => {
+  test('returns views of every channel', () => {
+    const left = Float32Array.from({ length: 100 }, (_, i) => i);
+    const right = Float32Array.from({ length: 100 }, (_, i) => -i);
+    const [l, r] = sliceRegion([left, right], 10, { start: 2, end: 3.5 });
+    expect(Array.from(l)).toEqual([20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34]);
+    expect(r[0]).toBe(-20);
+    expect(l.buffer).toBe(left.buffer);
+    expect(sliceRegion([left], 10, { start: 9, end: 20 })[0]).toHaveLength(10);
+  });
+});
+
+describe('waveformPeaks', () => {
+  test('min and max per column', () => {
+    const samples = Float32Array.from({ length: 40 }, (_, i) => (i % 10) / 10 - 0.5);
+    const { min, max } = waveformPeaks(samples, 10, { start: 0, end: 4, columns: 4 });
+    expect(Array.from(min)).toEqual(Array(4).fill(-0.5));
+    expect(Array.from(max, v => Math.round(v * 10) / 10)).toEqual(Array(4).fill(0.4));
+  });
+
+  test('zoomed past single samples and past the end', () => {
+    const samples = Float32Array.from([0.1, 0.2, 0.3, 0.4]);
+    const zoomed = waveformPeaks(samples, 4, { start: 0.25, end: 0.5, columns: 2 });
+    expect(Array.from(zoomed.max)).toEqual([samples[1], samples[1]]);
+    const past = waveformPeaks(samples, 4, { start: 0.5, end: 1.5, columns: 4 });
+    expect(Array.from(past.max)).toEqual([samples[2], samples[3], 0, 0]);
+  });
+});
@@ -0,0 +1,104 @@
+import { AudioAnalyzer } from '../src/audioAnalyzer.js';
+import { getAllCultures } from '../src/culturesData.js';
+import {
+  builtInScales,
+  getAllScales,
+  getScaleById,
+  getScalesForCulture,
+  importScales,
+  removeScale,
+  scaleFrequencies,
+  validateScale
+} from '../src/scaleLibrary.js';
+
+// Sikah-like scale with a three-quarter-tone second and neutral third
+const SIKAH = {
+  id: 'test-sikah',
+  name: 'Test Sikah',
+  culture: 'middle-eastern',
+  ascending: [0, 150, 350, 500, 700, 850, 1050, 1200],
+  stressed: [500],
+  description: 'Imported for a test'
+};
+
+describe('scale registry', () => {
+  test('built-in scales are valid and link to known cultures', () => {
+    const cultureIds = new Set(getAllCultures().map(culture => culture.id));
+    builtInScales.forEach(scale => {
+      expect(() => validateScale(scale)).not.toThrow();
+      scale.cultures.forEach(id => expect(cultureIds.has(id)).toBe(true));
+    });
+    expect(new Set(getAllScales().map(scale => scale.id)).size).toBe(builtInScales.length);
+  });
+
+  test('descending defaults to the ascending form reversed', () => {
+    expect(getScaleById('major').descending).toEqual([1200, 1100, 900, 700, 500, 400, 200, 0]);
+    expect(getScaleById('melodic-minor').descending).toContain(1000);
+    expect(getScalesForCulture('middle-eastern').map(scale => scale.id)).toContain('maqam-rast');
+  });
+
+  test('frequencies follow the cents from the tonic', () => {
+    const rast = getScaleById('maqam-rast');
+    const frequencies = scaleFrequencies(rast, 200);
+    expect(frequencies[0]).toBe(200);
+    expect(frequencies[2]).toBeCloseTo(200 * Math.pow(2, 350 / 1200), 6);
+    expect(scaleFrequencies(rast, 200, 'descending')[1]).toBeCloseTo(200 * Math.pow(2, 1000 / 1200), 6);
+  });
+
+  test('invalid definitions are rejected with a reason', () => {
+    expect(() => validateScale({ ascending: [0, 100] })).toThrow('needs a name');
+    expect(() => validateScale({ name: 'X', ascending: [100, 200] })).toThrow('start at 0');
+    expect(() => validateScale({ name: 'X', ascending: [0, 300, 200] })).toThrow('must increase');
+    expect(() => validateScale({ name: 'X', ascending: [0, 200], descending: [0, 200] })).toThrow('must decrease');
+    expect(() => validateScale({ name: 'X', id: '"><img src=x onerror=alert(1)>', ascending: [0, 200] })).toThrow('id must be lowercase');
+    expect(() => validateScale({ name: 'ラーガ', ascending: [0, 200] })).toThrow('id must be lowercase');
+    expect(validateScale({ name: 'Raga Yaman', ascending: [0, 200] }).id).toBe('raga-yaman');
+  });
+
+  test('imports from JSON, reporting bad entries and keeping the good ones', () => {
+    const { imported, errors } = importScales(JSON.stringify({ scales: [SIKAH, { name: 'Broken' }] }));
+    try {
+      expect(imported.map(scale => scale.id)).toEqual(['test-sikah']);
+      expect(errors).toHaveLength(1);
+      expect(errors[0]).toMatch(/^Entry 2: Scale "Broken"/);
+      expect(getScaleById('test-sikah')).toMatchObject({ cultures: ['middle-eastern'], custom: true });
+      expect(getScalesForCulture('middle-eastern').map(scale => scale.id)).toContain('test-sikah');
+    } finally {
+      removeScale('test-sikah');
+    }
+    expect(getScaleById('test-sikah')).toBeUndefined();
+    expect(() => importScales('{"name": "not a list"}')).toThrow('Expected a list');
+  });
+});
+
+describe('AudioAnalyzer with registry scales', () => {
+  const TONIC = 220;
+  const pitchesOf = dwell => Object.entries(dwell)
+    .flatMap(([cents, count]) => new Array(count).fill(TONIC * Math.pow(2, Number(cents) / 1200)));
+  // A Rast line: the neutral third and seventh are sung, not a semitone scale
+  const RAST_LINE = { 0: 30, 200: 12, 350: 18, 500: 15, 700: 25, 900: 10, 1050: 8 };
+  const tonic = { note: 'A', cents: 900, frequency: TONIC };
+
+  test('a quarter-tone maqam is recognized from its neutral degrees', () => {
+    const result = new AudioAnalyzer().identifyScale(pitchesOf(RAST_LINE), { tonic });
+    expect(result.scale).toBe('Maqam Rast (Arabic)');
+  });
+
+  test('imported scales are recognized, as are extra scales passed in the options', () => {
+    const sikahLine = { 0: 30, 150: 12, 350: 15, 500: 25, 700: 18, 850: 10, 1050: 8 };
+    const plain = new AudioAnalyzer().identifyScale(pitchesOf(sikahLine), { tonic });
+    expect(plain.scale).not.toBe('Test Sikah');
+
+    importScales([SIKAH]);
+    try {
+      expect(new AudioAnalyzer().identifyScale(pitchesOf(sikahLine), { tonic }).scale).toBe('Test Sikah');
+    } finally {
+      removeScale('test-sikah');
+    }
+
+    const analyzer = new AudioAnalyzer({ key: { extraScales: [SIKAH] } });
+    expect(analyzer.getScales().map(scale => scale.id)).toContain('test-sikah');
+    expect(analyzer.identifyScale(pitchesOf(sikahLine), { tonic }).scale).toBe('Test Sikah');
+    expect(analyzer.getOptions().key.extraScales).toEqual([SIKAH]);
+  });
+});
@@ -0,0 +1,87 @@
+import { AudioAnalyzer } from '../src/audioAnalyzer.js';
+import { noveltyCurve, segmentStructure, selfSimilarity } from '../src/utils/segmentation.js';
+import { createSeededRandom } from '../src/utils/random.js';
+
+// Noisy copies of a prototype vector per section, at 2 frames per second
+function frames(plan, seconds = 30, seed = 1) {
+  const random = createSeededRandom(seed);
+  const prototypes = {};
+  const rows = [];
+  plan.forEach(name => {
+    const base = name.replace('′', '');
+    if (!prototypes[base]) prototypes[base] = Array.from({ length: 13 }, () => random() * 10);
+    // A primed section keeps most of its prototype but shifts a few coefficients
+    const prototype = name.endsWith('′') ? prototypes[base].map((v, d) => (d < 3 ? v + 3 : v)) : prototypes[base];
+    for (let i = 0; i < seconds * 2; i++) rows.push(prototype.map(v => v + (random() - 0.5) * 3));
+  });
+  return rows;
+}
+
+describe('segmentStructure', () => {
+  test('finds the boundaries and labels repeats', () => {
+    const result = segmentStructure({ timbre: frames(['A', 'B', 'A', 'C', 'B']), frameRate: 2 });
+    expect(result.sections.map(section => section.label)).toEqual(['A', 'B', 'A', 'C', 'B']);
+    result.boundaries.forEach((time, i) => expect(Math.abs(time - 30 * (i + 1))).toBeLessThanOrEqual(1));
+    expect(result.sections[2].repeatOf).toBe(0);
+    expect(result.repeats).toEqual([
+      { sections: [0, 2], similarity: expect.any(Number) },
+      { sections: [1, 4], similarity: expect.any(Number) }
+    ]);
+    expect(result.sections[4].end).toBe(150);
+  });
+
+  test('a changed return is marked as a variant', () => {
+    const result = segmentStructure({ timbre: frames(['A', 'B', 'A′']), frameRate: 2 });
+    expect(result.sections.map(section => section.label)).toEqual(['A', 'B', 'A′']);
+    expect(result.sections[2].letter).toBe('A');
+  });
+
+  test('onset density separates sections of equal timbre (alap → jhala)', () => {
+    const timbre = frames(['A', 'A'], 40);
+    const onsetTimes = [];
+    for (let t = 40; t < 80; t += 0.125) onsetTimes.push(t);
+    expect(segmentStructure({ timbre, frameRate: 2 }).sections).toHaveLength(1);
+    const result = segmentStructure({ timbre, onsetTimes, frameRate: 2 });
+    expect(result.sections.map(section => section.label)).toEqual(['A', 'B']);
+    expect(result.boundaries[0]).toBeCloseTo(40, -1);
+  });
+
+  test('long inputs are reduced before the matrix is built', () => {
+    const result = segmentStructure({ timbre: frames(['A', 'B'], 1000), frameRate: 2 }, { maxFrames: 500 });
+    expect(result.novelty.values).toHaveLength(500);
+    expect(result.novelty.frameRate).toBe(0.25);
+    expect(result.sections.map(section => section.label)).toEqual(['A', 'B']);
+  });
+
+  test('too short to segment', () => {
+    expect(segmentStructure({ timbre: [[1], [2]], frameRate: 2 }).sections).toEqual([
+      { label: 'A', letter: 'A', start: 0, end: 1, repeatOf: null, similarity: null }
+    ]);
+    expect(segmentStructure({ timbre: [], frameRate: 2 }).sections).toEqual([]);
+  });
+
+  test('novelty peaks at the change between two blocks', () => {
+    const vectors = [...Array(20).fill([1, 0]), ...Array(20).fill([0, 1])];
+    const novelty = noveltyCurve(selfSimilarity(vectors), 5);
+    expect(novelty.indexOf(Math.max(...novelty))).toBe(20);
+  });
+});
+
+describe('AudioAnalyzer.segmentStructure', () => {
+  test('tone, noise, tone', () => {
+    const SR = 8000;
+    const random = createSeededRandom(4);
+    const signal = new Float32Array(SR * 36);
+    for (let i = 0; i < signal.length; i++) {
+      const t = i / SR;
+      signal[i] = t >= 12 && t < 24
+        ? 0.3 * (random() * 2 - 1)
+        : 0.3 * Math.sin(2 * Math.PI * 330 * t) + 0.2 * Math.sin(2 * Math.PI * 495 * t);
+    }
+    const analyzer = new AudioAnalyzer({ sampleRate: SR });
+    const result = analyzer.segmentStructure(signal);
+    expect(result.sections.map(section => section.label)).toEqual(['A', 'B', 'A']);
+    expect(result.boundaries[0]).toBeCloseTo(12, 0);
+    expect(result.meta.params.poolFrames).toBe(analyzer.getSegmentationPoolSize());
+  });
+});
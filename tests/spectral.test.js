@@ -0,0 +1,116 @@
+import {
+  createWindow,
+  fft,
+  realFFT,
+  magnitudeSpectrum,
+  averageSpectrum,
+  stft,
+  toDecibels,
+  spectralCentroid,
+  spectralRolloff,
+  spectralBrightness,
+} from '../src/utils/spectral.js';
+
+const SR = 44100;
+
+function sine(freq, seconds = 0.5, amp = 0.5) {
+  const out = new Float32Array(Math.floor(SR * seconds));
+  for (let i = 0; i < out.length; i++) out[i] = amp * Math.sin(2 * Math.PI * freq * i / SR);
+  return out;
+}
+
+function naiveDFT(x) {
+  const N = x.length;
+  const re = [];
+  const im = [];
+  for (let k = 0; k <= N / 2; k++) {
+    let r = 0, i = 0;
+    for (let n = 0; n < N; n++) {
+      r += x[n] * Math.cos(2 * Math.PI * k * n / N);
+      i -= x[n] * Math.sin(2 * Math.PI * k * n / N);
+    }
+    re.push(r);
+    im.push(i);
+  }
+  return { re, im };
+}
+
+describe('windows', () => {
+  test('hann is zero at the edges and one in the middle', () => {
+    const w = createWindow('hann', 9);
+    expect(w[0]).toBeCloseTo(0);
+    expect(w[8]).toBeCloseTo(0);
+    expect(w[4]).toBeCloseTo(1);
+  });
+
+  test('rejects unknown window types', () => {
+    expect(() => createWindow('triangle', 8)).toThrow(/Unknown window/);
+  });
+});
+
+describe('FFT', () => {
+  test('realFFT matches a naive DFT', () => {
+    const x = Array.from({ length: 32 }, (_, i) => Math.sin(i * 0.7) + 0.3 * Math.cos(i * 2.1));
+    const { re, im } = realFFT(x);
+    const ref = naiveDFT(x);
+    for (let k = 0; k <= 16; k++) {
+      expect(re[k]).toBeCloseTo(ref.re[k], 6);
+      expect(im[k]).toBeCloseTo(ref.im[k], 6);
+    }
+  });
+
+  test('complex fft of an impulse is flat', () => {
+    const re = new Float64Array(8);
+    const im = new Float64Array(8);
+    re[0] = 1;
+    fft(re, im);
+    re.forEach(v => expect(v).toBeCloseTo(1));
+    im.forEach(v => expect(v).toBeCloseTo(0));
+  });
+
+  test('rejects non power-of-two sizes', () => {
+    expect(() => realFFT(new Float32Array(100))).toThrow(/power of two/);
+  });
+});
+
+describe('spectra and descriptors', () => {
+  test('magnitude spectrum peaks at the sine frequency', () => {
+    const frame = sine(1000).subarray(0, 2048);
+    const mags = magnitudeSpectrum(frame);
+    let peak = 0;
+    for (let k = 1; k < mags.length; k++) if (mags[k] > mags[peak]) peak = k;
+    expect(peak * SR / 2048).toBeCloseTo(1000, -2);
+  });
+
+  test('centroid tracks frequency rather than amplitude', () => {
+    const low = averageSpectrum(sine(300)).spectrum;
+    const high = averageSpectrum(sine(3000)).spectrum;
+    const quietHigh = averageSpectrum(sine(3000, 0.5, 0.05)).spectrum;
+    expect(spectralCentroid(low, SR)).toBeGreaterThan(250);
+    expect(spectralCentroid(low, SR)).toBeLessThan(400);
+    expect(spectralCentroid(high, SR)).toBeGreaterThan(2900);
+    expect(spectralCentroid(quietHigh, SR)).toBeCloseTo(spectralCentroid(high, SR), 0);
+  });
+
+  test('rolloff and brightness', () => {
+    const low = averageSpectrum(sine(300)).spectrum;
+    const high = averageSpectrum(sine(5000)).spectrum;
+    expect(spectralRolloff(low, SR)).toBeLessThan(500);
+    expect(spectralBrightness(low, SR)).toBeLessThan(0.05);
+    expect(spectralBrightness(high, SR)).toBeGreaterThan(0.95);
+  });
+
+  test('frame and hop size control the frame count', () => {
+    const signal = sine(440, 1);
+    expect(stft(signal, { frameSize: 1024, hopSize: 512 }).length)
+      .toBe(Math.floor((signal.length - 1024) / 512) + 1);
+    expect(averageSpectrum(signal, { frameSize: 4096, hopSize: 4096 }).spectrum.length).toBe(2049);
+  });
+
+  test('toDecibels clamps silence to the floor', () => {
+    const db = toDecibels([1, 0.1, 0]);
+    expect(db[0]).toBeCloseTo(0);
+    expect(db[1]).toBeCloseTo(-20);
+    expect(db[2]).toBe(-120);
+  });
+});
@@ -0,0 +1,99 @@
+import { AudioAnalyzer } from '../src/audioAnalyzer.js';
+import { detectDrone, estimateTonic } from '../src/utils/tonic.js';
+
+const SR = 44100;
+const D3 = 146.832;
+
+// Harmonic tone with a few partials
+function addTone(out, frequency, start, end, amp) {
+  for (let i = Math.floor(start * SR); i < Math.min(out.length, Math.floor(end * SR)); i++) {
+    const t = i / SR;
+    out[i] += amp * (Math.sin(2 * Math.PI * frequency * t)
+      + 0.5 * Math.sin(2 * Math.PI * 2 * frequency * t)
+      + 0.25 * Math.sin(2 * Math.PI * 3 * frequency * t));
+  }
+}
+
+// Melody stepping through scale degrees (semitones above the tonic) every `noteSeconds`
+function melody(tonic, semitones, { seconds = 8, noteSeconds = 0.5, drone = false } = {}) {
+  const out = new Float32Array(SR * seconds);
+  if (drone) addTone(out, tonic, 0, seconds, 0.15);
+  for (let n = 0, t = 0; t < seconds; n++, t += noteSeconds) {
+    const semitone = semitones[n % semitones.length];
+    addTone(out, tonic * 2 * Math.pow(2, semitone / 12), t, t + noteSeconds, 0.2);
+  }
+  return out;
+}
+
+// Pitches of a raga line: Sa dwells longest, with Pa as the next most used note
+function ragaPitches(tonic, semitones, dwell) {
+  const pitches = [];
+  semitones.forEach((semitone, i) => {
+    for (let r = 0; r < dwell[i]; r++) pitches.push(tonic * 2 * Math.pow(2, semitone / 12));
+  });
+  return pitches;
+}
+
+const BHAIRAV = [0, 1, 4, 5, 7, 8, 11];
+
+describe('detectDrone', () => {
+  test('finds a sustained drone under a moving melody', () => {
+    const drone = detectDrone(melody(D3, [0, 4, 7, 11, 12, 7], { drone: true }), SR);
+    expect(drone.present).toBe(true);
+    expect(Math.abs(1200 * Math.log2(drone.frequency / D3))).toBeLessThan(10);
+    expect(drone.label).toMatch(/^D\b/);
+  });
+
+  test('a melody on its own is not a drone', () => {
+    expect(detectDrone(melody(D3, [0, 2, 4, 5, 7, 9]), SR).present).toBe(false);
+  });
+
+  test('silence and very short input', () => {
+    expect(detectDrone(new Float32Array(SR), SR).present).toBe(false);
+    expect(detectDrone(new Float32Array(100), SR).frequency).toBe(0);
+  });
+});
+
+describe('estimateTonic', () => {
+  test('prefers the degree with a fifth above it', () => {
+    const tonic = estimateTonic({
+      degrees: [{ cents: 200, weight: 0.3 }, { cents: 900, weight: 0.35 }, { cents: 600, weight: 0.35 }],
+    });
+    expect(tonic.note).toBe('D');
+    expect(tonic.source).toBe('histogram');
+  });
+
+  test('a drone overrides the histogram', () => {
+    const drone = { present: true, frequency: 110, pitchClassCents: 900, label: 'A', persistence: 0.9 };
+    const tonic = estimateTonic({ degrees: [{ cents: 200, weight: 0.6 }, { cents: 900, weight: 0.4 }], drone });
+    expect(tonic.note).toBe('A');
+    expect(tonic.frequency).toBe(110);
+    expect(tonic.source).toBe('drone+histogram');
+  });
+
+  test('tonic octave sits at or below the median pitch', () => {
+    const tonic = estimateTonic({ degrees: [{ cents: 200, weight: 1 }], pitches: [300, 330, 350] });
+    expect(tonic.frequency).toBeCloseTo(293.7, 0);
+  });
+
+  test('nothing to go on gives null', () => {
+    expect(estimateTonic({ degrees: [] })).toBeNull();
+  });
+});
+
+describe('identifyScale relative to the tonic', () => {
+  test('Raga Bhairav on D is not reported as a rotated C scale', () => {
+    const analyzer = new AudioAnalyzer({ sampleRate: SR });
+    const pitches = ragaPitches(D3, BHAIRAV, [40, 10, 15, 12, 30, 10, 12]);
+    const result = analyzer.identifyScale(pitches);
+    expect(result.tonic.note).toBe('D');
+    expect(result.scale).toBe('Raga Bhairav (Indian)');
+  });
+
+  test('an explicit tonic is used as given', () => {
+    const analyzer = new AudioAnalyzer({ sampleRate: SR });
+    const pitches = ragaPitches(D3, BHAIRAV, [40, 10, 15, 12, 30, 10, 12]);
+    const tonic = { note: 'C', cents: 0, frequency: 130.8 };
+    expect(analyzer.identifyScale(pitches, { tonic }).tonic).toBe(tonic);
+  });
+});
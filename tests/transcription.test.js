@@ -0,0 +1,106 @@
+import { AudioAnalyzer } from '../src/audioAnalyzer.js';
+import { centsToNoteName, notesToCsv, notesToMidi, transcribeNotes } from '../src/utils/transcription.js';
+
+const HOP = 0.01;
+
+// A pitch track from [frequency or 0 for unvoiced, seconds] segments
+function track(segments) {
+  const frames = [];
+  segments.forEach(([frequency, seconds]) => {
+    const count = Math.round(seconds / HOP);
+    for (let i = 0; i < count; i++) {
+      frames.push({ time: frames.length * HOP, frequency, voiced: frequency > 0, confidence: frequency > 0 ? 0.9 : 0 });
+    }
+  });
+  return frames;
+}
+
+describe('transcribeNotes', () => {
+  test('legato steps and rests separate notes', () => {
+    const notes = transcribeNotes(track([[440, 0.5], [523.25, 0.5], [0, 0.1], [523.25, 0.5]]));
+    expect(notes.map(note => note.name)).toEqual(['A4', 'C5', 'C5']);
+    expect(notes.map(note => note.onset)).toEqual([0, 0.5, 1.1]);
+    notes.forEach(note => expect(note.duration).toBeCloseTo(0.5, 2));
+    expect(notes[0]).toMatchObject({ frequency: 440, midi: 69, cents: 5700, confidence: 0.9 });
+  });
+
+  test('an onset splits a repeated note; short gaps and glitches do not', () => {
+    const frames = track([[440, 0.5], [440, 0.5]]);
+    expect(transcribeNotes(frames, { onsetTimes: [0, 0.5] })).toHaveLength(2);
+    frames[20] = { ...frames[20], voiced: false, frequency: 0 };
+    frames[30] = { ...frames[30], frequency: 880 };
+    expect(transcribeNotes(frames)).toHaveLength(1);
+  });
+
+  test('notes shorter than the minimum are dropped', () => {
+    const notes = transcribeNotes(track([[440, 0.5], [0, 0.1], [660, 0.04], [0, 0.1], [440, 0.5]]));
+    expect(notes.map(note => note.name)).toEqual(['A4', 'A4']);
+  });
+
+  test('scale degrees are numbered from the tonic; off-grid pitches keep their cents', () => {
+    const degrees = [{ cents: 0, label: 'C' }, { cents: 400, label: 'E' }, { cents: 900, label: 'A' }];
+    const tonic = { cents: 900, frequency: 440 };
+    const notes = transcribeNotes(track([[440, 0.3], [523.25, 0.3], [659.26, 0.3], [452, 0.3]]), { degrees, tonic });
+    expect(notes.map(note => note.degree?.number)).toEqual([1, 2, 3, 1]);
+    expect(notes[1].centsFromTonic).toBeCloseTo(300, 0);
+    expect(notes[3].name).toBe('A4 +47¢');
+    expect(notes[3].degree.deviationCents).toBe(47);
+    expect(transcribeNotes(track([[466.16, 0.3]]), { degrees, tonic })[0].degree).toBeNull();
+  });
+
+  test('empty input', () => {
+    expect(transcribeNotes([])).toEqual([]);
+    expect(transcribeNotes(track([[0, 1]]))).toEqual([]);
+  });
+});
+
+describe('export', () => {
+  const notes = transcribeNotes(track([[440, 0.5], [452, 0.5]]), { onsetTimes: [0, 0.5] });
+
+  test('note names', () => {
+    expect(centsToNoteName(5700)).toBe('A4');
+    expect(centsToNoteName(5680)).toBe('A4 -20¢');
+    expect(centsToNoteName(4830)).toBe('C4 +30¢');
+  });
+
+  test('CSV has a header and a row per note', () => {
+    const lines = notesToCsv(notes).split('\n');
+    expect(lines).toHaveLength(3);
+    expect(lines[0]).toMatch(/^onset_s,duration_s,frequency_hz/);
+    expect(lines[1]).toMatch(/^0,0\.5,440,5700,,69,A4,/);
+  });
+
+  test('MIDI file with a pitch bend for the microtonal note', () => {
+    const midi = notesToMidi(notes);
+    expect(String.fromCharCode(...midi.slice(0, 4))).toBe('MThd');
+    expect(String.fromCharCode(...midi.slice(14, 18))).toBe('MTrk');
+    const bytes = Array.from(midi);
+    const noteOns = bytes.flatMap((b, i) => (b === 0x90 ? [bytes[i + 1]] : []));
+    expect(noteOns).toEqual([69, 69]);
+    // 452 Hz is A4 bent up 47 cents
+    const bendAt = bytes.lastIndexOf(0xe0);
+    const bend = bytes[bendAt + 1] | (bytes[bendAt + 2] << 7);
+    expect((bend - 8192) / 8192 * 200).toBeCloseTo(47, 0);
+    expect(bytes.slice(-4)).toEqual([0x00, 0xff, 0x2f, 0x00]);
+  });
+});
+
+describe('AudioAnalyzer.transcribeMelody', () => {
+  test('transcribes a three-note melody', () => {
+    const SR = 16000;
+    const melody = [[392, 0.4], [440, 0.4], [494, 0.6]];
+    const signal = new Float32Array(SR * 1.4);
+    let offset = 0;
+    melody.forEach(([frequency, seconds]) => {
+      const length = Math.round(SR * seconds);
+      for (let i = 0; i < length; i++) {
+        signal[offset + i] = 0.5 * Math.sin(2 * Math.PI * frequency * i / SR) * Math.min(1, i / 80, (length - i) / 80);
+      }
+      offset += length;
+    });
+    const result = new AudioAnalyzer({ sampleRate: SR }).transcribeMelody(signal);
+    expect(result.notes.map(note => note.name.split(' ')[0])).toEqual(['G4', 'A4', 'B4']);
+    expect(result.notes[1].onset).toBeCloseTo(0.4, 1);
+    expect(result.meta.params.splitCents).toBe(70);
+  });
+});
@@ -0,0 +1,124 @@
+import {
+  frequencyToPitchClassCents,
+  pitchClassLabel,
+  pitchClassHistogram,
+  findScaleDegrees,
+  estimateTuningSystem,
+  analyzeTuning,
+  TUNING_SYSTEMS,
+} from '../src/utils/tuning.js';
+
+const A4 = 440;
+const C4 = A4 * Math.pow(2, -9 / 12);
+const centsToFrequency = (cents, base = C4) => base * Math.pow(2, cents / 1200);
+
+// Repeat each scale degree with a little jitter, as a sung or bowed line would
+function performScale(degreeCents, { repeats = 20, jitter = 4, base } = {}) {
+  const pitches = [];
+  degreeCents.forEach((cents, d) => {
+    for (let i = 0; i < repeats; i++) {
+      const offset = jitter * Math.sin(i * 1.7 + d);
+      pitches.push(centsToFrequency(cents + offset, base));
+    }
+  });
+  return pitches;
+}
+
+describe('pitch classes', () => {
+  test('cents are measured above C and ignore the octave', () => {
+    expect(frequencyToPitchClassCents(A4)).toBeCloseTo(900, 6);
+    expect(frequencyToPitchClassCents(A4 * 2)).toBeCloseTo(900, 6);
+    expect(frequencyToPitchClassCents(centsToFrequency(1))).toBeCloseTo(1, 4);
+  });
+
+  test('labels show the deviation from the nearest semitone', () => {
+    expect(pitchClassLabel(900)).toBe('A');
+    expect(pitchClassLabel(386.3)).toBe('E −14¢');
+    expect(pitchClassLabel(1195)).toBe('C −5¢');
+  });
+});
+
+describe('histogram and degrees', () => {
+  test('histogram has 1200 bins, sums to one and wraps around the octave', () => {
+    const histogram = pitchClassHistogram([centsToFrequency(1198), centsToFrequency(2)]);
+    expect(histogram.length).toBe(1200);
+    expect(histogram.reduce((a, b) => a + b, 0)).toBeCloseTo(1, 6);
+    const degrees = findScaleDegrees(histogram);
+    expect(degrees).toHaveLength(1);
+    expect(Math.min(degrees[0].cents, 1200 - degrees[0].cents)).toBeLessThan(3);
+  });
+
+  test('weights shift the histogram mass', () => {
+    const pitches = [centsToFrequency(0), centsToFrequency(700)];
+    const [tonic, fifth] = findScaleDegrees(pitchClassHistogram(pitches, { weights: [3, 1] }));
+    expect(tonic.cents).toBeCloseTo(0, 0);
+    expect(tonic.weight).toBeGreaterThan(fifth.weight * 2);
+  });
+
+  test('peaks recover the degrees of a major scale', () => {
+    const major = [0, 200, 400, 500, 700, 900, 1100];
+    const degrees = findScaleDegrees(pitchClassHistogram(performScale(major)));
+    expect(degrees.map(d => (Math.round(d.cents / 10) * 10) % 1200).sort((a, b) => a - b)).toEqual(major);
+  });
+
+  test('no pitches gives no degrees and no tuning', () => {
+    const result = analyzeTuning([]);
+    expect(result.degrees).toEqual([]);
+    expect(result.tuning.best).toBeNull();
+  });
+});
+
+describe('tuning systems', () => {
+  const bestFor = (cents, options) => analyzeTuning(performScale(cents, options)).tuning.best;
+
+  test('equal-tempered major scale is 12-TET, even off A440', () => {
+    const best = bestFor([0, 200, 400, 500, 700, 900, 1100], { base: 270 });
+    expect(best.id).toBe('12-tet');
+    best.degrees.forEach(d => expect(Math.abs(d.deviationCents)).toBeLessThan(3));
+  });
+
+  test('pure thirds and sixths point to just intonation', () => {
+    const ratios = [1, 9 / 8, 5 / 4, 4 / 3, 3 / 2, 5 / 3, 15 / 8];
+    const best = bestFor(ratios.map(r => 1200 * Math.log2(r)), { jitter: 1 });
+    expect(best.id).toBe('just');
+  });
+
+  test('neutral intervals need quarter tones', () => {
+    // Maqam Rast: neutral third and seventh
+    expect(bestFor([0, 200, 350, 500, 700, 900, 1050]).id).toBe('24-tet');
+  });
+
+  test('slendro-like and Thai-like scales', () => {
+    expect(bestFor([0, 240, 480, 720, 960]).id).toBe('5-tet');
+    expect(bestFor([0, 171.4, 342.9, 514.3, 685.7, 857.1, 1028.6]).id).toBe('7-tet');
+  });
+
+  test('reports per-degree deviation from the fitted grid', () => {
+    const { best, ranking } = estimateTuningSystem([
+      { cents: 0, weight: 1 },
+      { cents: 386, weight: 1 },
+      { cents: 700, weight: 1 },
+    ], { systems: TUNING_SYSTEMS.filter(system => system.id === '12-tet') });
+    expect(ranking).toHaveLength(1);
+    // The grid is fitted to the degrees, so compare the third against the root
+    const [root, third] = best.degrees;
+    expect(third.degree).toBe(4);
+    expect(third.deviationCents - root.deviationCents).toBeCloseTo(-14, 0);
+  });
+});
+
+describe('too few scale degrees', () => {
+  test('a single pitch class or a dyad ranks no tuning system', () => {
+    [[0], [0, 700]].forEach(cents => {
+      const { degrees, tuning } = analyzeTuning(performScale(cents));
+      expect(degrees).toHaveLength(cents.length);
+      expect(tuning).toEqual({ best: null, ranking: [], insufficientData: true, degreeCount: cents.length });
+    });
+  });
+
+  test('three degrees are enough', () => {
+    const { tuning } = analyzeTuning(performScale([0, 400, 700]));
+    expect(tuning.insufficientData).toBe(false);
+    expect(tuning.best.id).toBe('12-tet');
+  });
+});
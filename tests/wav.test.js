@@ -0,0 +1,70 @@
+import { decodeWav, encodeWav, isWav } from '../src/utils/wav.js';
+
+const SR = 8000;
+
+function sine(frequency, length, amplitude = 0.5) {
+  return Float32Array.from({ length }, (_, i) => amplitude * Math.sin(2 * Math.PI * frequency * i / SR));
+}
+
+describe('WAV decoding', () => {
+  test.each([
+    [{ bitsPerSample: 8 }, 1 / 64],
+    [{ bitsPerSample: 16 }, 1e-4],
+    [{ bitsPerSample: 24 }, 1e-6],
+    [{ bitsPerSample: 32 }, 1e-8],
+    [{ float: true }, 1e-7]
+  ])('round trip %o', (options, tolerance) => {
+    const left = sine(440, 400);
+    const right = sine(660, 400, 0.25);
+    const wav = decodeWav(encodeWav([left, right], SR, options));
+    expect(wav).toMatchObject({ sampleRate: SR, format: options.float ? 'float' : 'pcm' });
+    expect(wav.channels).toHaveLength(2);
+    expect(wav.duration).toBeCloseTo(0.05);
+    [left, right].forEach((original, c) => {
+      const error = Math.max(...original.map((v, i) => Math.abs(v - wav.channels[c][i])));
+      expect(error).toBeLessThan(tolerance);
+    });
+  });
+
+  test('WAVE_FORMAT_EXTENSIBLE and extra chunks before the data', () => {
+    const pcm = encodeWav(sine(440, 100), SR, { bitsPerSample: 24 });
+    // Rewrite the 16-byte fmt chunk as a 40-byte extensible one and add an odd-sized LIST chunk
+    const fmt = new Uint8Array(48);
+    const view = new DataView(fmt.buffer);
+    fmt.set(pcm.subarray(12, 36));
+    view.setUint32(4, 40, true);
+    view.setUint16(8, 0xfffe, true);
+    view.setUint16(24, 22, true);
+    view.setUint16(26, 24, true);
+    view.setUint16(32, 1, true); // Sub-format GUID starts with the PCM tag
+    const list = new Uint8Array([...'LIST'].map(c => c.charCodeAt(0)).concat([3, 0, 0, 0, 1, 2, 3, 0]));
+    const file = new Uint8Array([...pcm.subarray(0, 12), ...fmt, ...list, ...pcm.subarray(36)]);
+    const wav = decodeWav(file.buffer);
+    expect(wav.channels[0]).toHaveLength(100);
+    expect(wav.channels[0][10]).toBeCloseTo(sine(440, 100)[10], 5);
+  });
+
+  test('G.711 µ-law and A-law', () => {
+    // 8-bit files with the codes for silence, full scale up and full scale down
+    const g711 = (formatTag, codes) => {
+      const wav = encodeWav(new Float32Array(codes.length), SR, { bitsPerSample: 8 });
+      new DataView(wav.buffer).setUint16(20, formatTag, true);
+      wav.set(codes, 44);
+      return decodeWav(wav);
+    };
+    const mulaw = g711(7, [0xff, 0x80, 0x00]);
+    expect(mulaw.format).toBe('mu-law');
+    expect(Array.from(mulaw.channels[0])).toEqual([0, 32124 / 32768, -32124 / 32768].map(Math.fround));
+    const alaw = g711(6, [0xd5, 0x55, 0xaa, 0x2a]);
+    expect(alaw.format).toBe('a-law');
+    expect(Array.from(alaw.channels[0])).toEqual([8, -8, 32256, -32256].map(v => Math.fround(v / 32768)));
+  });
+
+  test('non-WAV and unsupported files are rejected', () => {
+    expect(isWav(new Uint8Array(4))).toBe(false);
+    expect(() => decodeWav(new TextEncoder().encode('ID3 not a wav file'))).toThrow('Not a WAV file');
+    const adpcm = encodeWav(sine(440, 10), SR);
+    new DataView(adpcm.buffer).setUint16(20, 2, true);
+    expect(() => decodeWav(adpcm)).toThrow('Unsupported WAV encoding: format 2');
+  });
+});